@@ -0,0 +1,83 @@
+import {
+  createHistoryAckMessage,
+  parseSyncMessage,
+  SYNC_MESSAGE_TYPE
+} from '../utils/sync-protocol.js'
+
+/**
+ * @typedef ArchiveStorage
+ * @property {(key: string) => string | null | undefined} getItem
+ * @property {(key: string, value: string) => void} setItem
+ */
+
+export const HISTORY_ARCHIVE_STORAGE_KEY = 'padel-buddy.history-archive'
+
+/**
+ * @param {ArchiveStorage} storage
+ * @returns {import('../utils/match-history-types.js').MatchHistoryEntry[]} Every synced match, newest first.
+ */
+export function loadHistoryArchive(storage) {
+  try {
+    const archive = JSON.parse(
+      storage.getItem(HISTORY_ARCHIVE_STORAGE_KEY) || '[]'
+    )
+
+    return Array.isArray(archive) ? archive : []
+  } catch {
+    return []
+  }
+}
+
+/**
+ * Adds an entry to the archive unless its id is already archived. Unlike the
+ * watch history, the archive has no size limit.
+ *
+ * @param {ArchiveStorage} storage
+ * @param {import('../utils/match-history-types.js').MatchHistoryEntry} entry
+ * @returns {boolean} False when the entry could not be stored.
+ */
+export function archiveHistoryEntry(storage, entry) {
+  const archive = loadHistoryArchive(storage)
+
+  if (archive.some((archivedEntry) => archivedEntry.id === entry.id)) {
+    return true
+  }
+
+  archive.push(entry)
+  archive.sort(
+    (left, right) => (right.completedAt ?? 0) - (left.completedAt ?? 0)
+  )
+
+  try {
+    storage.setItem(HISTORY_ARCHIVE_STORAGE_KEY, JSON.stringify(archive))
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Handles sync messages from the watch: each archived entry is acknowledged,
+ * including entries that were already archived, so the watch stops resending
+ * them after a lost acknowledgement.
+ *
+ * @param {{ storage: ArchiveStorage, send: (message: import('../utils/sync-protocol.js').SyncMessage) => void }} options
+ * @returns {{ handleMessage: (value: unknown) => boolean }}
+ */
+export function createHistoryArchiveService({ storage, send }) {
+  return {
+    handleMessage(value) {
+      const message = parseSyncMessage(value)
+
+      if (
+        message?.type !== SYNC_MESSAGE_TYPE.HISTORY_ENTRY ||
+        !archiveHistoryEntry(storage, message.entry)
+      ) {
+        return false
+      }
+
+      send(createHistoryAckMessage(message.entry.id))
+      return true
+    }
+  }
+}
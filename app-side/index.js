@@ -0,0 +1,36 @@
+import { decodeSyncMessage, encodeSyncMessage } from '../utils/sync-protocol.js'
+import { createHistoryArchiveService } from './history-archive.js'
+import { createSettingsBridgeService } from './settings-bridge.js'
+
+AppSideService({
+  onInit() {
+    const send = (message) => {
+      messaging.peerSocket.send(encodeSyncMessage(message))
+    }
+    const historyArchive = createHistoryArchiveService({
+      storage: settings.settingsStorage,
+      send
+    })
+    const settingsBridge = createSettingsBridgeService({
+      storage: settings.settingsStorage,
+      send
+    })
+
+    messaging.peerSocket.addListener('message', (payload) => {
+      const message = decodeSyncMessage(payload)
+
+      if (message) {
+        historyArchive.handleMessage(message)
+        settingsBridge.handleMessage(message)
+      }
+    })
+
+    settings.settingsStorage.addListener('change', ({ key, newValue }) => {
+      settingsBridge.handleStorageChange(key, newValue)
+    })
+  },
+
+  onRun() {},
+
+  onDestroy() {}
+})
@@ -0,0 +1,120 @@
+import {
+  createSettingsMessage,
+  PHONE_SETTINGS_STORAGE_KEY,
+  parseSyncMessage,
+  SYNC_MESSAGE_TYPE
+} from '../utils/sync-protocol.js'
+import { isRecord } from '../utils/validation.js'
+
+/**
+ * Set while settings edited in the settings app may not have reached the
+ * watch. Kept in storage, as the side service does not outlive the
+ * connection.
+ */
+export const PHONE_SETTINGS_PENDING_STORAGE_KEY =
+  'padel-buddy.watch-settings-pending'
+
+/**
+ * @param {unknown} value
+ * @returns {import('../utils/sync-protocol.js').WatchSettings | null}
+ */
+function parseStoredSettings(value) {
+  if (typeof value !== 'string') {
+    return null
+  }
+
+  try {
+    const settings = JSON.parse(value)
+    return isRecord(settings)
+      ? /** @type {import('../utils/sync-protocol.js').WatchSettings} */ (
+          settings
+        )
+      : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Bridges the phone settings app and the watch. Settings shared by the watch
+ * are stored where the settings app reads them, and edits made in the
+ * settings app are forwarded to the watch. Storing the watch's own settings
+ * also fires a storage change, which is not echoed back.
+ *
+ * Edits stay pending until the watch next shares its settings: instead of
+ * overwriting them, that state is answered with the edits, so edits made
+ * while the watch app was closed still reach it.
+ *
+ * @param {{ storage: import('./history-archive.js').ArchiveStorage, send: (message: import('../utils/sync-protocol.js').SyncMessage) => void }} options
+ * @returns {{ handleMessage: (value: unknown) => boolean, handleStorageChange: (key: string, newValue: unknown) => boolean }}
+ */
+export function createSettingsBridgeService({ storage, send }) {
+  let lastWatchValue = null
+
+  const sendUpdate = (settings) =>
+    send(createSettingsMessage(SYNC_MESSAGE_TYPE.SETTINGS_UPDATE, settings))
+
+  const isPending = () => {
+    try {
+      return storage.getItem(PHONE_SETTINGS_PENDING_STORAGE_KEY) === 'true'
+    } catch {
+      return false
+    }
+  }
+
+  const setPending = (pending) => {
+    try {
+      storage.setItem(PHONE_SETTINGS_PENDING_STORAGE_KEY, String(pending))
+    } catch {
+      // The edits are still sent; they are only not re-sent on reconnect.
+    }
+  }
+
+  return {
+    handleMessage(value) {
+      const message = parseSyncMessage(value)
+
+      if (message?.type !== SYNC_MESSAGE_TYPE.SETTINGS_STATE) {
+        return false
+      }
+
+      if (isPending()) {
+        const editedSettings = parseStoredSettings(
+          storage.getItem(PHONE_SETTINGS_STORAGE_KEY)
+        )
+
+        setPending(false)
+
+        if (editedSettings) {
+          sendUpdate(editedSettings)
+          return true
+        }
+      }
+
+      lastWatchValue = JSON.stringify(message.settings)
+
+      try {
+        storage.setItem(PHONE_SETTINGS_STORAGE_KEY, lastWatchValue)
+        return true
+      } catch {
+        return false
+      }
+    },
+
+    handleStorageChange(key, newValue) {
+      if (key !== PHONE_SETTINGS_STORAGE_KEY || newValue === lastWatchValue) {
+        return false
+      }
+
+      const settings = parseStoredSettings(newValue)
+
+      if (!settings) {
+        return false
+      }
+
+      setPending(true)
+      sendUpdate(settings)
+      return true
+    }
+  }
+}
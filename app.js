@@ -10,7 +10,12 @@ import {
   MATCH_STATUS as PERSISTED_MATCH_STATUS
 } from './utils/match-state-schema.js'
 import { ensureStorageSchema } from './utils/persistence.js'
-import { addPoint, removePoint as undoPoint } from './utils/scoring-engine.js'
+import { startPhoneSync, stopPhoneSync } from './utils/phone-sync.js'
+import {
+  addPoint,
+  redoPoint,
+  removePoint as undoPoint
+} from './utils/scoring-engine.js'
 import { isRecord, toNonNegativeInteger } from './utils/validation.js'
 
 function applyNextState(appInstance, nextState) {
@@ -85,11 +90,12 @@ App({
     matchState: createInitialMatchState(),
     matchHistory: createHistoryStack()
   },
-  addPointForTeam(team) {
+  addPointForTeam(team, options) {
     const nextState = addPoint(
       this.globalData.matchState,
       team,
-      this.globalData.matchHistory
+      this.globalData.matchHistory,
+      options
     )
 
     return applyNextState(this, nextState)
@@ -104,6 +110,15 @@ App({
     return applyNextState(this, restoredState)
   },
 
+  redoPoint() {
+    const redoneState = redoPoint(
+      this.globalData.matchState,
+      this.globalData.matchHistory
+    )
+
+    return applyNextState(this, redoneState)
+  },
+
   onCreate(_options) {
     // App-level lifecycle keep-awake remains on hmApp intentionally.
     // Task 78 migration scope covers page-level APIs, not App() hooks.
@@ -119,9 +134,21 @@ App({
     } catch {
       // Best-effort schema bootstrap; never block app initialization.
     }
+
+    try {
+      startPhoneSync()
+    } catch {
+      // Syncing to the phone is optional; never block app initialization.
+    }
   },
 
   onDestroy(_options) {
     emergencyPersistMatchState(this.globalData)
+
+    try {
+      stopPhoneSync()
+    } catch {
+      // Never let app.onDestroy throw.
+    }
   }
 })
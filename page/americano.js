@@ -0,0 +1,732 @@
+import { gettext } from 'i18n'
+import {
+  AMERICANO_FORMAT,
+  AMERICANO_FORMAT_OPTIONS,
+  AMERICANO_MAX_PLAYERS,
+  AMERICANO_MIN_PLAYERS,
+  AMERICANO_POINTS_OPTIONS,
+  addAmericanoPoint,
+  advanceAmericanoSession,
+  clearAmericanoSession,
+  createAmericanoSession,
+  DEFAULT_AMERICANO_POINTS,
+  formatAmericanoTeam,
+  getAmericanoStandings,
+  getCurrentAmericanoRound,
+  isAmericanoMatchComplete,
+  isAmericanoRoundComplete,
+  loadAmericanoSession,
+  removeAmericanoPoint,
+  saveAmericanoSession
+} from '../utils/americano-session.js'
+import { getFontSize, TOKENS } from '../utils/design-tokens.js'
+import { resolveLayout } from '../utils/layout-engine.js'
+import { createPageWithFooterButton } from '../utils/layout-presets.js'
+import { router } from '../utils/platform-adapters.js'
+import { loadPlayerRoster } from '../utils/player-roster.js'
+import { clamp, getScreenMetrics } from '../utils/screen-utils.js'
+import {
+  createBackground,
+  createButton,
+  createText
+} from '../utils/ui-components.js'
+
+/**
+ * Layout schema for the Americano screen. The body is laid out per view
+ * (setup, round and leaderboard) in render, like the setup screen.
+ */
+const AMERICANO_BASE_LAYOUT = createPageWithFooterButton({
+  icon: 'goback-icon.png',
+  footerButtonName: 'goBackButton',
+  hasHeader: true,
+  top: 0,
+  bottom: 0,
+  bodyGap: 0,
+  headerHeight: '15%',
+  footerHeight: '5%',
+  headerRoundSafeInset: false,
+  bodyRoundSafeInset: false,
+  footerRoundSafeInset: false
+})
+
+const AMERICANO_LAYOUT = {
+  sections: {
+    ...AMERICANO_BASE_LAYOUT.sections,
+    body: {
+      ...AMERICANO_BASE_LAYOUT.sections.body,
+      sideInset: '7%'
+    }
+  },
+  elements: {
+    ...AMERICANO_BASE_LAYOUT.elements,
+    // Title text (in header section)
+    title: {
+      section: 'header',
+      x: 'center',
+      y: '30%',
+      width: '100%',
+      height: '50%',
+      align: 'center',
+      _meta: {
+        type: 'text',
+        style: 'pageTitle'
+      }
+    },
+    // Go back button (in footer section)
+    goBackButton: {
+      ...AMERICANO_BASE_LAYOUT.elements.goBackButton,
+      x: 'center',
+      y: '20%',
+      _meta: {
+        ...AMERICANO_BASE_LAYOUT.elements.goBackButton._meta,
+        onClick: 'handleGoBack'
+      }
+    }
+  }
+}
+
+const VIEW = Object.freeze({
+  SETUP: 'setup',
+  ROUND: 'round',
+  LEADERBOARD: 'leaderboard'
+})
+
+/** Round view columns: Team A on the left, Team B on the right. */
+const MATCH_TEAMS = Object.freeze(['teamA', 'teamB'])
+
+/**
+ * Roster players first, then numbered players (P1, P2...) so a session can
+ * be started before the roster has enough names.
+ *
+ * @param {string[]} rosterNames
+ * @returns {string[]}
+ */
+function createCandidateNames(rosterNames) {
+  const names = [...rosterNames]
+  let number = 1
+
+  while (names.length < AMERICANO_MAX_PLAYERS) {
+    const name = `P${number}`
+
+    if (!names.includes(name)) {
+      names.push(name)
+    }
+
+    number += 1
+  }
+
+  return names
+}
+
+Page({
+  onInit() {
+    this.widgets = []
+    this.session = loadAmericanoSession()
+    this.view = this.session ? VIEW.ROUND : VIEW.SETUP
+    this.courtIndex = 0
+    this.selectedFormat = AMERICANO_FORMAT.AMERICANO
+    this.selectedPoints = DEFAULT_AMERICANO_POINTS
+    this.selectedPlayers = []
+    this.candidateNames = createCandidateNames(
+      loadPlayerRoster().map((player) => player.name)
+    )
+    this.errorMessage = ''
+
+    if (this.session?.status === 'finished') {
+      this.view = VIEW.LEADERBOARD
+    }
+
+    this.selectFirstOpenCourt()
+  },
+
+  build() {
+    this.renderAmericanoScreen()
+  },
+
+  onDestroy() {
+    this.clearWidgets()
+  },
+
+  clearWidgets() {
+    if (typeof hmUI === 'undefined') {
+      this.widgets = []
+      return
+    }
+
+    this.widgets.forEach((widget) => hmUI.deleteWidget(widget))
+    this.widgets = []
+  },
+
+  createWidget(widgetType, properties) {
+    if (typeof hmUI === 'undefined') {
+      return null
+    }
+
+    const widget = hmUI.createWidget(widgetType, properties)
+    this.widgets.push(widget)
+    return widget
+  },
+
+  // ── Setup ─────────────────────────────────────────────────────────────────
+
+  handleToggleFormat() {
+    const currentIndex = AMERICANO_FORMAT_OPTIONS.indexOf(this.selectedFormat)
+
+    this.selectedFormat =
+      AMERICANO_FORMAT_OPTIONS[
+        (currentIndex + 1) % AMERICANO_FORMAT_OPTIONS.length
+      ]
+    this.renderAmericanoScreen()
+  },
+
+  handleTogglePoints() {
+    const currentIndex = AMERICANO_POINTS_OPTIONS.indexOf(this.selectedPoints)
+
+    this.selectedPoints =
+      AMERICANO_POINTS_OPTIONS[
+        (currentIndex + 1) % AMERICANO_POINTS_OPTIONS.length
+      ]
+    this.renderAmericanoScreen()
+  },
+
+  // Players are kept in the order they were picked, which seeds Mexicano.
+  handleTogglePlayer(index) {
+    const name = this.candidateNames[index]
+
+    if (!name) {
+      return
+    }
+
+    if (this.selectedPlayers.includes(name)) {
+      this.selectedPlayers = this.selectedPlayers.filter(
+        (selectedName) => selectedName !== name
+      )
+    } else if (this.selectedPlayers.length < AMERICANO_MAX_PLAYERS) {
+      this.selectedPlayers = [...this.selectedPlayers, name]
+    }
+
+    this.errorMessage = ''
+    this.renderAmericanoScreen()
+  },
+
+  canStartSession() {
+    return (
+      this.selectedPlayers.length >= AMERICANO_MIN_PLAYERS &&
+      this.selectedPlayers.length <= AMERICANO_MAX_PLAYERS
+    )
+  },
+
+  handleStartSession() {
+    if (!this.canStartSession()) {
+      return false
+    }
+
+    const session = createAmericanoSession({
+      format: this.selectedFormat,
+      players: this.selectedPlayers,
+      pointsPerRound: this.selectedPoints
+    })
+
+    if (!session || !saveAmericanoSession(session)) {
+      this.errorMessage = gettext('setup.saveFailed')
+      this.renderAmericanoScreen()
+      return false
+    }
+
+    this.session = session
+    this.view = VIEW.ROUND
+    this.courtIndex = 0
+    this.renderAmericanoScreen()
+    return true
+  },
+
+  // ── Rounds ────────────────────────────────────────────────────────────────
+
+  selectFirstOpenCourt() {
+    if (!this.session) {
+      return
+    }
+
+    const openCourtIndex = getCurrentAmericanoRound(
+      this.session
+    ).matches.findIndex(
+      (match) => !isAmericanoMatchComplete(match, this.session.pointsPerRound)
+    )
+
+    this.courtIndex = openCourtIndex === -1 ? 0 : openCourtIndex
+  },
+
+  handleNextCourt() {
+    const courtCount = getCurrentAmericanoRound(this.session).matches.length
+    this.courtIndex = (this.courtIndex + 1) % courtCount
+    this.renderAmericanoScreen()
+  },
+
+  /**
+   * Saves every change right away, so an interrupted session resumes from
+   * the home screen where it was left.
+   *
+   * @param {import('../utils/americano-session.js').AmericanoSession} nextSession
+   */
+  updateSession(nextSession) {
+    if (nextSession === this.session) {
+      return
+    }
+
+    this.session = nextSession
+    saveAmericanoSession(nextSession)
+    this.renderAmericanoScreen()
+  },
+
+  handleAddPoint(team) {
+    this.updateSession(addAmericanoPoint(this.session, this.courtIndex, team))
+  },
+
+  handleRemovePoint(team) {
+    this.updateSession(
+      removeAmericanoPoint(this.session, this.courtIndex, team)
+    )
+  },
+
+  handleAdvanceRound() {
+    const nextSession = advanceAmericanoSession(this.session)
+
+    if (nextSession === this.session) {
+      return
+    }
+
+    this.view =
+      nextSession.status === 'finished' ? VIEW.LEADERBOARD : VIEW.ROUND
+    this.courtIndex = 0
+    this.updateSession(nextSession)
+  },
+
+  handleShowLeaderboard() {
+    this.view = VIEW.LEADERBOARD
+    this.renderAmericanoScreen()
+  },
+
+  // Ending a finished session removes it, so Home offers a new one.
+  handleEndSession() {
+    clearAmericanoSession()
+    this.session = null
+    return this.navigateHome()
+  },
+
+  handleGoBack() {
+    if (this.view === VIEW.LEADERBOARD && this.session?.status === 'active') {
+      this.view = VIEW.ROUND
+      this.renderAmericanoScreen()
+      return true
+    }
+
+    return this.navigateHome()
+  },
+
+  navigateHome() {
+    return router.redirectTo('page/index')
+  },
+
+  // ── Rendering ─────────────────────────────────────────────────────────────
+
+  getTitleText() {
+    if (this.view === VIEW.SETUP) {
+      return gettext('americano.title')
+    }
+
+    if (this.view === VIEW.LEADERBOARD) {
+      return gettext('americano.leaderboard')
+    }
+
+    const round = getCurrentAmericanoRound(this.session)
+    return `${gettext('americano.round')} ${round.number}/${this.session.roundsToPlay}`
+  },
+
+  renderAmericanoScreen() {
+    if (typeof hmUI === 'undefined') {
+      return
+    }
+
+    const metrics = getScreenMetrics()
+    const layout = resolveLayout(AMERICANO_LAYOUT, metrics)
+
+    this.clearWidgets()
+
+    // 1. Background
+    const bg = createBackground()
+    this.createWidget(bg.widgetType, bg.config)
+
+    // 2. Title text (in header section)
+    const titleEl = layout.elements.title
+    const titleMeta = AMERICANO_LAYOUT.elements.title._meta
+    if (titleEl) {
+      const titleConfig = createText({
+        text: this.getTitleText(),
+        style: titleMeta.style,
+        x: titleEl.x,
+        y: titleEl.y,
+        w: titleEl.w,
+        h: titleEl.h
+      })
+      this.createWidget(titleConfig.widgetType, titleConfig.config)
+    }
+
+    // 3. Body of the current view
+    if (this.view === VIEW.SETUP) {
+      this.renderSetup(layout, metrics)
+    } else if (this.view === VIEW.ROUND) {
+      this.renderRound(layout, metrics)
+    } else {
+      this.renderLeaderboard(layout, metrics)
+    }
+
+    // 4. Go back button (in footer section)
+    const goBackEl = layout.elements.goBackButton
+    const goBackMeta = AMERICANO_LAYOUT.elements.goBackButton._meta
+    if (goBackEl) {
+      const goBackBtn = createButton({
+        x: goBackEl.x,
+        y: goBackEl.y,
+        variant: 'icon',
+        normal_src: goBackMeta.icon,
+        onClick: () => this.handleGoBack()
+      })
+      this.createWidget(goBackBtn.widgetType, goBackBtn.config)
+    }
+  },
+
+  /**
+   * Format and points toggles on top, the players to pick from below and
+   * the start button, which counts the players picked.
+   */
+  renderSetup(layout, metrics) {
+    const bodySection = layout.sections.body
+    const gap = Math.round(metrics.width * 0.022)
+    const columnWidth = Math.round((bodySection.w - gap) / 2)
+    const toggleHeight = Math.round(
+      metrics.height * TOKENS.sizing.buttonHeightCompact
+    )
+    const startHeight = Math.round(
+      metrics.height * TOKENS.sizing.buttonHeightLarge
+    )
+    const startY = bodySection.y + Math.round(bodySection.h * 0.7)
+
+    const formatBtn = createButton({
+      x: bodySection.x,
+      y: bodySection.y,
+      w: columnWidth,
+      h: toggleHeight,
+      variant: 'secondary',
+      text: gettext(`americano.format.${this.selectedFormat}`),
+      onClick: () => this.handleToggleFormat()
+    })
+    this.createWidget(formatBtn.widgetType, formatBtn.config)
+
+    const pointsBtn = createButton({
+      x: bodySection.x + columnWidth + gap,
+      y: bodySection.y,
+      w: columnWidth,
+      h: toggleHeight,
+      variant: 'secondary',
+      text: `${this.selectedPoints} ${gettext('americano.points')}`,
+      onClick: () => this.handleTogglePoints()
+    })
+    this.createWidget(pointsBtn.widgetType, pointsBtn.config)
+
+    const listY = bodySection.y + toggleHeight + gap
+    const rowHeight = clamp(
+      Math.round(metrics.width * TOKENS.typography.body * 2.2),
+      28,
+      56
+    )
+    const markWidth = Math.round(bodySection.w * 0.2)
+    const dataArray = this.candidateNames.map((name) => {
+      const pickIndex = this.selectedPlayers.indexOf(name)
+
+      return {
+        name,
+        mark: pickIndex === -1 ? '' : String(pickIndex + 1)
+      }
+    })
+
+    this.createWidget(hmUI.widget.SCROLL_LIST, {
+      x: bodySection.x,
+      y: listY,
+      w: bodySection.w,
+      h: startY - gap - listY,
+      item_space: 0,
+      item_config: [
+        {
+          type_id: 1,
+          item_height: rowHeight,
+          item_bg_color: TOKENS.colors.cardBackground,
+          item_bg_radius: 0,
+          text_view: [
+            {
+              x: 0,
+              y: 0,
+              w: bodySection.w - markWidth,
+              h: rowHeight,
+              key: 'name',
+              color: TOKENS.colors.text,
+              text_size: getFontSize('body')
+            },
+            {
+              x: bodySection.w - markWidth,
+              y: 0,
+              w: markWidth,
+              h: rowHeight,
+              key: 'mark',
+              color: TOKENS.colors.accent,
+              text_size: getFontSize('body')
+            }
+          ],
+          text_view_count: 2
+        }
+      ],
+      item_config_count: 1,
+      data_array: dataArray,
+      data_count: dataArray.length,
+      item_click_func: (_list, index) => {
+        this.handleTogglePlayer(index)
+      }
+    })
+
+    const canStart = this.canStartSession()
+    const startBtn = createButton({
+      x: bodySection.x,
+      y: startY,
+      w: bodySection.w,
+      h: startHeight,
+      variant: canStart ? 'primary' : 'secondary',
+      text: `${gettext('americano.start')} (${this.selectedPlayers.length})`,
+      disabled: !canStart,
+      onClick: () => this.handleStartSession()
+    })
+    this.createWidget(startBtn.widgetType, startBtn.config)
+
+    if (this.errorMessage.length > 0) {
+      const errorConfig = createText({
+        text: this.errorMessage,
+        style: 'body',
+        x: bodySection.x,
+        y: startY + startHeight,
+        w: bodySection.w,
+        h: bodySection.y + bodySection.h - startY - startHeight,
+        color: TOKENS.colors.danger
+      })
+      this.createWidget(errorConfig.widgetType, errorConfig.config)
+    }
+  },
+
+  /**
+   * The court being scored: both teams with their points, which are tapped
+   * to score, and minus buttons below. Once every court has played all its
+   * points, the round can be closed.
+   */
+  renderRound(layout, metrics) {
+    const bodySection = layout.sections.body
+    const session = this.session
+    const round = getCurrentAmericanoRound(session)
+    const match = round.matches[this.courtIndex]
+    const gap = Math.round(metrics.width * 0.022)
+    const columnWidth = Math.round((bodySection.w - gap) / 2)
+    const compactHeight = Math.round(
+      metrics.height * TOKENS.sizing.buttonHeightCompact
+    )
+    const largeHeight = Math.round(
+      metrics.height * TOKENS.sizing.buttonHeightLarge
+    )
+    const courtLabel = `${gettext('americano.court')} ${this.courtIndex + 1}/${round.matches.length}`
+    let y = bodySection.y
+
+    if (round.matches.length > 1) {
+      const courtBtn = createButton({
+        x: bodySection.x,
+        y,
+        w: bodySection.w,
+        h: compactHeight,
+        variant: 'secondary',
+        text: courtLabel,
+        onClick: () => this.handleNextCourt()
+      })
+      this.createWidget(courtBtn.widgetType, courtBtn.config)
+    } else {
+      const courtConfig = createText({
+        text: courtLabel,
+        style: 'caption',
+        x: bodySection.x,
+        y,
+        w: bodySection.w,
+        h: compactHeight,
+        color: TOKENS.colors.mutedText
+      })
+      this.createWidget(courtConfig.widgetType, courtConfig.config)
+    }
+
+    y += compactHeight + gap
+
+    const isMatchComplete = isAmericanoMatchComplete(
+      match,
+      session.pointsPerRound
+    )
+
+    MATCH_TEAMS.forEach((team, columnIndex) => {
+      const x = bodySection.x + (columnWidth + gap) * columnIndex
+
+      const teamConfig = createText({
+        text: formatAmericanoTeam(session, match[team]),
+        style: 'caption',
+        x,
+        y,
+        w: columnWidth,
+        h: compactHeight
+      })
+      this.createWidget(teamConfig.widgetType, teamConfig.config)
+
+      const pointsBtn = createButton({
+        x,
+        y: y + compactHeight,
+        w: columnWidth,
+        h: largeHeight,
+        variant: isMatchComplete ? 'secondary' : 'primary',
+        text: String(match.points[team]),
+        onClick: () => this.handleAddPoint(team)
+      })
+      this.createWidget(pointsBtn.widgetType, pointsBtn.config)
+
+      const minusBtn = createButton({
+        x,
+        y: y + compactHeight + largeHeight + gap,
+        w: columnWidth,
+        h: compactHeight,
+        variant: 'secondary',
+        text: '-',
+        onClick: () => this.handleRemovePoint(team)
+      })
+      this.createWidget(minusBtn.widgetType, minusBtn.config)
+    })
+
+    y += compactHeight * 2 + largeHeight + gap * 2
+
+    const isRoundComplete = isAmericanoRoundComplete(session)
+    const isLastRound = round.number >= session.roundsToPlay
+    let actionText = gettext('americano.leaderboard')
+
+    if (isRoundComplete) {
+      actionText = gettext(
+        isLastRound ? 'americano.finish' : 'americano.nextRound'
+      )
+    }
+
+    const actionBtn = createButton({
+      x: bodySection.x,
+      y,
+      w: bodySection.w,
+      h: compactHeight,
+      variant: isRoundComplete ? 'primary' : 'secondary',
+      text: actionText,
+      onClick: () =>
+        isRoundComplete
+          ? this.handleAdvanceRound()
+          : this.handleShowLeaderboard()
+    })
+    this.createWidget(actionBtn.widgetType, actionBtn.config)
+
+    if (round.resting.length > 0) {
+      const restingY = y + compactHeight + gap
+      const restingConfig = createText({
+        text: `${gettext('americano.resting')}: ${round.resting
+          .map((player) => session.players[player])
+          .join(', ')}`,
+        style: 'caption',
+        x: bodySection.x,
+        y: restingY,
+        w: bodySection.w,
+        h: Math.max(bodySection.y + bodySection.h - restingY, compactHeight),
+        color: TOKENS.colors.mutedText
+      })
+      this.createWidget(restingConfig.widgetType, restingConfig.config)
+    }
+  },
+
+  /**
+   * Players ranked by the points they won, with their wins and matches
+   * played. A finished session is ended from here.
+   */
+  renderLeaderboard(layout, metrics) {
+    const bodySection = layout.sections.body
+    const isFinished = this.session.status === 'finished'
+    const buttonHeight = Math.round(
+      metrics.height * TOKENS.sizing.buttonHeightCompact
+    )
+    const listHeight = isFinished
+      ? bodySection.h - buttonHeight - Math.round(metrics.width * 0.022)
+      : bodySection.h
+    const rowHeight = clamp(
+      Math.round(metrics.width * TOKENS.typography.body * 2.2),
+      28,
+      56
+    )
+    const valueColumnWidth = Math.round(bodySection.w * 0.35)
+    const dataArray = getAmericanoStandings(this.session).map(
+      (standing, index) => ({
+        name: `${index + 1}. ${standing.name}`,
+        value: `${standing.points} · ${standing.won}/${standing.played}`
+      })
+    )
+
+    this.createWidget(hmUI.widget.SCROLL_LIST, {
+      x: bodySection.x,
+      y: bodySection.y,
+      w: bodySection.w,
+      h: listHeight,
+      item_space: 0,
+      item_config: [
+        {
+          type_id: 1,
+          item_height: rowHeight,
+          item_bg_color: TOKENS.colors.cardBackground,
+          item_bg_radius: 0,
+          text_view: [
+            {
+              x: 0,
+              y: 0,
+              w: bodySection.w - valueColumnWidth,
+              h: rowHeight,
+              key: 'name',
+              color: TOKENS.colors.text,
+              text_size: getFontSize('body')
+            },
+            {
+              x: bodySection.w - valueColumnWidth,
+              y: 0,
+              w: valueColumnWidth,
+              h: rowHeight,
+              key: 'value',
+              color: TOKENS.colors.accent,
+              text_size: getFontSize('body')
+            }
+          ],
+          text_view_count: 2
+        }
+      ],
+      item_config_count: 1,
+      data_array: dataArray,
+      data_count: dataArray.length
+    })
+
+    if (isFinished) {
+      const endBtn = createButton({
+        x: bodySection.x,
+        y: bodySection.y + bodySection.h - buttonHeight,
+        w: bodySection.w,
+        h: buttonHeight,
+        variant: 'primary',
+        text: gettext('americano.end'),
+        onClick: () => this.handleEndSession()
+      })
+      this.createWidget(endBtn.widgetType, endBtn.config)
+    }
+  }
+})
@@ -1,4 +1,8 @@
 import { gettext } from 'i18n'
+import {
+  loadChangeEndsAlertEnabled,
+  saveChangeEndsAlertEnabled
+} from '../utils/change-ends-alert-settings.js'
 import { getFontSize, TOKENS, toPercentage } from '../utils/design-tokens.js'
 import {
   loadHapticFeedbackEnabled,
@@ -59,6 +63,7 @@ Page({
   onInit() {
     this.widgets = []
     this.hapticFeedbackEnabled = loadHapticFeedbackEnabled()
+    this.changeEndsAlertEnabled = loadChangeEndsAlertEnabled()
   },
 
   build() {
@@ -98,6 +103,11 @@ Page({
     this.hapticFeedbackEnabled = saveHapticFeedbackEnabled(enabled)
   },
 
+  handleChangeEndsAlertChange(nextValue) {
+    const enabled = this.normalizeSwitchValue(nextValue)
+    this.changeEndsAlertEnabled = saveChangeEndsAlertEnabled(enabled)
+  },
+
   goBack() {
     if (router.navigateBack() !== true) {
       router.navigateTo('page/settings')
@@ -144,37 +154,50 @@ Page({
     const switchHeight = Math.round(rowHeight * 0.42)
     const labelTextSize = getFontSize('bodyLarge')
     const labelTextHeight = Math.round(labelTextSize * 1.4)
-    const rowTop = bodySection.y
-
-    const labelConfig = createText({
-      text: gettext('settings.vibrationFeedback'),
-      style: 'bodyLarge',
-      x: contentX + padding,
-      y: rowTop + Math.round((rowHeight - labelTextHeight) / 2),
-      w: contentWidth - padding * 3 - switchWidth,
-      h: labelTextHeight,
-      color: TOKENS.colors.text
-    })
-    this.createWidget(labelConfig.widgetType, labelConfig.config)
-
     const slideSwitchWidgetType = hmUI.widget?.SLIDE_SWITCH ?? 'SLIDE_SWITCH'
     const switchX = contentX + contentWidth - padding - switchWidth
-    const switchY = rowTop + Math.round((rowHeight - switchHeight) / 2)
     const sliderSize = switchHeight
 
-    this.createWidget(slideSwitchWidgetType, {
-      x: switchX,
-      y: switchY,
-      w: switchWidth,
-      h: switchHeight,
-      checked: this.hapticFeedbackEnabled,
-      select_bg: 'switch_on.png',
-      un_select_bg: 'switch_off.png',
-      slide_src: 'switch_thumb.png',
-      slide_select_x: switchWidth - sliderSize,
-      slide_un_select_x: 0,
-      checked_change_func: (_slideSwitch, checked) =>
-        this.handleVibrationFeedbackChange(checked)
+    const switchRows = [
+      {
+        textKey: 'settings.vibrationFeedback',
+        checked: this.hapticFeedbackEnabled,
+        onChange: (checked) => this.handleVibrationFeedbackChange(checked)
+      },
+      {
+        textKey: 'settings.changeEndsAlert',
+        checked: this.changeEndsAlertEnabled,
+        onChange: (checked) => this.handleChangeEndsAlertChange(checked)
+      }
+    ]
+
+    switchRows.forEach((row, index) => {
+      const rowTop = bodySection.y + index * rowHeight
+
+      const labelConfig = createText({
+        text: gettext(row.textKey),
+        style: 'bodyLarge',
+        x: contentX + padding,
+        y: rowTop + Math.round((rowHeight - labelTextHeight) / 2),
+        w: contentWidth - padding * 3 - switchWidth,
+        h: labelTextHeight,
+        color: TOKENS.colors.text
+      })
+      this.createWidget(labelConfig.widgetType, labelConfig.config)
+
+      this.createWidget(slideSwitchWidgetType, {
+        x: switchX,
+        y: rowTop + Math.round((rowHeight - switchHeight) / 2),
+        w: switchWidth,
+        h: switchHeight,
+        checked: row.checked,
+        select_bg: 'switch_on.png',
+        un_select_bg: 'switch_off.png',
+        slide_src: 'switch_thumb.png',
+        slide_select_x: switchWidth - sliderSize,
+        slide_un_select_x: 0,
+        checked_change_func: (_slideSwitch, checked) => row.onChange(checked)
+      })
     })
 
     const goBackEl = layout.elements.goBackButton
@@ -1,16 +1,24 @@
 import { gettext } from 'i18n'
+import { loadChangeEndsAlertEnabled } from '../utils/change-ends-alert-settings.js'
+import { FINISH_REASON, SCORING_EVENT } from '../utils/constants.js'
 import { TOKENS } from '../utils/design-tokens.js'
 import { loadHapticFeedbackEnabled } from '../utils/haptic-feedback-settings.js'
 import { createHistoryStack } from '../utils/history-stack.js'
-import { createInitialMatchState } from '../utils/match-state.js'
+import {
+  formatMatchDuration,
+  getMatchTimeRemainingMs,
+  getPassedTimeLimitWarning
+} from '../utils/match-clock.js'
+import { createInitialMatchState, MATCH_STATUS } from '../utils/match-state.js'
 import {
   gesture,
   haptics,
   keepAwake,
   router,
+  timer,
   toast
 } from '../utils/platform-adapters.js'
-import { addPoint, removePoint } from '../utils/scoring-engine.js'
+import { addPoint, redoPoint, removePoint } from '../utils/scoring-engine.js'
 import { getScreenMetrics } from '../utils/screen-utils.js'
 import {
   cloneMatchState,
@@ -19,6 +27,7 @@ import {
 } from '../utils/validation.js'
 import {
   createManualFinishedMatchStateSnapshot,
+  isGameInProgress,
   isHistoryStackLike,
   isSameMatchState,
   isValidRuntimeMatchState,
@@ -29,7 +38,9 @@ import {
   isPersistedMatchStateActive,
   loadState,
   mergeRuntimeStateWithPersistedSession,
+  restoreUndoHistory,
   saveState,
+  saveUndoHistory,
   serializeMatchStateForComparison
 } from './game/persistence.js'
 import {
@@ -41,6 +52,12 @@ import {
 const INTERACTION_LATENCY_TARGET_MS = 100
 const SCORING_DEBOUNCE_WINDOW_MS = 300
 const PERSISTENCE_THROTTLE_WINDOW_MS = 350
+// Three long pulses, distinct from the short tap feedback.
+const CHANGE_ENDS_VIBRATION_PATTERN = [300, 150, 300, 150, 300]
+// Two longer pulses for the time limit warnings and time up.
+const TIME_LIMIT_VIBRATION_PATTERN = [600, 200, 600]
+// The clock shows whole minutes, so a few refreshes a minute keep it current.
+const CLOCK_REFRESH_INTERVAL_MS = 15000
 
 function getCurrentTimestampMs() {
   if (
@@ -101,6 +118,7 @@ Page({
   onInit() {
     this.widgets = []
     this.hapticFeedbackEnabled = loadHapticFeedbackEnabled()
+    this.changeEndsAlertEnabled = loadChangeEndsAlertEnabled()
     this.lastAcceptedScoringInteractionAt = null
     this.hasAttemptedSummaryNavigation = false
     this.isSessionAccessGranted = false
@@ -108,6 +126,8 @@ Page({
     this.manualFinishConfirmMode = false
     this.lastPersistedRuntimeStateSignature = null
     this.lastPersistedRuntimeStateAt = null
+    this.lastTimeRemainingMs = null
+    this.clockRefreshTimer = null
 
     // Validate session synchronously before build() runs.
     this.validateSessionAccess()
@@ -137,9 +157,12 @@ Page({
     this.ensureRuntimeState()
     this.renderGameScreen()
     this.registerGestureHandler()
+    this.enforceTimeLimit()
+    this.startClockRefresh()
   },
 
   onDestroy() {
+    this.stopClockRefresh()
     this.resetManualFinishConfirmState()
     this.releaseScreenOn()
     this.handleLifecycleAutoSave()
@@ -155,6 +178,113 @@ Page({
     haptics.vibrate()
   },
 
+  handleScoringEvent(event) {
+    if (event?.type !== SCORING_EVENT.CHANGE_ENDS) {
+      return
+    }
+
+    if (!this.changeEndsAlertEnabled) {
+      return
+    }
+
+    if (this.hapticFeedbackEnabled) {
+      haptics.vibratePattern(CHANGE_ENDS_VIBRATION_PATTERN)
+    }
+
+    toast.showToast(gettext('game.changeEnds'))
+  },
+
+  announceTimeLimit(message) {
+    if (this.hapticFeedbackEnabled) {
+      haptics.vibratePattern(TIME_LIMIT_VIBRATION_PATTERN)
+    }
+
+    toast.showToast(message)
+  },
+
+  startClockRefresh() {
+    this.stopClockRefresh()
+    this.clockRefreshTimer = timer.startInterval(
+      () => this.handleClockRefresh(),
+      CLOCK_REFRESH_INTERVAL_MS
+    )
+  },
+
+  stopClockRefresh() {
+    timer.stopInterval(this.clockRefreshTimer)
+    this.clockRefreshTimer = null
+  },
+
+  /**
+   * Keeps the match clock and the time limit warnings current between
+   * points. A paused or finished match has nothing to refresh.
+   */
+  handleClockRefresh() {
+    if (this.getRuntimeMatchState().status !== MATCH_STATUS.ACTIVE) {
+      return
+    }
+
+    if (!this.enforceTimeLimit()) {
+      this.renderGameScreen()
+    }
+  },
+
+  /**
+   * Checks the time limit of a timed match when the screen opens, around
+   * every point and on each clock refresh. It warns as the countdown passes
+   * each warning and, once time is up, lets the game in progress finish
+   * before closing the match.
+   *
+   * @returns {boolean} True when the match was closed.
+   */
+  enforceTimeLimit() {
+    const runtimeMatchState = this.getRuntimeMatchState()
+
+    if (runtimeMatchState.status !== MATCH_STATUS.ACTIVE) {
+      return false
+    }
+
+    const remainingMs = getMatchTimeRemainingMs(this.persistedSessionState)
+
+    if (remainingMs === null) {
+      return false
+    }
+
+    const previousRemainingMs = this.lastTimeRemainingMs
+    this.lastTimeRemainingMs = remainingMs
+
+    if (remainingMs > 0) {
+      const passedWarning = getPassedTimeLimitWarning(
+        previousRemainingMs,
+        remainingMs
+      )
+
+      if (passedWarning !== null) {
+        this.announceTimeLimit(
+          `${gettext('game.timeLeft')} ${formatMatchDuration(passedWarning * 60000)}`
+        )
+      }
+
+      return false
+    }
+
+    if (isGameInProgress(runtimeMatchState)) {
+      if (previousRemainingMs !== 0) {
+        this.announceTimeLimit(gettext('game.timeUp'))
+      }
+
+      return false
+    }
+
+    this.executeScoringAction(
+      () =>
+        createManualFinishedMatchStateSnapshot(runtimeMatchState, {
+          finishReason: FINISH_REASON.TIME
+        }) ?? runtimeMatchState
+    )
+    return true
+  },
+
   resetManualFinishConfirmState(options = {}) {
     const wasInConfirmMode = this.manualFinishConfirmMode === true
 
@@ -179,6 +309,53 @@ Page({
     this.renderGameScreen()
   },
 
+  isMatchPaused() {
+    return this.getRuntimeMatchState().status === MATCH_STATUS.PAUSED
+  },
+
+  /**
+   * Pauses or resumes play. The match clock follows the status when the
+   * state is persisted, so the save comes before the render.
+   */
+  handleTogglePause() {
+    const runtimeMatchState = this.getRuntimeMatchState()
+
+    if (runtimeMatchState.status === MATCH_STATUS.FINISHED) {
+      return
+    }
+
+    this.resetManualFinishConfirmState()
+
+    const nextState = cloneMatchState(runtimeMatchState)
+    nextState.status =
+      runtimeMatchState.status === MATCH_STATUS.PAUSED
+        ? MATCH_STATUS.ACTIVE
+        : MATCH_STATUS.PAUSED
+
+    this.updateRuntimeMatchState(nextState)
+    this.saveCurrentRuntimeState({ force: true })
+    this.renderGameScreen()
+  },
+
+  /**
+   * Opens the score editor on the saved state, which it reads back, so the
+   * save is forced first.
+   */
+  handleOpenScoreEditor() {
+    if (this.getRuntimeMatchState().status === MATCH_STATUS.FINISHED) {
+      return false
+    }
+
+    this.resetManualFinishConfirmState()
+    this.saveCurrentRuntimeState({ force: true })
+
+    return router.redirectTo('page/score-editor')
+  },
+
+  showPausedHint() {
+    toast.showToast(gettext('game.pausedHint'))
+  },
+
   handleManualFinishConfirm() {
     this.executeScoringAction(() => {
       const runtimeMatchState = this.getRuntimeMatchState()
@@ -311,6 +488,8 @@ Page({
               persistedSessionState
             )
           : createInitialMatchState()
+
+      restoreUndoHistory(app.globalData.matchHistory, persistedSessionState)
     }
 
     app.globalData.matchState = mergeRuntimeStateWithPersistedSession(
@@ -421,12 +600,29 @@ Page({
         didPersist = false
       }
 
+      // The undo history is stored next to the session so a resume after a
+      // restart can still take back the last points.
+      const app = this.getAppInstance()
+      if (app) {
+        saveUndoHistory(
+          app.globalData.matchHistory,
+          persistedMatchStateSnapshot
+        )
+      }
+
       if (!didPersist && this.persistedSessionState === null) {
         // Keep a fallback in-memory snapshot so the active session remains usable.
         this.persistedSessionState = cloneMatchState(
           persistedMatchStateSnapshot
         )
       }
+
+      // The next snapshot starts or stops the match clock from this one, so
+      // time spent paused is never counted again.
+      this.persistedSessionState = {
+        ...this.persistedSessionState,
+        timing: persistedMatchStateSnapshot.timing
+      }
     }
 
     if (didPersist) {
@@ -531,7 +727,7 @@ Page({
     })
   },
 
-  addPointForTeam(team) {
+  addPointForTeam(team, options) {
     const app = this.getAppInstance()
 
     if (!app) {
@@ -539,13 +735,14 @@ Page({
     }
 
     if (typeof app.addPointForTeam === 'function') {
-      return app.addPointForTeam(team)
+      return app.addPointForTeam(team, options)
     }
 
     const nextState = addPoint(
       app.globalData.matchState,
       team,
-      app.globalData.matchHistory
+      app.globalData.matchHistory,
+      options
     )
     app.globalData.matchState = nextState
     return nextState
@@ -570,6 +767,25 @@ Page({
     return nextState
   },
 
+  redoPoint() {
+    const app = this.getAppInstance()
+
+    if (!app) {
+      return null
+    }
+
+    if (typeof app.redoPoint === 'function') {
+      return app.redoPoint()
+    }
+
+    const nextState = redoPoint(
+      app.globalData.matchState,
+      app.globalData.matchHistory
+    )
+    app.globalData.matchState = nextState
+    return nextState
+  },
+
   removePointForTeam(team) {
     const app = this.getAppInstance()
 
@@ -719,23 +935,68 @@ Page({
   },
 
   handleAddPointForTeam(team) {
-    this.executeScoringAction(() => this.addPointForTeam(team), {
-      debounceScoringInput: true
-    })
+    if (this.isMatchPaused()) {
+      this.showPausedHint()
+      return
+    }
+
+    // Time ran out between games: the tap closes the match instead.
+    if (this.enforceTimeLimit()) {
+      return
+    }
+
+    const scoringEvents = []
+
+    this.executeScoringAction(
+      () =>
+        this.addPointForTeam(team, {
+          onEvent: (event) => scoringEvents.push(event)
+        }),
+      { debounceScoringInput: true }
+    )
+
+    // A match closed on time skips the prompts of the game that ended it.
+    if (this.enforceTimeLimit()) {
+      return
+    }
+
+    scoringEvents.forEach((event) => this.handleScoringEvent(event))
   },
 
   handleRemovePoint() {
+    if (this.isMatchPaused()) {
+      this.showPausedHint()
+      return
+    }
+
     this.executeScoringAction(() => this.removePoint(), {
       debounceScoringInput: true
     })
   },
 
   handleRemovePointForTeam(team) {
+    if (this.isMatchPaused()) {
+      this.showPausedHint()
+      return
+    }
+
     this.executeScoringAction(() => this.removePointForTeam(team), {
       debounceScoringInput: true
     })
   },
 
+  handleRedoPoint() {
+    if (this.isMatchPaused()) {
+      this.showPausedHint()
+      return
+    }
+
+    this.executeScoringAction(() => this.redoPoint(), {
+      debounceScoringInput: true
+    })
+    this.enforceTimeLimit()
+  },
+
   renderGameScreen() {
     if (typeof hmUI === 'undefined') {
       return
@@ -757,9 +1018,12 @@ Page({
       onMatchFinished: () => this.handleMatchFinishedTransition(),
       onAddPointForTeam: (team) => this.handleAddPointForTeam(team),
       onRemovePointForTeam: (team) => this.handleRemovePointForTeam(team),
+      onRedoPoint: () => this.handleRedoPoint(),
       onTriggerHapticFeedback: () => this.triggerHapticFeedback(),
       onBackToHome: () => this.handleBackToHome(),
-      onManualFinishTap: () => this.handleManualFinishTap()
+      onManualFinishTap: () => this.handleManualFinishTap(),
+      onTogglePause: () => this.handleTogglePause(),
+      onOpenScoreEditor: () => this.handleOpenScoreEditor()
     })
   }
 })
@@ -1,7 +1,14 @@
 import { createHistoryStack, deepCopyState } from '../../utils/history-stack.js'
-import { MATCH_STATUS as PERSISTED_MATCH_STATUS } from '../../utils/match-state-schema.js'
+import {
+  FINISH_REASON,
+  MATCH_STATUS as PERSISTED_MATCH_STATUS
+} from '../../utils/match-state-schema.js'
 import { scoresEqual } from '../../utils/object-helpers.js'
-import { addPoint } from '../../utils/scoring-engine.js'
+import {
+  addPoint,
+  createRedoEntry,
+  getGameStartPoints
+} from '../../utils/scoring-engine.js'
 import {
   cloneMatchState,
   cloneSetHistoryWithFirstSetFallback as cloneSetHistory,
@@ -73,7 +80,46 @@ export function isValidRuntimeMatchState(matchState) {
   )
 }
 
-export function createManualFinishedMatchStateSnapshot(matchState) {
+/**
+ * Sums the games of every set played, leaving out super tie-break points.
+ */
+function countGamesWon(setHistory) {
+  return setHistory.reduce(
+    (gamesWon, setEntry) =>
+      setEntry.superTieBreak === true
+        ? gamesWon
+        : {
+            teamA: gamesWon.teamA + setEntry.teamAGames,
+            teamB: gamesWon.teamB + setEntry.teamBGames
+          },
+    { teamA: 0, teamB: 0 }
+  )
+}
+
+function resolveLeadingTeam(score) {
+  if (score.teamA > score.teamB) {
+    return 'teamA'
+  }
+
+  if (score.teamB > score.teamA) {
+    return 'teamB'
+  }
+
+  return null
+}
+
+/**
+ * Closes the match where it stands. The team ahead on sets wins and a tie is
+ * left without a winner; a match closed because its time ran out goes to the
+ * team ahead on games when the sets are level.
+ *
+ * @param {object} matchState
+ * @param {{ finishReason?: import('../../utils/match-state-schema.js').FinishReason }} [options]
+ */
+export function createManualFinishedMatchStateSnapshot(
+  matchState,
+  options = {}
+) {
   if (!isValidRuntimeMatchState(matchState)) {
     return null
   }
@@ -108,10 +154,16 @@ export function createManualFinishedMatchStateSnapshot(matchState) {
   nextState.setsWon = setsWon
   nextState.status = PERSISTED_MATCH_STATUS.FINISHED
 
-  if (setsWon.teamA > setsWon.teamB) {
-    applyWinnerMetadata(nextState, 'teamA')
-  } else if (setsWon.teamB > setsWon.teamA) {
-    applyWinnerMetadata(nextState, 'teamB')
+  let winnerTeam = resolveLeadingTeam(setsWon)
+
+  if (options?.finishReason === FINISH_REASON.TIME) {
+    nextState.finishReason = FINISH_REASON.TIME
+    winnerTeam =
+      winnerTeam ?? resolveLeadingTeam(countGamesWon(normalizedSetHistory))
+  }
+
+  if (winnerTeam) {
+    applyWinnerMetadata(nextState, winnerTeam)
   } else {
     clearWinnerMetadata(nextState)
   }
@@ -119,6 +171,18 @@ export function createManualFinishedMatchStateSnapshot(matchState) {
   return nextState
 }
 
+/**
+ * A game, or tie-break, is in progress once either team has won a point of it,
+ * counted from the handicap's head start rather than love.
+ */
+export function isGameInProgress(matchState) {
+  return (
+    isValidRuntimeMatchState(matchState) &&
+    (matchState.teamA.points !== getGameStartPoints(matchState, 'teamA') ||
+      matchState.teamB.points !== getGameStartPoints(matchState, 'teamB'))
+  )
+}
+
 export function didMatchTransitionToFinished(previousState, nextState) {
   return (
     isRecord(previousState) &&
@@ -180,9 +244,9 @@ function popHistorySnapshotsInOrder(historyStack) {
   return reverseChronologicalSnapshots.reverse()
 }
 
+// The stack was already emptied by popHistorySnapshotsInOrder; clear() would
+// also drop its redo entries.
 function restoreHistorySnapshots(historyStack, snapshots) {
-  historyStack.clear()
-
   snapshots.forEach((snapshot) => {
     historyStack.push(snapshot)
   })
@@ -244,17 +308,57 @@ export function removeLatestPointForTeamFromHistory(
   const rebuiltHistory = createHistoryStack()
   let rebuiltState = deepCopyState(stateTimeline[0])
 
+  // History snapshots carry no point log: start from the entries logged
+  // before the oldest snapshot and let the replay append the rest.
+  const pointLog = Array.isArray(currentStateSnapshot.pointLog)
+    ? currentStateSnapshot.pointLog
+    : null
+  const replayedLogOffset = pointLog
+    ? pointLog.length - scoringTeams.length
+    : -1
+
+  if (replayedLogOffset >= 0) {
+    rebuiltState.pointLog = pointLog.slice(0, replayedLogOffset)
+  }
+
   for (let index = 0; index < scoringTeams.length; index += 1) {
     if (index === removedEventIndex) {
       continue
     }
 
     rebuiltState = addPoint(rebuiltState, scoringTeams[index], rebuiltHistory)
+
+    // Replayed points keep the time they were originally scored.
+    if (replayedLogOffset >= 0) {
+      const rebuiltLog = rebuiltState.pointLog
+      rebuiltLog[rebuiltLog.length - 1].timestamp =
+        pointLog[replayedLogOffset + index].timestamp
+    }
+  }
+
+  // Snapshots up to the state the removed point was scored from, and log
+  // entries before it, are unchanged by the rebuild.
+  const sharedHistoryLength = Math.min(
+    removedEventIndex + 1,
+    rebuiltHistory.size()
+  )
+
+  restoreHistorySnapshots(historyStack, rebuiltHistory.toArray())
+
+  if (typeof historyStack.pushRedo === 'function') {
+    historyStack.pushRedo(
+      createRedoEntry(
+        currentStateSnapshot,
+        sharedHistoryLength,
+        historySnapshots.slice(sharedHistoryLength),
+        replayedLogOffset >= 0 ? replayedLogOffset + removedEventIndex : -1
+      )
+    )
   }
 
   return {
     didRemovePoint: true,
-    historyStack: rebuiltHistory,
+    historyStack,
     runtimeState: rebuiltState
   }
 }
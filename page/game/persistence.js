@@ -1,7 +1,14 @@
+import {
+  ACTIVE_SESSION_UNDO_HISTORY_LIMIT,
+  loadActiveSessionUndoHistory,
+  saveActiveSessionUndoHistory
+} from '../../utils/active-session-storage.js'
 import { DEFAULT_SETS_TO_PLAY } from '../../utils/constants.js'
+import { syncMatchClock } from '../../utils/match-clock.js'
 import { createInitialMatchState } from '../../utils/match-state.js'
 import {
   CURRENT_SCHEMA_VERSION,
+  FINISH_REASON,
   MATCH_STATUS as PERSISTED_MATCH_STATUS,
   toIsoTimestampSafe
 } from '../../utils/match-state-schema.js'
@@ -9,18 +16,23 @@ import {
   getActiveSession,
   saveActiveSession
 } from '../../utils/match-storage.js'
+import { clonePointLog, cloneScoreCorrections } from '../../utils/point-log.js'
+import { applyPersistedTeamNames } from '../../utils/team-names.js'
 import {
   cloneMatchState,
   cloneSetHistoryWithFirstSetFallback as cloneSetHistory,
   isRecord,
+  isSuperTieBreakSet,
   isSupportedSetConfiguration,
   isTeamIdentifier,
   isTieBreakMode,
   resolveSetsToPlayFromSetsNeededToWin,
+  resolveTieBreakEntryGames,
   resolveWinnerTeam,
   toNonNegativeInteger,
   toPersistedPointValue,
   toPositiveInteger,
+  toRuntimeMatchSettings,
   toRuntimePointValue,
   toSupportedSetsToPlay
 } from '../../utils/validation.js'
@@ -38,12 +50,64 @@ export function saveState(state) {
   saveActiveSession(state)
 }
 
+export function saveUndoHistory(historyStack, persistedMatchState) {
+  if (!isRecord(historyStack) || typeof historyStack.toArray !== 'function') {
+    return false
+  }
+
+  try {
+    return saveActiveSessionUndoHistory(
+      historyStack.toArray(ACTIVE_SESSION_UNDO_HISTORY_LIMIT),
+      persistedMatchState
+    )
+  } catch {
+    return false
+  }
+}
+
+export function restoreUndoHistory(historyStack, persistedMatchState) {
+  if (
+    !isRecord(historyStack) ||
+    typeof historyStack.clear !== 'function' ||
+    typeof historyStack.push !== 'function'
+  ) {
+    return 0
+  }
+
+  let snapshots = []
+
+  try {
+    snapshots = loadActiveSessionUndoHistory(persistedMatchState)
+  } catch {
+    snapshots = []
+  }
+
+  historyStack.clear()
+  snapshots.forEach((snapshot) => {
+    historyStack.push(snapshot)
+  })
+
+  return snapshots.length
+}
+
+/**
+ * A paused match is still in progress, so it counts as active here.
+ */
 export function isPersistedMatchStateActive(matchState) {
   return (
-    isRecord(matchState) && matchState.status === PERSISTED_MATCH_STATUS.ACTIVE
+    isRecord(matchState) &&
+    (matchState.status === PERSISTED_MATCH_STATUS.ACTIVE ||
+      matchState.status === PERSISTED_MATCH_STATUS.PAUSED)
   )
 }
 
+function toPersistedMatchStatus(status) {
+  return status === PERSISTED_MATCH_STATUS.FINISHED ||
+    status === PERSISTED_MATCH_STATUS.PAUSED
+    ? status
+    : PERSISTED_MATCH_STATUS.ACTIVE
+}
+
 export function mergeRuntimeStateWithPersistedSession(
   runtimeMatchState,
   persistedMatchState
@@ -82,7 +146,12 @@ export function mergeRuntimeStateWithPersistedSession(
   mergedState.teamA.games = teamAGames
   mergedState.teamB.games = teamBGames
 
-  const tieBreakMode = isTieBreakMode(teamAGames, teamBGames)
+  const tieBreakMode =
+    isTieBreakMode(
+      teamAGames,
+      teamBGames,
+      resolveTieBreakEntryGames(persistedMatchState)
+    ) || isSuperTieBreakSet(persistedMatchState)
 
   mergedState.teamA.points = toRuntimePointValue(
     persistedMatchState?.currentGame?.points?.teamA,
@@ -96,6 +165,13 @@ export function mergeRuntimeStateWithPersistedSession(
     mergedState.teamB.points
   )
 
+  mergedState.currentGameStatus = {
+    deuceCount: toNonNegativeInteger(
+      persistedMatchState?.currentGame?.deuceCount,
+      toNonNegativeInteger(mergedState?.currentGameStatus?.deuceCount, 0)
+    )
+  }
+
   mergedState.setsNeededToWin = toPositiveInteger(
     persistedMatchState.setsNeededToWin,
     toPositiveInteger(mergedState.setsNeededToWin, 2)
@@ -113,10 +189,24 @@ export function mergeRuntimeStateWithPersistedSession(
   }
 
   mergedState.setHistory = cloneSetHistory(persistedMatchState.setHistory)
-  mergedState.status =
-    persistedMatchState.status === PERSISTED_MATCH_STATUS.FINISHED
-      ? PERSISTED_MATCH_STATUS.FINISHED
-      : PERSISTED_MATCH_STATUS.ACTIVE
+
+  const pointLog = clonePointLog(persistedMatchState.pointLog)
+  if (pointLog) {
+    mergedState.pointLog = pointLog
+  } else {
+    delete mergedState.pointLog
+  }
+
+  const corrections = cloneScoreCorrections(persistedMatchState.corrections)
+  if (corrections) {
+    mergedState.corrections = corrections
+  } else {
+    delete mergedState.corrections
+  }
+
+  mergedState.settings = toRuntimeMatchSettings(persistedMatchState.settings)
+  applyPersistedTeamNames(mergedState.teams, persistedMatchState.teams)
+  mergedState.status = toPersistedMatchStatus(persistedMatchState.status)
 
   applyWinnerMetadata(mergedState, resolveWinnerTeam(persistedMatchState))
 
@@ -149,7 +239,7 @@ export function createPersistedMatchStateSnapshot(
         setsNeededToWin: Math.ceil(DEFAULT_SETS_TO_PLAY / 2),
         setsWon: { teamA: 0, teamB: 0 },
         currentSet: { number: 1, games: { teamA: 0, teamB: 0 } },
-        currentGame: { points: { teamA: 0, teamB: 0 } },
+        currentGame: { points: { teamA: 0, teamB: 0 }, deuceCount: 0 },
         setHistory: [],
         schemaVersion: CURRENT_SCHEMA_VERSION,
         updatedAt: fallbackTimestamp,
@@ -173,13 +263,11 @@ export function createPersistedMatchStateSnapshot(
     ? baseSetsToPlay
     : resolveSetsToPlayFromSetsNeededToWin(setsNeededToWin)
   const winnerTeam = resolveWinnerTeam(runtimeMatchState)
+  const status = toPersistedMatchStatus(runtimeMatchState.status)
 
   const persistedSnapshot = {
     ...baseState,
-    status:
-      runtimeMatchState.status === PERSISTED_MATCH_STATUS.FINISHED
-        ? PERSISTED_MATCH_STATUS.FINISHED
-        : PERSISTED_MATCH_STATUS.ACTIVE,
+    status,
     setsToPlay,
     setsNeededToWin,
     setsWon: {
@@ -209,18 +297,64 @@ export function createPersistedMatchStateSnapshot(
       points: {
         teamA: toPersistedPointValue(runtimeMatchState.teamA.points),
         teamB: toPersistedPointValue(runtimeMatchState.teamB.points)
-      }
+      },
+      deuceCount: toNonNegativeInteger(
+        runtimeMatchState?.currentGameStatus?.deuceCount,
+        0
+      )
     },
     setHistory: cloneSetHistory(runtimeMatchState.setHistory),
     schemaVersion: toPositiveInteger(baseState.schemaVersion, 1)
   }
 
+  if (isRecord(runtimeMatchState.settings)) {
+    const baseSettings = isRecord(baseState.settings) ? baseState.settings : {}
+
+    persistedSnapshot.settings = {
+      ...baseSettings,
+      ...toRuntimeMatchSettings({
+        ...baseSettings,
+        ...runtimeMatchState.settings
+      }),
+      setsToPlay,
+      setsNeededToWin
+    }
+  }
+
+  const pointLog = clonePointLog(runtimeMatchState.pointLog)
+  if (pointLog) {
+    persistedSnapshot.pointLog = pointLog
+  } else {
+    delete persistedSnapshot.pointLog
+  }
+
+  const corrections = cloneScoreCorrections(runtimeMatchState.corrections)
+  if (corrections) {
+    persistedSnapshot.corrections = corrections
+  } else {
+    delete persistedSnapshot.corrections
+  }
+
+  // The match clock only runs while the match is active.
+  if (isRecord(baseState.timing)) {
+    persistedSnapshot.timing = syncMatchClock(baseState.timing, status)
+  }
+
   if (isTeamIdentifier(winnerTeam)) {
     persistedSnapshot.winnerTeam = winnerTeam
   } else {
     delete persistedSnapshot.winnerTeam
   }
 
+  if (
+    status === PERSISTED_MATCH_STATUS.FINISHED &&
+    runtimeMatchState.finishReason === FINISH_REASON.TIME
+  ) {
+    persistedSnapshot.finishReason = runtimeMatchState.finishReason
+  } else {
+    delete persistedSnapshot.finishReason
+  }
+
   return persistedSnapshot
 }
 
@@ -1,7 +1,13 @@
+import {
+  MATCH_FORMAT,
+  TIME_LIMIT_WARNING_MINUTES
+} from '../../utils/constants.js'
 import { getFontSize, TOKENS, toPercentage } from '../../utils/design-tokens.js'
 import { resolveLayout } from '../../utils/layout-engine.js'
 import { createScorePageLayout } from '../../utils/layout-presets.js'
+import { formatMatchDuration } from '../../utils/match-clock.js'
 import { getScreenMetrics } from '../../utils/screen-utils.js'
+import { isDefaultTeamLabel } from '../../utils/team-names.js'
 import {
   createBackground,
   createButton,
@@ -12,6 +18,10 @@ import { createScoreViewModel } from '../score-view-model.js'
 
 export const FOOTER_ICON_BUTTON_OFFSET = 36
 
+const MIN_TOUCH_SIZE = 48
+// The countdown turns red once the last time warning has been given.
+const TIME_RUNNING_OUT_MS = Math.min(...TIME_LIMIT_WARNING_MINUTES) * 60000
+
 /**
  * Layout schema for the game screen.
  * Uses declarative positioning resolved by layout-engine.
@@ -20,7 +30,7 @@ export const FOOTER_ICON_BUTTON_OFFSET = 36
 export const GAME_LAYOUT = {
   sections: createScorePageLayout({
     headerTop: toPercentage(TOKENS.spacing.headerTop),
-    headerHeight: '15%',
+    headerHeight: '20%',
     scoreAreaGap: toPercentage(TOKENS.spacing.headerToContent),
     footerBottom: toPercentage(TOKENS.spacing.footerBottom),
     footerHeight: '5%',
@@ -35,7 +45,7 @@ export const GAME_LAYOUT = {
       x: '5%',
       y: '0%',
       width: '42%',
-      height: '50%',
+      height: '33%',
       align: 'left',
       _meta: { type: 'text', style: 'body', colorKey: 'mutedText' }
     },
@@ -44,7 +54,7 @@ export const GAME_LAYOUT = {
       x: '48%',
       y: '0%',
       width: '52%',
-      height: '50%',
+      height: '33%',
       align: 'left',
       _meta: { type: 'text', style: 'body', colorKey: 'accent' }
     },
@@ -52,27 +62,37 @@ export const GAME_LAYOUT = {
     gamesLabel: {
       section: 'header',
       x: '5%',
-      y: '50%',
+      y: '33%',
       width: '42%',
-      height: '50%',
+      height: '33%',
       align: 'left',
       _meta: { type: 'text', style: 'body', colorKey: 'mutedText' }
     },
     gamesValue: {
       section: 'header',
       x: '48%',
-      y: '50%',
+      y: '33%',
       width: '52%',
-      height: '50%',
+      height: '33%',
       align: 'left',
       _meta: { type: 'text', style: 'body', colorKey: 'accent' }
     },
-    // Score area: Team labels
+    // Header elements: match clock, tapped to pause or resume play
+    matchClock: {
+      section: 'header',
+      x: '5%',
+      y: '66%',
+      width: '90%',
+      height: '34%',
+      align: 'center',
+      _meta: { type: 'clockButton', style: 'body', colorKey: 'mutedText' }
+    },
+    // Score area: Team labels, kept clear of the server indicators
     teamALabel: {
       section: 'scoreArea',
       x: '0%',
       y: '0%',
-      width: '50%',
+      width: '30%',
       height: '10%',
       align: 'left',
       _meta: { type: 'text', style: 'body', colorKey: 'mutedText', text: 'A' }
@@ -81,11 +101,30 @@ export const GAME_LAYOUT = {
       section: 'scoreArea',
       x: '50%',
       y: '0%',
-      width: '50%',
+      width: '30%',
       height: '10%',
       align: 'left',
       _meta: { type: 'text', style: 'body', colorKey: 'mutedText', text: 'B' }
     },
+    // Score area: Server indicators (right of each team label)
+    teamAServer: {
+      section: 'scoreArea',
+      x: '30%',
+      y: '0%',
+      width: '20%',
+      height: '10%',
+      align: 'left',
+      _meta: { type: 'text', style: 'body', colorKey: 'accent' }
+    },
+    teamBServer: {
+      section: 'scoreArea',
+      x: '80%',
+      y: '0%',
+      width: '20%',
+      height: '10%',
+      align: 'left',
+      _meta: { type: 'text', style: 'body', colorKey: 'accent' }
+    },
     // Score area: Score buttons (large tappable area)
     teamAScore: {
       section: 'scoreArea',
@@ -133,6 +172,16 @@ export const GAME_LAYOUT = {
       align: 'center',
       _meta: { type: 'minusButton', team: 'teamB' }
     },
+    // Score area: Star point indicator (between minus buttons)
+    starPointLabel: {
+      section: 'scoreArea',
+      x: '25%',
+      y: '65%',
+      width: '50%',
+      height: '13%',
+      align: 'center',
+      _meta: { type: 'text', style: 'body', colorKey: 'accent' }
+    },
     // Footer: Home button
     homeButton: {
       section: 'footer',
@@ -186,6 +235,15 @@ export function createWidget(widgets, widgetType, properties) {
 
 function noop() {}
 
+/**
+ * Default teams keep the short "A" / "B" headings; named teams show their name.
+ */
+function getTeamLabelText(label, shortLabel) {
+  return typeof label === 'string' && !isDefaultTeamLabel(label)
+    ? label
+    : shortLabel
+}
+
 function resolveGettext(options = {}) {
   return typeof options.gettext === 'function' ? options.gettext : (key) => key
 }
@@ -231,8 +289,10 @@ export function renderGameScreen(options = {}) {
 
   renderActiveState(layout, viewModel, {
     createWidget: createWidgetCallback,
+    gettext: resolveGettext(options),
     onAddPointForTeam: options.onAddPointForTeam,
     onRemovePointForTeam: options.onRemovePointForTeam,
+    onRedoPoint: options.onRedoPoint,
     onTriggerHapticFeedback: options.onTriggerHapticFeedback
   })
 
@@ -242,6 +302,38 @@ export function renderGameScreen(options = {}) {
     onBackToHome: options.onBackToHome,
     onManualFinishTap: options.onManualFinishTap
   })
+
+  renderMatchClockButton(layout, viewModel, {
+    createWidget: createWidgetCallback,
+    gettext: resolveGettext(options),
+    onTogglePause: options.onTogglePause,
+    onOpenScoreEditor: options.onOpenScoreEditor
+  })
+}
+
+/**
+ * Single-set formats have no sets to count, so the first header row shows
+ * what is being played instead: the pro set length, or the games left.
+ */
+function getFormatRow(viewModel, localize) {
+  if (viewModel.format === MATCH_FORMAT.PRO_SET) {
+    return {
+      label: localize('game.proSetLabel'),
+      value: `  ${viewModel.gamesPerSet}`
+    }
+  }
+
+  if (viewModel.format === MATCH_FORMAT.TOTAL_GAMES) {
+    return {
+      label: localize('game.gamesLeftLabel'),
+      value: `  ${viewModel.gamesLeft}`
+    }
+  }
+
+  return {
+    label: localize('game.setsLabel'),
+    value: `  ${viewModel.setsWon.teamA} – ${viewModel.setsWon.teamB}`
+  }
 }
 
 export function renderHeaderElements(layout, viewModel, options = {}) {
@@ -255,14 +347,16 @@ export function renderHeaderElements(layout, viewModel, options = {}) {
 
   const labelWidth = Math.round(headerSection.w * 0.42)
   const valueWidth = Math.round(headerSection.w * 0.52)
-  const rowHeight = Math.round(headerSection.h / 2)
+  // Sets (or the single-set format), games, then the match clock row.
+  const rowHeight = Math.round(headerSection.h / 3)
   const pairX =
     headerSection.x +
     Math.round((headerSection.w - (labelWidth + valueWidth)) / 2)
   const valueX = pairX + labelWidth
+  const formatRow = getFormatRow(viewModel, localize)
 
   const setsLabelConfig = createText({
-    text: localize('game.setsLabel'),
+    text: formatRow.label,
     style: 'body',
     x: pairX,
     y: headerSection.y,
@@ -275,7 +369,7 @@ export function renderHeaderElements(layout, viewModel, options = {}) {
   createWidgetCallback(setsLabelConfig.widgetType, setsLabelConfig.config)
 
   const setsValueConfig = createText({
-    text: `  ${viewModel.setsWon.teamA} – ${viewModel.setsWon.teamB}`,
+    text: formatRow.value,
     style: 'bodyLarge',
     x: valueX,
     y: headerSection.y,
@@ -314,6 +408,76 @@ export function renderHeaderElements(layout, viewModel, options = {}) {
   createWidgetCallback(gamesValueConfig.widgetType, gamesValueConfig.config)
 }
 
+/**
+ * Timed matches count down their time limit instead of showing the play
+ * time, and announce the last game once time is up.
+ */
+function getMatchClockText(viewModel, localize) {
+  if (!Number.isFinite(viewModel.timeRemainingMs)) {
+    return formatMatchDuration(viewModel.elapsedMs)
+  }
+
+  if (viewModel.timeRemainingMs === 0) {
+    return localize('game.lastGame')
+  }
+
+  return `${localize('game.timeLeft')} ${formatMatchDuration(viewModel.timeRemainingMs)}`
+}
+
+function getMatchClockColor(viewModel, isPaused) {
+  if (isPaused) {
+    return TOKENS.colors.accent
+  }
+
+  return Number.isFinite(viewModel.timeRemainingMs) &&
+    viewModel.timeRemainingMs <= TIME_RUNNING_OUT_MS
+    ? TOKENS.colors.danger
+    : TOKENS.colors.mutedText
+}
+
+/**
+ * Shows the play time under the set and game counters. Tapping it pauses
+ * or resumes the match and long-pressing it opens the score editor; the text
+ * refreshes whenever the screen is rendered.
+ */
+export function renderMatchClockButton(layout, viewModel, options = {}) {
+  const headerSection = layout.sections.header
+  if (!headerSection) {
+    return
+  }
+
+  const localize = resolveGettext(options)
+  const createWidgetCallback = resolveCreateWidget(options)
+  const onTogglePause =
+    typeof options.onTogglePause === 'function' ? options.onTogglePause : noop
+  const onOpenScoreEditor =
+    typeof options.onOpenScoreEditor === 'function'
+      ? options.onOpenScoreEditor
+      : noop
+  const isPaused = viewModel.status === 'paused'
+  const rowHeight = Math.round(headerSection.h / 3)
+  const buttonHeight = Math.max(rowHeight, MIN_TOUCH_SIZE)
+  const clockText = getMatchClockText(viewModel, localize)
+
+  createWidgetCallback(hmUI.widget.BUTTON, {
+    x: headerSection.x + Math.round(headerSection.w * 0.05),
+    y:
+      headerSection.y +
+      rowHeight * 2 -
+      Math.round((buttonHeight - rowHeight) / 2),
+    w: Math.round(headerSection.w * 0.9),
+    h: buttonHeight,
+    radius: 0,
+    normal_color: TOKENS.colors.background,
+    press_color: TOKENS.colors.cardBackground,
+    color: getMatchClockColor(viewModel, isPaused),
+    text_size: getFontSize('body'),
+    text: isPaused ? `${localize('game.paused')} · ${clockText}` : clockText,
+    click_func: () => onTogglePause(),
+    longpress_func: () => onOpenScoreEditor()
+  })
+}
+
 export function renderActiveState(layout, viewModel, options = {}) {
   const scoreArea = layout.sections.scoreArea
   if (!scoreArea) {
@@ -327,7 +491,7 @@ export function renderActiveState(layout, viewModel, options = {}) {
   const teamALabelEl = layout.elements.teamALabel
   if (teamALabelEl) {
     const teamALabelConfig = createText({
-      text: 'A',
+      text: getTeamLabelText(viewModel.teamA.label, 'A'),
       style: 'body',
       x: teamALabelEl.x,
       y: teamALabelEl.y,
@@ -342,7 +506,7 @@ export function renderActiveState(layout, viewModel, options = {}) {
   const teamBLabelEl = layout.elements.teamBLabel
   if (teamBLabelEl) {
     const teamBLabelConfig = createText({
-      text: 'B',
+      text: getTeamLabelText(viewModel.teamB.label, 'B'),
       style: 'body',
       x: teamBLabelEl.x,
       y: teamBLabelEl.y,
@@ -354,6 +518,26 @@ export function renderActiveState(layout, viewModel, options = {}) {
     createWidgetCallback(teamBLabelConfig.widgetType, teamBLabelConfig.config)
   }
 
+  const serverEl =
+    viewModel.server?.team === 'teamA'
+      ? layout.elements.teamAServer
+      : viewModel.server?.team === 'teamB'
+        ? layout.elements.teamBServer
+        : null
+  if (serverEl) {
+    const serverConfig = createText({
+      text: `● ${viewModel.server.player}`,
+      style: 'body',
+      x: serverEl.x,
+      y: serverEl.y,
+      w: serverEl.w,
+      h: serverEl.h,
+      color: TOKENS.colors.accent,
+      align_h: hmUI.align.CENTER_H
+    })
+    createWidgetCallback(serverConfig.widgetType, serverConfig.config)
+  }
+
   const teamAScoreEl = layout.elements.teamAScore
   if (teamAScoreEl) {
     renderScoreButton(teamAScoreEl, viewModel.teamA.points, 'teamA', {
@@ -384,11 +568,29 @@ export function renderActiveState(layout, viewModel, options = {}) {
     createWidgetCallback(dividerConfig.widgetType, dividerConfig.config)
   }
 
+  const starPointLabelEl = layout.elements.starPointLabel
+  if (starPointLabelEl && viewModel.isStarPoint) {
+    const localize = resolveGettext(options)
+    const starPointConfig = createText({
+      text: localize('game.starPoint'),
+      style: 'body',
+      x: starPointLabelEl.x,
+      y: starPointLabelEl.y,
+      w: starPointLabelEl.w,
+      h: starPointLabelEl.h,
+      color: TOKENS.colors.accent,
+      align_h: hmUI.align.CENTER_H,
+      align_v: hmUI.align.CENTER_V
+    })
+    createWidgetCallback(starPointConfig.widgetType, starPointConfig.config)
+  }
+
   const teamAMinusEl = layout.elements.teamAMinus
   if (teamAMinusEl) {
     renderMinusButton(teamAMinusEl, 'teamA', halfWidth, 0, {
       createWidget: createWidgetCallback,
       onRemovePointForTeam: options.onRemovePointForTeam,
+      onRedoPoint: options.onRedoPoint,
       onTriggerHapticFeedback: options.onTriggerHapticFeedback
     })
   }
@@ -398,6 +600,7 @@ export function renderActiveState(layout, viewModel, options = {}) {
     renderMinusButton(teamBMinusEl, 'teamB', halfWidth, halfWidth, {
       createWidget: createWidgetCallback,
       onRemovePointForTeam: options.onRemovePointForTeam,
+      onRedoPoint: options.onRedoPoint,
       onTriggerHapticFeedback: options.onTriggerHapticFeedback
     })
   }
@@ -454,12 +657,13 @@ export function renderMinusButton(
     typeof options.onRemovePointForTeam === 'function'
       ? options.onRemovePointForTeam
       : noop
+  const onRedoPoint =
+    typeof options.onRedoPoint === 'function' ? options.onRedoPoint : noop
   const onTriggerHapticFeedback =
     typeof options.onTriggerHapticFeedback === 'function'
       ? options.onTriggerHapticFeedback
       : noop
 
-  const MIN_TOUCH_SIZE = 48
   const buttonWidth = Math.max(element.w, MIN_TOUCH_SIZE)
   const buttonHeight = Math.max(element.h, MIN_TOUCH_SIZE)
 
@@ -483,6 +687,11 @@ export function renderMinusButton(
   minusBtn.config.radius = visualRadius
   minusBtn.config.color = TOKENS.colors.danger
   minusBtn.config.press_color = 0x2d3036
+  // Long-press on either minus button redoes the last undo.
+  minusBtn.config.longpress_func = () => {
+    onRedoPoint()
+    onTriggerHapticFeedback()
+  }
 
   createWidgetCallback(minusBtn.widgetType, minusBtn.config)
 }
@@ -1,19 +1,31 @@
 import { gettext } from 'i18n'
+import { FINISH_REASON, SCORING_MODE } from '../utils/constants.js'
 import { getFontSize, TOKENS, toPercentage } from '../utils/design-tokens.js'
+import { getHistoryEntryDuration } from '../utils/history-stats.js'
 import { resolveLayout } from '../utils/layout-engine.js'
 import { createStandardPageLayout } from '../utils/layout-presets.js'
+import { formatMatchDuration } from '../utils/match-clock.js'
 import {
   deleteMatchFromHistory,
   loadMatchById
 } from '../utils/match-history-storage.js'
+import {
+  createMatchStatisticsRows,
+  isMatchStatistics
+} from '../utils/match-statistics.js'
 import { router, toast } from '../utils/platform-adapters.js'
 import { clamp, getScreenMetrics } from '../utils/screen-utils.js'
+import { describeTeam } from '../utils/team-names.js'
 import {
   createBackground,
   createButton,
   createText
 } from '../utils/ui-components.js'
-import { formatDate } from '../utils/validation.js'
+import {
+  formatDate,
+  formatSetScore,
+  resolveHandicap
+} from '../utils/validation.js'
 
 /**
  * Layout schema for the history detail screen.
@@ -75,6 +87,21 @@ const HISTORY_DETAIL_LAYOUT = {
         textKey: 'finalSetsScore' // Dynamic
       }
     },
+    // Scoring rule caption (e.g., "Golden Point")
+    scoringModeText: {
+      section: 'body',
+      x: 0,
+      y: '37%',
+      width: '100%',
+      height: '10%',
+      align: 'center',
+      _meta: {
+        type: 'text',
+        style: 'caption',
+        color: 'mutedText',
+        textKey: 'scoringModeText' // Dynamic
+      }
+    },
     // Delete button (left side of footer)
     deleteButton: {
       section: 'footer',
@@ -281,24 +308,125 @@ Page({
       return {
         datetimeText: gettext('history.detail.notFound'),
         finalSetsScore: '',
-        historyLines: []
+        historyLines: [],
+        scoringModeText: '',
+        statisticsItems: []
       }
     }
 
     const datetimeText = formatDate(this.matchEntry)
 
-    const historyLines =
+    const setLines =
       this.matchEntry.setHistory && this.matchEntry.setHistory.length > 0
         ? this.matchEntry.setHistory.map(
-            (set) => `Set ${set.setNumber}: ${set.teamAGames}-${set.teamBGames}`
+            (set) => `Set ${set.setNumber}: ${formatSetScore(set)}`
           )
         : [gettext('summary.noSetHistory')]
+    const historyLines = [...this.createTeamLines(), ...setLines]
+
+    if (this.matchEntry.finishReason === FINISH_REASON.TIME) {
+      historyLines.push(gettext('summary.finishedOnTime'))
+    }
+
+    const handicapLine = this.getHandicapLine()
+
+    if (handicapLine) {
+      historyLines.push(handicapLine)
+    }
+
+    const durationMs = getHistoryEntryDuration(this.matchEntry)
+
+    if (durationMs !== null) {
+      historyLines.push(
+        `${gettext('summary.duration')}: ${formatMatchDuration(durationMs)}`
+      )
+    }
 
     return {
       datetimeText,
       finalSetsScore: `${this.matchEntry.setsWonTeamA}-${this.matchEntry.setsWonTeamB}`,
-      historyLines
+      historyLines,
+      scoringModeText: this.getScoringModeLabel(this.matchEntry.scoringMode),
+      statisticsItems: this.createStatisticsItems(this.matchEntry.statistics)
+    }
+  },
+
+  /**
+   * One line per team ahead of the set scores, when the match had names.
+   */
+  createTeamLines() {
+    const teamA = describeTeam(
+      this.matchEntry.teamALabel,
+      this.matchEntry.teamAPlayers
+    )
+    const teamB = describeTeam(
+      this.matchEntry.teamBLabel,
+      this.matchEntry.teamBPlayers
+    )
+
+    if (teamA.length === 0 && teamB.length === 0) {
+      return []
+    }
+
+    return [
+      `A: ${teamA || this.matchEntry.teamALabel}`,
+      `B: ${teamB || this.matchEntry.teamBLabel}`
+    ]
+  },
+
+  /**
+   * One list item per statistics row: team values on the sides, label between.
+   * Matches saved before statistics existed have none to show.
+   */
+  createStatisticsItems(statistics) {
+    if (!isMatchStatistics(statistics)) {
+      return []
+    }
+
+    return createMatchStatisticsRows(statistics).map((row) => ({
+      teamA: row.teamA,
+      label:
+        row.value === undefined
+          ? gettext(row.labelKey)
+          : `${gettext(row.labelKey)}: ${row.value}`,
+      teamB: row.teamB
+    }))
+  },
+
+  /**
+   * The head start one team was given, e.g. "Handicap B: +15, Games +2".
+   */
+  getHandicapLine() {
+    const handicap = resolveHandicap(this.matchEntry)
+
+    if (!handicap) {
+      return null
+    }
+
+    const parts = [
+      handicap.points > 0 ? `+${handicap.points * 15}` : '',
+      handicap.games > 0
+        ? `${gettext('setup.handicap.games')} +${handicap.games}`
+        : '',
+      handicap.sets > 0
+        ? `${gettext('setup.handicap.sets')} +${handicap.sets}`
+        : ''
+    ].filter((part) => part.length > 0)
+    const teamLabel = handicap.team === 'teamA' ? 'A' : 'B'
+
+    return `${gettext('summary.handicap')} ${teamLabel}: ${parts.join(', ')}`
+  },
+
+  getScoringModeLabel(scoringMode) {
+    if (scoringMode === SCORING_MODE.GOLDEN_POINT) {
+      return gettext('match.scoringMode.goldenPoint')
     }
+
+    if (scoringMode === SCORING_MODE.STAR_POINT) {
+      return gettext('match.scoringMode.starPoint')
+    }
+
+    return gettext('match.scoringMode.advantage')
   },
 
   /**
@@ -357,18 +485,45 @@ Page({
     })
     this.createWidget(scoreValueConfig.widgetType, scoreValueConfig.config)
 
+    // Scoring rule caption (dynamic)
+    const scoringModeMeta = elements.scoringModeText._meta
+    const scoringModeHeight = Math.round(bodySection.h * 0.1)
+    const scoringModeY = scoreValueY + scoreValueHeight
+    const scoringModeConfig = createText({
+      text: viewModel.scoringModeText,
+      style: scoringModeMeta.style,
+      x: bodySection.x,
+      y: scoringModeY,
+      w: bodySection.w,
+      h: scoringModeHeight,
+      color: TOKENS.colors[scoringModeMeta.color]
+    })
+    this.createWidget(scoringModeConfig.widgetType, scoringModeConfig.config)
+
     // SCROLL_LIST for set history
-    // Calculate bounds within the body section (below winner and score)
+    // Calculate bounds within the body section (below score and scoring rule)
     const historyBodyY =
-      scoreValueY + scoreValueHeight + Math.round(TOKENS.spacing.sectionGap * 5)
+      scoringModeY +
+      scoringModeHeight +
+      Math.round(TOKENS.spacing.sectionGap * 5)
     const historyRowHeight = clamp(
       Math.round(metrics.width * TOKENS.typography.body * 2.2),
       28,
       56
     )
 
-    // Build data array for SCROLL_LIST
-    const scrollDataArray = viewModel.historyLines.map((line) => ({ line }))
+    // Build data array for SCROLL_LIST: set history, then a statistics
+    // heading and one row per statistic when the entry has them
+    const historyItems = viewModel.historyLines.map((line) => ({ line }))
+    const hasStatistics = viewModel.statisticsItems.length > 0
+    const scrollDataArray = hasStatistics
+      ? [
+          ...historyItems,
+          { line: gettext('stats.title') },
+          ...viewModel.statisticsItems
+        ]
+      : historyItems
+    const statisticsColumnWidth = Math.round(bodySection.w * 0.25)
 
     // Create SCROLL_LIST widget
     this.createWidget(hmUI.widget.SCROLL_LIST, {
@@ -395,11 +550,58 @@ Page({
             }
           ],
           text_view_count: 1
+        },
+        {
+          type_id: 2,
+          item_height: historyRowHeight,
+          item_bg_color: TOKENS.colors.cardBackground,
+          item_bg_radius: 0,
+          text_view: [
+            {
+              x: 0,
+              y: 0,
+              w: statisticsColumnWidth,
+              h: historyRowHeight,
+              key: 'teamA',
+              color: TOKENS.colors.accent,
+              text_size: getFontSize('body')
+            },
+            {
+              x: statisticsColumnWidth,
+              y: 0,
+              w: bodySection.w - statisticsColumnWidth * 2,
+              h: historyRowHeight,
+              key: 'label',
+              color: TOKENS.colors.mutedText,
+              text_size: getFontSize('caption')
+            },
+            {
+              x: bodySection.w - statisticsColumnWidth,
+              y: 0,
+              w: statisticsColumnWidth,
+              h: historyRowHeight,
+              key: 'teamB',
+              color: TOKENS.colors.accent,
+              text_size: getFontSize('body')
+            }
+          ],
+          text_view_count: 3
         }
       ],
-      item_config_count: 1,
+      item_config_count: 2,
       data_array: scrollDataArray,
-      data_count: scrollDataArray.length
+      data_count: scrollDataArray.length,
+      data_type_config: hasStatistics
+        ? [
+            { start: 0, end: historyItems.length, type_id: 1 },
+            {
+              start: historyItems.length + 1,
+              end: scrollDataArray.length - 1,
+              type_id: 2
+            }
+          ]
+        : [{ start: 0, end: historyItems.length - 1, type_id: 1 }],
+      data_type_config_count: hasStatistics ? 2 : 1
     })
   },
 
@@ -1,10 +1,24 @@
 import { gettext } from 'i18n'
 import { getFontSize, TOKENS, toPercentage } from '../utils/design-tokens.js'
+import {
+  createHistoryQuery,
+  HISTORY_FILTERS,
+  isHistoryQueryActive,
+  listHistoryNames,
+  queryMatchHistory
+} from '../utils/history-query.js'
 import { resolveLayout } from '../utils/layout-engine.js'
 import { createStandardPageLayout } from '../utils/layout-presets.js'
-import { loadMatchHistory } from '../utils/match-history-storage.js'
+import { HISTORY_PAGE_SIZE } from '../utils/match-history-pages.js'
+import {
+  getMatchHistoryCount,
+  getMatchHistoryPageCount,
+  loadMatchHistory,
+  loadMatchHistoryPage
+} from '../utils/match-history-storage.js'
 import { router } from '../utils/platform-adapters.js'
 import { clamp, getScreenMetrics } from '../utils/screen-utils.js'
+import { describeTeam } from '../utils/team-names.js'
 import {
   createBackground,
   createButton,
@@ -12,6 +26,21 @@ import {
 } from '../utils/ui-components.js'
 import { formatDate } from '../utils/validation.js'
 
+/**
+ * Names the teams of a history entry, or returns an empty string when both
+ * teams kept their default names.
+ */
+function formatEntryTeams(entry) {
+  const teamA = describeTeam(entry.teamALabel, entry.teamAPlayers)
+  const teamB = describeTeam(entry.teamBLabel, entry.teamBPlayers)
+
+  if (teamA.length === 0 && teamB.length === 0) {
+    return ''
+  }
+
+  return `${teamA || entry.teamALabel} - ${teamB || entry.teamBLabel}`
+}
+
 /**
  * Layout schema for the history screen.
  * Uses declarative positioning resolved by layout-engine.
@@ -43,13 +72,41 @@ const HISTORY_LAYOUT = {
         textKey: 'history.title'
       }
     },
-    // History scroll list (in body section)
-    scrollListCard: {
+    // Filter toggle (all / this month / last 30 days / wins / losses)
+    filterButton: {
       section: 'body',
       x: 0,
       y: 0,
+      width: '59%',
+      // height calculated in render using screen height ratio
+      align: 'center',
+      _meta: {
+        type: 'button',
+        variant: 'secondary',
+        onClick: 'handleToggleFilter'
+      }
+    },
+    // Team or player name filter, beside the filter toggle
+    nameButton: {
+      section: 'body',
+      x: '61%',
+      y: 0,
+      width: '39%',
+      // height calculated in render using screen height ratio
+      align: 'center',
+      _meta: {
+        type: 'button',
+        variant: 'secondary',
+        onClick: 'handleNextName'
+      }
+    },
+    // History scroll list (in body section, below the filters)
+    scrollListCard: {
+      section: 'body',
+      x: 0,
+      y: '20%',
       width: '100%',
-      height: '100%',
+      height: '80%',
       align: 'center',
       _meta: {
         type: 'card'
@@ -59,9 +116,9 @@ const HISTORY_LAYOUT = {
     emptyState: {
       section: 'body',
       x: 0,
-      y: 0,
+      y: '20%',
       width: '100%',
-      height: '100%',
+      height: '80%',
       align: 'center',
       _meta: {
         type: 'text',
@@ -92,14 +149,18 @@ Page({
   onInit(_params) {
     this.widgets = []
     this.historyEntries = []
+    this.historyPageCount = 0
+    this.loadedPageCount = 0
+    this.historyCount = 0
+    this.historyFilter = 'all'
+    this.historyName = ''
+    this.historyNames = null
+    // Matches of the active filter; null while all history is shown.
+    this.queryResults = null
     this.scrollList = null
 
     // Load history data during init (v1.0 compatible)
-    try {
-      this.historyEntries = loadMatchHistory()
-    } catch {
-      this.historyEntries = []
-    }
+    this.loadFirstHistoryPage()
   },
 
   build() {
@@ -132,16 +193,179 @@ Page({
     return widget
   },
 
-  refreshHistory() {
+  /**
+   * Loads the first page of the list. Without a filter, history is read one
+   * stored page at a time; a filter queries all history once and the list
+   * shows its matches a page at a time.
+   */
+  loadFirstHistoryPage() {
+    const query = createHistoryQuery(this.historyFilter, this.historyName)
+
+    this.historyEntries = []
+    this.historyPageCount = 0
+    this.loadedPageCount = 0
+    this.historyCount = 0
+    this.queryResults = null
+
     try {
-      this.historyEntries = loadMatchHistory()
+      if (isHistoryQueryActive(query)) {
+        this.queryResults = queryMatchHistory(query)
+        this.historyEntries = this.queryResults.slice(0, HISTORY_PAGE_SIZE)
+        this.historyCount = this.queryResults.length
+        return
+      }
+
+      this.historyPageCount = getMatchHistoryPageCount()
+      this.historyEntries = loadMatchHistoryPage(0)
+      this.loadedPageCount = Math.min(this.historyPageCount, 1)
+      this.historyCount = getMatchHistoryCount()
     } catch {
       this.historyEntries = []
+      this.queryResults = null
+    }
+  },
+
+  hasMoreHistory() {
+    if (this.queryResults) {
+      return this.historyEntries.length < this.queryResults.length
+    }
+
+    return this.loadedPageCount < this.historyPageCount
+  },
+
+  /**
+   * Appends the next page to the list. History is only read one page at a
+   * time, so long histories open as fast as short ones.
+   */
+  loadNextHistoryPage() {
+    if (!this.hasMoreHistory()) {
+      return false
     }
 
+    if (this.queryResults) {
+      this.historyEntries = this.queryResults.slice(
+        0,
+        this.historyEntries.length + HISTORY_PAGE_SIZE
+      )
+      this.updateListData()
+      return true
+    }
+
+    try {
+      this.historyEntries = [
+        ...this.historyEntries,
+        ...loadMatchHistoryPage(this.loadedPageCount)
+      ]
+    } catch {
+      return false
+    }
+
+    this.loadedPageCount += 1
+    this.updateListData()
+
+    return true
+  },
+
+  getFilterLabel() {
+    return gettext(`history.filter.${this.historyFilter}`)
+  },
+
+  getNameLabel() {
+    return this.historyName || gettext('history.filter.anyone')
+  },
+
+  /**
+   * Shows the active filter and the number of matches it keeps, e.g.
+   * "This month · Ana (4)".
+   */
+  getHeaderText() {
+    const filterParts = []
+
+    if (this.historyFilter !== 'all') {
+      filterParts.push(this.getFilterLabel())
+    }
+
+    if (this.historyName) {
+      filterParts.push(this.historyName)
+    }
+
+    const title =
+      filterParts.length > 0
+        ? filterParts.join(' · ')
+        : gettext(HISTORY_LAYOUT.elements.pageTitle._meta.textKey)
+
+    return `${title} (${this.historyCount})`
+  },
+
+  handleToggleFilter() {
+    const currentIndex = HISTORY_FILTERS.indexOf(this.historyFilter)
+
+    this.historyFilter =
+      HISTORY_FILTERS[(currentIndex + 1) % HISTORY_FILTERS.length]
+    this.refreshHistory()
+  },
+
+  // Cycles the name filter through anyone and the names found in history.
+  handleNextName() {
+    if (!this.historyNames) {
+      try {
+        this.historyNames = listHistoryNames(loadMatchHistory())
+      } catch {
+        this.historyNames = []
+      }
+    }
+
+    const names = ['', ...this.historyNames]
+    const currentIndex = names.indexOf(this.historyName)
+
+    this.historyName = names[(currentIndex + 1) % names.length]
+    this.refreshHistory()
+  },
+
+  refreshHistory() {
+    this.loadFirstHistoryPage()
     this.renderHistoryScreen()
   },
 
+  /**
+   * Creates the SCROLL_LIST data: one row per loaded match (type 1) and a
+   * "load more" row (type 2) while older pages are left to load.
+   */
+  createListData() {
+    const dataArray = this.historyEntries.map((entry) => ({
+      date: formatDate(entry),
+      score: `${entry.setsWonTeamA}-${entry.setsWonTeamB}`,
+      teams: formatEntryTeams(entry),
+      icon: 'chevron-icon.png'
+    }))
+    const dataTypeConfig = [{ start: 0, end: dataArray.length - 1, type_id: 1 }]
+
+    if (this.hasMoreHistory()) {
+      dataTypeConfig.push({
+        start: dataArray.length,
+        end: dataArray.length,
+        type_id: 2
+      })
+      dataArray.push({ more: gettext('history.loadMore') })
+    }
+
+    return {
+      data_array: dataArray,
+      data_count: dataArray.length,
+      data_type_config: dataTypeConfig,
+      data_type_config_count: dataTypeConfig.length
+    }
+  },
+
+  updateListData() {
+    if (!this.scrollList) return
+
+    this.scrollList.setProperty(hmUI.prop.UPDATE_DATA, {
+      ...this.createListData(),
+      on_page: 1
+    })
+  },
+
   goBack() {
     router.navigateBack()
   },
@@ -155,6 +379,11 @@ Page({
   },
 
   handleHistoryItemClick(index) {
+    if (index >= this.historyEntries.length) {
+      this.loadNextHistoryPage()
+      return
+    }
+
     const entry = this.historyEntries[index]
     if (entry?.id) {
       this.navigateToHistoryDetail(entry.id)
@@ -181,7 +410,7 @@ Page({
 
     const titleMeta = elements.pageTitle._meta
     const titleConfig = createText({
-      text: gettext(titleMeta.textKey),
+      text: this.getHeaderText(),
       style: titleMeta.style,
       x: headerSection.x,
       y: headerSection.y,
@@ -191,6 +420,32 @@ Page({
     })
     this.createWidget(titleConfig.widgetType, titleConfig.config)
 
+    // ── Body Section (Filters) ─────────────────────────────────────────────
+    const filterButtonHeight = Math.round(
+      metrics.height * TOKENS.sizing.buttonHeightCompact
+    )
+    const filterButtons = [
+      ['filterButton', this.getFilterLabel(), () => this.handleToggleFilter()],
+      ['nameButton', this.getNameLabel(), () => this.handleNextName()]
+    ]
+
+    for (const [elementName, text, onClick] of filterButtons) {
+      const buttonEl = layout.elements[elementName]
+
+      if (buttonEl) {
+        const button = createButton({
+          x: buttonEl.x,
+          y: buttonEl.y,
+          w: buttonEl.w,
+          h: filterButtonHeight,
+          variant: elements[elementName]._meta.variant,
+          text,
+          onClick
+        })
+        this.createWidget(button.widgetType, button.config)
+      }
+    }
+
     // ── Body Section (History List) ────────────────────────────────────────
     const listEl = layout.elements.scrollListCard
 
@@ -198,7 +453,9 @@ Page({
       // Empty state
       const emptyMeta = HISTORY_LAYOUT.elements.emptyState._meta
       const emptyConfig = createText({
-        text: gettext(emptyMeta.textKey),
+        text: gettext(
+          this.queryResults ? 'history.filter.empty' : emptyMeta.textKey
+        ),
         style: emptyMeta.style,
         x: listEl.x,
         y: listEl.y,
@@ -217,6 +474,7 @@ Page({
 
       // Font sizes
       const dateTextSize = getFontSize('body')
+      const teamsTextSize = getFontSize('caption')
       const scoreTextSize = Math.round(getFontSize('score') * 0.8)
 
       // Icon sizing (fixed 48px)
@@ -231,13 +489,8 @@ Page({
       const dateWidth = Math.round(listEl.w * 0.45)
       const scoreX = Math.round(listEl.w * 0.5)
       const scoreWidth = iconX - Math.round(scoreX * 0.8)
-
-      // Build data array
-      const scrollDataArray = this.historyEntries.map((entry) => ({
-        date: formatDate(entry),
-        score: `${entry.setsWonTeamA}-${entry.setsWonTeamB}`,
-        icon: 'chevron-icon.png'
-      }))
+      const teamsY = textY + textH
+      const teamsH = rowHeight - teamsY
 
       // Single item config
       const itemConfig = {
@@ -263,28 +516,61 @@ Page({
             key: 'score',
             color: TOKENS.colors.accent,
             text_size: scoreTextSize
+          },
+          {
+            x: dateX,
+            y: teamsY,
+            w: iconX - dateX,
+            h: teamsH,
+            key: 'teams',
+            color: TOKENS.colors.mutedText,
+            text_size: teamsTextSize
           }
         ],
-        text_view_count: 2,
+        text_view_count: 3,
         image_view: [
           { x: iconX, y: iconY, w: iconSize, h: iconSize, key: 'icon' }
         ],
         image_view_count: 1
       }
 
+      const loadMoreConfig = {
+        type_id: 2,
+        item_height: rowHeight,
+        item_bg_color: TOKENS.colors.background,
+        item_bg_radius: 0,
+        text_view: [
+          {
+            x: 0,
+            y: 0,
+            w: listEl.w,
+            h: rowHeight,
+            key: 'more',
+            color: TOKENS.colors.accent,
+            text_size: teamsTextSize
+          }
+        ],
+        text_view_count: 1
+      }
+
       // Create scroll list
       this.scrollList = this.createWidget(hmUI.widget.SCROLL_LIST, {
         x: listEl.x,
         y: listEl.y,
         w: listEl.w,
-        h: rowHeight * 3,
+        h: Math.min(rowHeight * 3, listEl.h),
         item_space: 0,
-        item_config: [itemConfig],
-        item_config_count: 1,
-        data_array: scrollDataArray,
-        data_count: scrollDataArray.length,
+        item_config: [itemConfig, loadMoreConfig],
+        item_config_count: 2,
+        ...this.createListData(),
         item_click_func: (_list, index) => {
           this.handleHistoryItemClick(index)
+        },
+        // Loads older matches as soon as the "load more" row scrolls into focus.
+        item_focus_change_func: (_list, index, focus) => {
+          if (focus && index >= this.historyEntries.length) {
+            this.loadNextHistoryPage()
+          }
         }
       })
     }
@@ -1,4 +1,6 @@
 import { gettext } from 'i18n'
+import { loadActiveSessionUndoHistory } from '../utils/active-session-storage.js'
+import { hasActiveAmericanoSession } from '../utils/americano-session.js'
 import { flushHomeFeedbackMessage } from '../utils/app-feedback.js'
 import { TOKENS, toPercentage } from '../utils/design-tokens.js'
 import { createHistoryStack } from '../utils/history-stack.js'
@@ -10,6 +12,7 @@ import { getActiveSession } from '../utils/match-storage.js'
 import { gesture, router } from '../utils/platform-adapters.js'
 import { getScreenMetrics } from '../utils/screen-utils.js'
 import { startNewMatchFlow } from '../utils/start-new-match-flow.js'
+import { applyPersistedTeamNames } from '../utils/team-names.js'
 import {
   createBackground,
   createButton,
@@ -19,10 +22,13 @@ import {
   cloneMatchState,
   cloneSetHistory,
   isRecord,
+  isSuperTieBreakSet,
   isTieBreakMode,
+  resolveTieBreakEntryGames,
   resolveWinnerTeam,
   toNonNegativeInteger,
   toPositiveInteger,
+  toRuntimeMatchSettings,
   toRuntimePointValue
 } from '../utils/validation.js'
 
@@ -104,6 +110,23 @@ const INDEX_LAYOUT = {
         conditional: 'hasSavedGame'
       }
     },
+    // Americano session, below the match buttons; takes the resume slot
+    // when there is no match to resume
+    americanoButton: {
+      section: 'body',
+      x: 'center',
+      y: '85%',
+      width: '60%', // narrower, it sits low on round screens
+      // height calculated in render using screen height ratio
+      align: 'center',
+      _meta: {
+        type: 'button',
+        variant: 'secondary',
+        text: 'home.americano',
+        activeText: 'home.resumeAmericano',
+        onClick: 'navigateToAmericano'
+      }
+    },
     settingsButton: {
       ...INDEX_BASE_LAYOUT.elements.settingsButton,
       y: '20%',
@@ -115,9 +138,12 @@ const INDEX_LAYOUT = {
   }
 }
 
+// A paused match can be resumed like an active one.
 function isActivePersistedMatchState(matchState) {
   return (
-    isRecord(matchState) && matchState.status === PERSISTED_MATCH_STATUS.ACTIVE
+    isRecord(matchState) &&
+    (matchState.status === PERSISTED_MATCH_STATUS.ACTIVE ||
+      matchState.status === PERSISTED_MATCH_STATUS.PAUSED)
   )
 }
 
@@ -139,7 +165,12 @@ function normalizePersistedMatchStateForRuntime(persistedMatchState) {
     persistedMatchState?.currentSet?.games?.teamB,
     0
   )
-  const tieBreakMode = isTieBreakMode(teamAGames, teamBGames)
+  const tieBreakMode =
+    isTieBreakMode(
+      teamAGames,
+      teamBGames,
+      resolveTieBreakEntryGames(persistedMatchState)
+    ) || isSuperTieBreakSet(persistedMatchState)
   const winnerTeam = resolveWinnerTeam(persistedMatchState)
 
   runtimeState.currentSet = currentSetNumber
@@ -156,7 +187,13 @@ function normalizePersistedMatchStateForRuntime(persistedMatchState) {
     persistedMatchState?.currentGame?.points?.teamB,
     tieBreakMode
   )
-  runtimeState.status = PERSISTED_MATCH_STATUS.ACTIVE
+  runtimeState.currentGameStatus = {
+    deuceCount: toNonNegativeInteger(
+      persistedMatchState?.currentGame?.deuceCount,
+      0
+    )
+  }
+  runtimeState.status = persistedMatchState.status
   runtimeState.updatedAt = Number.isFinite(persistedMatchState.updatedAt)
     ? persistedMatchState.updatedAt
     : Date.now()
@@ -169,16 +206,9 @@ function normalizePersistedMatchStateForRuntime(persistedMatchState) {
     teamB: toNonNegativeInteger(persistedMatchState?.setsWon?.teamB, 0)
   }
   runtimeState.setHistory = cloneSetHistory(persistedMatchState.setHistory)
+  runtimeState.settings = toRuntimeMatchSettings(persistedMatchState.settings)
 
-  if (isRecord(persistedMatchState.teams)) {
-    if (typeof persistedMatchState.teams?.teamA?.label === 'string') {
-      runtimeState.teams.teamA.label = persistedMatchState.teams.teamA.label
-    }
-
-    if (typeof persistedMatchState.teams?.teamB?.label === 'string') {
-      runtimeState.teams.teamB.label = persistedMatchState.teams.teamB.label
-    }
-  }
+  applyPersistedTeamNames(runtimeState.teams, persistedMatchState.teams)
 
   if (winnerTeam) {
     runtimeState.winnerTeam = winnerTeam
@@ -195,6 +225,7 @@ Page({
     this.widgets = []
     this.savedMatchState = null
     this.hasSavedGame = false
+    this.hasAmericanoSession = false
     this.isStartingNewGame = false
     this.refreshSavedMatchState()
     this.registerGestureHandler()
@@ -255,6 +286,7 @@ Page({
       ? cloneMatchState(savedMatchState)
       : null
     this.hasSavedGame = hasSavedGame
+    this.hasAmericanoSession = hasActiveAmericanoSession()
     this.renderHomeScreen()
 
     return hasSavedGame
@@ -337,6 +369,28 @@ Page({
       }
     }
 
+    // Americano button - starts or resumes an Americano session
+    const americanoEl = layout.elements.americanoButton
+    const americanoMeta = INDEX_LAYOUT.elements.americanoButton._meta
+    const secondarySlotEl = layout.elements.secondaryButton
+    if (americanoEl && secondarySlotEl) {
+      const americanoY = this.hasSavedGame ? americanoEl.y : secondarySlotEl.y
+      const americanoBtn = createButton({
+        x: americanoEl.x,
+        y: americanoY,
+        w: americanoEl.w,
+        h: Math.round(metrics.height * TOKENS.sizing.buttonHeightCompact),
+        variant: americanoMeta.variant,
+        text: gettext(
+          this.hasAmericanoSession
+            ? americanoMeta.activeText
+            : americanoMeta.text
+        ),
+        onClick: () => this.navigateToAmericano()
+      })
+      this.createWidget(americanoBtn.widgetType, americanoBtn.config)
+    }
+
     // Settings icon button
     const settingsEl = layout.elements.settingsButton
     const settingsMeta = INDEX_LAYOUT.elements.settingsButton._meta
@@ -400,12 +454,15 @@ Page({
 
     this.savedMatchState = cloneMatchState(savedMatchState)
     this.hasSavedGame = true
-    this.restoreRuntimeMatchState(restoredRuntimeMatchState)
+    this.restoreRuntimeMatchState(
+      restoredRuntimeMatchState,
+      loadActiveSessionUndoHistory(savedMatchState)
+    )
     this.navigateToGamePage()
     return true
   },
 
-  restoreRuntimeMatchState(matchState) {
+  restoreRuntimeMatchState(matchState, undoSnapshots = []) {
     if (!matchState || typeof matchState !== 'object') {
       return
     }
@@ -431,10 +488,23 @@ Page({
       typeof app.globalData.matchHistory.clear === 'function'
     ) {
       app.globalData.matchHistory.clear()
+    } else {
+      app.globalData.matchHistory = createHistoryStack()
+    }
+
+    const matchHistory = app.globalData.matchHistory
+
+    if (
+      !Array.isArray(undoSnapshots) ||
+      typeof matchHistory.push !== 'function'
+    ) {
       return
     }
 
-    app.globalData.matchHistory = createHistoryStack()
+    // Snapshots are oldest first, so the last one is undone first.
+    undoSnapshots.forEach((snapshot) => {
+      matchHistory.push(snapshot)
+    })
   },
 
   navigateToGamePage() {
@@ -443,5 +513,9 @@ Page({
 
   navigateToSettings() {
     return router.navigateTo('page/settings')
+  },
+
+  navigateToAmericano() {
+    return router.navigateTo('page/americano')
   }
 })
@@ -0,0 +1,386 @@
+import { gettext } from 'i18n'
+import { getFontSize, TOKENS, toPercentage } from '../utils/design-tokens.js'
+import { resolveLayout } from '../utils/layout-engine.js'
+import { createStandardPageLayout } from '../utils/layout-presets.js'
+import { loadMatchHistory } from '../utils/match-history-storage.js'
+import { router } from '../utils/platform-adapters.js'
+import {
+  computePlayerRecords,
+  formatWinLoss,
+  loadPlayerRoster
+} from '../utils/player-roster.js'
+import { clamp, getScreenMetrics } from '../utils/screen-utils.js'
+import {
+  createBackground,
+  createButton,
+  createText
+} from '../utils/ui-components.js'
+
+/**
+ * Layout schema for the player detail screen.
+ * Uses declarative positioning resolved by layout-engine.
+ * Matches the history detail page layout structure with a single footer button.
+ */
+const PLAYER_DETAIL_LAYOUT = {
+  sections: createStandardPageLayout({
+    top: toPercentage(TOKENS.spacing.pageTop),
+    bottom: toPercentage(TOKENS.spacing.pageBottom),
+    bodyGap: toPercentage(TOKENS.spacing.sectionGap),
+    headerHeight: '10%',
+    footerHeight: '10%',
+    headerRoundSafeInset: false,
+    bodyRoundSafeInset: false,
+    footerRoundSafeInset: false
+  }).sections,
+  elements: {
+    // Title text (player name)
+    pageTitle: {
+      section: 'header',
+      x: 'center',
+      y: '30%',
+      width: '100%',
+      height: '50%',
+      align: 'center',
+      _meta: {
+        type: 'text',
+        style: 'pageTitle',
+        textKey: 'titleText' // Dynamic
+      }
+    },
+    // Win-loss record (e.g., "3-1")
+    recordValue: {
+      section: 'body',
+      x: 0,
+      y: 0,
+      width: '100%',
+      height: '20%',
+      align: 'center',
+      _meta: {
+        type: 'text',
+        style: 'score',
+        color: 'accent',
+        textKey: 'recordText' // Dynamic
+      }
+    },
+    // Matches played caption
+    playedText: {
+      section: 'body',
+      x: 0,
+      y: '20%',
+      width: '100%',
+      height: '10%',
+      align: 'center',
+      _meta: {
+        type: 'text',
+        style: 'caption',
+        color: 'mutedText',
+        textKey: 'playedText' // Dynamic
+      }
+    },
+    // Go back button (centered in footer)
+    goBackButton: {
+      section: 'footer',
+      x: 'center',
+      y: 'center',
+      width: TOKENS.sizing.iconLarge,
+      height: TOKENS.sizing.iconLarge,
+      align: 'center',
+      _meta: {
+        type: 'iconButton',
+        icon: 'goback-icon.png',
+        onClick: 'goBack'
+      }
+    }
+  }
+}
+
+Page({
+  onInit(params) {
+    this.widgets = []
+    this.playerRecord = null
+    this.parseParams(params)
+    // Render screen after loading data (v1.0 compatible - no onShow)
+    this.renderDetailScreen()
+  },
+
+  build() {
+    // Don't re-render in build() - onInit already rendered
+  },
+
+  onDestroy() {
+    this.clearWidgets()
+  },
+
+  parseParams(params) {
+    // Zepp OS v1.0: params is passed directly from gotoPage 'param' property
+    if (!params) {
+      return
+    }
+
+    let playerId = null
+
+    if (typeof params === 'object' && typeof params.id === 'string') {
+      playerId = params.id
+    } else if (
+      typeof params === 'string' &&
+      (params.includes('=') || params.includes('?'))
+    ) {
+      // Parse query string format
+      const queryString = params.split('?').pop() || params
+      const pair = queryString
+        .split('&')
+        .map((entry) => entry.split('='))
+        .find((entry) => entry[0] === 'id' && entry.length > 1)
+
+      playerId = pair ? decodeURIComponent(pair[1]) : null
+    } else if (typeof params === 'string') {
+      // params IS the player id directly
+      playerId = params
+    }
+
+    if (!playerId) {
+      return
+    }
+
+    try {
+      this.playerRecord =
+        computePlayerRecords(loadMatchHistory(), loadPlayerRoster()).find(
+          (record) => record.id === playerId
+        ) ?? null
+    } catch {
+      this.playerRecord = null
+    }
+  },
+
+  clearWidgets() {
+    if (typeof hmUI === 'undefined') {
+      this.widgets = []
+      return
+    }
+
+    this.widgets.forEach((widget) => hmUI.deleteWidget(widget))
+    this.widgets = []
+  },
+
+  createWidget(widgetType, properties) {
+    if (typeof hmUI === 'undefined') {
+      return null
+    }
+
+    const widget = hmUI.createWidget(widgetType, properties)
+    this.widgets.push(widget)
+    return widget
+  },
+
+  goBack() {
+    router.navigateBack()
+  },
+
+  /**
+   * Creates a view model from the player record for rendering. List items
+   * are headings (type 1) followed by one row per partner or opponent (type 2).
+   */
+  createDetailViewModel() {
+    if (!this.playerRecord) {
+      return {
+        titleText: gettext('players.title'),
+        recordText: '',
+        playedText: gettext('players.detail.notFound'),
+        listItems: []
+      }
+    }
+
+    const record = this.playerRecord
+    const createRows = (records) =>
+      records.map((entry) => ({
+        type_id: 2,
+        name: entry.name,
+        record: formatWinLoss(entry)
+      }))
+
+    const listItems = []
+
+    if (record.partners.length > 0) {
+      listItems.push(
+        { type_id: 1, line: gettext('players.detail.partners') },
+        ...createRows(record.partners)
+      )
+    }
+
+    if (record.opponents.length > 0) {
+      listItems.push(
+        { type_id: 1, line: gettext('players.detail.headToHead') },
+        ...createRows(record.opponents)
+      )
+    }
+
+    return {
+      titleText: record.name,
+      recordText: formatWinLoss(record),
+      playedText: `${gettext('players.played')}: ${record.played}`,
+      listItems
+    }
+  },
+
+  /**
+   * Groups consecutive list items of the same type into SCROLL_LIST ranges.
+   */
+  createDataTypeConfig(listItems) {
+    const dataTypeConfig = []
+
+    listItems.forEach((item, index) => {
+      const lastRange = dataTypeConfig[dataTypeConfig.length - 1]
+
+      if (lastRange?.type_id === item.type_id) {
+        lastRange.end = index
+      } else {
+        dataTypeConfig.push({ start: index, end: index, type_id: item.type_id })
+      }
+    })
+
+    return dataTypeConfig
+  },
+
+  renderDetailScreen() {
+    if (typeof hmUI === 'undefined') {
+      return
+    }
+
+    const metrics = getScreenMetrics()
+    const layout = resolveLayout(PLAYER_DETAIL_LAYOUT, metrics)
+    const viewModel = this.createDetailViewModel()
+    const elements = PLAYER_DETAIL_LAYOUT.elements
+
+    this.clearWidgets()
+
+    // ── Background ────────────────────────────────────────────────────────
+    const bg = createBackground()
+    this.createWidget(bg.widgetType, bg.config)
+
+    // ── Header Section ─────────────────────────────────────────────────────
+    const headerSection = layout.sections.header
+    const titleConfig = createText({
+      text: viewModel.titleText,
+      style: elements.pageTitle._meta.style,
+      x: headerSection.x,
+      y: headerSection.y,
+      w: headerSection.w,
+      h: headerSection.h
+    })
+    this.createWidget(titleConfig.widgetType, titleConfig.config)
+
+    // ── Body Section (Record, Partners, Head-to-head) ──────────────────────
+    const recordEl = layout.elements.recordValue
+    const recordMeta = elements.recordValue._meta
+    const recordConfig = createText({
+      text: viewModel.recordText,
+      style: recordMeta.style,
+      x: recordEl.x,
+      y: recordEl.y,
+      w: recordEl.w,
+      h: recordEl.h,
+      color: TOKENS.colors[recordMeta.color]
+    })
+    this.createWidget(recordConfig.widgetType, recordConfig.config)
+
+    const playedEl = layout.elements.playedText
+    const playedMeta = elements.playedText._meta
+    const playedConfig = createText({
+      text: viewModel.playedText,
+      style: playedMeta.style,
+      x: playedEl.x,
+      y: playedEl.y,
+      w: playedEl.w,
+      h: playedEl.h,
+      color: TOKENS.colors[playedMeta.color]
+    })
+    this.createWidget(playedConfig.widgetType, playedConfig.config)
+
+    if (viewModel.listItems.length > 0) {
+      const bodySection = layout.sections.body
+      const listY =
+        playedEl.y + playedEl.h + Math.round(TOKENS.spacing.sectionGap * 5)
+      const rowHeight = clamp(
+        Math.round(metrics.width * TOKENS.typography.body * 2.2),
+        28,
+        56
+      )
+      const recordColumnWidth = Math.round(bodySection.w * 0.3)
+      const dataTypeConfig = this.createDataTypeConfig(viewModel.listItems)
+
+      this.createWidget(hmUI.widget.SCROLL_LIST, {
+        x: bodySection.x,
+        y: listY,
+        w: bodySection.w,
+        h: Math.min(rowHeight * 4, bodySection.y + bodySection.h - listY),
+        item_space: 0,
+        item_config: [
+          {
+            type_id: 1,
+            item_height: rowHeight,
+            item_bg_color: TOKENS.colors.cardBackground,
+            item_bg_radius: 0,
+            text_view: [
+              {
+                x: 0,
+                y: 0,
+                w: bodySection.w,
+                h: rowHeight,
+                key: 'line',
+                color: TOKENS.colors.mutedText,
+                text_size: getFontSize('caption')
+              }
+            ],
+            text_view_count: 1
+          },
+          {
+            type_id: 2,
+            item_height: rowHeight,
+            item_bg_color: TOKENS.colors.cardBackground,
+            item_bg_radius: 0,
+            text_view: [
+              {
+                x: 0,
+                y: 0,
+                w: bodySection.w - recordColumnWidth,
+                h: rowHeight,
+                key: 'name',
+                color: TOKENS.colors.text,
+                text_size: getFontSize('body')
+              },
+              {
+                x: bodySection.w - recordColumnWidth,
+                y: 0,
+                w: recordColumnWidth,
+                h: rowHeight,
+                key: 'record',
+                color: TOKENS.colors.accent,
+                text_size: getFontSize('body')
+              }
+            ],
+            text_view_count: 2
+          }
+        ],
+        item_config_count: 2,
+        data_array: viewModel.listItems,
+        data_count: viewModel.listItems.length,
+        data_type_config: dataTypeConfig,
+        data_type_config_count: dataTypeConfig.length
+      })
+    }
+
+    // ── Footer Section ─────────────────────────────────────────────────────
+    const goBackEl = layout.elements.goBackButton
+    const goBackMeta = elements.goBackButton._meta
+    if (goBackEl) {
+      const goBackBtn = createButton({
+        x: goBackEl.x,
+        y: goBackEl.y,
+        variant: 'icon',
+        normal_src: goBackMeta.icon,
+        onClick: () => this.goBack()
+      })
+      this.createWidget(goBackBtn.widgetType, goBackBtn.config)
+    }
+  }
+})
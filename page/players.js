@@ -0,0 +1,317 @@
+import { gettext } from 'i18n'
+import { getFontSize, TOKENS, toPercentage } from '../utils/design-tokens.js'
+import { resolveLayout } from '../utils/layout-engine.js'
+import { createStandardPageLayout } from '../utils/layout-presets.js'
+import { loadMatchHistory } from '../utils/match-history-storage.js'
+import { router } from '../utils/platform-adapters.js'
+import {
+  computePlayerRecords,
+  formatWinLoss,
+  loadPlayerRoster
+} from '../utils/player-roster.js'
+import { clamp, getScreenMetrics } from '../utils/screen-utils.js'
+import {
+  createBackground,
+  createButton,
+  createText
+} from '../utils/ui-components.js'
+
+/**
+ * Layout schema for the players screen.
+ * Uses declarative positioning resolved by layout-engine.
+ * Matches the summary page layout structure.
+ */
+const PLAYERS_LAYOUT = {
+  sections: createStandardPageLayout({
+    top: toPercentage(TOKENS.spacing.pageTop),
+    bottom: toPercentage(TOKENS.spacing.pageBottom),
+    bodyGap: toPercentage(TOKENS.spacing.sectionGap),
+    headerHeight: '10%',
+    footerHeight: '10%',
+    headerRoundSafeInset: false,
+    bodyRoundSafeInset: false,
+    footerRoundSafeInset: false
+  }).sections,
+  elements: {
+    // Title text ("Players")
+    pageTitle: {
+      section: 'header',
+      x: 'center',
+      y: '30%',
+      width: '100%',
+      height: '50%',
+      align: 'center',
+      _meta: {
+        type: 'text',
+        style: 'pageTitle',
+        textKey: 'players.title'
+      }
+    },
+    // Players scroll list (in body section)
+    scrollListCard: {
+      section: 'body',
+      x: 0,
+      y: 0,
+      width: '100%',
+      height: '100%',
+      align: 'center',
+      _meta: {
+        type: 'card'
+      }
+    },
+    // Empty state when the roster is empty
+    emptyState: {
+      section: 'body',
+      x: 0,
+      y: 0,
+      width: '100%',
+      height: '100%',
+      align: 'center',
+      _meta: {
+        type: 'text',
+        style: 'body',
+        textKey: 'players.empty',
+        color: TOKENS.colors.mutedText,
+        conditional: 'isEmpty'
+      }
+    },
+    // Go back button (centered in footer)
+    goBackButton: {
+      section: 'footer',
+      x: 'center',
+      y: 'center',
+      width: TOKENS.sizing.iconLarge,
+      height: TOKENS.sizing.iconLarge,
+      align: 'center',
+      _meta: {
+        type: 'iconButton',
+        icon: 'goback-icon.png',
+        onClick: 'goBack'
+      }
+    }
+  }
+}
+
+Page({
+  onInit(_params) {
+    this.widgets = []
+    this.playerRecords = []
+    this.scrollList = null
+
+    // Load records during init (v1.0 compatible)
+    this.loadPlayerRecords()
+  },
+
+  build() {
+    this.renderPlayersScreen()
+  },
+
+  onDestroy() {
+    this.clearWidgets()
+  },
+
+  clearWidgets() {
+    if (typeof hmUI === 'undefined') {
+      this.widgets = []
+      this.scrollList = null
+      return
+    }
+
+    this.widgets.forEach((widget) => hmUI.deleteWidget(widget))
+    this.widgets = []
+    this.scrollList = null
+  },
+
+  createWidget(widgetType, properties) {
+    if (typeof hmUI === 'undefined') {
+      return null
+    }
+
+    const widget = hmUI.createWidget(widgetType, properties)
+    this.widgets.push(widget)
+    return widget
+  },
+
+  loadPlayerRecords() {
+    try {
+      this.playerRecords = computePlayerRecords(
+        loadMatchHistory(),
+        loadPlayerRoster()
+      )
+    } catch {
+      this.playerRecords = []
+    }
+  },
+
+  goBack() {
+    router.navigateBack()
+  },
+
+  navigateToPlayerDetail(playerId) {
+    if (!playerId) {
+      return
+    }
+
+    router.navigateTo('page/player-detail', { id: playerId })
+  },
+
+  handlePlayerItemClick(index) {
+    const record = this.playerRecords[index]
+    if (record?.id) {
+      this.navigateToPlayerDetail(record.id)
+    }
+  },
+
+  renderPlayersScreen() {
+    if (typeof hmUI === 'undefined') {
+      return
+    }
+
+    const metrics = getScreenMetrics()
+    const layout = resolveLayout(PLAYERS_LAYOUT, metrics)
+
+    this.clearWidgets()
+
+    // ── Background ────────────────────────────────────────────────────────
+    const bg = createBackground()
+    this.createWidget(bg.widgetType, bg.config)
+
+    // ── Header Section ─────────────────────────────────────────────────────
+    const headerSection = layout.sections.header
+    const elements = PLAYERS_LAYOUT.elements
+
+    const titleMeta = elements.pageTitle._meta
+    const titleConfig = createText({
+      text: gettext(titleMeta.textKey),
+      style: titleMeta.style,
+      x: headerSection.x,
+      y: headerSection.y,
+      w: headerSection.w,
+      h: headerSection.h,
+      color: TOKENS.colors[titleMeta.color]
+    })
+    this.createWidget(titleConfig.widgetType, titleConfig.config)
+
+    // ── Body Section (Players List) ────────────────────────────────────────
+    const listEl = layout.elements.scrollListCard
+
+    if (this.playerRecords.length === 0) {
+      // Empty state
+      const emptyMeta = PLAYERS_LAYOUT.elements.emptyState._meta
+      const emptyConfig = createText({
+        text: gettext(emptyMeta.textKey),
+        style: emptyMeta.style,
+        x: listEl.x,
+        y: listEl.y,
+        w: listEl.w,
+        h: listEl.h,
+        color: emptyMeta.color
+      })
+      this.createWidget(emptyConfig.widgetType, emptyConfig.config)
+    } else {
+      // Row height matching the history list
+      const rowHeight = clamp(
+        Math.round(metrics.width * TOKENS.typography.body * 3.5),
+        88,
+        88
+      )
+
+      // Font sizes
+      const nameTextSize = getFontSize('body')
+      const playedTextSize = getFontSize('caption')
+      const recordTextSize = Math.round(getFontSize('score') * 0.8)
+
+      // Icon sizing (fixed 48px)
+      const iconSize = TOKENS.sizing.iconLarge
+      const iconX = listEl.w - Math.round(iconSize * 1.8)
+      const iconY = Math.round((rowHeight - iconSize) / 2)
+
+      // Text positioning (same Y and H as icon for centering)
+      const textY = iconY
+      const textH = iconSize
+      const nameX = Math.round(metrics.width * 0.1)
+      const nameWidth = Math.round(listEl.w * 0.45)
+      const recordX = Math.round(listEl.w * 0.5)
+      const recordWidth = iconX - Math.round(recordX * 0.8)
+      const playedY = textY + textH
+      const playedH = rowHeight - playedY
+
+      const scrollDataArray = this.playerRecords.map((record) => ({
+        name: record.name,
+        record: formatWinLoss(record),
+        played: `${gettext('players.played')}: ${record.played}`,
+        icon: 'chevron-icon.png'
+      }))
+
+      const itemConfig = {
+        type_id: 1,
+        item_height: rowHeight,
+        item_bg_color: TOKENS.colors.background,
+        item_bg_radius: 0,
+        text_view: [
+          {
+            x: nameX,
+            y: Math.round(textY * 1.05),
+            w: nameWidth,
+            h: textH,
+            key: 'name',
+            color: TOKENS.colors.text,
+            text_size: nameTextSize
+          },
+          {
+            x: recordX,
+            y: Math.round(textY * 0.8),
+            w: recordWidth,
+            h: textH,
+            key: 'record',
+            color: TOKENS.colors.accent,
+            text_size: recordTextSize
+          },
+          {
+            x: nameX,
+            y: playedY,
+            w: iconX - nameX,
+            h: playedH,
+            key: 'played',
+            color: TOKENS.colors.mutedText,
+            text_size: playedTextSize
+          }
+        ],
+        text_view_count: 3,
+        image_view: [
+          { x: iconX, y: iconY, w: iconSize, h: iconSize, key: 'icon' }
+        ],
+        image_view_count: 1
+      }
+
+      this.scrollList = this.createWidget(hmUI.widget.SCROLL_LIST, {
+        x: listEl.x,
+        y: listEl.y,
+        w: listEl.w,
+        h: rowHeight * 3,
+        item_space: 0,
+        item_config: [itemConfig],
+        item_config_count: 1,
+        data_array: scrollDataArray,
+        data_count: scrollDataArray.length,
+        item_click_func: (_list, index) => {
+          this.handlePlayerItemClick(index)
+        }
+      })
+    }
+
+    // ── Footer Section ─────────────────────────────────────────────────────
+    const goBackEl = layout.elements.goBackButton
+    const goBackMeta = PLAYERS_LAYOUT.elements.goBackButton._meta
+    if (goBackEl) {
+      const goBackBtn = createButton({
+        x: goBackEl.x,
+        y: goBackEl.y,
+        variant: 'icon',
+        normal_src: goBackMeta.icon,
+        onClick: () => this.goBack()
+      })
+      this.createWidget(goBackBtn.widgetType, goBackBtn.config)
+    }
+  }
+})
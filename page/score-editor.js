@@ -0,0 +1,537 @@
+import { gettext } from 'i18n'
+import {
+  MATCH_FORMAT,
+  PERSISTED_ADVANTAGE_POINT_VALUE
+} from '../utils/constants.js'
+import { TOKENS } from '../utils/design-tokens.js'
+import { createHistoryStack } from '../utils/history-stack.js'
+import { resolveLayout } from '../utils/layout-engine.js'
+import { createPageWithFooterButton } from '../utils/layout-presets.js'
+import { createInitialMatchState } from '../utils/match-state.js'
+import { isMatchState } from '../utils/match-state-schema.js'
+import { gesture, router } from '../utils/platform-adapters.js'
+import { createCorrectionScore } from '../utils/point-log.js'
+import { canCorrectScore, correctScore } from '../utils/scoring-engine.js'
+import { getScreenMetrics } from '../utils/screen-utils.js'
+import { isDefaultTeamLabel } from '../utils/team-names.js'
+import {
+  createBackground,
+  createButton,
+  createText
+} from '../utils/ui-components.js'
+import {
+  cloneMatchState,
+  isRecord,
+  isTieBreakModeForState,
+  resolveHandicap,
+  resolveMatchFormat,
+  resolveSetLength
+} from '../utils/validation.js'
+import { isValidRuntimeMatchState } from './game/logic.js'
+import {
+  createPersistedMatchStateSnapshot,
+  isPersistedMatchStateActive,
+  loadState,
+  mergeRuntimeStateWithPersistedSession,
+  saveState,
+  saveUndoHistory
+} from './game/persistence.js'
+
+/**
+ * Layout schema for the score editor. Direct rendering on background with
+ * the title in the header and go back in the footer, like the setup screen.
+ */
+const SCORE_EDITOR_BASE_LAYOUT = createPageWithFooterButton({
+  icon: 'goback-icon.png',
+  footerButtonName: 'goBackButton',
+  hasHeader: true,
+  top: 0,
+  bottom: 0,
+  bodyGap: 0,
+  headerHeight: '15%',
+  footerHeight: '5%',
+  headerRoundSafeInset: false,
+  bodyRoundSafeInset: false,
+  footerRoundSafeInset: false
+})
+
+const SCORE_EDITOR_LAYOUT = {
+  sections: {
+    ...SCORE_EDITOR_BASE_LAYOUT.sections,
+    body: {
+      ...SCORE_EDITOR_BASE_LAYOUT.sections.body,
+      sideInset: '7%'
+    }
+  },
+  elements: {
+    ...SCORE_EDITOR_BASE_LAYOUT.elements,
+    // Title text (in header section)
+    title: {
+      section: 'header',
+      x: 'center',
+      y: '30%',
+      width: '100%',
+      height: '50%',
+      align: 'center',
+      _meta: {
+        type: 'text',
+        style: 'pageTitle',
+        text: 'scoreEditor.title'
+      }
+    },
+    // Go back button (in footer section)
+    goBackButton: {
+      ...SCORE_EDITOR_BASE_LAYOUT.elements.goBackButton,
+      x: 'center',
+      y: '20%',
+      _meta: {
+        ...SCORE_EDITOR_BASE_LAYOUT.elements.goBackButton._meta,
+        onClick: 'handleGoBack'
+      }
+    }
+  }
+}
+
+/** Rows edited per team, Team A on the left and Team B on the right. */
+const TEAM_ROWS = Object.freeze(['points', 'games', 'setsWon'])
+const TEAMS = Object.freeze(['teamA', 'teamB'])
+
+const REGULAR_POINT_OPTIONS = Object.freeze([
+  0,
+  15,
+  30,
+  40,
+  PERSISTED_ADVANTAGE_POINT_VALUE
+])
+
+// Long enough for any tie-break that is still being played.
+const MAX_TIE_BREAK_POINTS = 24
+
+/**
+ * @param {number} limit
+ * @returns {number[]}
+ */
+function createRange(limit) {
+  return Array.from({ length: limit + 1 }, (_value, index) => index)
+}
+
+/**
+ * @param {number[]} options
+ * @param {number} value
+ * @param {number} step - 1 for the next option, -1 for the previous one.
+ * @returns {number}
+ */
+function cycleOption(options, value, step) {
+  const index = options.indexOf(value)
+  const nextIndex = index === -1 ? 0 : index + step
+
+  return options[(nextIndex + options.length) % options.length]
+}
+
+Page({
+  onInit() {
+    this.widgets = []
+    this.persistedSessionState = null
+    this.matchState = this.loadMatchState()
+    this.draftScore = this.matchState
+      ? createCorrectionScore(this.matchState)
+      : null
+  },
+
+  build() {
+    if (!this.matchState) {
+      this.returnToGame()
+      return
+    }
+
+    this.renderScoreEditorScreen()
+    this.registerGestureHandler()
+  },
+
+  onDestroy() {
+    this.clearWidgets()
+    this.unregisterGestureHandler()
+  },
+
+  clearWidgets() {
+    if (typeof hmUI === 'undefined') {
+      this.widgets = []
+      return
+    }
+
+    this.widgets.forEach((widget) => hmUI.deleteWidget(widget))
+    this.widgets = []
+  },
+
+  createWidget(widgetType, properties) {
+    if (typeof hmUI === 'undefined') {
+      return null
+    }
+
+    const widget = hmUI.createWidget(widgetType, properties)
+    this.widgets.push(widget)
+    return widget
+  },
+
+  registerGestureHandler() {
+    gesture.registerGesture(this, 'RIGHT', () => {
+      this.handleGoBack()
+      return true
+    })
+  },
+
+  unregisterGestureHandler() {
+    gesture.unregisterGesture(this, 'RIGHT')
+  },
+
+  getAppInstance() {
+    if (typeof getApp !== 'function') {
+      return null
+    }
+
+    try {
+      const app = getApp()
+
+      if (!isRecord(app)) {
+        return null
+      }
+
+      if (!isRecord(app.globalData)) {
+        app.globalData = {}
+      }
+
+      return app
+    } catch {
+      return null
+    }
+  },
+
+  /**
+   * The game page saves before opening the editor, so the stored session is
+   * the score being corrected.
+   *
+   * @returns {import('../utils/match-state.js').MatchState | null}
+   */
+  loadMatchState() {
+    const persistedMatchState = loadState()
+
+    if (!isPersistedMatchStateActive(persistedMatchState)) {
+      return null
+    }
+
+    this.persistedSessionState = persistedMatchState
+
+    const runtimeMatchState = this.getAppInstance()?.globalData.matchState
+
+    return mergeRuntimeStateWithPersistedSession(
+      isValidRuntimeMatchState(runtimeMatchState)
+        ? cloneMatchState(runtimeMatchState)
+        : createInitialMatchState(),
+      persistedMatchState
+    )
+  },
+
+  // ── Draft score ───────────────────────────────────────────────────────────
+
+  /**
+   * The draft laid over the match, for the rules that depend on the score.
+   *
+   * @returns {Record<string, unknown>}
+   */
+  getDraftState() {
+    return {
+      settings: this.matchState.settings,
+      setsNeededToWin: this.matchState.setsNeededToWin,
+      setsWon: this.draftScore.setsWon,
+      currentSetStatus: {
+        number: this.draftScore.setNumber,
+        teamAGames: this.draftScore.games.teamA,
+        teamBGames: this.draftScore.games.teamB
+      }
+    }
+  },
+
+  isDraftTieBreak() {
+    return isTieBreakModeForState(this.getDraftState())
+  },
+
+  /**
+   * @param {'points' | 'games' | 'setsWon' | 'setNumber'} row
+   * @returns {number[]}
+   */
+  getRowOptions(row) {
+    const settings = this.matchState.settings
+    const setsNeededToWin = this.matchState.setsNeededToWin
+
+    if (row === 'points') {
+      return this.isDraftTieBreak()
+        ? createRange(MAX_TIE_BREAK_POINTS)
+        : [...REGULAR_POINT_OPTIONS]
+    }
+
+    if (row === 'games') {
+      return resolveMatchFormat(settings) === MATCH_FORMAT.TOTAL_GAMES
+        ? createRange(settings.totalGames - 1)
+        : createRange(resolveSetLength(settings).gamesPerSet * 2)
+    }
+
+    if (row === 'setsWon') {
+      return createRange(setsNeededToWin - 1)
+    }
+
+    return createRange(setsNeededToWin * 2 - 1).slice(1)
+  },
+
+  /**
+   * Tap moves a value up and long-press moves it down; both wrap around.
+   * A change that enters or leaves a tie-break restarts the points, which
+   * are counted differently there.
+   *
+   * @param {'points' | 'games' | 'setsWon'} row
+   * @param {'teamA' | 'teamB'} team
+   * @param {number} step
+   */
+  handleStepTeamValue(row, team, step) {
+    const wasTieBreak = this.isDraftTieBreak()
+    const values = this.draftScore[row]
+
+    values[team] = cycleOption(this.getRowOptions(row), values[team], step)
+
+    // Sets won decide which set is being played.
+    if (row === 'setsWon') {
+      const handicap = resolveHandicap(this.matchState.settings)
+
+      this.draftScore.setNumber = Math.max(
+        values.teamA + values.teamB + 1 - (handicap ? handicap.sets : 0),
+        1
+      )
+    }
+
+    if (row !== 'points' && wasTieBreak !== this.isDraftTieBreak()) {
+      this.draftScore.points = { teamA: 0, teamB: 0 }
+    }
+
+    this.renderScoreEditorScreen()
+  },
+
+  /**
+   * @param {number} step
+   */
+  handleStepSetNumber(step) {
+    this.draftScore.setNumber = cycleOption(
+      this.getRowOptions('setNumber'),
+      this.draftScore.setNumber,
+      step
+    )
+    this.renderScoreEditorScreen()
+  },
+
+  canSave() {
+    return canCorrectScore(this.matchState, this.draftScore)
+  },
+
+  /**
+   * Saves the corrected score and its correction record, then returns to
+   * the game. Undo starts over from the corrected score.
+   */
+  handleSave() {
+    if (!this.canSave()) {
+      return false
+    }
+
+    const nextState = correctScore(this.matchState, this.draftScore)
+    const persistedMatchState = createPersistedMatchStateSnapshot(
+      nextState,
+      this.persistedSessionState
+    )
+
+    if (!isMatchState(persistedMatchState)) {
+      return false
+    }
+
+    const historyStack = createHistoryStack()
+
+    saveState(persistedMatchState)
+    saveUndoHistory(historyStack, persistedMatchState)
+
+    const app = this.getAppInstance()
+    if (app) {
+      app.globalData.matchState = nextState
+      app.globalData.matchHistory = historyStack
+      app.globalData._lastPersistedSchemaState = persistedMatchState
+    }
+
+    return this.returnToGame()
+  },
+
+  handleGoBack() {
+    return this.returnToGame()
+  },
+
+  returnToGame() {
+    return router.redirectTo('page/game')
+  },
+
+  // ── Rendering ─────────────────────────────────────────────────────────────
+
+  /**
+   * @param {'points' | 'games' | 'setsWon'} row
+   * @param {number} value
+   * @returns {string}
+   */
+  getValueLabel(row, value) {
+    if (
+      row === 'points' &&
+      value === PERSISTED_ADVANTAGE_POINT_VALUE &&
+      !this.isDraftTieBreak()
+    ) {
+      return 'AD'
+    }
+
+    return String(value)
+  },
+
+  getTeamLabel(team) {
+    const label = this.matchState.teams?.[team]?.label
+
+    return typeof label === 'string' && !isDefaultTeamLabel(label)
+      ? label
+      : team === 'teamA'
+        ? 'A'
+        : 'B'
+  },
+
+  renderScoreEditorScreen() {
+    if (typeof hmUI === 'undefined') {
+      return
+    }
+
+    const metrics = getScreenMetrics()
+    const layout = resolveLayout(SCORE_EDITOR_LAYOUT, metrics)
+
+    this.clearWidgets()
+
+    // 1. Background
+    const bg = createBackground()
+    this.createWidget(bg.widgetType, bg.config)
+
+    // 2. Title text (in header section)
+    const titleEl = layout.elements.title
+    const titleMeta = SCORE_EDITOR_LAYOUT.elements.title._meta
+    if (titleEl) {
+      const titleConfig = createText({
+        text: gettext(titleMeta.text),
+        style: titleMeta.style,
+        x: titleEl.x,
+        y: titleEl.y,
+        w: titleEl.w,
+        h: titleEl.h
+      })
+      this.createWidget(titleConfig.widgetType, titleConfig.config)
+    }
+
+    // 3. Score rows and save button
+    this.renderScoreRows(layout, metrics)
+
+    // 4. Go back button (in footer section)
+    const goBackEl = layout.elements.goBackButton
+    const goBackMeta = SCORE_EDITOR_LAYOUT.elements.goBackButton._meta
+    if (goBackEl) {
+      const goBackBtn = createButton({
+        x: goBackEl.x,
+        y: goBackEl.y,
+        variant: 'icon',
+        normal_src: goBackMeta.icon,
+        onClick: () => this.handleGoBack()
+      })
+      this.createWidget(goBackBtn.widgetType, goBackBtn.config)
+    }
+  },
+
+  /**
+   * Team labels on top, then one row per score with Team A's value on the
+   * left, the row name in the middle and Team B's value on the right, the
+   * set number and the save button.
+   */
+  renderScoreRows(layout, metrics) {
+    const bodySection = layout.sections.body
+    const gap = Math.round(metrics.width * 0.022)
+    const rowHeight = Math.round(
+      metrics.height * TOKENS.sizing.buttonHeightCompact
+    )
+    const labelHeight = Math.round(rowHeight * 0.6)
+    const valueWidth = Math.round(bodySection.w * 0.3)
+    const nameWidth = bodySection.w - valueWidth * 2
+
+    TEAMS.forEach((team, teamIndex) => {
+      const labelConfig = createText({
+        text: this.getTeamLabel(team),
+        style: 'body',
+        x: bodySection.x + (valueWidth + nameWidth) * teamIndex,
+        y: bodySection.y,
+        w: valueWidth,
+        h: labelHeight,
+        color: TOKENS.colors.mutedText
+      })
+      this.createWidget(labelConfig.widgetType, labelConfig.config)
+    })
+
+    TEAM_ROWS.forEach((row, rowIndex) => {
+      const rowY = bodySection.y + labelHeight + (rowHeight + gap) * rowIndex
+
+      const nameConfig = createText({
+        text: gettext(`scoreEditor.${row}`),
+        style: 'body',
+        x: bodySection.x + valueWidth,
+        y: rowY,
+        w: nameWidth,
+        h: rowHeight,
+        color: TOKENS.colors.mutedText
+      })
+      this.createWidget(nameConfig.widgetType, nameConfig.config)
+
+      TEAMS.forEach((team, teamIndex) => {
+        const valueBtn = createButton({
+          x: bodySection.x + (valueWidth + nameWidth) * teamIndex,
+          y: rowY,
+          w: valueWidth,
+          h: rowHeight,
+          variant: 'secondary',
+          text: this.getValueLabel(row, this.draftScore[row][team]),
+          onClick: () => this.handleStepTeamValue(row, team, 1)
+        })
+        valueBtn.config.longpress_func = () =>
+          this.handleStepTeamValue(row, team, -1)
+        this.createWidget(valueBtn.widgetType, valueBtn.config)
+      })
+    })
+
+    const setNumberY =
+      bodySection.y + labelHeight + (rowHeight + gap) * TEAM_ROWS.length
+    const setNumberBtn = createButton({
+      x: bodySection.x,
+      y: setNumberY,
+      w: bodySection.w,
+      h: rowHeight,
+      variant: 'secondary',
+      text: `${gettext('scoreEditor.setNumber')} ${this.draftScore.setNumber}`,
+      onClick: () => this.handleStepSetNumber(1)
+    })
+    setNumberBtn.config.longpress_func = () => this.handleStepSetNumber(-1)
+    this.createWidget(setNumberBtn.widgetType, setNumberBtn.config)
+
+    // An invalid score can't be saved, and the button says why.
+    const canSave = this.canSave()
+    const saveBtn = createButton({
+      x: bodySection.x,
+      y: setNumberY + rowHeight + gap,
+      w: bodySection.w,
+      h: rowHeight,
+      variant: canSave ? 'primary' : 'secondary',
+      text: gettext(canSave ? 'scoreEditor.save' : 'scoreEditor.invalid'),
+      disabled: !canSave,
+      onClick: () => this.handleSave()
+    })
+    this.createWidget(saveBtn.widgetType, saveBtn.config)
+  }
+})
@@ -1,12 +1,24 @@
+import { MATCH_FORMAT } from '../utils/constants.js'
+import {
+  getMatchElapsedMs,
+  getMatchTimeRemainingMs
+} from '../utils/match-clock.js'
+import {
+  getHandicapGamesInCurrentSet,
+  isStarPoint
+} from '../utils/scoring-engine.js'
+import { getCurrentServer } from '../utils/serve-rotation.js'
 import {
   isRecord,
+  resolveMatchFormat,
+  resolveSetLength,
   resolveWinnerTeamWithFallback,
   toNonNegativeInteger
 } from '../utils/validation.js'
 
 /**
  * @param {import('../utils/match-state.js').MatchState} matchState
- * @param {{ persistedMatchState?: { setsWon?: { teamA?: number, teamB?: number }, winnerTeam?: 'teamA' | 'teamB', winner?: { team?: 'teamA' | 'teamB' } } | null }} [options]
+ * @param {{ persistedMatchState?: { setsWon?: { teamA?: number, teamB?: number }, winnerTeam?: 'teamA' | 'teamB', winner?: { team?: 'teamA' | 'teamB' }, settings?: import('../utils/match-state-schema.js').MatchSettings, timing?: import('../utils/match-state-schema.js').MatchTiming } | null }} [options]
  */
 export function createScoreViewModel(matchState, options = {}) {
   const resolvedSetsWon = resolveSetsWon(
@@ -35,11 +47,38 @@ export function createScoreViewModel(matchState, options = {}) {
       teamB: matchState.currentSetStatus.teamBGames
     },
     setsWon: resolvedSetsWon,
+    // Pro sets and fixed-games matches show their format in place of sets.
+    format: resolveMatchFormat(matchState.settings),
+    gamesPerSet: resolveSetLength(matchState.settings).gamesPerSet,
+    gamesLeft: resolveGamesLeft(matchState),
     winnerTeam: resolvedWinnerTeam,
-    status: matchState.status
+    isStarPoint: isStarPoint(matchState),
+    server: getCurrentServer(matchState),
+    status: matchState.status,
+    // Play time is kept in the persisted timing; unknown without it.
+    elapsedMs: getMatchElapsedMs(options.persistedMatchState?.timing),
+    // Null unless the match was set up with a time limit.
+    timeRemainingMs: getMatchTimeRemainingMs(options.persistedMatchState)
   }
 }
 
+/**
+ * @returns {number | null} Null unless the match is played to a fixed number of games.
+ */
+function resolveGamesLeft(matchState) {
+  if (resolveMatchFormat(matchState.settings) !== MATCH_FORMAT.TOTAL_GAMES) {
+    return null
+  }
+
+  // Handicap games were given, not played.
+  const gamesPlayed =
+    toNonNegativeInteger(matchState.currentSetStatus.teamAGames) +
+    toNonNegativeInteger(matchState.currentSetStatus.teamBGames) -
+    getHandicapGamesInCurrentSet(matchState)
+
+  return Math.max(0, matchState.settings.totalGames - gamesPlayed)
+}
+
 function resolveSetsWon(matchState, persistedMatchState) {
   if (isRecord(matchState) && isRecord(matchState.setsWon)) {
     return {
@@ -2,8 +2,11 @@ import { gettext } from 'i18n'
 import { clearAllAppData } from '../utils/app-data-clear.js'
 import { queueHomeFeedbackMessage } from '../utils/app-feedback.js'
 import { getFontSize, TOKENS, toPercentage } from '../utils/design-tokens.js'
+import { exportMatchHistory } from '../utils/history-export.js'
+import { importMatchHistoryBackup } from '../utils/history-import.js'
 import { resolveLayout } from '../utils/layout-engine.js'
 import { createStandardPageLayout } from '../utils/layout-presets.js'
+import { getMatchHistoryCount } from '../utils/match-history-storage.js'
 import { router, toast } from '../utils/platform-adapters.js'
 import { clamp, getScreenMetrics } from '../utils/screen-utils.js'
 import {
@@ -73,6 +76,61 @@ const SETTINGS_LAYOUT = {
   }
 }
 
+/**
+ * Rows of the settings list, in display order. The version row is last and
+ * not clickable.
+ */
+const SETTINGS_ITEMS = Object.freeze([
+  { id: 'previousMatches', labelKey: 'settings.previousMatches' },
+  { id: 'players', labelKey: 'settings.players' },
+  { id: 'stats', labelKey: 'settings.stats' },
+  { id: 'gameSettings', labelKey: 'settings.gameSettings' },
+  { id: 'exportHistory', labelKey: 'settings.exportHistory' },
+  { id: 'importHistory', labelKey: 'settings.importHistory' },
+  { id: 'clearAppData', labelKey: 'settings.clearAppData' },
+  { id: 'version', labelKey: 'settings.version' }
+])
+
+/**
+ * Builds the settings list data. type_id 1 = normal, type_id 2 = danger
+ * (red), type_id 3 = version (muted).
+ *
+ * @param {boolean} confirmMode - Whether clearing app data awaits confirmation.
+ */
+function createSettingsListData(confirmMode) {
+  return {
+    data_array: SETTINGS_ITEMS.map((item) => {
+      if (item.id === 'version') {
+        return { version: `${gettext(item.labelKey)} ${APP_VERSION}` }
+      }
+
+      if (item.id === 'clearAppData') {
+        return {
+          label: gettext(
+            confirmMode ? 'settings.clearDataConfirm' : item.labelKey
+          ),
+          icon: 'delete-icon.png'
+        }
+      }
+
+      return { label: gettext(item.labelKey), icon: 'chevron-icon.png' }
+    }),
+    data_count: SETTINGS_ITEMS.length,
+    data_type_config: SETTINGS_ITEMS.map((item, index) => {
+      let typeId = 1
+
+      if (item.id === 'version') {
+        typeId = 3
+      } else if (item.id === 'clearAppData' && confirmMode) {
+        typeId = 2
+      }
+
+      return { start: index, end: index, type_id: typeId }
+    }),
+    data_type_config_count: SETTINGS_ITEMS.length
+  }
+}
+
 Page({
   onInit() {
     this.widgets = []
@@ -114,6 +172,14 @@ Page({
     router.navigateTo('page/history')
   },
 
+  navigateToPlayersPage() {
+    router.navigateTo('page/players')
+  },
+
+  navigateToStatsPage() {
+    router.navigateTo('page/stats')
+  },
+
   navigateToHomePage() {
     router.redirectTo('page/index')
   },
@@ -133,52 +199,74 @@ Page({
     return true
   },
 
-  // type_id 1 = normal, type_id 2 = danger (red), type_id 3 = version (muted)
   updateListData(confirmMode) {
     if (!this.scrollList) return
 
     this.scrollList.setProperty(hmUI.prop.UPDATE_DATA, {
-      data_type_config: [
-        { start: 0, end: 0, type_id: 1 },
-        { start: 1, end: 1, type_id: 1 },
-        { start: 2, end: 2, type_id: confirmMode ? 2 : 1 },
-        { start: 3, end: 3, type_id: 3 }
-      ],
-      data_type_config_count: 4,
-      data_array: [
-        {
-          label: gettext('settings.previousMatches'),
-          icon: 'chevron-icon.png'
-        },
-        {
-          label: gettext('settings.gameSettings'),
-          icon: 'chevron-icon.png'
-        },
-        {
-          label: confirmMode
-            ? gettext('settings.clearDataConfirm')
-            : gettext('settings.clearAppData'),
-          icon: 'delete-icon.png'
-        },
-        {
-          version: `${gettext('settings.version')} ${APP_VERSION}`
-        }
-      ],
-      data_count: 4,
+      ...createSettingsListData(confirmMode),
       on_page: 1
     })
   },
 
+  // Writes the history export files and confirms them with a toast.
+  handleExportHistory() {
+    if (getMatchHistoryCount() === 0) {
+      toast.showToast(gettext('settings.exportEmpty'))
+      return false
+    }
+
+    const result = exportMatchHistory()
+
+    if (!result) {
+      toast.showToast(gettext('settings.exportFailed'))
+      return false
+    }
+
+    toast.showToast(
+      `${gettext('settings.exportDone')}: ${result.fileNames.join(', ')} (${result.entryCount})`
+    )
+    return true
+  },
+
+  // Restores history from the export's JSON backup and reports the counts.
+  handleImportHistory() {
+    const report = importMatchHistoryBackup()
+
+    if (!report) {
+      toast.showToast(gettext('settings.importFailed'))
+      return false
+    }
+
+    toast.showToast(
+      [
+        `${gettext('settings.importAdded')} ${report.added}`,
+        `${gettext('settings.importSkipped')} ${report.skipped}`,
+        `${gettext('settings.importRejected')} ${report.rejected}`
+      ].join(' · ')
+    )
+    return true
+  },
+
   handleListItemClick(index) {
-    if (this.clearConfirmMode && index !== 2) {
+    const itemId = SETTINGS_ITEMS[index]?.id
+
+    if (this.clearConfirmMode && itemId !== 'clearAppData') {
       this.resetClearConfirmMode()
     }
 
-    if (index === 0) {
+    if (itemId === 'previousMatches') {
       this.navigateToHistoryPage()
-    } else if (index === 1) {
+    } else if (itemId === 'players') {
+      this.navigateToPlayersPage()
+    } else if (itemId === 'stats') {
+      this.navigateToStatsPage()
+    } else if (itemId === 'gameSettings') {
       this.navigateToGameSettingsPage()
-    } else if (index === 2) {
+    } else if (itemId === 'exportHistory') {
+      this.handleExportHistory()
+    } else if (itemId === 'importHistory') {
+      this.handleImportHistory()
+    } else if (itemId === 'clearAppData') {
       if (this.clearConfirmMode) {
         this.resetClearConfirmMode()
         const success = clearAllAppData()
@@ -194,7 +282,7 @@ Page({
         this.updateListData(true)
       }
     }
-    // index === 3 is version item - do nothing (non-clickable)
+    // The version item is not clickable.
   },
 
   renderSettingsScreen() {
@@ -336,26 +424,10 @@ Page({
         item_space: 0,
         item_config: [itemConfigNormal, itemConfigDanger, itemConfigVersion],
         item_config_count: 3,
-        data_array: [
-          {
-            label: gettext('settings.previousMatches'),
-            icon: 'chevron-icon.png'
-          },
-          { label: gettext('settings.gameSettings'), icon: 'chevron-icon.png' },
-          { label: gettext('settings.clearAppData'), icon: 'delete-icon.png' },
-          { version: `${gettext('settings.version')} ${APP_VERSION}` }
-        ],
-        data_count: 4,
+        ...createSettingsListData(this.clearConfirmMode),
         item_click_func: (_list, index) => {
           this.handleListItemClick(index)
-        },
-        data_type_config: [
-          { start: 0, end: 0, type_id: 1 },
-          { start: 1, end: 1, type_id: 1 },
-          { start: 2, end: 2, type_id: 1 },
-          { start: 3, end: 3, type_id: 3 }
-        ],
-        data_type_config_count: 4
+        }
       })
     }
 
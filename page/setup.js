@@ -1,9 +1,24 @@
 import { gettext } from 'i18n'
 
-import { MATCH_SET_OPTIONS } from '../utils/constants.js'
-import { TOKENS, toPercentage } from '../utils/design-tokens.js'
+import {
+  DEFAULT_FIRST_SERVER,
+  DEFAULT_GAMES_PER_SET,
+  DEFAULT_TIME_LIMIT_MINUTES,
+  MATCH_FIRST_SERVER_OPTIONS,
+  MATCH_GAMES_PER_SET_OPTIONS,
+  MATCH_HANDICAP_GAMES_OPTIONS,
+  MATCH_HANDICAP_POINTS_OPTIONS,
+  MATCH_PRO_SET_GAMES_OPTIONS,
+  MATCH_SCORING_MODE_OPTIONS,
+  MATCH_SET_OPTIONS,
+  MATCH_TIME_LIMIT_OPTIONS,
+  MATCH_TOTAL_GAMES_OPTIONS,
+  SCORING_MODE
+} from '../utils/constants.js'
+import { TOKENS } from '../utils/design-tokens.js'
 import { resolveLayout } from '../utils/layout-engine.js'
 import { createPageWithFooterButton } from '../utils/layout-presets.js'
+import { loadMatchDefaults } from '../utils/match-defaults.js'
 import { initializeMatchState } from '../utils/match-session-init.js'
 import { MATCH_STATUS } from '../utils/match-state-schema.js'
 import {
@@ -12,13 +27,32 @@ import {
   saveActiveSession
 } from '../utils/match-storage.js'
 import { router } from '../utils/platform-adapters.js'
+import {
+  assignRosterPlayerIds,
+  loadPlayerRoster,
+  savePlayerRoster
+} from '../utils/player-roster.js'
 import { getScreenMetrics } from '../utils/screen-utils.js'
+import { isSameServerPosition } from '../utils/serve-rotation.js'
+import {
+  applyNameKeyboardKey,
+  createEmptyTeamNames,
+  loadRecentNames,
+  NAME_KEYBOARD_KEYS,
+  normalizeName,
+  rememberRecentNames
+} from '../utils/team-names.js'
 import {
   createBackground,
   createButton,
   createText
 } from '../utils/ui-components.js'
-import { isRecord, isSupportedSetsToPlay } from '../utils/validation.js'
+import {
+  isProSetGamesPerSet,
+  isRecord,
+  isSupportedSetsToPlay,
+  resolveHandicap
+} from '../utils/validation.js'
 
 /**
  * Layout schema for the setup screen.
@@ -66,7 +100,7 @@ const SETUP_LAYOUT = {
     helperText: {
       section: 'body',
       x: 0,
-      y: '5%',
+      y: '0%',
       width: '100%',
       height: '10%',
       align: 'center',
@@ -81,7 +115,7 @@ const SETUP_LAYOUT = {
     optionsRow: {
       section: 'body',
       x: 0,
-      y: '22%',
+      y: '11%',
       width: '100%',
       // height calculated in render using screen height ratio
       align: 'center',
@@ -91,12 +125,97 @@ const SETUP_LAYOUT = {
         gap: '2.2%'
       }
     },
+    // Scoring rule toggle (advantage / golden point / star point)
+    scoringModeButton: {
+      section: 'body',
+      x: 0,
+      y: '31%',
+      width: '59%',
+      // height calculated in render using screen height ratio
+      align: 'center',
+      _meta: {
+        type: 'button',
+        variant: 'secondary',
+        onClick: 'handleToggleScoringMode'
+      }
+    },
+    // Set length toggle (games per set), beside the scoring rule
+    gamesPerSetButton: {
+      section: 'body',
+      x: '61%',
+      y: '31%',
+      width: '39%',
+      // height calculated in render using screen height ratio
+      align: 'center',
+      _meta: {
+        type: 'button',
+        variant: 'secondary',
+        onClick: 'handleToggleGamesPerSet'
+      }
+    },
+    // Final set toggle (tie-break / no tie-break / super tie-break)
+    finalSetButton: {
+      section: 'body',
+      x: '0%',
+      y: '45%',
+      width: '59%',
+      // height calculated in render using screen height ratio
+      align: 'center',
+      _meta: {
+        type: 'button',
+        variant: 'secondary',
+        onClick: 'handleToggleFinalSet'
+      }
+    },
+    // First server toggle (team and player), beside the final set rule
+    firstServerButton: {
+      section: 'body',
+      x: '61%',
+      y: '45%',
+      width: '39%',
+      // height calculated in render using screen height ratio
+      align: 'center',
+      _meta: {
+        type: 'button',
+        variant: 'secondary',
+        onClick: 'handleToggleFirstServer'
+      }
+    },
+    // Time limit toggle (none / court booking length)
+    timeLimitButton: {
+      section: 'body',
+      x: 0,
+      y: '59%',
+      width: '59%',
+      // height calculated in render using screen height ratio
+      align: 'center',
+      _meta: {
+        type: 'button',
+        variant: 'secondary',
+        onClick: 'handleToggleTimeLimit'
+      }
+    },
+    // Handicap start for one team, beside the time limit
+    handicapButton: {
+      section: 'body',
+      x: '61%',
+      y: '59%',
+      width: '39%',
+      // height calculated in render using screen height ratio
+      align: 'center',
+      _meta: {
+        type: 'button',
+        variant: 'secondary',
+        text: 'setup.handicap',
+        onClick: 'handleOpenHandicap'
+      }
+    },
     // Start button
     startButton: {
       section: 'body',
-      x: 'center',
-      y: '55%',
-      width: toPercentage(TOKENS.sizing.buttonWidth), // '85%' - same as index page
+      x: 0,
+      y: '73%',
+      width: '59%',
       // height calculated in render using screen height ratio
       align: 'center',
       _meta: {
@@ -106,13 +225,28 @@ const SETUP_LAYOUT = {
         onClick: 'handleStartMatch'
       }
     },
+    // Team and player names, beside the start button
+    namesButton: {
+      section: 'body',
+      x: '61%',
+      y: '73%',
+      width: '39%',
+      // height calculated in render using screen height ratio
+      align: 'center',
+      _meta: {
+        type: 'button',
+        variant: 'secondary',
+        text: 'setup.names',
+        onClick: 'handleOpenNames'
+      }
+    },
     // Error message (conditional)
     errorMessage: {
       section: 'body',
       x: 0,
-      y: '78%',
+      y: '92%',
       width: '100%',
-      height: '10%',
+      height: '8%',
       align: 'center',
       _meta: {
         type: 'text',
@@ -129,32 +263,101 @@ const SETUP_LAYOUT = {
       y: '20%',
       _meta: {
         ...SETUP_BASE_LAYOUT.elements.goBackButton._meta,
-        onClick: 'navigateBack'
+        onClick: 'handleGoBack'
       }
     }
   }
 }
 
+/** Name editor columns, and rows: the team name, then its two players. */
+const NAME_SLOT_TEAMS = Object.freeze(['teamA', 'teamB'])
+const NAME_SLOT_FIELDS = Object.freeze(['label', 1, 2])
+
+const NAME_KEYBOARD_COLUMNS = 7
+
+/** Handicap editor rows, each a toggle. */
+const HANDICAP_ROWS = Object.freeze(['team', 'points', 'games', 'sets'])
+
+const HANDICAP_POINT_LABELS = Object.freeze(['0', '+15', '+30'])
+
+// The set length toggle cycles through the set lengths, then the single-set
+// formats: pro sets, and matches of a fixed number of games.
+const GAMES_FORMAT_OPTIONS = Object.freeze([
+  ...[...MATCH_GAMES_PER_SET_OPTIONS, ...MATCH_PRO_SET_GAMES_OPTIONS].map(
+    (gamesPerSet) => Object.freeze({ gamesPerSet, totalGames: 0 })
+  ),
+  ...MATCH_TOTAL_GAMES_OPTIONS.map((totalGames) =>
+    Object.freeze({ gamesPerSet: DEFAULT_GAMES_PER_SET, totalGames })
+  )
+])
+
 function isValidSetsOption(setsToPlay) {
   return isSupportedSetsToPlay(setsToPlay)
 }
 
-function _isVerifiedActiveSession(matchState, setsToPlay) {
+function isSameHandicap(left, right) {
+  const leftHandicap = resolveHandicap({ handicap: left })
+  const rightHandicap = resolveHandicap({ handicap: right })
+
+  if (!leftHandicap || !rightHandicap) {
+    return leftHandicap === rightHandicap
+  }
+
+  return HANDICAP_ROWS.every((key) => leftHandicap[key] === rightHandicap[key])
+}
+
+function _isVerifiedActiveSession(matchState, setsToPlay, selectedSettings) {
   return (
     isRecord(matchState) &&
     matchState.status === MATCH_STATUS.ACTIVE &&
     matchState.setsToPlay === setsToPlay &&
     matchState.setsNeededToWin === Math.ceil(setsToPlay / 2) &&
+    Object.keys(selectedSettings).every((key) => {
+      if (key === 'firstServer') {
+        return isSameServerPosition(
+          matchState?.settings?.firstServer,
+          selectedSettings.firstServer
+        )
+      }
+
+      if (key === 'handicap') {
+        return isSameHandicap(
+          matchState?.settings?.handicap,
+          selectedSettings.handicap
+        )
+      }
+
+      return matchState?.settings?.[key] === selectedSettings[key]
+    }) &&
     typeof matchState?.timing?.startedAt === 'string'
   )
 }
 
 Page({
   onInit() {
+    // Defaults come from the phone settings app, or the built-in format.
+    const matchDefaults = loadMatchDefaults()
+
     this.widgets = []
     this.isPersistingMatchState = false
     this.isNavigatingToGame = false
-    this.selectedSetsToPlay = null
+    this.selectedSetsToPlay = matchDefaults.setsToPlay
+    this.selectedScoringMode = matchDefaults.scoringMode
+    this.selectedSuperTieBreak = matchDefaults.superTieBreak
+    this.selectedGamesPerSet = matchDefaults.gamesPerSet
+    this.selectedTotalGames = 0
+    this.selectedFinalSetTieBreak = matchDefaults.finalSetTieBreak
+    this.selectedFirstServer = DEFAULT_FIRST_SERVER
+    this.selectedTimeLimitMinutes = DEFAULT_TIME_LIMIT_MINUTES
+    this.selectedHandicap = { team: 'teamB', points: 0, games: 0, sets: 0 }
+    this.selectedTeamNames = createEmptyTeamNames()
+    this.recentNames = loadRecentNames()
+    this.roster = loadPlayerRoster()
+    this.isEditingNames = false
+    this.isEditingHandicap = false
+    this.editingNameSlot = null
+    this.nameDraft = ''
+    this.recentNameIndex = -1
     this.startErrorMessage = ''
   },
 
@@ -221,9 +424,391 @@ Page({
 
     this.startErrorMessage = ''
     this.selectedSetsToPlay = setsToPlay
+
+    // Longer matches go back to regular sets.
+    if (setsToPlay !== 1 && this.isSingleSetFormat()) {
+      this.selectedGamesPerSet = DEFAULT_GAMES_PER_SET
+      this.selectedTotalGames = 0
+    }
+
+    // A set handicap has to leave the other team a set to win.
+    this.selectedHandicap.sets = Math.min(
+      this.selectedHandicap.sets,
+      this.getHandicapSetsLimit()
+    )
+
+    this.renderSetupScreen()
+  },
+
+  getScoringModeLabel(scoringMode) {
+    if (scoringMode === SCORING_MODE.GOLDEN_POINT) {
+      return gettext('match.scoringMode.goldenPoint')
+    }
+
+    if (scoringMode === SCORING_MODE.STAR_POINT) {
+      return gettext('match.scoringMode.starPoint')
+    }
+
+    return gettext('match.scoringMode.advantage')
+  },
+
+  handleToggleScoringMode() {
+    if (this.isPersistingMatchState || this.isNavigatingToGame) {
+      return
+    }
+
+    const currentIndex = MATCH_SCORING_MODE_OPTIONS.indexOf(
+      this.selectedScoringMode
+    )
+
+    this.selectedScoringMode =
+      MATCH_SCORING_MODE_OPTIONS[
+        (currentIndex + 1) % MATCH_SCORING_MODE_OPTIONS.length
+      ]
+    this.renderSetupScreen()
+  },
+
+  getGamesPerSetLabel(gamesPerSet, totalGames = 0) {
+    if (totalGames > 0) {
+      return `${totalGames} ${gettext('setup.format.totalGames')}`
+    }
+
+    if (isProSetGamesPerSet(gamesPerSet)) {
+      return `${gettext('setup.format.proSet')} ${gamesPerSet}`
+    }
+
+    return `${gettext('setup.gamesPerSet')} ${gamesPerSet}`
+  },
+
+  isSingleSetFormat() {
+    return (
+      this.selectedTotalGames > 0 ||
+      isProSetGamesPerSet(this.selectedGamesPerSet)
+    )
+  },
+
+  // Cycles: 6 -> 4 games a set -> pro set to 8 -> to 9 -> 12 games.
+  handleToggleGamesPerSet() {
+    if (this.isPersistingMatchState || this.isNavigatingToGame) {
+      return
+    }
+
+    const currentIndex = GAMES_FORMAT_OPTIONS.findIndex(
+      (option) =>
+        option.gamesPerSet === this.selectedGamesPerSet &&
+        option.totalGames === this.selectedTotalGames
+    )
+    const nextOption =
+      GAMES_FORMAT_OPTIONS[(currentIndex + 1) % GAMES_FORMAT_OPTIONS.length]
+
+    this.selectedGamesPerSet = nextOption.gamesPerSet
+    this.selectedTotalGames = nextOption.totalGames
+
+    // Pro sets and fixed-games matches are played as a single set.
+    if (this.isSingleSetFormat()) {
+      this.selectedSetsToPlay = 1
+    }
+
+    this.renderSetupScreen()
+  },
+
+  getFinalSetLabel() {
+    if (this.selectedSuperTieBreak) {
+      return gettext('setup.finalSet.superTieBreak')
+    }
+
+    return this.selectedFinalSetTieBreak
+      ? gettext('setup.finalSet.fullSet')
+      : gettext('setup.finalSet.noTieBreak')
+  },
+
+  // Cycles: regular set with tie-break -> without tie-break -> super tie-break.
+  handleToggleFinalSet() {
+    if (this.isPersistingMatchState || this.isNavigatingToGame) {
+      return
+    }
+
+    if (this.selectedSuperTieBreak) {
+      this.selectedSuperTieBreak = false
+      this.selectedFinalSetTieBreak = true
+    } else if (this.selectedFinalSetTieBreak) {
+      this.selectedFinalSetTieBreak = false
+    } else {
+      this.selectedSuperTieBreak = true
+      this.selectedFinalSetTieBreak = true
+    }
+
+    this.renderSetupScreen()
+  },
+
+  getFirstServerLabel(firstServer) {
+    const teamLabel = firstServer.team === 'teamA' ? 'A' : 'B'
+    return `${gettext('setup.firstServer')} ${teamLabel}${firstServer.player}`
+  },
+
+  // Cycles: A1 -> A2 -> B1 -> B2.
+  handleToggleFirstServer() {
+    if (this.isPersistingMatchState || this.isNavigatingToGame) {
+      return
+    }
+
+    const currentIndex = MATCH_FIRST_SERVER_OPTIONS.findIndex((option) =>
+      isSameServerPosition(option, this.selectedFirstServer)
+    )
+
+    this.selectedFirstServer =
+      MATCH_FIRST_SERVER_OPTIONS[
+        (currentIndex + 1) % MATCH_FIRST_SERVER_OPTIONS.length
+      ]
+    this.renderSetupScreen()
+  },
+
+  getTimeLimitLabel(timeLimitMinutes) {
+    const valueText =
+      timeLimitMinutes > 0
+        ? `${timeLimitMinutes} min`
+        : gettext('setup.timeLimit.off')
+    return `${gettext('setup.timeLimit')}: ${valueText}`
+  },
+
+  // Cycles: no limit -> 60 -> 90 minutes.
+  handleToggleTimeLimit() {
+    if (this.isPersistingMatchState || this.isNavigatingToGame) {
+      return
+    }
+
+    const currentIndex = MATCH_TIME_LIMIT_OPTIONS.indexOf(
+      this.selectedTimeLimitMinutes
+    )
+
+    this.selectedTimeLimitMinutes =
+      MATCH_TIME_LIMIT_OPTIONS[
+        (currentIndex + 1) % MATCH_TIME_LIMIT_OPTIONS.length
+      ]
+    this.renderSetupScreen()
+  },
+
+  /**
+   * @returns {number} The most sets a handicap can give away.
+   */
+  getHandicapSetsLimit() {
+    return Math.ceil(this.selectedSetsToPlay / 2) - 1
+  },
+
+  isHandicapActive() {
+    return resolveHandicap({ handicap: this.selectedHandicap }) !== null
+  },
+
+  getHandicapLabel() {
+    if (!this.isHandicapActive()) {
+      return gettext('setup.handicap')
+    }
+
+    const teamLabel = this.selectedHandicap.team === 'teamA' ? 'A' : 'B'
+    return `${gettext('setup.handicap')} ${teamLabel}`
+  },
+
+  getHandicapRowLabel(row) {
+    const { team, points, games, sets } = this.selectedHandicap
+
+    if (row === 'team') {
+      return `${gettext('setup.names.team')} ${team === 'teamA' ? 'A' : 'B'}`
+    }
+
+    if (row === 'points') {
+      return `${gettext('setup.handicap.points')}: ${HANDICAP_POINT_LABELS[points]}`
+    }
+
+    if (row === 'games') {
+      return `${gettext('setup.handicap.games')}: ${games > 0 ? `+${games}` : '0'}`
+    }
+
+    return `${gettext('setup.handicap.sets')}: ${sets > 0 ? `+${sets}` : '0'}`
+  },
+
+  handleOpenHandicap() {
+    if (this.isPersistingMatchState || this.isNavigatingToGame) {
+      return
+    }
+
+    this.isEditingHandicap = true
+    this.renderSetupScreen()
+  },
+
+  handleCloseHandicap() {
+    this.isEditingHandicap = false
+    this.renderSetupScreen()
+  },
+
+  // Team: A <-> B. Points: 0 -> 15 -> 30. Games: 0 -> 3. Sets: 0 -> the
+  // last set the other team could still win.
+  handleToggleHandicapRow(row) {
+    const handicap = this.selectedHandicap
+
+    if (row === 'team') {
+      handicap.team = handicap.team === 'teamA' ? 'teamB' : 'teamA'
+    } else if (row === 'points') {
+      handicap.points =
+        MATCH_HANDICAP_POINTS_OPTIONS[
+          (MATCH_HANDICAP_POINTS_OPTIONS.indexOf(handicap.points) + 1) %
+            MATCH_HANDICAP_POINTS_OPTIONS.length
+        ]
+    } else if (row === 'games') {
+      handicap.games =
+        MATCH_HANDICAP_GAMES_OPTIONS[
+          (MATCH_HANDICAP_GAMES_OPTIONS.indexOf(handicap.games) + 1) %
+            MATCH_HANDICAP_GAMES_OPTIONS.length
+        ]
+    } else {
+      handicap.sets = (handicap.sets + 1) % (this.getHandicapSetsLimit() + 1)
+    }
+
+    this.renderSetupScreen()
+  },
+
+  handleOpenNames() {
+    if (this.isPersistingMatchState || this.isNavigatingToGame) {
+      return
+    }
+
+    this.isEditingNames = true
+    this.editingNameSlot = null
+    this.renderSetupScreen()
+  },
+
+  handleCloseNames() {
+    this.isEditingNames = false
+    this.editingNameSlot = null
+    this.renderSetupScreen()
+  },
+
+  /**
+   * @param {{ team: 'teamA' | 'teamB', field: 'label' | 1 | 2 }} slot
+   * @returns {string}
+   */
+  getNameSlotValue(slot) {
+    const teamNames = this.selectedTeamNames[slot.team]
+    return slot.field === 'label'
+      ? teamNames.label
+      : teamNames.players[slot.field - 1]
+  },
+
+  getNameSlotPlaceholder(slot) {
+    const teamLetter = slot.team === 'teamA' ? 'A' : 'B'
+    return slot.field === 'label'
+      ? `${gettext('setup.names.team')} ${teamLetter}`
+      : `${teamLetter}${slot.field}`
+  },
+
+  handleEditNameSlot(slot) {
+    this.editingNameSlot = slot
+    this.nameDraft = this.getNameSlotValue(slot)
+    this.recentNameIndex = -1
     this.renderSetupScreen()
   },
 
+  handleNameKey(key) {
+    this.nameDraft = applyNameKeyboardKey(this.nameDraft, key)
+    this.renderSetupScreen()
+  },
+
+  /**
+   * Player slots pick from the player roster, team names from the names used
+   * in previous matches (also used for players until the roster has any).
+   *
+   * @param {{ team: 'teamA' | 'teamB', field: 'label' | 1 | 2 } | null} slot
+   * @returns {string[]}
+   */
+  getSuggestedNames(slot) {
+    if (slot && slot.field !== 'label' && this.roster.length > 0) {
+      return this.roster.map((player) => player.name)
+    }
+
+    return this.recentNames
+  },
+
+  // Cycles the draft through the suggested names of the slot being edited.
+  handleNextRecentName() {
+    const suggestedNames = this.getSuggestedNames(this.editingNameSlot)
+
+    if (suggestedNames.length === 0) {
+      return
+    }
+
+    this.recentNameIndex = (this.recentNameIndex + 1) % suggestedNames.length
+    this.nameDraft = suggestedNames[this.recentNameIndex]
+    this.renderSetupScreen()
+  },
+
+  handleConfirmName() {
+    const slot = this.editingNameSlot
+
+    if (!slot) {
+      return
+    }
+
+    const name = normalizeName(this.nameDraft)
+    const teamNames = this.selectedTeamNames[slot.team]
+
+    if (slot.field === 'label') {
+      teamNames.label = name
+    } else {
+      teamNames.players[slot.field - 1] = name
+    }
+
+    this.editingNameSlot = null
+    this.renderSetupScreen()
+  },
+
+  // Steps back out of the name keyboard, name list and handicap editor before
+  // leaving setup.
+  handleGoBack() {
+    if (this.isEditingHandicap) {
+      this.handleCloseHandicap()
+      return true
+    }
+
+    if (this.editingNameSlot) {
+      this.editingNameSlot = null
+      this.renderSetupScreen()
+      return true
+    }
+
+    if (this.isEditingNames) {
+      this.handleCloseNames()
+      return true
+    }
+
+    return this.navigateBack()
+  },
+
+  getSelectedMatchSettings() {
+    const settings = {
+      scoringMode: this.selectedScoringMode,
+      superTieBreak: this.selectedSuperTieBreak,
+      gamesPerSet: this.selectedGamesPerSet,
+      finalSetTieBreak: this.selectedFinalSetTieBreak,
+      firstServer: this.selectedFirstServer
+    }
+
+    // Untimed matches are stored without a time limit.
+    if (this.selectedTimeLimitMinutes > 0) {
+      settings.timeLimitMinutes = this.selectedTimeLimitMinutes
+    }
+
+    if (this.selectedTotalGames > 0) {
+      settings.totalGames = this.selectedTotalGames
+    }
+
+    // Matches without a head start are stored without a handicap.
+    const handicap = resolveHandicap({ handicap: this.selectedHandicap })
+    if (handicap) {
+      settings.handicap = handicap
+    }
+
+    return settings
+  },
+
   handleStartMatch() {
     if (!this.isStartMatchEnabled()) {
       return false
@@ -234,9 +819,16 @@ Page({
     this.renderSetupScreen()
 
     let initializedMatchState = null
+    const { teamNames, roster } = assignRosterPlayerIds(
+      this.selectedTeamNames,
+      this.roster
+    )
 
     try {
-      initializedMatchState = initializeMatchState(this.selectedSetsToPlay)
+      initializedMatchState = initializeMatchState(this.selectedSetsToPlay, {
+        ...this.getSelectedMatchSettings(),
+        teams: teamNames
+      })
     } catch {
       this.startErrorMessage = gettext('setup.saveFailed')
       this.isPersistingMatchState = false
@@ -264,6 +856,11 @@ Page({
     this.isPersistingMatchState = false
     this.isNavigatingToGame = true
     this.startErrorMessage = ''
+    this.recentNames = rememberRecentNames(this.selectedTeamNames)
+
+    if (savePlayerRoster(roster)) {
+      this.roster = roster
+    }
 
     const didNavigateToGame = this.navigateToGamePage()
 
@@ -286,7 +883,8 @@ Page({
 
       return _isVerifiedActiveSession(
         persistedMatchState,
-        this.selectedSetsToPlay
+        this.selectedSetsToPlay,
+        this.getSelectedMatchSettings()
       )
     } catch {
       return false
@@ -343,7 +941,7 @@ Page({
     }
 
     const metrics = getScreenMetrics()
-    const { width } = metrics
+    const { width, height } = metrics
     const layout = resolveLayout(SETUP_LAYOUT, metrics)
 
     this.clearWidgets()
@@ -352,12 +950,12 @@ Page({
     const bg = createBackground()
     this.createWidget(bg.widgetType, bg.config)
 
-    // 2. Title text (in header section)
+    // 2. Title text (in header section); the name keyboard shows the draft
     const titleEl = layout.elements.title
     const titleMeta = SETUP_LAYOUT.elements.title._meta
     if (titleEl) {
       const titleConfig = createText({
-        text: gettext(titleMeta.text),
+        text: this.getTitleText(titleMeta.text),
         style: titleMeta.style,
         x: titleEl.x,
         y: titleEl.y,
@@ -367,6 +965,23 @@ Page({
       this.createWidget(titleConfig.widgetType, titleConfig.config)
     }
 
+    if (this.isEditingNames) {
+      if (this.editingNameSlot) {
+        this.renderNameKeyboard(layout, metrics)
+      } else {
+        this.renderNameList(layout, metrics)
+      }
+
+      this.renderGoBackButton(layout)
+      return
+    }
+
+    if (this.isEditingHandicap) {
+      this.renderHandicapEditor(layout, metrics)
+      this.renderGoBackButton(layout)
+      return
+    }
+
     // 3. Helper text
     const helperEl = layout.elements.helperText
     const helperMeta = SETUP_LAYOUT.elements.helperText._meta
@@ -404,6 +1019,7 @@ Page({
           x: optionButtonX,
           y: optionsEl.y,
           w: optionButtonWidth,
+          h: Math.round(height * TOKENS.sizing.buttonHeightLarge),
           radius: circularRadius,
           variant: isSelected ? 'primary' : 'secondary',
           text: this.getOptionLabel(setsToPlay),
@@ -413,7 +1029,105 @@ Page({
       })
     }
 
-    // 5. Start button
+    // 5. Scoring rule toggle
+    const scoringModeEl = layout.elements.scoringModeButton
+    const scoringModeMeta = SETUP_LAYOUT.elements.scoringModeButton._meta
+    if (scoringModeEl) {
+      const scoringModeBtn = createButton({
+        x: scoringModeEl.x,
+        y: scoringModeEl.y,
+        w: scoringModeEl.w,
+        h: Math.round(height * TOKENS.sizing.buttonHeightCompact),
+        variant: scoringModeMeta.variant,
+        text: this.getScoringModeLabel(this.selectedScoringMode),
+        onClick: () => this.handleToggleScoringMode()
+      })
+      this.createWidget(scoringModeBtn.widgetType, scoringModeBtn.config)
+    }
+
+    // 6. Set length toggle
+    const gamesPerSetEl = layout.elements.gamesPerSetButton
+    const gamesPerSetMeta = SETUP_LAYOUT.elements.gamesPerSetButton._meta
+    if (gamesPerSetEl) {
+      const gamesPerSetBtn = createButton({
+        x: gamesPerSetEl.x,
+        y: gamesPerSetEl.y,
+        w: gamesPerSetEl.w,
+        h: Math.round(height * TOKENS.sizing.buttonHeightCompact),
+        variant: gamesPerSetMeta.variant,
+        text: this.getGamesPerSetLabel(
+          this.selectedGamesPerSet,
+          this.selectedTotalGames
+        ),
+        onClick: () => this.handleToggleGamesPerSet()
+      })
+      this.createWidget(gamesPerSetBtn.widgetType, gamesPerSetBtn.config)
+    }
+
+    // 7. Final set toggle
+    const finalSetEl = layout.elements.finalSetButton
+    const finalSetMeta = SETUP_LAYOUT.elements.finalSetButton._meta
+    if (finalSetEl) {
+      const finalSetBtn = createButton({
+        x: finalSetEl.x,
+        y: finalSetEl.y,
+        w: finalSetEl.w,
+        h: Math.round(height * TOKENS.sizing.buttonHeightCompact),
+        variant: finalSetMeta.variant,
+        text: this.getFinalSetLabel(),
+        onClick: () => this.handleToggleFinalSet()
+      })
+      this.createWidget(finalSetBtn.widgetType, finalSetBtn.config)
+    }
+
+    // 8. First server toggle
+    const firstServerEl = layout.elements.firstServerButton
+    const firstServerMeta = SETUP_LAYOUT.elements.firstServerButton._meta
+    if (firstServerEl) {
+      const firstServerBtn = createButton({
+        x: firstServerEl.x,
+        y: firstServerEl.y,
+        w: firstServerEl.w,
+        h: Math.round(height * TOKENS.sizing.buttonHeightCompact),
+        variant: firstServerMeta.variant,
+        text: this.getFirstServerLabel(this.selectedFirstServer),
+        onClick: () => this.handleToggleFirstServer()
+      })
+      this.createWidget(firstServerBtn.widgetType, firstServerBtn.config)
+    }
+
+    // 9. Time limit toggle
+    const timeLimitEl = layout.elements.timeLimitButton
+    const timeLimitMeta = SETUP_LAYOUT.elements.timeLimitButton._meta
+    if (timeLimitEl) {
+      const timeLimitBtn = createButton({
+        x: timeLimitEl.x,
+        y: timeLimitEl.y,
+        w: timeLimitEl.w,
+        h: Math.round(height * TOKENS.sizing.buttonHeightCompact),
+        variant: timeLimitMeta.variant,
+        text: this.getTimeLimitLabel(this.selectedTimeLimitMinutes),
+        onClick: () => this.handleToggleTimeLimit()
+      })
+      this.createWidget(timeLimitBtn.widgetType, timeLimitBtn.config)
+    }
+
+    // 10. Handicap button
+    const handicapEl = layout.elements.handicapButton
+    if (handicapEl) {
+      const handicapBtn = createButton({
+        x: handicapEl.x,
+        y: handicapEl.y,
+        w: handicapEl.w,
+        h: Math.round(height * TOKENS.sizing.buttonHeightCompact),
+        variant: this.isHandicapActive() ? 'primary' : 'secondary',
+        text: this.getHandicapLabel(),
+        onClick: () => this.handleOpenHandicap()
+      })
+      this.createWidget(handicapBtn.widgetType, handicapBtn.config)
+    }
+
+    // 11. Start button
     const startEl = layout.elements.startButton
     const startMeta = SETUP_LAYOUT.elements.startButton._meta
     const canStartMatch = this.isStartMatchEnabled()
@@ -422,6 +1136,7 @@ Page({
         x: startEl.x,
         y: startEl.y,
         w: startEl.w,
+        h: Math.round(height * TOKENS.sizing.buttonHeightLarge),
         variant: canStartMatch ? 'primary' : 'secondary',
         text: gettext(startMeta.text),
         disabled: !canStartMatch,
@@ -435,7 +1150,23 @@ Page({
       this.createWidget(startBtn.widgetType, startBtn.config)
     }
 
-    // 6. Error message (conditional)
+    // 12. Names button
+    const namesEl = layout.elements.namesButton
+    const namesMeta = SETUP_LAYOUT.elements.namesButton._meta
+    if (namesEl) {
+      const namesBtn = createButton({
+        x: namesEl.x,
+        y: namesEl.y,
+        w: namesEl.w,
+        h: Math.round(height * TOKENS.sizing.buttonHeightLarge),
+        variant: namesMeta.variant,
+        text: gettext(namesMeta.text),
+        onClick: () => this.handleOpenNames()
+      })
+      this.createWidget(namesBtn.widgetType, namesBtn.config)
+    }
+
+    // 13. Error message (conditional)
     if (this.startErrorMessage.length > 0) {
       const errorEl = layout.elements.errorMessage
       const errorMeta = SETUP_LAYOUT.elements.errorMessage._meta
@@ -453,7 +1184,175 @@ Page({
       }
     }
 
-    // 7. Go back button (in footer section)
+    // 14. Go back button (in footer section)
+    this.renderGoBackButton(layout)
+  },
+
+  getTitleText(setupTitleKey) {
+    if (this.isEditingHandicap) {
+      return gettext('setup.handicap')
+    }
+
+    if (!this.isEditingNames) {
+      return gettext(setupTitleKey)
+    }
+
+    if (!this.editingNameSlot) {
+      return gettext('setup.names.title')
+    }
+
+    return this.nameDraft.length > 0
+      ? this.nameDraft
+      : this.getNameSlotPlaceholder(this.editingNameSlot)
+  },
+
+  /**
+   * Team A in the left column and Team B in the right one: team name first,
+   * then both players. Unnamed slots show their placeholder.
+   */
+  renderNameList(layout, metrics) {
+    const bodySection = layout.sections.body
+    const gap = Math.round(metrics.width * 0.022)
+    const columnWidth = Math.round((bodySection.w - gap) / 2)
+    const rowHeight = Math.round(
+      metrics.height * TOKENS.sizing.buttonHeightCompact
+    )
+
+    NAME_SLOT_TEAMS.forEach((team, columnIndex) => {
+      NAME_SLOT_FIELDS.forEach((field, rowIndex) => {
+        const slot = { team, field }
+        const name = this.getNameSlotValue(slot)
+        const slotBtn = createButton({
+          x: bodySection.x + (columnWidth + gap) * columnIndex,
+          y: bodySection.y + (rowHeight + gap) * rowIndex,
+          w: columnWidth,
+          h: rowHeight,
+          variant: name.length > 0 ? 'primary' : 'secondary',
+          text: name.length > 0 ? name : this.getNameSlotPlaceholder(slot),
+          onClick: () => this.handleEditNameSlot(slot)
+        })
+        this.createWidget(slotBtn.widgetType, slotBtn.config)
+      })
+    })
+
+    const doneEl = layout.elements.startButton
+    if (doneEl) {
+      const doneBtn = createButton({
+        x: bodySection.x,
+        y: doneEl.y,
+        w: bodySection.w,
+        h: Math.round(metrics.height * TOKENS.sizing.buttonHeightLarge),
+        variant: 'primary',
+        text: gettext('setup.names.done'),
+        onClick: () => this.handleCloseNames()
+      })
+      this.createWidget(doneBtn.widgetType, doneBtn.config)
+    }
+  },
+
+  /**
+   * One toggle per row: the team given the head start, then its points,
+   * games and sets. Sets only apply to matches of more than one set.
+   */
+  renderHandicapEditor(layout, metrics) {
+    const bodySection = layout.sections.body
+    const gap = Math.round(metrics.width * 0.022)
+    const rowHeight = Math.round(
+      metrics.height * TOKENS.sizing.buttonHeightCompact
+    )
+
+    HANDICAP_ROWS.forEach((row, rowIndex) => {
+      const rowBtn = createButton({
+        x: bodySection.x,
+        y: bodySection.y + (rowHeight + gap) * rowIndex,
+        w: bodySection.w,
+        h: rowHeight,
+        variant: 'secondary',
+        text: this.getHandicapRowLabel(row),
+        disabled: row === 'sets' && this.getHandicapSetsLimit() === 0,
+        onClick: () => this.handleToggleHandicapRow(row)
+      })
+      this.createWidget(rowBtn.widgetType, rowBtn.config)
+    })
+
+    const doneEl = layout.elements.startButton
+    if (doneEl) {
+      const doneBtn = createButton({
+        x: bodySection.x,
+        y: doneEl.y,
+        w: bodySection.w,
+        h: Math.round(metrics.height * TOKENS.sizing.buttonHeightLarge),
+        variant: 'primary',
+        text: gettext('setup.names.done'),
+        onClick: () => this.handleCloseHandicap()
+      })
+      this.createWidget(doneBtn.widgetType, doneBtn.config)
+    }
+  },
+
+  /**
+   * Recent names on top, a letter grid below and OK to keep the name. The
+   * draft itself is shown as the page title.
+   */
+  renderNameKeyboard(layout, metrics) {
+    const bodySection = layout.sections.body
+    const gap = Math.round(metrics.width * 0.015)
+    const recentHeight = Math.round(
+      metrics.height * TOKENS.sizing.buttonHeightCompact
+    )
+    const keyWidth = Math.floor(
+      (bodySection.w - gap * (NAME_KEYBOARD_COLUMNS - 1)) /
+        NAME_KEYBOARD_COLUMNS
+    )
+    const keyHeight = Math.round(metrics.height * 0.075)
+    const keysTop = bodySection.y + recentHeight + gap
+    const slot = this.editingNameSlot
+    const hasRecentNames = this.getSuggestedNames(slot).length > 0
+    const isRosterSlot = slot.field !== 'label' && this.roster.length > 0
+
+    const recentBtn = createButton({
+      x: bodySection.x,
+      y: bodySection.y,
+      w: bodySection.w,
+      h: recentHeight,
+      variant: 'secondary',
+      text: gettext(isRosterSlot ? 'setup.names.roster' : 'setup.names.recent'),
+      disabled: !hasRecentNames,
+      onClick: () => this.handleNextRecentName()
+    })
+    this.createWidget(recentBtn.widgetType, recentBtn.config)
+
+    NAME_KEYBOARD_KEYS.forEach((key, index) => {
+      const column = index % NAME_KEYBOARD_COLUMNS
+      const row = Math.floor(index / NAME_KEYBOARD_COLUMNS)
+      const keyBtn = createButton({
+        x: bodySection.x + (keyWidth + gap) * column,
+        y: keysTop + (keyHeight + gap) * row,
+        w: keyWidth,
+        h: keyHeight,
+        variant: 'secondary',
+        text: key,
+        onClick: () => this.handleNameKey(key)
+      })
+      this.createWidget(keyBtn.widgetType, keyBtn.config)
+    })
+
+    const okEl = layout.elements.startButton
+    if (okEl) {
+      const okBtn = createButton({
+        x: bodySection.x,
+        y: okEl.y,
+        w: bodySection.w,
+        h: Math.round(metrics.height * TOKENS.sizing.buttonHeightLarge),
+        variant: 'primary',
+        text: gettext('setup.names.ok'),
+        onClick: () => this.handleConfirmName()
+      })
+      this.createWidget(okBtn.widgetType, okBtn.config)
+    }
+  },
+
+  renderGoBackButton(layout) {
     const goBackEl = layout.elements.goBackButton
     const goBackMeta = SETUP_LAYOUT.elements.goBackButton._meta
     if (goBackEl) {
@@ -462,7 +1361,7 @@ Page({
         y: goBackEl.y,
         variant: 'icon',
         normal_src: goBackMeta.icon,
-        onClick: () => this.navigateBack()
+        onClick: () => this.handleGoBack()
       })
       this.createWidget(goBackBtn.widgetType, goBackBtn.config)
     }
@@ -0,0 +1,350 @@
+import { gettext } from 'i18n'
+import { getFontSize, TOKENS, toPercentage } from '../utils/design-tokens.js'
+import { computeHistoryStatistics } from '../utils/history-stats.js'
+import { resolveLayout } from '../utils/layout-engine.js'
+import { createScorePageLayout } from '../utils/layout-presets.js'
+import { formatMatchDuration } from '../utils/match-clock.js'
+import { loadMatchHistory } from '../utils/match-history-storage.js'
+import { router } from '../utils/platform-adapters.js'
+import { clamp, getScreenMetrics } from '../utils/screen-utils.js'
+import {
+  createBackground,
+  createButton,
+  createText
+} from '../utils/ui-components.js'
+
+/**
+ * Layout schema for the stats screen.
+ * Uses declarative positioning resolved by layout-engine.
+ * The win rate headlines the score area, like the score on the game screen.
+ */
+const STATS_LAYOUT = {
+  sections: createScorePageLayout({
+    headerTop: toPercentage(TOKENS.spacing.pageTop),
+    headerHeight: '10%',
+    scoreAreaGap: toPercentage(TOKENS.spacing.sectionGap),
+    footerBottom: toPercentage(TOKENS.spacing.pageBottom),
+    footerHeight: '10%'
+  }).sections,
+  elements: {
+    // Title text ("Stats")
+    pageTitle: {
+      section: 'header',
+      x: 'center',
+      y: '30%',
+      width: '100%',
+      height: '50%',
+      align: 'center',
+      _meta: {
+        type: 'text',
+        style: 'pageTitle',
+        textKey: 'stats.title'
+      }
+    },
+    // Win rate (e.g., "67%")
+    winRateValue: {
+      section: 'scoreArea',
+      x: 0,
+      y: 0,
+      width: '100%',
+      height: '20%',
+      align: 'center',
+      _meta: {
+        type: 'text',
+        style: 'score',
+        color: 'accent',
+        textKey: 'winRateText' // Dynamic
+      }
+    },
+    // Matches played and win-loss caption
+    playedText: {
+      section: 'scoreArea',
+      x: 0,
+      y: '20%',
+      width: '100%',
+      height: '10%',
+      align: 'center',
+      _meta: {
+        type: 'text',
+        style: 'caption',
+        color: 'mutedText',
+        textKey: 'playedText' // Dynamic
+      }
+    },
+    // Go back button (centered in footer)
+    goBackButton: {
+      section: 'footer',
+      x: 'center',
+      y: 'center',
+      width: TOKENS.sizing.iconLarge,
+      height: TOKENS.sizing.iconLarge,
+      align: 'center',
+      _meta: {
+        type: 'iconButton',
+        icon: 'goback-icon.png',
+        onClick: 'goBack'
+      }
+    }
+  }
+}
+
+Page({
+  onInit() {
+    this.widgets = []
+
+    // Load history data during init (v1.0 compatible)
+    try {
+      this.statistics = computeHistoryStatistics(loadMatchHistory())
+    } catch {
+      this.statistics = computeHistoryStatistics([])
+    }
+  },
+
+  build() {
+    this.renderStatsScreen()
+  },
+
+  onDestroy() {
+    this.clearWidgets()
+  },
+
+  clearWidgets() {
+    if (typeof hmUI === 'undefined') {
+      this.widgets = []
+      return
+    }
+
+    this.widgets.forEach((widget) => hmUI.deleteWidget(widget))
+    this.widgets = []
+  },
+
+  createWidget(widgetType, properties) {
+    if (typeof hmUI === 'undefined') {
+      return null
+    }
+
+    const widget = hmUI.createWidget(widgetType, properties)
+    this.widgets.push(widget)
+    return widget
+  },
+
+  goBack() {
+    router.navigateBack()
+  },
+
+  /**
+   * Creates a view model from the aggregated statistics for rendering. List
+   * items are stat rows (type 2), with a heading (type 1) before the
+   * per-month rows.
+   */
+  createStatsViewModel() {
+    const statistics = this.statistics
+
+    if (statistics.played === 0) {
+      return {
+        winRateText: '',
+        playedText: gettext('stats.empty'),
+        listItems: []
+      }
+    }
+
+    const createRow = (labelKey, value) => ({
+      type_id: 2,
+      name: gettext(labelKey),
+      value
+    })
+    const pad = (value) => (value < 10 ? `0${value}` : String(value))
+    const listItems = [
+      createRow('stats.sets', `${statistics.setsWon}-${statistics.setsLost}`),
+      createRow(
+        'stats.games',
+        `${statistics.gamesWon}-${statistics.gamesLost}`
+      ),
+      createRow(
+        'stats.tieBreaks',
+        `${statistics.tieBreaksWon}-${statistics.tieBreaksLost}`
+      ),
+      createRow(
+        'stats.averageDuration',
+        formatMatchDuration(statistics.averageDurationMs)
+      ),
+      createRow('stats.currentStreak', String(statistics.currentWinStreak)),
+      createRow('stats.longestStreak', String(statistics.longestWinStreak)),
+      { type_id: 1, line: gettext('stats.byMonth') },
+      ...statistics.months.map((month) => ({
+        type_id: 2,
+        name: `${pad(month.month)}/${month.year} (${month.played})`,
+        value: `${month.won}-${month.lost}`
+      }))
+    ]
+
+    return {
+      winRateText: `${statistics.winRate}%`,
+      playedText: `${gettext('stats.played')}: ${statistics.played} · ${statistics.won}-${statistics.lost}`,
+      listItems
+    }
+  },
+
+  /**
+   * Groups consecutive list items of the same type into SCROLL_LIST ranges.
+   */
+  createDataTypeConfig(listItems) {
+    const dataTypeConfig = []
+
+    listItems.forEach((item, index) => {
+      const lastRange = dataTypeConfig[dataTypeConfig.length - 1]
+
+      if (lastRange?.type_id === item.type_id) {
+        lastRange.end = index
+      } else {
+        dataTypeConfig.push({ start: index, end: index, type_id: item.type_id })
+      }
+    })
+
+    return dataTypeConfig
+  },
+
+  renderStatsScreen() {
+    if (typeof hmUI === 'undefined') {
+      return
+    }
+
+    const metrics = getScreenMetrics()
+    const layout = resolveLayout(STATS_LAYOUT, metrics)
+    const viewModel = this.createStatsViewModel()
+    const elements = STATS_LAYOUT.elements
+
+    this.clearWidgets()
+
+    // ── Background ────────────────────────────────────────────────────────
+    const bg = createBackground()
+    this.createWidget(bg.widgetType, bg.config)
+
+    // ── Header Section ─────────────────────────────────────────────────────
+    const headerSection = layout.sections.header
+    const titleMeta = elements.pageTitle._meta
+    const titleConfig = createText({
+      text: gettext(titleMeta.textKey),
+      style: titleMeta.style,
+      x: headerSection.x,
+      y: headerSection.y,
+      w: headerSection.w,
+      h: headerSection.h
+    })
+    this.createWidget(titleConfig.widgetType, titleConfig.config)
+
+    // ── Score Area (Win rate, Played, Stat rows) ───────────────────────────
+    const winRateEl = layout.elements.winRateValue
+    const winRateMeta = elements.winRateValue._meta
+    const winRateConfig = createText({
+      text: viewModel.winRateText,
+      style: winRateMeta.style,
+      x: winRateEl.x,
+      y: winRateEl.y,
+      w: winRateEl.w,
+      h: winRateEl.h,
+      color: TOKENS.colors[winRateMeta.color]
+    })
+    this.createWidget(winRateConfig.widgetType, winRateConfig.config)
+
+    const playedEl = layout.elements.playedText
+    const playedMeta = elements.playedText._meta
+    const playedConfig = createText({
+      text: viewModel.playedText,
+      style: playedMeta.style,
+      x: playedEl.x,
+      y: playedEl.y,
+      w: playedEl.w,
+      h: playedEl.h,
+      color: TOKENS.colors[playedMeta.color]
+    })
+    this.createWidget(playedConfig.widgetType, playedConfig.config)
+
+    if (viewModel.listItems.length > 0) {
+      const scoreArea = layout.sections.scoreArea
+      const listY =
+        playedEl.y + playedEl.h + Math.round(TOKENS.spacing.sectionGap * 5)
+      const rowHeight = clamp(
+        Math.round(metrics.width * TOKENS.typography.body * 2.2),
+        28,
+        56
+      )
+      const valueColumnWidth = Math.round(scoreArea.w * 0.3)
+      const dataTypeConfig = this.createDataTypeConfig(viewModel.listItems)
+
+      this.createWidget(hmUI.widget.SCROLL_LIST, {
+        x: scoreArea.x,
+        y: listY,
+        w: scoreArea.w,
+        h: Math.min(rowHeight * 4, scoreArea.y + scoreArea.h - listY),
+        item_space: 0,
+        item_config: [
+          {
+            type_id: 1,
+            item_height: rowHeight,
+            item_bg_color: TOKENS.colors.cardBackground,
+            item_bg_radius: 0,
+            text_view: [
+              {
+                x: 0,
+                y: 0,
+                w: scoreArea.w,
+                h: rowHeight,
+                key: 'line',
+                color: TOKENS.colors.mutedText,
+                text_size: getFontSize('caption')
+              }
+            ],
+            text_view_count: 1
+          },
+          {
+            type_id: 2,
+            item_height: rowHeight,
+            item_bg_color: TOKENS.colors.cardBackground,
+            item_bg_radius: 0,
+            text_view: [
+              {
+                x: 0,
+                y: 0,
+                w: scoreArea.w - valueColumnWidth,
+                h: rowHeight,
+                key: 'name',
+                color: TOKENS.colors.text,
+                text_size: getFontSize('body')
+              },
+              {
+                x: scoreArea.w - valueColumnWidth,
+                y: 0,
+                w: valueColumnWidth,
+                h: rowHeight,
+                key: 'value',
+                color: TOKENS.colors.accent,
+                text_size: getFontSize('body')
+              }
+            ],
+            text_view_count: 2
+          }
+        ],
+        item_config_count: 2,
+        data_array: viewModel.listItems,
+        data_count: viewModel.listItems.length,
+        data_type_config: dataTypeConfig,
+        data_type_config_count: dataTypeConfig.length
+      })
+    }
+
+    // ── Footer Section ─────────────────────────────────────────────────────
+    const goBackEl = layout.elements.goBackButton
+    const goBackMeta = elements.goBackButton._meta
+    if (goBackEl) {
+      const goBackBtn = createButton({
+        x: goBackEl.x,
+        y: goBackEl.y,
+        variant: 'icon',
+        normal_src: goBackMeta.icon,
+        onClick: () => this.goBack()
+      })
+      this.createWidget(goBackBtn.widgetType, goBackBtn.config)
+    }
+  }
+})
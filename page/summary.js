@@ -3,14 +3,25 @@ import { getFontSize, TOKENS, toPercentage } from '../utils/design-tokens.js'
 import { loadHapticFeedbackEnabled } from '../utils/haptic-feedback-settings.js'
 import { resolveLayout } from '../utils/layout-engine.js'
 import { createStandardPageLayout } from '../utils/layout-presets.js'
+import { formatMatchDuration, getMatchElapsedMs } from '../utils/match-clock.js'
 import {
   loadMatchHistory,
   saveMatchToHistory
 } from '../utils/match-history-storage.js'
-import { MATCH_STATUS as PERSISTED_MATCH_STATUS } from '../utils/match-state-schema.js'
+import {
+  FINISH_REASON,
+  MATCH_STATUS as PERSISTED_MATCH_STATUS,
+  SCORING_MODE
+} from '../utils/match-state-schema.js'
+import {
+  computeMatchStatistics,
+  createMatchStatisticsRows
+} from '../utils/match-statistics.js'
 import { getActiveSession } from '../utils/match-storage.js'
+import { requestHistorySync } from '../utils/phone-sync.js'
 import { gesture, haptics, router } from '../utils/platform-adapters.js'
 import { clamp, getScreenMetrics } from '../utils/screen-utils.js'
+import { isDefaultTeamLabel } from '../utils/team-names.js'
 import {
   createBackground,
   createButton,
@@ -18,8 +29,11 @@ import {
 } from '../utils/ui-components.js'
 import {
   cloneMatchState,
+  formatSetScore,
   isRecord,
   normalizeSetHistory,
+  resolveHandicap,
+  resolveWinnerTeam,
   toNonNegativeInteger
 } from '../utils/validation.js'
 
@@ -28,7 +42,8 @@ import {
  *
  * Structure:
  * - header: Title only ("Match Summary")
- * - body: Winner text, score label, score value, set history with SCROLL_LIST
+ * - body: Winner text, score value, scoring rule, set history and match
+ *   statistics in one SCROLL_LIST
  * - footer: Home button
  */
 const SUMMARY_LAYOUT = {
@@ -90,9 +105,24 @@ const SUMMARY_LAYOUT = {
         textKey: 'finalSetsScore' // Dynamic: viewModel.finalSetsScore
       }
     },
+    // Scoring rule caption (e.g., "Golden Point")
+    scoringModeText: {
+      section: 'body',
+      x: 0,
+      y: '37%',
+      width: '100%',
+      height: '10%',
+      align: 'center',
+      _meta: {
+        type: 'text',
+        style: 'caption',
+        color: 'mutedText',
+        textKey: 'scoringModeText' // Dynamic: viewModel.scoringModeText
+      }
+    },
     // Note: SCROLL_LIST is created programmatically within the body section
     // Its bounds are derived from: historyBodyY and historyBodyHeight
-    // (starts at 47% of body section height)
+    // (starts below the scoring rule caption)
 
     // ── Footer Section Elements ──────────────────────────────────────────
     homeButton: {
@@ -129,30 +159,128 @@ function isFinishedMatchState(matchState) {
   )
 }
 
+function getScoringModeLabel(scoringMode) {
+  if (scoringMode === SCORING_MODE.GOLDEN_POINT) {
+    return gettext('match.scoringMode.goldenPoint')
+  }
+
+  if (scoringMode === SCORING_MODE.STAR_POINT) {
+    return gettext('match.scoringMode.starPoint')
+  }
+
+  return gettext('match.scoringMode.advantage')
+}
+
+/**
+ * One list item per statistics row: team values on the sides, label between.
+ */
+function createStatisticsItems(statistics) {
+  if (!statistics) {
+    return []
+  }
+
+  return createMatchStatisticsRows(statistics).map((row) => ({
+    teamA: row.teamA,
+    label:
+      row.value === undefined
+        ? gettext(row.labelKey)
+        : `${gettext(row.labelKey)}: ${row.value}`,
+    teamB: row.teamB
+  }))
+}
+
+/**
+ * The head start one team was given, e.g. "Handicap B: +15, Games +2".
+ */
+function getHandicapLine(settings) {
+  const handicap = resolveHandicap(settings)
+
+  if (!handicap) {
+    return null
+  }
+
+  const parts = [
+    handicap.points > 0 ? `+${handicap.points * 15}` : '',
+    handicap.games > 0
+      ? `${gettext('setup.handicap.games')} +${handicap.games}`
+      : '',
+    handicap.sets > 0
+      ? `${gettext('setup.handicap.sets')} +${handicap.sets}`
+      : ''
+  ].filter((part) => part.length > 0)
+  const teamLabel = handicap.team === 'teamA' ? 'A' : 'B'
+
+  return `${gettext('summary.handicap')} ${teamLabel}: ${parts.join(', ')}`
+}
+
+/**
+ * Named teams are announced by name; default teams keep the translated text.
+ */
+function getWinnerText(matchState, winnerTeam) {
+  const label = matchState?.teams?.[winnerTeam]?.label
+
+  if (typeof label === 'string' && !isDefaultTeamLabel(label)) {
+    return `${gettext('summary.winner')}: ${label}`
+  }
+
+  return winnerTeam === 'teamA'
+    ? gettext('summary.teamAWins')
+    : gettext('summary.teamBWins')
+}
+
 function createSummaryViewModel(matchState) {
   const setsWon = normalizeSetsWon(matchState?.setsWon)
   const normalizedSetHistory = normalizeSetHistory(matchState?.setHistory)
   const hasFinishedMatch = isFinishedMatchState(matchState)
-  const isTiedMatch = setsWon.teamA === setsWon.teamB
+  const isFinishedOnTime = matchState?.finishReason === FINISH_REASON.TIME
+  // A match closed on time can be won on games with the sets level.
+  const timeWinnerTeam = isFinishedOnTime ? resolveWinnerTeam(matchState) : null
+  const isTiedMatch = setsWon.teamA === setsWon.teamB && !timeWinnerTeam
   const winnerText = hasFinishedMatch
     ? isTiedMatch
       ? gettext('summary.tiedGame')
-      : setsWon.teamA > setsWon.teamB
-        ? gettext('summary.teamAWins')
-        : gettext('summary.teamBWins')
+      : timeWinnerTeam
+        ? getWinnerText(matchState, timeWinnerTeam)
+        : setsWon.teamA > setsWon.teamB
+          ? getWinnerText(matchState, 'teamA')
+          : getWinnerText(matchState, 'teamB')
     : gettext('summary.matchUnavailable')
 
   const historyLines =
     normalizedSetHistory.length > 0
       ? normalizedSetHistory.map(
-          (setEntry) =>
-            `Set ${setEntry.setNumber}: ${setEntry.teamAGames}-${setEntry.teamBGames}`
+          (setEntry) => `Set ${setEntry.setNumber}: ${formatSetScore(setEntry)}`
         )
       : [gettext('summary.noSetHistory')]
 
+  if (hasFinishedMatch && isFinishedOnTime) {
+    historyLines.push(gettext('summary.finishedOnTime'))
+  }
+
+  const handicapLine = getHandicapLine(matchState?.settings)
+
+  if (handicapLine) {
+    historyLines.push(handicapLine)
+  }
+
+  const durationMs = hasFinishedMatch
+    ? getMatchElapsedMs(matchState.timing)
+    : null
+
+  // Sessions saved without a real start time have no play time to show.
+  if (durationMs > 0) {
+    historyLines.push(
+      `${gettext('summary.duration')}: ${formatMatchDuration(durationMs)}`
+    )
+  }
+
   return {
     finalSetsScore: `${setsWon.teamA}-${setsWon.teamB}`,
     historyLines,
+    scoringModeText: getScoringModeLabel(matchState?.settings?.scoringMode),
+    statisticsItems: createStatisticsItems(
+      hasFinishedMatch ? computeMatchStatistics(matchState) : null
+    ),
     winnerText
   }
 }
@@ -291,8 +419,8 @@ Page({
             entry.teamBLabel === teamBLabel
         )
 
-        if (!isDuplicate) {
-          saveMatchToHistory(this.finishedMatchState)
+        if (!isDuplicate && saveMatchToHistory(this.finishedMatchState)) {
+          requestHistorySync()
         }
       } catch {
         // Best-effort: don't block summary display if history save fails
@@ -400,18 +528,45 @@ Page({
     })
     this.createWidget(scoreValueConfig.widgetType, scoreValueConfig.config)
 
+    // Scoring rule caption (dynamic)
+    const scoringModeMeta = elements.scoringModeText._meta
+    const scoringModeHeight = Math.round(bodySection.h * 0.1)
+    const scoringModeY = scoreValueY + scoreValueHeight
+    const scoringModeConfig = createText({
+      text: viewModel.scoringModeText,
+      style: scoringModeMeta.style,
+      x: bodySection.x,
+      y: scoringModeY,
+      w: bodySection.w,
+      h: scoringModeHeight,
+      color: TOKENS.colors[scoringModeMeta.color]
+    })
+    this.createWidget(scoringModeConfig.widgetType, scoringModeConfig.config)
+
     // SCROLL_LIST for set history
-    // Calculate bounds within the body section (below history title)
+    // Calculate bounds within the body section (below scoring rule caption)
     const historyBodyY =
-      scoreValueY + scoreValueHeight + Math.round(TOKENS.spacing.sectionGap * 5)
+      scoringModeY +
+      scoringModeHeight +
+      Math.round(TOKENS.spacing.sectionGap * 5)
     const historyRowHeight = clamp(
       Math.round(metrics.width * TOKENS.typography.body * 2.2),
       28,
       56
     )
 
-    // Build data array for SCROLL_LIST
-    const scrollDataArray = viewModel.historyLines.map((line) => ({ line }))
+    // Build data array for SCROLL_LIST: set history, then a statistics
+    // heading and one row per statistic when the match has a point log
+    const historyItems = viewModel.historyLines.map((line) => ({ line }))
+    const hasStatistics = viewModel.statisticsItems.length > 0
+    const scrollDataArray = hasStatistics
+      ? [
+          ...historyItems,
+          { line: gettext('stats.title') },
+          ...viewModel.statisticsItems
+        ]
+      : historyItems
+    const statisticsColumnWidth = Math.round(bodySection.w * 0.25)
 
     // Create SCROLL_LIST widget
     this.createWidget(hmUI.widget.SCROLL_LIST, {
@@ -438,11 +593,58 @@ Page({
             }
           ],
           text_view_count: 1
+        },
+        {
+          type_id: 2,
+          item_height: historyRowHeight,
+          item_bg_color: TOKENS.colors.cardBackground,
+          item_bg_radius: 0,
+          text_view: [
+            {
+              x: 0,
+              y: 0,
+              w: statisticsColumnWidth,
+              h: historyRowHeight,
+              key: 'teamA',
+              color: TOKENS.colors.accent,
+              text_size: getFontSize('body')
+            },
+            {
+              x: statisticsColumnWidth,
+              y: 0,
+              w: bodySection.w - statisticsColumnWidth * 2,
+              h: historyRowHeight,
+              key: 'label',
+              color: TOKENS.colors.mutedText,
+              text_size: getFontSize('caption')
+            },
+            {
+              x: bodySection.w - statisticsColumnWidth,
+              y: 0,
+              w: statisticsColumnWidth,
+              h: historyRowHeight,
+              key: 'teamB',
+              color: TOKENS.colors.accent,
+              text_size: getFontSize('body')
+            }
+          ],
+          text_view_count: 3
         }
       ],
-      item_config_count: 1,
+      item_config_count: 2,
       data_array: scrollDataArray,
-      data_count: scrollDataArray.length
+      data_count: scrollDataArray.length,
+      data_type_config: hasStatistics
+        ? [
+            { start: 0, end: historyItems.length, type_id: 1 },
+            {
+              start: historyItems.length + 1,
+              end: scrollDataArray.length - 1,
+              type_id: 2
+            }
+          ]
+        : [{ start: 0, end: historyItems.length - 1, type_id: 1 }],
+      data_type_config_count: hasStatistics ? 2 : 1
     })
   },
 
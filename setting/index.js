@@ -0,0 +1,146 @@
+import { gettext } from 'i18n'
+
+import {
+  MATCH_GAMES_PER_SET_OPTIONS,
+  MATCH_SCORING_MODE_OPTIONS,
+  MATCH_SET_OPTIONS,
+  SCORING_MODE
+} from '../utils/constants.js'
+import {
+  FINAL_SET_OPTIONS,
+  getFinalSetOption,
+  readPhoneSettings,
+  updatePhoneSettings
+} from './phone-settings.js'
+
+const SCORING_MODE_LABEL_KEYS = Object.freeze({
+  [SCORING_MODE.ADVANTAGE]: 'scoringMode.advantage',
+  [SCORING_MODE.GOLDEN_POINT]: 'scoringMode.goldenPoint',
+  [SCORING_MODE.STAR_POINT]: 'scoringMode.starPoint'
+})
+
+AppSettingsPage({
+  build(props) {
+    const storage = props.settingsStorage
+    const settings = readPhoneSettings(storage)
+    const { matchDefaults } = settings
+    const updateMatchDefaults = (changes) =>
+      updatePhoneSettings(storage, (current) => ({
+        ...current,
+        matchDefaults: { ...current.matchDefaults, ...changes }
+      }))
+    const updateRoster = (update) =>
+      updatePhoneSettings(storage, (current) => ({
+        ...current,
+        roster: update(current.roster)
+      }))
+
+    return View({ style: { padding: '12px 20px' } }, [
+      Section({ title: gettext('section.matchDefaults') }, [
+        Select({
+          label: gettext('setsToPlay'),
+          options: [
+            { name: gettext('setsToPlay.ask'), value: 'ask' },
+            ...MATCH_SET_OPTIONS.map((setsToPlay) => ({
+              name: `${setsToPlay}`,
+              value: `${setsToPlay}`
+            }))
+          ],
+          value:
+            matchDefaults.setsToPlay === null
+              ? 'ask'
+              : `${matchDefaults.setsToPlay}`,
+          onChange: (value) =>
+            updateMatchDefaults({
+              setsToPlay: value === 'ask' ? null : Number(value)
+            })
+        }),
+        Select({
+          label: gettext('scoringMode'),
+          options: MATCH_SCORING_MODE_OPTIONS.map((scoringMode) => ({
+            name: gettext(SCORING_MODE_LABEL_KEYS[scoringMode]),
+            value: scoringMode
+          })),
+          value: matchDefaults.scoringMode,
+          onChange: (scoringMode) => updateMatchDefaults({ scoringMode })
+        }),
+        Select({
+          label: gettext('gamesPerSet'),
+          options: MATCH_GAMES_PER_SET_OPTIONS.map((gamesPerSet) => ({
+            name: `${gamesPerSet}`,
+            value: `${gamesPerSet}`
+          })),
+          value: `${matchDefaults.gamesPerSet}`,
+          onChange: (value) =>
+            updateMatchDefaults({ gamesPerSet: Number(value) })
+        }),
+        Select({
+          label: gettext('finalSet'),
+          options: Object.keys(FINAL_SET_OPTIONS).map((option) => ({
+            name: gettext(`finalSet.${option}`),
+            value: option
+          })),
+          value: getFinalSetOption(matchDefaults),
+          onChange: (option) => updateMatchDefaults(FINAL_SET_OPTIONS[option])
+        })
+      ]),
+      Section({ title: gettext('section.players') }, [
+        ...settings.roster.map((player, index) =>
+          View({ style: { display: 'flex', alignItems: 'center' } }, [
+            TextInput({
+              label: gettext('players.name'),
+              value: player.name,
+              onChange: (name) =>
+                updateRoster((roster) =>
+                  roster.map((entry, entryIndex) =>
+                    entryIndex === index ? { ...entry, name } : entry
+                  )
+                )
+            }),
+            Button({
+              label: gettext('players.remove'),
+              onClick: () =>
+                updateRoster((roster) =>
+                  roster.filter((_entry, entryIndex) => entryIndex !== index)
+                )
+            })
+          ])
+        ),
+        TextInput({
+          label: gettext('players.add'),
+          placeholder: gettext('players.name'),
+          value: '',
+          onChange: (name) => {
+            if (name.trim().length > 0) {
+              updateRoster((roster) => [...roster, { id: '', name }])
+            }
+          }
+        })
+      ]),
+      Section({ title: gettext('section.haptics') }, [
+        Toggle({
+          label: gettext('hapticFeedback'),
+          value: settings.hapticFeedback,
+          onChange: (hapticFeedback) =>
+            updatePhoneSettings(storage, (current) => ({
+              ...current,
+              hapticFeedback
+            }))
+        }),
+        Toggle({
+          label: gettext('changeEndsAlert'),
+          value: settings.changeEndsAlert,
+          onChange: (changeEndsAlert) =>
+            updatePhoneSettings(storage, (current) => ({
+              ...current,
+              changeEndsAlert
+            }))
+        })
+      ]),
+      Text(
+        { paragraph: true, style: { fontSize: '12px', color: '#888' } },
+        gettext('syncNote')
+      )
+    ])
+  }
+})
@@ -0,0 +1,77 @@
+import {
+  DEFAULT_GAMES_PER_SET,
+  DEFAULT_SCORING_MODE
+} from '../utils/constants.js'
+import { PHONE_SETTINGS_STORAGE_KEY } from '../utils/sync-protocol.js'
+import { isRecord } from '../utils/validation.js'
+
+/**
+ * Final set options of the settings app, mapped to the match defaults flags.
+ */
+export const FINAL_SET_OPTIONS = Object.freeze({
+  fullSet: Object.freeze({ superTieBreak: false, finalSetTieBreak: true }),
+  noTieBreak: Object.freeze({ superTieBreak: false, finalSetTieBreak: false }),
+  superTieBreak: Object.freeze({ superTieBreak: true, finalSetTieBreak: true })
+})
+
+/**
+ * Reads the settings the watch last shared, with the built-in defaults for
+ * anything the watch has not shared yet.
+ *
+ * @param {import('../app-side/history-archive.js').ArchiveStorage} storage
+ * @returns {import('../utils/sync-protocol.js').WatchSettings}
+ */
+export function readPhoneSettings(storage) {
+  let stored = null
+
+  try {
+    stored = JSON.parse(storage.getItem(PHONE_SETTINGS_STORAGE_KEY) || 'null')
+  } catch {
+    stored = null
+  }
+
+  const settings = isRecord(stored) ? stored : {}
+
+  return {
+    matchDefaults: {
+      setsToPlay: null,
+      scoringMode: DEFAULT_SCORING_MODE,
+      gamesPerSet: DEFAULT_GAMES_PER_SET,
+      superTieBreak: false,
+      finalSetTieBreak: true,
+      ...(isRecord(settings.matchDefaults) ? settings.matchDefaults : {})
+    },
+    hapticFeedback: settings.hapticFeedback !== false,
+    changeEndsAlert: settings.changeEndsAlert !== false,
+    roster: Array.isArray(settings.roster)
+      ? settings.roster.filter(
+          (player) => isRecord(player) && typeof player.name === 'string'
+        )
+      : []
+  }
+}
+
+/**
+ * Stores edited settings; the side service forwards them to the watch.
+ *
+ * @param {import('../app-side/history-archive.js').ArchiveStorage} storage
+ * @param {(settings: import('../utils/sync-protocol.js').WatchSettings) => import('../utils/sync-protocol.js').WatchSettings} update
+ * @returns {import('../utils/sync-protocol.js').WatchSettings}
+ */
+export function updatePhoneSettings(storage, update) {
+  const settings = update(readPhoneSettings(storage))
+  storage.setItem(PHONE_SETTINGS_STORAGE_KEY, JSON.stringify(settings))
+  return settings
+}
+
+/**
+ * @param {import('../utils/match-defaults.js').MatchDefaults} matchDefaults
+ * @returns {keyof typeof FINAL_SET_OPTIONS}
+ */
+export function getFinalSetOption(matchDefaults) {
+  if (matchDefaults.superTieBreak) {
+    return 'superTieBreak'
+  }
+
+  return matchDefaults.finalSetTieBreak ? 'fullSet' : 'noTieBreak'
+}
@@ -6,6 +6,7 @@ const DEFAULT_DEVICE_INFO = {
 }
 const DEFAULT_TOAST_DURATION = 2000
 const DEFAULT_VIBRATION_DURATION = 50
+const DEFAULT_INTERVAL_DURATION = 1000
 const STORAGE_CLONE_FAILURE = Symbol('storage-clone-failure')
 
 const state = createInitialState()
@@ -134,6 +135,10 @@ export const storage = {
     return clonedValue === STORAGE_CLONE_FAILURE ? null : clonedValue
   },
 
+  getPersistedItem(key) {
+    return storage.getItem(key)
+  },
+
   removeItem(key) {
     state.storage.delete(String(key))
     return true
@@ -162,6 +167,36 @@ export const haptics = {
   }
 }
 
+export const timer = {
+  startInterval(callback, intervalMs) {
+    if (typeof callback !== 'function') {
+      return null
+    }
+
+    const handle = {
+      callback,
+      intervalMs: normalizePositiveInteger(
+        intervalMs,
+        DEFAULT_INTERVAL_DURATION
+      )
+    }
+
+    state.intervals.push(handle)
+    return handle
+  },
+
+  stopInterval(handle) {
+    const index = state.intervals.indexOf(handle)
+
+    if (index === -1) {
+      return false
+    }
+
+    state.intervals.splice(index, 1)
+    return true
+  }
+}
+
 export function resetPlatformAdaptersMock() {
   state.routerHistory = []
   state.gestures = []
@@ -174,6 +209,7 @@ export function resetPlatformAdaptersMock() {
   state.keepAwake = false
   state.deviceInfo = { ...DEFAULT_DEVICE_INFO }
   state.hapticsCalls = []
+  state.intervals = []
 }
 
 export function getRouterHistory() {
@@ -214,6 +250,16 @@ export function triggerGesture(
   return handled
 }
 
+export function getActiveIntervals() {
+  return state.intervals.map((handle) => ({ intervalMs: handle.intervalMs }))
+}
+
+export function triggerIntervals() {
+  for (const handle of [...state.intervals]) {
+    handle.callback()
+  }
+}
+
 export function getToastState() {
   return { ...state.toast }
 }
@@ -275,7 +321,8 @@ function createInitialState() {
     storage: new Map(),
     keepAwake: false,
     deviceInfo: { ...DEFAULT_DEVICE_INFO },
-    hapticsCalls: []
+    hapticsCalls: [],
+    intervals: []
   }
 }
 
@@ -2,12 +2,17 @@ import assert from 'node:assert/strict'
 import test from 'node:test'
 
 import {
+  ACTIVE_SESSION_UNDO_HISTORY_LIMIT,
+  ACTIVE_SESSION_UNDO_HISTORY_STORAGE_KEY,
   clearActiveSession,
   getActiveSession,
+  loadActiveSessionUndoHistory,
   saveActiveSession,
+  saveActiveSessionUndoHistory,
   updateActiveSession,
   updateActiveSessionPartial
 } from '../utils/active-session-storage.js'
+import { createInitialMatchState } from '../utils/match-state.js'
 import {
   CURRENT_SCHEMA_VERSION,
   createDefaultMatchState,
@@ -22,6 +27,12 @@ import {
   withMockLocalStorage
 } from './helpers/local-storage-mock.js'
 
+function createUndoSnapshot(teamAPoints) {
+  const snapshot = createInitialMatchState()
+  snapshot.teamA.points = teamAPoints
+  return snapshot
+}
+
 test('saveActiveSession persists the canonical session in LocalStorage', () => {
   const { storage, has } = createLocalStorageMock()
   const session = createDefaultMatchState()
@@ -107,3 +118,90 @@ test('updateActiveSessionPartial applies partial updates and clearActiveSession
     assert.equal(getActiveSession(), null)
   })
 })
+
+test('undo history round-trips for the session it was saved with', () => {
+  const { storage, has } = createLocalStorageMock()
+  const session = createDefaultMatchState()
+  const snapshots = [createUndoSnapshot(0), createUndoSnapshot(15)]
+
+  withMockLocalStorage(storage, () => {
+    assert.equal(saveActiveSessionUndoHistory(snapshots, session), true)
+    assert.deepEqual(loadActiveSessionUndoHistory(session), snapshots)
+
+    const otherSession = structuredClone(session)
+    otherSession.timing.createdAt = '2000-01-01T00:00:00.000Z'
+
+    assert.deepEqual(loadActiveSessionUndoHistory(otherSession), [])
+    assert.deepEqual(loadActiveSessionUndoHistory(null), [])
+
+    assert.equal(saveActiveSessionUndoHistory([], session), true)
+    assert.equal(has(ACTIVE_SESSION_UNDO_HISTORY_STORAGE_KEY), false)
+  })
+})
+
+test('undo history keeps only the most recent snapshots', () => {
+  const { storage } = createLocalStorageMock()
+  const session = createDefaultMatchState()
+  const snapshots = Array.from(
+    { length: ACTIVE_SESSION_UNDO_HISTORY_LIMIT + 5 },
+    (_, index) => createUndoSnapshot(index)
+  )
+
+  withMockLocalStorage(storage, () => {
+    saveActiveSessionUndoHistory(snapshots, session)
+
+    const restoredSnapshots = loadActiveSessionUndoHistory(session)
+
+    assert.equal(restoredSnapshots.length, ACTIVE_SESSION_UNDO_HISTORY_LIMIT)
+    assert.deepEqual(
+      restoredSnapshots[restoredSnapshots.length - 1],
+      snapshots[snapshots.length - 1]
+    )
+  })
+})
+
+test('undo history is ignored when it does not match the session point log', () => {
+  const { storage } = createLocalStorageMock()
+  const score = {
+    setsWon: { teamA: 0, teamB: 0 },
+    games: { teamA: 0, teamB: 0 },
+    points: { teamA: 15, teamB: 0 }
+  }
+  const session = createDefaultMatchState()
+  session.pointLog = [
+    {
+      team: 'teamB',
+      timestamp: 1700000000500,
+      setNumber: 1,
+      gameNumber: 1,
+      before: score,
+      after: { ...score, points: { teamA: 15, teamB: 15 } }
+    }
+  ]
+
+  withMockLocalStorage(storage, () => {
+    saveActiveSessionUndoHistory(
+      [createUndoSnapshot(0), createUndoSnapshot(15)],
+      session
+    )
+    assert.equal(loadActiveSessionUndoHistory(session).length, 2)
+
+    saveActiveSessionUndoHistory([createUndoSnapshot(0)], session)
+    assert.deepEqual(loadActiveSessionUndoHistory(session), [])
+  })
+})
+
+test('clearActiveSession also removes the undo history', () => {
+  const { storage, has } = createLocalStorageMock()
+  const session = createDefaultMatchState()
+
+  withMockLocalStorage(storage, () => {
+    saveActiveSession(session)
+    saveActiveSessionUndoHistory([createUndoSnapshot(0)], session)
+    assert.equal(has(ACTIVE_SESSION_UNDO_HISTORY_STORAGE_KEY), true)
+
+    clearActiveSession()
+
+    assert.equal(has(ACTIVE_SESSION_UNDO_HISTORY_STORAGE_KEY), false)
+  })
+})
@@ -0,0 +1,230 @@
+import assert from 'node:assert/strict'
+import test from 'node:test'
+
+import {
+  AMERICANO_SESSION_STORAGE_KEY,
+  addAmericanoPoint,
+  advanceAmericanoSession,
+  clearAmericanoSession,
+  createAmericanoSession,
+  getAmericanoStandings,
+  getCurrentAmericanoRound,
+  hasActiveAmericanoSession,
+  isAmericanoRoundComplete,
+  loadAmericanoSession,
+  removeAmericanoPoint,
+  saveAmericanoSession
+} from '../utils/americano-session.js'
+import {
+  createLocalStorageMock,
+  withMockLocalStorage
+} from './helpers/local-storage-mock.js'
+
+const PLAYERS = ['Ana', 'Bea', 'Cris', 'Dani', 'Eva', 'Flor', 'Gala', 'Hugo']
+
+/**
+ * Plays every match of the current round, Team A winning each `teamAPoints`
+ * to the rest.
+ */
+function playRound(session, teamAPoints) {
+  let nextSession = session
+  const matches = getCurrentAmericanoRound(session).matches
+
+  matches.forEach((_match, matchIndex) => {
+    for (let point = 0; point < session.pointsPerRound; point += 1) {
+      nextSession = addAmericanoPoint(
+        nextSession,
+        matchIndex,
+        point < teamAPoints ? 'teamA' : 'teamB'
+      )
+    }
+  })
+
+  return nextSession
+}
+
+function getPartnerships(session) {
+  return session.rounds.flatMap((round) =>
+    round.matches.flatMap((match) =>
+      [match.teamA, match.teamB].map((team) =>
+        [...team].sort((left, right) => left - right).join('-')
+      )
+    )
+  )
+}
+
+test('createAmericanoSession needs 4 to 8 distinct named players', () => {
+  assert.equal(createAmericanoSession({ players: PLAYERS.slice(0, 3) }), null)
+  assert.equal(createAmericanoSession({ players: [...PLAYERS, 'Ines'] }), null)
+  assert.equal(
+    createAmericanoSession({ players: ['Ana', 'ana', 'Bea', 'Cris'] }),
+    null
+  )
+
+  const session = createAmericanoSession({
+    players: PLAYERS.slice(0, 5),
+    pointsPerRound: 99
+  })
+
+  assert.equal(session.format, 'americano')
+  assert.equal(session.pointsPerRound, 24)
+  assert.equal(session.roundsToPlay, 5)
+  assert.equal(session.rounds.length, 1)
+  assert.equal(getCurrentAmericanoRound(session).matches.length, 1)
+  assert.equal(getCurrentAmericanoRound(session).resting.length, 1)
+})
+
+test('americano rotates partners so everyone partners everyone once', () => {
+  for (const playerCount of [4, 5, 8]) {
+    let session = createAmericanoSession({
+      players: PLAYERS.slice(0, playerCount),
+      pointsPerRound: 16
+    })
+
+    while (session.status === 'active') {
+      session = advanceAmericanoSession(playRound(session, 9))
+    }
+
+    const partnerships = getPartnerships(session)
+
+    assert.equal(session.rounds.length, session.roundsToPlay)
+    assert.equal(new Set(partnerships).size, partnerships.length)
+    assert.equal(partnerships.length, (playerCount * (playerCount - 1)) / 2)
+  }
+})
+
+test('americano rounds are scored as points to N', () => {
+  const session = createAmericanoSession({
+    players: PLAYERS.slice(0, 4),
+    pointsPerRound: 16
+  })
+  let playedSession = session
+
+  for (let point = 0; point < 20; point += 1) {
+    playedSession = addAmericanoPoint(playedSession, 0, 'teamA')
+  }
+
+  assert.deepEqual(getCurrentAmericanoRound(session).matches[0].points, {
+    teamA: 0,
+    teamB: 0
+  })
+  assert.deepEqual(getCurrentAmericanoRound(playedSession).matches[0].points, {
+    teamA: 16,
+    teamB: 0
+  })
+  assert.equal(isAmericanoRoundComplete(playedSession), true)
+  assert.equal(advanceAmericanoSession(session), session)
+
+  const correctedSession = removeAmericanoPoint(playedSession, 0, 'teamA')
+
+  assert.equal(isAmericanoRoundComplete(correctedSession), false)
+  assert.equal(removeAmericanoPoint(session, 0, 'teamB'), session)
+})
+
+test('the leaderboard credits every player with their team points', () => {
+  let session = createAmericanoSession({
+    players: PLAYERS.slice(0, 4),
+    pointsPerRound: 16
+  })
+  const [teamA, teamB] = [
+    getCurrentAmericanoRound(session).matches[0].teamA,
+    getCurrentAmericanoRound(session).matches[0].teamB
+  ]
+
+  session = playRound(session, 10)
+
+  const standings = getAmericanoStandings(session)
+
+  assert.deepEqual(
+    standings.map((standing) => standing.player).slice(0, 2),
+    [...teamA].sort((left, right) => left - right)
+  )
+  assert.deepEqual(
+    standings.map((standing) => [standing.points, standing.won]),
+    [
+      [10, 1],
+      [10, 1],
+      [6, 0],
+      [6, 0]
+    ]
+  )
+  assert.equal(standings[3].played, 1)
+  assert.equal(teamB.includes(standings[3].player), true)
+})
+
+test('mexicano pairs first and fourth against second and third', () => {
+  let session = createAmericanoSession({
+    format: 'mexicano',
+    players: PLAYERS.slice(0, 4),
+    pointsPerRound: 16
+  })
+
+  assert.deepEqual(getCurrentAmericanoRound(session).matches[0].teamA, [0, 3])
+  assert.deepEqual(getCurrentAmericanoRound(session).matches[0].teamB, [1, 2])
+
+  session = advanceAmericanoSession(playRound(session, 4))
+
+  // Bea and Cris won 12-4, and lead Ana and Dani on wins.
+  assert.deepEqual(getCurrentAmericanoRound(session).matches[0].teamA, [1, 3])
+  assert.deepEqual(getCurrentAmericanoRound(session).matches[0].teamB, [2, 0])
+})
+
+test('mexicano rests the players who have rested least', () => {
+  let session = createAmericanoSession({
+    format: 'mexicano',
+    players: PLAYERS.slice(0, 6),
+    pointsPerRound: 16
+  })
+
+  assert.deepEqual(getCurrentAmericanoRound(session).resting, [4, 5])
+
+  session = advanceAmericanoSession(playRound(session, 8))
+
+  assert.equal(
+    getCurrentAmericanoRound(session).resting.some(
+      (player) => player === 4 || player === 5
+    ),
+    false
+  )
+})
+
+test('the session finishes after its last round', () => {
+  let session = createAmericanoSession({
+    players: PLAYERS.slice(0, 4),
+    pointsPerRound: 16
+  })
+
+  for (let round = 0; round < session.roundsToPlay; round += 1) {
+    session = advanceAmericanoSession(playRound(session, 8))
+  }
+
+  assert.equal(session.status, 'finished')
+  assert.equal(session.rounds.length, 3)
+  assert.equal(addAmericanoPoint(session, 0, 'teamA'), session)
+})
+
+test('americano sessions are stored and resumed like the active match', () => {
+  const { storage } = createLocalStorageMock()
+
+  withMockLocalStorage(storage, () => {
+    assert.equal(loadAmericanoSession(), null)
+    assert.equal(hasActiveAmericanoSession(), false)
+
+    const session = addAmericanoPoint(
+      createAmericanoSession({ players: PLAYERS.slice(0, 4) }),
+      0,
+      'teamB'
+    )
+
+    assert.equal(saveAmericanoSession(session), true)
+    assert.deepEqual(loadAmericanoSession(), session)
+    assert.equal(hasActiveAmericanoSession(), true)
+    assert.equal(saveAmericanoSession({ ...session, rounds: [] }), false)
+
+    storage.setItem(AMERICANO_SESSION_STORAGE_KEY, '{"format":"bowling"}')
+    assert.equal(loadAmericanoSession(), null)
+
+    clearAmericanoSession()
+    assert.equal(hasActiveAmericanoSession(), false)
+  })
+})
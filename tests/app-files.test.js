@@ -0,0 +1,34 @@
+import assert from 'node:assert/strict'
+import test from 'node:test'
+
+import {
+  decodeUtf8,
+  encodeUtf8,
+  readTextFile,
+  writeTextFile
+} from '../utils/app-files.js'
+import { createHmFsMock, withMockedHmFs } from './helpers/hmfs-mock.js'
+
+test('encodeUtf8 and decodeUtf8 match the standard UTF-8 encoding', () => {
+  const text = 'Ana, Begoña – 🎾'
+  const bytes = new TextEncoder().encode(text)
+
+  assert.deepEqual(encodeUtf8(text), bytes)
+  assert.equal(decodeUtf8(bytes), text)
+})
+
+test('writeTextFile replaces the file content and readTextFile reads it back', () => {
+  const { mock } = createHmFsMock({ 'notes.txt': 'old content' })
+
+  withMockedHmFs(mock, () => {
+    assert.equal(readTextFile('notes.txt'), 'old content')
+    assert.equal(writeTextFile('notes.txt', 'Begoña'), true)
+    assert.equal(readTextFile('notes.txt'), 'Begoña')
+    assert.equal(readTextFile('missing.txt'), null)
+  })
+})
+
+test('file helpers fail without hmFS', () => {
+  assert.equal(writeTextFile('notes.txt', 'text'), false)
+  assert.equal(readTextFile('notes.txt'), null)
+})
@@ -0,0 +1,59 @@
+import assert from 'node:assert/strict'
+import test from 'node:test'
+
+import { clearAllAppData } from '../utils/app-data-clear.js'
+import {
+  CHANGE_ENDS_ALERT_STORAGE_KEY,
+  clearChangeEndsAlertEnabled,
+  loadChangeEndsAlertEnabled,
+  saveChangeEndsAlertEnabled
+} from '../utils/change-ends-alert-settings.js'
+import {
+  createLocalStorageMock,
+  withMockLocalStorage
+} from './helpers/local-storage-mock.js'
+
+test('loadChangeEndsAlertEnabled defaults to true when key is missing', () => {
+  const { storage } = createLocalStorageMock()
+
+  withMockLocalStorage(storage, () => {
+    assert.equal(loadChangeEndsAlertEnabled(), true)
+  })
+})
+
+test('saveChangeEndsAlertEnabled persists boolean preferences', () => {
+  const { storage, has } = createLocalStorageMock()
+
+  withMockLocalStorage(storage, () => {
+    assert.equal(saveChangeEndsAlertEnabled(false), false)
+    assert.equal(has(CHANGE_ENDS_ALERT_STORAGE_KEY), true)
+    assert.equal(loadChangeEndsAlertEnabled(), false)
+
+    assert.equal(saveChangeEndsAlertEnabled(true), true)
+    assert.equal(loadChangeEndsAlertEnabled(), true)
+  })
+})
+
+test('clearChangeEndsAlertEnabled resets the preference to default', () => {
+  const { storage, has } = createLocalStorageMock()
+
+  withMockLocalStorage(storage, () => {
+    saveChangeEndsAlertEnabled(false)
+
+    assert.equal(clearChangeEndsAlertEnabled(), true)
+    assert.equal(has(CHANGE_ENDS_ALERT_STORAGE_KEY), false)
+    assert.equal(loadChangeEndsAlertEnabled(), true)
+  })
+})
+
+test('clearAllAppData clears the change ends alert preference', () => {
+  const { storage, has } = createLocalStorageMock()
+
+  withMockLocalStorage(storage, () => {
+    saveChangeEndsAlertEnabled(false)
+
+    assert.equal(clearAllAppData(), true)
+    assert.equal(has(CHANGE_ENDS_ALERT_STORAGE_KEY), false)
+    assert.equal(loadChangeEndsAlertEnabled(), true)
+  })
+})
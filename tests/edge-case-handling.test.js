@@ -79,6 +79,10 @@ let homePageImportCounter = 0
 
 async function loadHomePageDefinition() {
   const sourceUrl = toProjectFileUrl('page/index.js')
+  const activeSessionStorageUrl = toProjectFileUrl(
+    'utils/active-session-storage.js'
+  )
+  const americanoSessionUrl = toProjectFileUrl('utils/americano-session.js')
   const appFeedbackUrl = toProjectFileUrl('utils/app-feedback.js')
   const historyStackUrl = toProjectFileUrl('utils/history-stack.js')
   const matchStorageUrl = toProjectFileUrl('utils/match-storage.js')
@@ -87,6 +91,7 @@ async function loadHomePageDefinition() {
   const startNewMatchFlowUrl = toProjectFileUrl(
     'tests/helpers/home-start-new-match-flow-bridge.js'
   )
+  const teamNamesUrl = toProjectFileUrl('utils/team-names.js')
   const constantsUrl = toProjectFileUrl('utils/constants.js')
   const storageUrl = toProjectFileUrl('utils/storage.js')
   const validationUrl = toProjectFileUrl('utils/validation.js')
@@ -104,6 +109,14 @@ async function loadHomePageDefinition() {
       "import { gettext } from 'i18n'\n",
       'const gettext = (key) => key\n'
     )
+    .replace(
+      "from '../utils/active-session-storage.js'",
+      `from '${activeSessionStorageUrl.href}'`
+    )
+    .replace(
+      "from '../utils/americano-session.js'",
+      `from '${americanoSessionUrl.href}'`
+    )
     .replace("from '../utils/app-feedback.js'", `from '${appFeedbackUrl.href}'`)
     .replace(
       "from '../utils/history-stack.js'",
@@ -122,6 +135,7 @@ async function loadHomePageDefinition() {
       "from '../utils/start-new-match-flow.js'",
       `from '${startNewMatchFlowUrl.href}'`
     )
+    .replace("from '../utils/team-names.js'", `from '${teamNamesUrl.href}'`)
     .replace("from '../utils/constants.js'", `from '${constantsUrl.href}'`)
     .replace("from '../utils/storage.js'", `from '${storageUrl.href}'`)
     .replace("from '../utils/validation.js'", `from '${validationUrl.href}'`)
@@ -191,6 +205,7 @@ async function loadGamePageDefinition() {
   const constantsUrl = toProjectFileUrl('utils/constants.js')
   const historyStackUrl = toProjectFileUrl('utils/history-stack.js')
   const matchStateUrl = toProjectFileUrl('utils/match-state.js')
+  const matchClockUrl = toProjectFileUrl('utils/match-clock.js')
   const scoringConstantsUrl = toProjectFileUrl('utils/scoring-constants.js')
   const scoringEngineUrl = toProjectFileUrl('utils/scoring-engine.js')
   const storageUrl = toProjectFileUrl('utils/storage.js')
@@ -198,6 +213,9 @@ async function loadGamePageDefinition() {
   const matchStorageUrl = toProjectFileUrl('utils/match-storage.js')
   const matchStateSchemaUrl = toProjectFileUrl('utils/match-state-schema.js')
   const designTokensUrl = toProjectFileUrl('utils/design-tokens.js')
+  const changeEndsAlertSettingsUrl = toProjectFileUrl(
+    'utils/change-ends-alert-settings.js'
+  )
   const hapticFeedbackSettingsUrl = toProjectFileUrl(
     'utils/haptic-feedback-settings.js'
   )
@@ -227,6 +245,7 @@ async function loadGamePageDefinition() {
       `from '${historyStackUrl.href}'`
     )
     .replace("from '../utils/match-state.js'", `from '${matchStateUrl.href}'`)
+    .replace("from '../utils/match-clock.js'", `from '${matchClockUrl.href}'`)
     .replace(
       "from '../utils/scoring-constants.js'",
       `from '${scoringConstantsUrl.href}'`
@@ -250,6 +269,10 @@ async function loadGamePageDefinition() {
       "from '../utils/design-tokens.js'",
       `from '${designTokensUrl.href}'`
     )
+    .replace(
+      "from '../utils/change-ends-alert-settings.js'",
+      `from '${changeEndsAlertSettingsUrl.href}'`
+    )
     .replace(
       "from '../utils/haptic-feedback-settings.js'",
       `from '${hapticFeedbackSettingsUrl.href}'`
@@ -617,7 +640,8 @@ test('home screen shows Resume when storage contains a 0-point active state', as
     async ({ createdWidgets }) => {
       assert.deepEqual(getVisibleButtonLabels(createdWidgets), [
         'home.startNewGame',
-        'home.resumeGame'
+        'home.resumeGame',
+        'home.americano'
       ])
     }
   )
@@ -645,7 +669,8 @@ test('home screen shows Resume for legacy payload missing schemaVersion', async
     async ({ createdWidgets }) => {
       assert.deepEqual(getVisibleButtonLabels(createdWidgets), [
         'home.startNewGame',
-        'home.resumeGame'
+        'home.resumeGame',
+        'home.americano'
       ])
     }
   )
@@ -670,7 +695,8 @@ test('home screen hides Resume for state missing setHistory', async () => {
     },
     async ({ createdWidgets }) => {
       assert.deepEqual(getVisibleButtonLabels(createdWidgets), [
-        'home.startNewGame'
+        'home.startNewGame',
+        'home.americano'
       ])
     }
   )
@@ -695,7 +721,8 @@ test('home screen hides Resume for state with currentSet.number equal to 0', asy
     },
     async ({ createdWidgets }) => {
       assert.deepEqual(getVisibleButtonLabels(createdWidgets), [
-        'home.startNewGame'
+        'home.startNewGame',
+        'home.americano'
       ])
     }
   )
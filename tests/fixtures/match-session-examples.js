@@ -52,7 +52,7 @@ function createSession({
       finishedAt
     },
     setHistory,
-    schemaVersion: 2,
+    schemaVersion: 3,
     setsToPlay,
     setsNeededToWin,
     setsWon,
@@ -84,7 +84,8 @@ export const emptyNewSession = createSession({
     games: { teamA: 0, teamB: 0 }
   },
   currentGame: {
-    points: { teamA: 0, teamB: 0 }
+    points: { teamA: 0, teamB: 0 },
+    deuceCount: 0
   },
   setHistory: [],
   teamALabel: 'Team A',
@@ -106,7 +107,8 @@ export const activeInProgressSession = createSession({
     games: { teamA: 4, teamB: 3 }
   },
   currentGame: {
-    points: { teamA: 30, teamB: 15 }
+    points: { teamA: 30, teamB: 15 },
+    deuceCount: 0
   },
   setHistory: [{ setNumber: 1, teamAGames: 6, teamBGames: 4 }],
   teamALabel: 'Serve Masters',
@@ -128,7 +130,8 @@ export const finishedSessionWithHistory = createSession({
     games: { teamA: 6, teamB: 2 }
   },
   currentGame: {
-    points: { teamA: 0, teamB: 0 }
+    points: { teamA: 0, teamB: 0 },
+    deuceCount: 0
   },
   setHistory: [
     { setNumber: 1, teamAGames: 6, teamBGames: 4 },
@@ -156,7 +159,8 @@ export const specialCharacterTeamNamesSession = createSession({
     games: { teamA: 2, teamB: 2 }
   },
   currentGame: {
-    points: { teamA: 15, teamB: 15 }
+    points: { teamA: 15, teamB: 15 },
+    deuceCount: 0
   },
   setHistory: [],
   teamALabel: 'Niño 🎾',
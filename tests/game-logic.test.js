@@ -5,13 +5,14 @@ import {
   createManualFinishedMatchStateSnapshot,
   didMatchTransitionFromFinished,
   didMatchTransitionToFinished,
+  isGameInProgress,
   removeLatestPointForTeamFromHistory
 } from '../page/game/logic.js'
 import { SCORE_POINTS } from '../utils/constants.js'
 import { createHistoryStack } from '../utils/history-stack.js'
 import { createInitialMatchState } from '../utils/match-state.js'
 import { MATCH_STATUS } from '../utils/match-state-schema.js'
-import { addPoint } from '../utils/scoring-engine.js'
+import { addPoint, redoPoint, removePoint } from '../utils/scoring-engine.js'
 
 test('removeLatestPointForTeamFromHistory removes the latest point for selected team', () => {
   const history = createHistoryStack()
@@ -33,6 +34,70 @@ test('removeLatestPointForTeamFromHistory removes the latest point for selected
   assert.equal(removalResult?.historyStack?.size(), 2)
 })
 
+test('removeLatestPointForTeamFromHistory drops the removed point from the point log', () => {
+  const history = createHistoryStack()
+  let runtimeState = createInitialMatchState()
+  runtimeState.pointLog = []
+
+  runtimeState = addPoint(runtimeState, 'teamA', history)
+  runtimeState = addPoint(runtimeState, 'teamB', history)
+  runtimeState = addPoint(runtimeState, 'teamA', history)
+
+  const originalLog = runtimeState.pointLog
+  const removalResult = removeLatestPointForTeamFromHistory(
+    runtimeState,
+    history,
+    'teamB'
+  )
+  const rebuiltLog = removalResult?.runtimeState?.pointLog
+
+  assert.deepEqual(
+    rebuiltLog.map((entry) => entry.team),
+    ['teamA', 'teamA']
+  )
+  assert.equal(rebuiltLog[1].timestamp, originalLog[2].timestamp)
+  assert.deepEqual(rebuiltLog[1].after.points, { teamA: 30, teamB: 0 })
+})
+
+test('removeLatestPointForTeamFromHistory can be redone to the original timeline', () => {
+  const history = createHistoryStack()
+  let runtimeState = createInitialMatchState()
+  runtimeState.pointLog = []
+
+  runtimeState = addPoint(runtimeState, 'teamA', history)
+  runtimeState = addPoint(runtimeState, 'teamB', history)
+  runtimeState = addPoint(runtimeState, 'teamA', history)
+  runtimeState = addPoint(runtimeState, 'teamA', history)
+
+  const originalState = runtimeState
+  const originalHistory = history.toArray()
+  const removalResult = removeLatestPointForTeamFromHistory(
+    runtimeState,
+    history,
+    'teamB'
+  )
+
+  assert.equal(removalResult?.historyStack, history)
+  assert.equal(history.redoSize(), 1)
+
+  const redoneState = redoPoint(removalResult.runtimeState, history)
+
+  assert.deepEqual(redoneState, originalState)
+  assert.deepEqual(history.toArray(), originalHistory)
+
+  const secondRemoval = removeLatestPointForTeamFromHistory(
+    redoneState,
+    history,
+    'teamB'
+  )
+
+  assert.equal(secondRemoval?.didRemovePoint, true)
+  assert.deepEqual(
+    removePoint(redoPoint(secondRemoval.runtimeState, history), history),
+    removePoint(originalState, createHistoryStack())
+  )
+})
+
 test('removeLatestPointForTeamFromHistory keeps history when team has no score event', () => {
   const history = createHistoryStack()
   let runtimeState = createInitialMatchState()
@@ -172,6 +237,80 @@ test('createManualFinishedMatchStateSnapshot clears winner metadata for ties', (
   assert.equal(tieSnapshot?.winner, undefined)
 })
 
+test('createManualFinishedMatchStateSnapshot gives a match closed on time to the leader in games', () => {
+  const levelSetsState = createInitialMatchState(1700000000)
+  levelSetsState.setsWon = { teamA: 1, teamB: 1 }
+  levelSetsState.setHistory = [
+    { setNumber: 1, teamAGames: 6, teamBGames: 4 },
+    { setNumber: 2, teamAGames: 1, teamBGames: 6 }
+  ]
+  levelSetsState.currentSetStatus = {
+    number: 3,
+    teamAGames: 2,
+    teamBGames: 1
+  }
+
+  const timeSnapshot = createManualFinishedMatchStateSnapshot(levelSetsState, {
+    finishReason: 'time'
+  })
+
+  // 9 games to 11 across the three sets.
+  assert.equal(timeSnapshot?.finishReason, 'time')
+  assert.equal(timeSnapshot?.winnerTeam, 'teamB')
+  assert.equal(
+    createManualFinishedMatchStateSnapshot(levelSetsState)?.winnerTeam,
+    undefined
+  )
+
+  levelSetsState.currentSetStatus.teamAGames = 4
+  levelSetsState.setsWon = { teamA: 0, teamB: 1 }
+
+  assert.equal(
+    createManualFinishedMatchStateSnapshot(levelSetsState, {
+      finishReason: 'time'
+    })?.winnerTeam,
+    'teamB'
+  )
+
+  levelSetsState.setsWon = { teamA: 1, teamB: 1 }
+
+  const levelGamesSnapshot = createManualFinishedMatchStateSnapshot(
+    levelSetsState,
+    { finishReason: 'time' }
+  )
+
+  assert.equal(levelGamesSnapshot?.winnerTeam, undefined)
+  assert.equal(levelGamesSnapshot?.winner, undefined)
+})
+
+test('isGameInProgress is true once either team has a point of the game', () => {
+  const state = createInitialMatchState(1700000000)
+
+  assert.equal(isGameInProgress(state), false)
+
+  state.teamB.points = SCORE_POINTS.FIFTEEN
+  assert.equal(isGameInProgress(state), true)
+
+  state.teamB.points = SCORE_POINTS.LOVE
+  state.teamA.points = 1
+  assert.equal(isGameInProgress(state), true)
+  assert.equal(isGameInProgress(null), false)
+})
+
+test('isGameInProgress counts from the points handicap head start', () => {
+  const state = createInitialMatchState(1700000000)
+
+  state.settings = {
+    ...state.settings,
+    handicap: { team: 'teamB', points: 2, games: 0, sets: 0 }
+  }
+  state.teamB.points = SCORE_POINTS.THIRTY
+  assert.equal(isGameInProgress(state), false)
+
+  state.teamA.points = SCORE_POINTS.FIFTEEN
+  assert.equal(isGameInProgress(state), true)
+})
+
 test('createManualFinishedMatchStateSnapshot returns null for invalid states', () => {
   assert.equal(createManualFinishedMatchStateSnapshot(null), null)
 })
@@ -6,13 +6,16 @@ import {
   isPersistedMatchStateActive,
   loadState,
   mergeRuntimeStateWithPersistedSession,
-  saveState
+  restoreUndoHistory,
+  saveState,
+  saveUndoHistory
 } from '../page/game/persistence.js'
 import {
   PERSISTED_ADVANTAGE_POINT_VALUE,
   PERSISTED_GAME_POINT_VALUE,
   SCORE_POINTS
 } from '../utils/constants.js'
+import { createHistoryStack } from '../utils/history-stack.js'
 import { initializeMatchState } from '../utils/match-session-init.js'
 import { createInitialMatchState } from '../utils/match-state.js'
 import { MATCH_STATUS } from '../utils/match-state-schema.js'
@@ -20,6 +23,11 @@ import {
   ACTIVE_MATCH_SESSION_STORAGE_KEY,
   matchStorage
 } from '../utils/match-storage.js'
+import { addPoint, correctScore } from '../utils/scoring-engine.js'
+import {
+  createLocalStorageMock,
+  withMockLocalStorage
+} from './helpers/local-storage-mock.js'
 
 function createRuntimeState() {
   const runtimeState = createInitialMatchState(1700000000)
@@ -98,6 +106,147 @@ test('mergeRuntimeStateWithPersistedSession keeps tie-break points numeric', ()
   assert.equal(mergedRuntimeState.teamB.points, PERSISTED_GAME_POINT_VALUE)
 })
 
+test('persistence carries team names from the session into runtime state and back', () => {
+  const persistedState = initializeMatchState(3, {
+    teams: {
+      teamA: { label: 'Lobos', players: ['Ana', 'Bea'] },
+      teamB: { label: '', players: ['', ''] }
+    }
+  })
+
+  const mergedRuntimeState = mergeRuntimeStateWithPersistedSession(
+    createRuntimeState(),
+    persistedState
+  )
+  const persistedSnapshot = createPersistedMatchStateSnapshot(
+    mergedRuntimeState,
+    persistedState
+  )
+
+  assert.deepEqual(mergedRuntimeState.teams, persistedState.teams)
+  assert.deepEqual(persistedSnapshot.teams, persistedState.teams)
+})
+
+test('persistence carries the scoring mode between persisted and runtime state', () => {
+  const persistedState = initializeMatchState(3, {
+    scoringMode: 'golden-point'
+  })
+
+  const mergedRuntimeState = mergeRuntimeStateWithPersistedSession(
+    createRuntimeState(),
+    persistedState
+  )
+
+  assert.deepEqual(mergedRuntimeState.settings, {
+    scoringMode: 'golden-point',
+    superTieBreak: false,
+    gamesPerSet: 6,
+    tieBreakAt: 6,
+    finalSetTieBreak: true,
+    firstServer: { team: 'teamA', player: 1 }
+  })
+
+  const persistedSnapshot = createPersistedMatchStateSnapshot(
+    mergedRuntimeState,
+    initializeMatchState(3)
+  )
+
+  assert.equal(persistedSnapshot?.settings?.scoringMode, 'golden-point')
+  assert.equal(persistedSnapshot?.settings?.setsToPlay, 3)
+})
+
+test('persistence carries the current game deuce count between persisted and runtime state', () => {
+  const persistedState = initializeMatchState(3, {
+    scoringMode: 'star-point'
+  })
+  persistedState.currentGame.deuceCount = 2
+  persistedState.scores.currentGame.deuceCount = 2
+
+  const mergedRuntimeState = mergeRuntimeStateWithPersistedSession(
+    createRuntimeState(),
+    persistedState
+  )
+
+  assert.deepEqual(mergedRuntimeState.currentGameStatus, { deuceCount: 2 })
+
+  mergedRuntimeState.currentGameStatus.deuceCount = 3
+
+  const persistedSnapshot = createPersistedMatchStateSnapshot(
+    mergedRuntimeState,
+    persistedState
+  )
+
+  assert.equal(persistedSnapshot?.currentGame.deuceCount, 3)
+})
+
+test('persistence carries the point log between persisted and runtime state', () => {
+  const persistedState = initializeMatchState(3)
+  const mergedRuntimeState = mergeRuntimeStateWithPersistedSession(
+    createRuntimeState(),
+    persistedState
+  )
+
+  assert.deepEqual(mergedRuntimeState.pointLog, [])
+
+  const scoredRuntimeState = addPoint(mergedRuntimeState, 'teamA')
+  const persistedSnapshot = createPersistedMatchStateSnapshot(
+    scoredRuntimeState,
+    persistedState
+  )
+
+  assert.deepEqual(persistedSnapshot?.pointLog, scoredRuntimeState.pointLog)
+
+  const restoredRuntimeState = mergeRuntimeStateWithPersistedSession(
+    createRuntimeState(),
+    persistedSnapshot
+  )
+
+  assert.deepEqual(restoredRuntimeState.pointLog, scoredRuntimeState.pointLog)
+
+  const legacyRuntimeState = mergeRuntimeStateWithPersistedSession(
+    { ...createRuntimeState(), pointLog: [] },
+    { ...persistedSnapshot, pointLog: undefined }
+  )
+
+  assert.equal('pointLog' in legacyRuntimeState, false)
+})
+
+test('persistence carries score corrections and the corrected score', () => {
+  const persistedState = initializeMatchState(3)
+  const correctedRuntimeState = correctScore(
+    mergeRuntimeStateWithPersistedSession(createRuntimeState(), persistedState),
+    {
+      setNumber: 2,
+      setsWon: { teamA: 1, teamB: 0 },
+      games: { teamA: 2, teamB: 3 },
+      points: { teamA: 30, teamB: 15 }
+    }
+  )
+  const persistedSnapshot = createPersistedMatchStateSnapshot(
+    correctedRuntimeState,
+    persistedState
+  )
+
+  assert.equal(persistedSnapshot?.currentSet.number, 2)
+  assert.deepEqual(persistedSnapshot?.currentSet.games, { teamA: 2, teamB: 3 })
+  assert.deepEqual(persistedSnapshot?.setsWon, { teamA: 1, teamB: 0 })
+  assert.deepEqual(
+    persistedSnapshot?.corrections,
+    correctedRuntimeState.corrections
+  )
+
+  const restoredRuntimeState = mergeRuntimeStateWithPersistedSession(
+    createRuntimeState(),
+    persistedSnapshot
+  )
+
+  assert.equal(restoredRuntimeState.teamA.points, SCORE_POINTS.THIRTY)
+  assert.deepEqual(
+    restoredRuntimeState.corrections,
+    correctedRuntimeState.corrections
+  )
+})
+
 test('mergeRuntimeStateWithPersistedSession keeps runtime session active and clears active winner metadata', () => {
   const finishedPersistedState = initializeMatchState(3)
   finishedPersistedState.status = MATCH_STATUS.FINISHED
@@ -167,6 +316,36 @@ test('createPersistedMatchStateSnapshot propagates status and winner metadata pa
   assert.equal('winnerTeam' in (activeSnapshot ?? {}), false)
 })
 
+test('a paused match is persisted paused with its clock stopped', () => {
+  const pausedRuntimeState = createRuntimeState()
+  pausedRuntimeState.status = MATCH_STATUS.PAUSED
+
+  const pausedSnapshot = createPersistedMatchStateSnapshot(
+    pausedRuntimeState,
+    initializeMatchState(3)
+  )
+
+  assert.equal(pausedSnapshot?.status, MATCH_STATUS.PAUSED)
+  assert.equal(pausedSnapshot?.timing.resumedAt, null)
+  assert.equal(Number.isInteger(pausedSnapshot?.timing.activeDurationMs), true)
+  assert.equal(isPersistedMatchStateActive(pausedSnapshot), true)
+
+  const mergedPausedState = mergeRuntimeStateWithPersistedSession(
+    createRuntimeState(),
+    pausedSnapshot
+  )
+
+  assert.equal(mergedPausedState.status, MATCH_STATUS.PAUSED)
+
+  const resumedSnapshot = createPersistedMatchStateSnapshot(
+    createRuntimeState(),
+    pausedSnapshot
+  )
+
+  assert.equal(resumedSnapshot?.status, MATCH_STATUS.ACTIVE)
+  assert.equal(typeof resumedSnapshot?.timing.resumedAt, 'string')
+})
+
 test('persistence helpers handle invalid input safely', () => {
   const invalidSnapshot = createPersistedMatchStateSnapshot(
     null,
@@ -220,3 +399,33 @@ test('loadState/saveState delegate through unified active-session storage', () =
     matchStorage.adapter = originalAdapter
   }
 })
+
+test('undo history saved with the session is restored into a fresh history stack', () => {
+  const { storage } = createLocalStorageMock()
+  const persistedState = initializeMatchState(3)
+  const history = createHistoryStack()
+  let runtimeState = mergeRuntimeStateWithPersistedSession(
+    createRuntimeState(),
+    persistedState
+  )
+
+  runtimeState = addPoint(runtimeState, 'teamA', history)
+  runtimeState = addPoint(runtimeState, 'teamB', history)
+
+  const persistedSnapshot = createPersistedMatchStateSnapshot(
+    runtimeState,
+    persistedState
+  )
+
+  withMockLocalStorage(storage, () => {
+    assert.equal(saveUndoHistory(history, persistedSnapshot), true)
+
+    const restoredHistory = createHistoryStack()
+    restoredHistory.push({ stale: true })
+
+    assert.equal(restoreUndoHistory(restoredHistory, persistedSnapshot), 2)
+    assert.deepEqual(restoredHistory.toArray(), history.toArray())
+    assert.equal(saveUndoHistory({ clear() {} }, persistedSnapshot), false)
+    assert.equal(restoreUndoHistory(null, persistedSnapshot), 0)
+  })
+})
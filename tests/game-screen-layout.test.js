@@ -8,15 +8,18 @@ import {
 } from '../page/game/logic.js'
 import { createScoreViewModel } from '../page/score-view-model.js'
 import { createHistoryStack } from '../utils/history-stack.js'
+import { initializeMatchState } from '../utils/match-session-init.js'
 import { createInitialMatchState } from '../utils/match-state.js'
 import {
   STORAGE_KEY as ACTIVE_MATCH_SESSION_STORAGE_KEY,
   createDefaultMatchState,
   serializeMatchState
 } from '../utils/match-state-schema.js'
+import { getActiveSession } from '../utils/match-storage.js'
 import { SCORE_POINTS } from '../utils/scoring-constants.js'
 import { addPoint } from '../utils/scoring-engine.js'
 import { SYSTEM_HEADER_HEIGHT_SQUARE } from '../utils/screen-utils.js'
+import { toRuntimeMatchSettings } from '../utils/validation.js'
 import { createHmFsMock } from './helpers/hmfs-mock.js'
 import {
   createLocalStorageMock,
@@ -82,6 +85,7 @@ async function loadGamePageDefinition() {
   const constantsUrl = toProjectFileUrl('utils/constants.js')
   const historyStackUrl = toProjectFileUrl('utils/history-stack.js')
   const matchStateUrl = toProjectFileUrl('utils/match-state.js')
+  const matchClockUrl = toProjectFileUrl('utils/match-clock.js')
   const scoringConstantsUrl = toProjectFileUrl('utils/scoring-constants.js')
   const scoringEngineUrl = toProjectFileUrl('utils/scoring-engine.js')
   const storageUrl = toProjectFileUrl('utils/storage.js')
@@ -89,6 +93,9 @@ async function loadGamePageDefinition() {
   const matchStorageUrl = toProjectFileUrl('utils/match-storage.js')
   const matchStateSchemaUrl = toProjectFileUrl('utils/match-state-schema.js')
   const designTokensUrl = toProjectFileUrl('utils/design-tokens.js')
+  const changeEndsAlertSettingsUrl = toProjectFileUrl(
+    'utils/change-ends-alert-settings.js'
+  )
   const hapticFeedbackSettingsUrl = toProjectFileUrl(
     'utils/haptic-feedback-settings.js'
   )
@@ -119,6 +126,7 @@ async function loadGamePageDefinition() {
       `from '${historyStackUrl.href}'`
     )
     .replace("from '../utils/match-state.js'", `from '${matchStateUrl.href}'`)
+    .replace("from '../utils/match-clock.js'", `from '${matchClockUrl.href}'`)
     .replace(
       "from '../utils/scoring-constants.js'",
       `from '${scoringConstantsUrl.href}'`
@@ -142,6 +150,10 @@ async function loadGamePageDefinition() {
       "from '../utils/design-tokens.js'",
       `from '${designTokensUrl.href}'`
     )
+    .replace(
+      "from '../utils/change-ends-alert-settings.js'",
+      `from '${changeEndsAlertSettingsUrl.href}'`
+    )
     .replace(
       "from '../utils/haptic-feedback-settings.js'",
       `from '${hapticFeedbackSettingsUrl.href}'`
@@ -291,8 +303,18 @@ async function runWithRenderedGamePage(
   const originalHmApp = globalThis.hmApp
   const originalSetTimeout = globalThis.setTimeout
   const originalClearTimeout = globalThis.clearTimeout
+  const originalSetInterval = globalThis.setInterval
+  const originalClearInterval = globalThis.clearInterval
 
   const { hmUI, createdWidgets, shownToasts } = createHmUiRecorder()
+  // Intervals only run when a scenario ticks them.
+  const intervals = new Map()
+  let nextIntervalId = 1
+  const tickIntervals = () => {
+    for (const callback of [...intervals.values()]) {
+      callback()
+    }
+  }
   const hmFsMock = createHmFsMock()
   const { storage } = createLocalStorageMock()
   const deviceInfo = options.deviceInfo ?? { width, height }
@@ -316,6 +338,15 @@ async function runWithRenderedGamePage(
     globalThis.setTimeout = options.setTimeout
   }
 
+  globalThis.setInterval = (callback) => {
+    intervals.set(nextIntervalId, callback)
+    nextIntervalId += 1
+    return nextIntervalId - 1
+  }
+  globalThis.clearInterval = (id) => {
+    intervals.delete(id)
+  }
+
   if (typeof options.clearTimeout === 'function') {
     globalThis.clearTimeout = options.clearTimeout
   }
@@ -337,6 +368,7 @@ async function runWithRenderedGamePage(
         createdWidgets,
         shownToasts,
         page,
+        tickIntervals,
         width,
         height
       })
@@ -346,6 +378,7 @@ async function runWithRenderedGamePage(
   } finally {
     if (page) {
       try {
+        page.stopClockRefresh?.()
         page.resetManualFinishConfirmState?.()
         page.releaseScreenOn?.()
         page.unregisterGestureHandler?.()
@@ -395,6 +428,9 @@ async function runWithRenderedGamePage(
     } else {
       globalThis.clearTimeout = originalClearTimeout
     }
+
+    globalThis.setInterval = originalSetInterval
+    globalThis.clearInterval = originalClearInterval
   }
 }
 
@@ -520,7 +556,7 @@ test('game screen keeps set, points, and controls in top-to-bottom layout order'
   const buttons = getVisibleWidgets(createdWidgets, 'BUTTON')
   const textWidgets = getVisibleWidgets(createdWidgets, 'TEXT')
 
-  assert.equal(buttons.length, 6)
+  assert.equal(buttons.length, 7)
 
   const buttonYs = buttons.map((button) => button.properties.y)
   const textYs = textWidgets.map((text) => text.properties.y)
@@ -599,8 +635,8 @@ test('game controls keep key visible widgets in bounds across supported families
       ...visibleForegroundFillRects
     ]
 
-    assert.equal(buttons.length, 6)
-    assert.equal(textButtons.length, 4) // Score and minus buttons
+    assert.equal(buttons.length, 7)
+    assert.equal(textButtons.length, 5) // Score, minus and match clock buttons
     assert.equal(imageButtons.length, 2) // Home + manual finish icon buttons
     assert.equal(visibleTextWidgets.length > 0, true)
     assert.equal(visibleForegroundFillRects.length > 0, true)
@@ -683,6 +719,53 @@ test('game screen prioritizes runtime sets-won values and falls back to persiste
   })
 })
 
+test('game screen shows the pro set length or the games left in place of sets', async () => {
+  await runWithRenderedGamePage(390, 450, ({ app, createdWidgets, page }) => {
+    const getHeaderTexts = () =>
+      getVisibleWidgets(createdWidgets, 'TEXT')
+        .map((widget) => widget.properties.text)
+        .slice(0, 4)
+
+    app.globalData.matchState.settings = {
+      scoringMode: 'advantage',
+      gamesPerSet: 9,
+      tieBreakAt: 8
+    }
+    page.renderGameScreen()
+
+    assert.deepEqual(getHeaderTexts().slice(0, 2), ['game.proSetLabel', '  9'])
+
+    app.globalData.matchState.settings = {
+      scoringMode: 'advantage',
+      totalGames: 12
+    }
+    app.globalData.matchState.currentSetStatus.teamAGames = 3
+    app.globalData.matchState.currentSetStatus.teamBGames = 2
+    page.renderGameScreen()
+
+    assert.deepEqual(getHeaderTexts(), [
+      'game.gamesLeftLabel',
+      '  7',
+      'game.gamesLabel',
+      '  3 – 2'
+    ])
+
+    // The two handicap games on the score were not played.
+    app.globalData.matchState.settings.handicap = {
+      team: 'teamA',
+      points: 0,
+      games: 2,
+      sets: 0
+    }
+    page.renderGameScreen()
+
+    assert.deepEqual(getHeaderTexts().slice(0, 2), [
+      'game.gamesLeftLabel',
+      '  9'
+    ])
+  })
+})
+
 test('game screen reflects programmatic sets-won state changes on rerender', async () => {
   await runWithRenderedGamePage(390, 450, ({ app, createdWidgets, page }) => {
     app.globalData.matchState.setsWon = {
@@ -710,6 +793,78 @@ test('game screen reflects programmatic sets-won state changes on rerender', asy
   })
 })
 
+test('game screen shows the star point indicator only on the deciding deuce', async () => {
+  await runWithRenderedGamePage(390, 450, ({ app, createdWidgets, page }) => {
+    const matchState = app.globalData.matchState
+    matchState.settings = { scoringMode: 'star-point' }
+    matchState.teamA.points = SCORE_POINTS.FORTY
+    matchState.teamB.points = SCORE_POINTS.FORTY
+    matchState.currentGameStatus.deuceCount = 2
+
+    page.renderGameScreen()
+
+    const hasStarPointText = () =>
+      getVisibleWidgets(createdWidgets, 'TEXT').some(
+        (widget) => widget.properties.text === 'game.starPoint'
+      )
+
+    assert.equal(hasStarPointText(), false)
+
+    matchState.currentGameStatus.deuceCount = 3
+    page.renderGameScreen()
+
+    assert.equal(hasStarPointText(), true)
+  })
+})
+
+test('game screen marks the serving player beside the serving team', async () => {
+  await runWithRenderedGamePage(390, 450, ({ app, createdWidgets, page }) => {
+    const matchState = app.globalData.matchState
+    const getServerTexts = () =>
+      getVisibleWidgets(createdWidgets, 'TEXT').filter((widget) =>
+        String(widget.properties.text).startsWith('●')
+      )
+
+    page.renderGameScreen()
+
+    assert.equal(getServerTexts().length, 0)
+
+    matchState.settings = {
+      scoringMode: 'advantage',
+      firstServer: { team: 'teamB', player: 2 }
+    }
+    page.renderGameScreen()
+
+    const serverTexts = getServerTexts()
+    const teamBLabel = getVisibleWidgets(createdWidgets, 'TEXT').find(
+      (widget) => widget.properties.text === 'B'
+    )
+
+    assert.equal(serverTexts.length, 1)
+    assert.equal(serverTexts[0].properties.text, '● 2')
+    assert.equal(serverTexts[0].properties.x > teamBLabel.properties.x, true)
+  })
+})
+
+test('game screen shows custom team names in place of the A and B headings', async () => {
+  await runWithRenderedGamePage(390, 450, ({ app, createdWidgets, page }) => {
+    const getTextValues = () =>
+      getVisibleWidgets(createdWidgets, 'TEXT').map(
+        (widget) => widget.properties.text
+      )
+
+    assert.equal(getTextValues().includes('A'), true)
+    assert.equal(getTextValues().includes('B'), true)
+
+    app.globalData.matchState.teams.teamA.label = 'Lobos'
+    page.renderGameScreen()
+
+    assert.equal(getTextValues().includes('Lobos'), true)
+    assert.equal(getTextValues().includes('A'), false)
+    assert.equal(getTextValues().includes('B'), true)
+  })
+})
+
 test('game runtime state hydrates set metadata from persisted active session', async () => {
   await runWithRenderedGamePage(390, 450, ({ app, page }) => {
     page.persistedSessionState = {
@@ -1042,6 +1197,233 @@ test('game manual finish button shows coach icon and first tap enters whistle co
   })
 })
 
+test('game match clock pauses and resumes play', async () => {
+  await runWithRenderedGamePage(
+    390,
+    450,
+    ({ app, createdWidgets, page, shownToasts }) => {
+      page.getCurrentTimeMs = createAcceptedInteractionTimeSource()
+
+      let buttons = getVisibleWidgets(createdWidgets, 'BUTTON')
+      buttons[6].properties.click_func()
+
+      assert.equal(app.globalData.matchState.status, 'paused')
+      assert.equal(page.persistedSessionState.status, 'paused')
+      assert.equal(page.persistedSessionState.timing.resumedAt, null)
+
+      buttons = getVisibleWidgets(createdWidgets, 'BUTTON')
+      assert.match(buttons[6].properties.text, /^game\.paused · /)
+
+      page.handleAddPointForTeam('teamA')
+
+      assert.equal(app.globalData.matchState.teamA.points, SCORE_POINTS.LOVE)
+      assert.equal(
+        shownToasts.some((payload) => payload.text === 'game.pausedHint'),
+        true
+      )
+
+      buttons[6].properties.click_func()
+
+      assert.equal(app.globalData.matchState.status, 'active')
+      assert.equal(typeof page.persistedSessionState.timing.resumedAt, 'string')
+
+      page.handleAddPointForTeam('teamA')
+
+      assert.equal(app.globalData.matchState.teamA.points, SCORE_POINTS.FIFTEEN)
+    }
+  )
+})
+
+test('game match clock long-press saves the score and opens the score editor', async () => {
+  await runWithRenderedGamePage(390, 450, ({ app, createdWidgets, page }) => {
+    const navigations = []
+
+    globalThis.hmApp = {
+      gotoPage(payload) {
+        navigations.push(payload.url)
+      }
+    }
+    app.globalData.matchState.teamA.points = SCORE_POINTS.THIRTY
+
+    const buttons = getVisibleWidgets(createdWidgets, 'BUTTON')
+    buttons[6].properties.longpress_func()
+
+    assert.deepEqual(navigations, ['page/score-editor'])
+    assert.equal(page.persistedSessionState.currentGame.points.teamA, 30)
+
+    app.globalData.matchState.status = 'finished'
+
+    assert.equal(page.handleOpenScoreEditor(), false)
+    assert.deepEqual(navigations, ['page/score-editor'])
+  })
+})
+
+test('game timed match warns as time runs out and closes on time after the last game', async () => {
+  await runWithRenderedGamePage(
+    390,
+    450,
+    ({ app, createdWidgets, page, shownToasts }) => {
+      const originalHaptics = globalThis.__zosHaptics
+      const patterns = []
+      const summaryNavigations = []
+      const timedSession = initializeMatchState(3, { timeLimitMinutes: 60 })
+
+      globalThis.__zosHaptics = {
+        vibratePattern(pattern) {
+          patterns.push(pattern)
+        }
+      }
+      page.getCurrentTimeMs = createAcceptedInteractionTimeSource()
+      page.navigateToSummaryPage = () => {
+        summaryNavigations.push('page/summary')
+        return true
+      }
+      // Play time is banked while paused, so the clock stays where it is set.
+      const setPlayedMinutes = (minutes) => {
+        page.persistedSessionState.timing.activeDurationMs = minutes * 60000
+      }
+
+      try {
+        timedSession.timing.resumedAt = null
+        page.persistedSessionState = timedSession
+        setPlayedMinutes(49)
+        page.enforceTimeLimit()
+        page.renderGameScreen()
+
+        let buttons = getVisibleWidgets(createdWidgets, 'BUTTON')
+        assert.equal(buttons[6].properties.text, 'game.timeLeft 11m')
+
+        setPlayedMinutes(51)
+        page.handleAddPointForTeam('teamA')
+
+        assert.deepEqual(
+          shownToasts.map((payload) => payload.text),
+          ['game.timeLeft 10m']
+        )
+        assert.equal(
+          app.globalData.matchState.teamA.points,
+          SCORE_POINTS.FIFTEEN
+        )
+
+        // Time runs out with the game in play: it is finished first.
+        setPlayedMinutes(60)
+        page.handleAddPointForTeam('teamA')
+        page.handleAddPointForTeam('teamA')
+
+        buttons = getVisibleWidgets(createdWidgets, 'BUTTON')
+        assert.equal(buttons[6].properties.text, 'game.lastGame')
+        assert.equal(app.globalData.matchState.status, 'active')
+
+        page.handleAddPointForTeam('teamA')
+
+        assert.equal(app.globalData.matchState.status, 'finished')
+        assert.equal(app.globalData.matchState.finishReason, 'time')
+        assert.equal(app.globalData.matchState.winnerTeam, 'teamA')
+        assert.equal(getActiveSession()?.finishReason, 'time')
+        assert.equal(getActiveSession()?.settings.timeLimitMinutes, 60)
+        assert.deepEqual(summaryNavigations, ['page/summary'])
+        assert.deepEqual(
+          shownToasts.map((payload) => payload.text),
+          ['game.timeLeft 10m', 'game.timeUp']
+        )
+        assert.deepEqual(patterns, [
+          [600, 200, 600],
+          [600, 200, 600]
+        ])
+      } finally {
+        if (typeof originalHaptics === 'undefined') {
+          delete globalThis.__zosHaptics
+        } else {
+          globalThis.__zosHaptics = originalHaptics
+        }
+      }
+    }
+  )
+})
+
+test('game clock refresh warns and closes a timed match without any score input', async () => {
+  await runWithRenderedGamePage(
+    390,
+    450,
+    ({ app, createdWidgets, page, shownToasts, tickIntervals }) => {
+      const summaryNavigations = []
+      const timedSession = initializeMatchState(3, { timeLimitMinutes: 60 })
+      const setPlayedMinutes = (minutes) => {
+        page.persistedSessionState.timing.activeDurationMs = minutes * 60000
+      }
+
+      page.navigateToSummaryPage = () => {
+        summaryNavigations.push('page/summary')
+        return true
+      }
+      timedSession.timing.resumedAt = null
+      page.persistedSessionState = timedSession
+      setPlayedMinutes(49)
+      page.enforceTimeLimit()
+
+      setPlayedMinutes(51)
+      tickIntervals()
+
+      const buttons = getVisibleWidgets(createdWidgets, 'BUTTON')
+      assert.equal(buttons[6].properties.text, 'game.timeLeft 9m')
+      assert.deepEqual(
+        shownToasts.map((payload) => payload.text),
+        ['game.timeLeft 10m']
+      )
+
+      setPlayedMinutes(56)
+      tickIntervals()
+
+      assert.deepEqual(
+        shownToasts.map((payload) => payload.text),
+        ['game.timeLeft 10m', 'game.timeLeft 5m']
+      )
+
+      // A paused match keeps its clock, so there is nothing to refresh.
+      app.globalData.matchState.status = 'paused'
+      setPlayedMinutes(60)
+      tickIntervals()
+
+      assert.equal(app.globalData.matchState.status, 'paused')
+
+      app.globalData.matchState.status = 'active'
+      tickIntervals()
+
+      assert.equal(app.globalData.matchState.status, 'finished')
+      assert.equal(app.globalData.matchState.finishReason, 'time')
+      assert.deepEqual(summaryNavigations, ['page/summary'])
+
+      page.stopClockRefresh()
+      const widgetCount = createdWidgets.length
+      tickIntervals()
+
+      assert.equal(createdWidgets.length, widgetCount)
+    }
+  )
+})
+
+test('game timed match closes on time at the start of a game with a points handicap', async () => {
+  await runWithRenderedGamePage(390, 450, ({ app, page }) => {
+    const timedSession = initializeMatchState(3, {
+      timeLimitMinutes: 60,
+      handicap: { team: 'teamA', points: 1, games: 0, sets: 0 }
+    })
+
+    page.navigateToSummaryPage = () => true
+    timedSession.timing.resumedAt = null
+    timedSession.timing.activeDurationMs = 60 * 60000
+    page.persistedSessionState = timedSession
+    app.globalData.matchState.settings = toRuntimeMatchSettings(
+      timedSession.settings
+    )
+    app.globalData.matchState.teamA.points = SCORE_POINTS.FIFTEEN
+
+    assert.equal(page.enforceTimeLimit(), true)
+    assert.equal(app.globalData.matchState.status, 'finished')
+    assert.equal(app.globalData.matchState.finishReason, 'time')
+  })
+})
+
 test('game manual finish second tap confirms finish, appends partial set once, and clears timer', async () => {
   await runWithRenderedGamePage(390, 450, ({ app, createdWidgets, page }) => {
     const summaryNavigations = []
@@ -1221,7 +1603,7 @@ test('game controls keep minimum 48x48 touch targets in active state', async ()
       ({ createdWidgets }) => {
         const activeButtons = getVisibleWidgets(createdWidgets, 'BUTTON')
 
-        assert.equal(activeButtons.length, 6)
+        assert.equal(activeButtons.length, 7)
         activeButtons.forEach((button) => {
           // Image buttons use w: -1, h: -1 (native image dimensions)
           if (button.properties.normal_src) {
@@ -1253,7 +1635,7 @@ test('game control buttons apply primary and secondary style variants', async ()
     const homeIconButton = buttons[4]
     const manualFinishButton = buttons[5]
 
-    assert.equal(buttons.length, 6)
+    assert.equal(buttons.length, 7)
     assert.equal(addTeamAButton?.properties.normal_color, 0x000000)
     assert.equal(addTeamAButton?.properties.press_color, 0x000000)
     assert.equal(addTeamAButton?.properties.color, 0xffffff)
@@ -1278,7 +1660,7 @@ test('game screen controls call team-specific handlers for add and remove', asyn
     const manualFinishButton = buttons[5]
     const calls = []
 
-    assert.equal(buttons.length, 6)
+    assert.equal(buttons.length, 7)
     assert.equal(typeof buttons[0]?.properties.click_func, 'function')
     assert.equal(typeof buttons[1]?.properties.click_func, 'function')
     assert.equal(typeof buttons[2]?.properties.click_func, 'function')
@@ -1436,6 +1818,37 @@ test('team-specific remove buttons remove latest point scored by selected team',
   })
 })
 
+test('long-press on a minus button redoes the last removed point', async () => {
+  await runWithRenderedGamePage(390, 450, ({ app, createdWidgets, page }) => {
+    const buttons = getVisibleWidgets(createdWidgets, 'BUTTON')
+    const addTeamAButton = buttons[0]
+    const addTeamBButton = buttons[1]
+    const removeTeamAButton = buttons[2]
+    const removeTeamBButton = buttons[3]
+
+    page.getCurrentTimeMs = createAcceptedInteractionTimeSource()
+
+    assert.equal(typeof removeTeamAButton.properties.longpress_func, 'function')
+
+    addTeamAButton.properties.click_func()
+    addTeamBButton.properties.click_func()
+    removeTeamAButton.properties.click_func()
+
+    assert.equal(app.globalData.matchState.teamA.points, SCORE_POINTS.LOVE)
+    assert.equal(app.globalData.matchState.teamB.points, SCORE_POINTS.FIFTEEN)
+
+    removeTeamBButton.properties.longpress_func()
+
+    assert.equal(app.globalData.matchState.teamA.points, SCORE_POINTS.FIFTEEN)
+    assert.equal(app.globalData.matchState.teamB.points, SCORE_POINTS.FIFTEEN)
+    assert.equal(app.globalData.matchHistory.size(), 2)
+
+    removeTeamBButton.properties.longpress_func()
+
+    assert.equal(app.globalData.matchState.teamA.points, SCORE_POINTS.FIFTEEN)
+  })
+})
+
 test('game controls update visible game and set scores after winning a game', async () => {
   await runWithRenderedGamePage(390, 450, ({ app, createdWidgets, page }) => {
     const buttons = getVisibleWidgets(createdWidgets, 'BUTTON')
@@ -1731,12 +2144,16 @@ async function runSessionGuardTest(storageValue, runAssertions) {
       const definition = await loadGamePageDefinition()
       const page = createPageInstance(definition)
 
-      await runAssertions({
-        page,
-        createdWidgets,
-        navigationCalls,
-        getVisibleWidgets
-      })
+      try {
+        await runAssertions({
+          page,
+          createdWidgets,
+          navigationCalls,
+          getVisibleWidgets
+        })
+      } finally {
+        page.stopClockRefresh()
+      }
     })
   } finally {
     if (typeof originalHmApp === 'undefined') {
@@ -1853,7 +2270,7 @@ test('game access guard allows render when persisted session is valid and active
       page.build()
 
       const buttons = getVisibleWidgets(createdWidgets, 'BUTTON')
-      assert.equal(buttons.length, 6)
+      assert.equal(buttons.length, 7)
 
       // First 4 buttons are text buttons, then home + manual finish icons
       const labels = buttons.map((button) => button.properties.text)
@@ -2121,6 +2538,49 @@ test('game gesture handler does not throw when hmApp is unavailable', async () =
   }
 })
 
+test('game prompts a change of ends with a toast and a distinct vibration pattern', async () => {
+  await runWithRenderedGamePage(390, 450, ({ app, page, shownToasts }) => {
+    const originalHaptics = globalThis.__zosHaptics
+    const patterns = []
+
+    globalThis.__zosHaptics = {
+      vibratePattern(pattern) {
+        patterns.push(pattern)
+      }
+    }
+    app.globalData.matchState.teamA.points = SCORE_POINTS.FORTY
+
+    try {
+      page.handleAddPointForTeam('teamA')
+
+      assert.equal(app.globalData.matchState.currentSetStatus.teamAGames, 1)
+      assert.deepEqual(
+        shownToasts.map((payload) => payload.text),
+        ['game.changeEnds']
+      )
+      assert.deepEqual(patterns, [[300, 150, 300, 150, 300]])
+    } finally {
+      if (typeof originalHaptics === 'undefined') {
+        delete globalThis.__zosHaptics
+      } else {
+        globalThis.__zosHaptics = originalHaptics
+      }
+    }
+  })
+})
+
+test('game skips the change of ends prompt when the alert is disabled', async () => {
+  await runWithRenderedGamePage(390, 450, ({ app, page, shownToasts }) => {
+    app.globalData.matchState.teamA.points = SCORE_POINTS.FORTY
+    page.changeEndsAlertEnabled = false
+
+    page.handleAddPointForTeam('teamA')
+
+    assert.equal(app.globalData.matchState.currentSetStatus.teamAGames, 1)
+    assert.deepEqual(shownToasts, [])
+  })
+})
+
 test('game haptic trigger does not start vibration when setting is disabled', async () => {
   await runWithRenderedGamePage(390, 450, ({ page }) => {
     const originalHaptics = globalThis.__zosHaptics
@@ -0,0 +1,87 @@
+import {
+  decodeSyncMessage,
+  encodeSyncMessage
+} from '../../utils/sync-protocol.js'
+
+/**
+ * Creates an in-memory stand-in for the BLE messaging channel between the
+ * watch and the phone side service. Messages are encoded and decoded like on
+ * the real channel and stay in flight until `deliver()` is called, so tests
+ * can drop them with `drop()` to simulate a lost message or acknowledgement.
+ * `deliver(side)` hands over only the messages already in flight to one
+ * side; `deliver()` keeps delivering until no message is left in flight.
+ *
+ * @returns {{
+ *   watch: import('../../utils/phone-messaging.js').MessagingChannel,
+ *   phone: import('../../utils/phone-messaging.js').MessagingChannel,
+ *   inFlight: (side: 'watch' | 'phone') => number,
+ *   deliver: (side?: 'watch' | 'phone') => void,
+ *   drop: (side: 'watch' | 'phone') => void,
+ *   isClosed: (side: 'watch' | 'phone') => boolean
+ * }}
+ */
+export function createMessagingChannelPair() {
+  const endpoints = {
+    watch: { listeners: [], inbox: [], closed: false },
+    phone: { listeners: [], inbox: [], closed: false }
+  }
+
+  const createChannel = (from, to) => ({
+    send(message) {
+      if (from.closed) {
+        return false
+      }
+
+      to.inbox.push(encodeSyncMessage(message))
+      return true
+    },
+
+    onMessage(listener) {
+      from.listeners.push(listener)
+    },
+
+    close() {
+      from.closed = true
+    }
+  })
+
+  const deliverInbox = (endpoint) => {
+    const payloads = endpoint.inbox.splice(0, endpoint.inbox.length)
+
+    for (const payload of payloads) {
+      if (!endpoint.closed) {
+        const message = decodeSyncMessage(payload)
+        endpoint.listeners.forEach((listener) => listener(message))
+      }
+    }
+  }
+
+  return {
+    watch: createChannel(endpoints.watch, endpoints.phone),
+    phone: createChannel(endpoints.phone, endpoints.watch),
+
+    inFlight(side) {
+      return endpoints[side].inbox.length
+    },
+
+    deliver(side) {
+      if (side) {
+        deliverInbox(endpoints[side])
+        return
+      }
+
+      while (endpoints.watch.inbox.length + endpoints.phone.inbox.length > 0) {
+        deliverInbox(endpoints.phone)
+        deliverInbox(endpoints.watch)
+      }
+    },
+
+    drop(side) {
+      endpoints[side].inbox.splice(0, endpoints[side].inbox.length)
+    },
+
+    isClosed(side) {
+      return endpoints[side].closed
+    }
+  }
+}
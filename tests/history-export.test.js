@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict'
+import test from 'node:test'
+
+import {
+  createHistoryCsv,
+  createHistoryJson,
+  exportMatchHistory,
+  HISTORY_EXPORT_CSV_FILE,
+  HISTORY_EXPORT_FORMAT,
+  HISTORY_EXPORT_JSON_FILE,
+  HISTORY_EXPORT_VERSION
+} from '../utils/history-export.js'
+import { importMatchHistoryEntries } from '../utils/match-history-storage.js'
+import { MATCH_HISTORY_SCHEMA_VERSION } from '../utils/match-history-types.js'
+import { createHmFsMock, withMockedHmFs } from './helpers/hmfs-mock.js'
+import {
+  createLocalStorageMock,
+  withMockLocalStorage
+} from './helpers/local-storage-mock.js'
+
+function createHistoryEntry(overrides = {}) {
+  return {
+    id: 'match-1',
+    completedAt: 1700000000000,
+    localTime: { year: 2026, month: 3, day: 4, hour: 9, minute: 5 },
+    teamALabel: 'Team A',
+    teamBLabel: 'Team B',
+    setsWonTeamA: 2,
+    setsWonTeamB: 0,
+    setHistory: [
+      { setNumber: 1, teamAGames: 6, teamBGames: 4 },
+      { setNumber: 2, teamAGames: 10, teamBGames: 8, superTieBreak: true }
+    ],
+    winnerTeam: 'teamA',
+    scoringMode: 'golden-point',
+    schemaVersion: MATCH_HISTORY_SCHEMA_VERSION,
+    ...overrides
+  }
+}
+
+function readFile(fileStore, fileName) {
+  return new TextDecoder().decode(fileStore.get(fileName))
+}
+
+test('createHistoryCsv writes one row per set and quotes special characters', () => {
+  const csv = createHistoryCsv([
+    createHistoryEntry({
+      teamALabel: 'Lobos, "Los"',
+      teamAPlayers: ['Ana', 'Bea']
+    }),
+    createHistoryEntry({
+      id: 'match-2',
+      localTime: null,
+      setHistory: [],
+      winnerTeam: null
+    })
+  ])
+  const lines = csv.split('\r\n')
+
+  assert.equal(
+    lines[0],
+    'match_id,date,team_a,team_b,team_a_players,team_b_players,sets_won_team_a,sets_won_team_b,winner,scoring_mode,set_number,team_a_games,team_b_games,super_tie_break'
+  )
+  assert.equal(
+    lines[1],
+    'match-1,2026-03-04 09:05,"Lobos, ""Los""",Team B,Ana / Bea,,2,0,teamA,golden-point,1,6,4,no'
+  )
+  assert.equal(lines[2].endsWith(',2,10,8,yes'), true)
+  assert.equal(
+    lines[3],
+    'match-2,2023-11-14T22:13:20.000Z,Team A,Team B,,,2,0,,golden-point,,,,'
+  )
+  assert.equal(lines[4], '')
+})
+
+test('createHistoryJson wraps the entries in a versioned export', () => {
+  const entries = [createHistoryEntry()]
+
+  assert.deepEqual(JSON.parse(createHistoryJson(entries, 1234)), {
+    format: HISTORY_EXPORT_FORMAT,
+    version: HISTORY_EXPORT_VERSION,
+    historySchemaVersion: MATCH_HISTORY_SCHEMA_VERSION,
+    exportedAt: 1234,
+    matches: entries
+  })
+})
+
+test('exportMatchHistory writes CSV and JSON files for the stored history', () => {
+  const { storage } = createLocalStorageMock()
+  const { mock, fileStore } = createHmFsMock()
+
+  withMockLocalStorage(storage, () => {
+    importMatchHistoryEntries([
+      createHistoryEntry(),
+      createHistoryEntry({ id: 'match-2' })
+    ])
+
+    withMockedHmFs(mock, () => {
+      assert.deepEqual(exportMatchHistory(), {
+        fileNames: [HISTORY_EXPORT_CSV_FILE, HISTORY_EXPORT_JSON_FILE],
+        entryCount: 2
+      })
+    })
+  })
+
+  assert.equal(
+    readFile(fileStore, HISTORY_EXPORT_CSV_FILE).split('\r\n').length,
+    6
+  )
+  assert.deepEqual(
+    JSON.parse(readFile(fileStore, HISTORY_EXPORT_JSON_FILE)).matches.map(
+      (entry) => entry.id
+    ),
+    ['match-1', 'match-2']
+  )
+})
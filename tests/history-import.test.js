@@ -0,0 +1,144 @@
+import assert from 'node:assert/strict'
+import test from 'node:test'
+
+import {
+  createHistoryJson,
+  HISTORY_EXPORT_FORMAT,
+  HISTORY_EXPORT_JSON_FILE
+} from '../utils/history-export.js'
+import {
+  importMatchHistoryBackup,
+  parseHistoryBackup
+} from '../utils/history-import.js'
+import {
+  getMatchHistoryPageCount,
+  importMatchHistoryEntries,
+  loadMatchHistory
+} from '../utils/match-history-storage.js'
+import { MATCH_HISTORY_SCHEMA_VERSION } from '../utils/match-history-types.js'
+import { createHmFsMock, withMockedHmFs } from './helpers/hmfs-mock.js'
+import {
+  createLocalStorageMock,
+  withMockLocalStorage
+} from './helpers/local-storage-mock.js'
+
+function createHistoryEntry(id, completedAt) {
+  return {
+    id,
+    completedAt,
+    teamALabel: 'Team A',
+    teamBLabel: 'Team B',
+    setsWonTeamA: 2,
+    setsWonTeamB: 0,
+    setHistory: [{ setNumber: 1, teamAGames: 6, teamBGames: 4 }],
+    winnerTeam: 'teamA',
+    schemaVersion: MATCH_HISTORY_SCHEMA_VERSION
+  }
+}
+
+function saveHistory(matches) {
+  importMatchHistoryEntries(matches)
+}
+
+test('parseHistoryBackup accepts exports and rejects other content', () => {
+  const entries = [createHistoryEntry('match-1', 1000)]
+
+  assert.deepEqual(parseHistoryBackup(createHistoryJson(entries)), entries)
+  assert.equal(parseHistoryBackup('not json'), null)
+  assert.equal(parseHistoryBackup(JSON.stringify({ matches: entries })), null)
+  assert.equal(
+    parseHistoryBackup(
+      JSON.stringify({
+        format: HISTORY_EXPORT_FORMAT,
+        version: 99,
+        matches: entries
+      })
+    ),
+    null
+  )
+  assert.equal(
+    parseHistoryBackup(
+      JSON.stringify({ format: HISTORY_EXPORT_FORMAT, version: 1 })
+    ),
+    null
+  )
+})
+
+test('importMatchHistoryEntries merges by id and reports skipped and rejected entries', () => {
+  const { storage } = createLocalStorageMock()
+
+  withMockLocalStorage(storage, () => {
+    saveHistory([createHistoryEntry('match-2', 2000)])
+
+    const report = importMatchHistoryEntries([
+      createHistoryEntry('match-1', 1000),
+      createHistoryEntry('match-2', 2000),
+      createHistoryEntry('match-3', 3000),
+      createHistoryEntry('match-3', 3000),
+      { id: 'broken' },
+      null
+    ])
+
+    assert.deepEqual(report, { added: 2, skipped: 2, rejected: 2 })
+    assert.deepEqual(
+      loadMatchHistory().map((entry) => entry.id),
+      ['match-3', 'match-2', 'match-1']
+    )
+  })
+})
+
+test('importMatchHistoryEntries merges large backups into paged history', () => {
+  const { storage } = createLocalStorageMock()
+
+  withMockLocalStorage(storage, () => {
+    saveHistory(
+      Array.from({ length: 50 }, (_, index) =>
+        createHistoryEntry(`stored-${index}`, 10000 - index)
+      )
+    )
+
+    const report = importMatchHistoryEntries([
+      createHistoryEntry('old', 1),
+      createHistoryEntry('new', 20000)
+    ])
+    const history = loadMatchHistory()
+
+    assert.deepEqual(report, { added: 2, skipped: 0, rejected: 0 })
+    assert.equal(history.length, 52)
+    assert.equal(history[0].id, 'new')
+    assert.equal(history.at(-1).id, 'old')
+    assert.equal(getMatchHistoryPageCount(), 3)
+  })
+})
+
+test('importMatchHistoryBackup restores the exported JSON file', () => {
+  const { storage } = createLocalStorageMock()
+  const { mock } = createHmFsMock({
+    [HISTORY_EXPORT_JSON_FILE]: createHistoryJson([
+      createHistoryEntry('match-1', 1000)
+    ]),
+    'broken.json': '{'
+  })
+
+  withMockLocalStorage(storage, () => {
+    withMockedHmFs(mock, () => {
+      assert.equal(importMatchHistoryBackup('missing.json'), null)
+      assert.equal(importMatchHistoryBackup('broken.json'), null)
+      assert.deepEqual(importMatchHistoryBackup(), {
+        added: 1,
+        skipped: 0,
+        rejected: 0
+      })
+      assert.deepEqual(importMatchHistoryBackup(), {
+        added: 0,
+        skipped: 1,
+        rejected: 0
+      })
+    })
+
+    assert.deepEqual(
+      loadMatchHistory().map((entry) => entry.id),
+      ['match-1']
+    )
+  })
+})
@@ -0,0 +1,153 @@
+import assert from 'node:assert/strict'
+import test from 'node:test'
+
+import {
+  createHistoryQuery,
+  filterMatchHistory,
+  HISTORY_FILTERS,
+  isHistoryQueryActive,
+  listHistoryNames,
+  queryMatchHistory
+} from '../utils/history-query.js'
+import { importMatchHistoryEntries } from '../utils/match-history-storage.js'
+import { MATCH_HISTORY_SCHEMA_VERSION } from '../utils/match-history-types.js'
+import {
+  createLocalStorageMock,
+  withMockLocalStorage
+} from './helpers/local-storage-mock.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const NOW = new Date(2026, 2, 20, 12, 0).getTime()
+
+function createHistoryEntry(id, daysAgo, overrides = {}) {
+  return {
+    id,
+    completedAt: NOW - daysAgo * DAY_MS,
+    teamALabel: 'Team A',
+    teamBLabel: 'Team B',
+    setsWonTeamA: 2,
+    setsWonTeamB: 0,
+    setHistory: [],
+    winnerTeam: 'teamA',
+    schemaVersion: MATCH_HISTORY_SCHEMA_VERSION,
+    ...overrides
+  }
+}
+
+const ENTRIES = Object.freeze([
+  createHistoryEntry('march-old', 15, {
+    teamALabel: 'Lobos',
+    teamBLabel: 'Cris / Dani',
+    teamBPlayers: ['Cris', 'Dani'],
+    winnerTeam: 'teamB'
+  }),
+  createHistoryEntry('march-new', 2, {
+    teamALabel: 'Ana / Bea',
+    teamAPlayers: ['Ana', 'Bea'],
+    teamBLabel: 'Lobos'
+  }),
+  createHistoryEntry('february', 25, { winnerTeam: null }),
+  createHistoryEntry('january', 60, {
+    teamBLabel: 'Cris / Eva',
+    teamBPlayers: ['cris', 'Eva'],
+    winnerTeam: 'teamB'
+  })
+])
+
+function getIds(entries) {
+  return entries.map((entry) => entry.id)
+}
+
+test('filterMatchHistory sorts newest first and filters by period', () => {
+  assert.deepEqual(getIds(filterMatchHistory([...ENTRIES])), [
+    'march-new',
+    'march-old',
+    'february',
+    'january'
+  ])
+  assert.deepEqual(
+    getIds(filterMatchHistory(ENTRIES, { period: 'thisMonth', now: NOW })),
+    ['march-new', 'march-old']
+  )
+  assert.deepEqual(
+    getIds(filterMatchHistory(ENTRIES, { period: 'last30Days', now: NOW })),
+    ['march-new', 'march-old', 'february']
+  )
+})
+
+test('filterMatchHistory judges results for the side of the named team or player', () => {
+  assert.deepEqual(getIds(filterMatchHistory(ENTRIES, { result: 'wins' })), [
+    'march-new'
+  ])
+  assert.deepEqual(getIds(filterMatchHistory(ENTRIES, { result: 'losses' })), [
+    'march-old',
+    'january'
+  ])
+  assert.deepEqual(getIds(filterMatchHistory(ENTRIES, { name: 'lobos' })), [
+    'march-new',
+    'march-old'
+  ])
+  assert.deepEqual(
+    getIds(filterMatchHistory(ENTRIES, { name: 'Lobos', result: 'losses' })),
+    ['march-new', 'march-old']
+  )
+  assert.deepEqual(
+    filterMatchHistory(ENTRIES, { name: 'Lobos', result: 'wins' }),
+    []
+  )
+  assert.deepEqual(
+    getIds(filterMatchHistory(ENTRIES, { name: 'CRIS', result: 'wins' })),
+    ['march-old', 'january']
+  )
+  assert.deepEqual(
+    getIds(
+      filterMatchHistory(ENTRIES, {
+        name: 'Cris',
+        result: 'wins',
+        period: 'thisMonth',
+        now: NOW
+      })
+    ),
+    ['march-old']
+  )
+})
+
+test('createHistoryQuery maps screen filters to queries', () => {
+  assert.equal(HISTORY_FILTERS[0], 'all')
+  assert.deepEqual(createHistoryQuery('last30Days', 'Ana'), {
+    period: 'last30Days',
+    result: 'all',
+    name: 'Ana'
+  })
+  assert.deepEqual(createHistoryQuery('losses'), {
+    period: 'all',
+    result: 'losses',
+    name: ''
+  })
+  assert.equal(isHistoryQueryActive(createHistoryQuery('all')), false)
+  assert.equal(isHistoryQueryActive(createHistoryQuery('all', ' ')), false)
+  assert.equal(isHistoryQueryActive(createHistoryQuery('wins')), true)
+  assert.equal(isHistoryQueryActive(createHistoryQuery('all', 'Ana')), true)
+})
+
+test('listHistoryNames lists custom team names and players once', () => {
+  assert.deepEqual(listHistoryNames(ENTRIES), [
+    'Ana',
+    'Bea',
+    'Cris',
+    'Dani',
+    'Eva',
+    'Lobos'
+  ])
+})
+
+test('queryMatchHistory filters the stored history', () => {
+  const { storage } = createLocalStorageMock()
+
+  withMockLocalStorage(storage, () => {
+    importMatchHistoryEntries([...ENTRIES])
+
+    assert.deepEqual(getIds(queryMatchHistory({ name: 'Eva' })), ['january'])
+    assert.equal(queryMatchHistory().length, ENTRIES.length)
+  })
+})
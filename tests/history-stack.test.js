@@ -1,7 +1,7 @@
 import assert from 'node:assert/strict'
 import test from 'node:test'
 
-import { createHistoryStack } from '../utils/history-stack.js'
+import { createHistoryStack, MAX_REDO_ENTRIES } from '../utils/history-stack.js'
 
 function createSampleState() {
   return {
@@ -74,3 +74,48 @@ test('history stack pop follows LIFO ordering', () => {
   assert.deepEqual(history.pop(), { value: 1 })
   assert.equal(history.pop(), null)
 })
+
+test('history stack toArray returns detached snapshots oldest first', () => {
+  const history = createHistoryStack()
+
+  history.push({ value: 1 })
+  history.push({ value: 2 })
+  history.push({ value: 3 })
+
+  const snapshots = history.toArray()
+  snapshots[0].value = 99
+
+  assert.deepEqual(history.toArray(), [
+    { value: 1 },
+    { value: 2 },
+    { value: 3 }
+  ])
+  assert.deepEqual(history.toArray(2), [{ value: 2 }, { value: 3 }])
+  assert.deepEqual(history.toArray(0), [])
+  assert.equal(history.size(), 3)
+})
+
+test('history stack keeps redo entries separately and bounds them', () => {
+  const history = createHistoryStack()
+
+  history.push({ value: 1 })
+
+  for (let index = 0; index < MAX_REDO_ENTRIES + 2; index += 1) {
+    history.pushRedo({ redo: index })
+  }
+
+  assert.equal(history.size(), 1)
+  assert.equal(history.redoSize(), MAX_REDO_ENTRIES)
+  assert.deepEqual(history.popRedo(), { redo: MAX_REDO_ENTRIES + 1 })
+
+  history.clearRedo()
+
+  assert.equal(history.popRedo(), null)
+  assert.equal(history.size(), 1)
+
+  history.pushRedo({ redo: 'again' })
+  history.clear()
+
+  assert.equal(history.size(), 0)
+  assert.equal(history.redoSize(), 0)
+})
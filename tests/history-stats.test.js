@@ -0,0 +1,204 @@
+import assert from 'node:assert/strict'
+import test from 'node:test'
+
+import {
+  computeHistoryStatistics,
+  getHistoryEntryDuration
+} from '../utils/history-stats.js'
+import { formatMatchDuration } from '../utils/match-clock.js'
+import { MATCH_HISTORY_SCHEMA_VERSION } from '../utils/match-history-types.js'
+
+function createHistoryEntry(id, month, winnerTeam, overrides = {}) {
+  return {
+    id,
+    completedAt: Date.UTC(2026, month - 1, 10) + Number(id.slice(-1)),
+    localTime: { year: 2026, month, day: 10, hour: 18, minute: 0 },
+    teamALabel: 'Team A',
+    teamBLabel: 'Team B',
+    setsWonTeamA: winnerTeam === 'teamA' ? 2 : 0,
+    setsWonTeamB: winnerTeam === 'teamB' ? 2 : 0,
+    setHistory: [],
+    winnerTeam,
+    schemaVersion: MATCH_HISTORY_SCHEMA_VERSION,
+    ...overrides
+  }
+}
+
+test('computeHistoryStatistics totals results, sets, games and tie-breaks', () => {
+  const statistics = computeHistoryStatistics([
+    createHistoryEntry('match-1', 1, 'teamA', {
+      setsWonTeamB: 1,
+      setHistory: [
+        { setNumber: 1, teamAGames: 7, teamBGames: 6, tieBreak: true },
+        { setNumber: 2, teamAGames: 4, teamBGames: 6 },
+        { setNumber: 3, teamAGames: 10, teamBGames: 8, superTieBreak: true }
+      ]
+    }),
+    createHistoryEntry('match-2', 1, 'teamB', {
+      setHistory: [
+        { setNumber: 1, teamAGames: 5, teamBGames: 4 },
+        { setNumber: 2, teamAGames: 'x', teamBGames: 6 }
+      ]
+    }),
+    createHistoryEntry('match-3', 2, null)
+  ])
+
+  assert.equal(statistics.played, 3)
+  assert.equal(statistics.won, 1)
+  assert.equal(statistics.lost, 1)
+  assert.equal(statistics.winRate, 33)
+  assert.deepEqual([statistics.setsWon, statistics.setsLost], [2, 3])
+  assert.deepEqual([statistics.gamesWon, statistics.gamesLost], [16, 16])
+  assert.deepEqual([statistics.tieBreaksWon, statistics.tieBreaksLost], [2, 0])
+  assert.deepEqual(statistics.months, [
+    { year: 2026, month: 2, played: 1, won: 0, lost: 0 },
+    { year: 2026, month: 1, played: 2, won: 1, lost: 1 }
+  ])
+})
+
+function createSetPoint(team, setNumber, before, after) {
+  return {
+    team,
+    timestamp: 1000,
+    setNumber,
+    gameNumber: before.games[0] + before.games[1] + 1,
+    before: {
+      setsWon: { teamA: before.setsWon[0], teamB: before.setsWon[1] },
+      games: { teamA: before.games[0], teamB: before.games[1] },
+      points: { teamA: before.points[0], teamB: before.points[1] }
+    },
+    after: {
+      setsWon: { teamA: after.setsWon[0], teamB: after.setsWon[1] },
+      games: { teamA: after.games[0], teamB: after.games[1] },
+      points: { teamA: 0, teamB: 0 }
+    }
+  }
+}
+
+test('computeHistoryStatistics only counts sets a tie-break decided', () => {
+  const statistics = computeHistoryStatistics([
+    // Finished by hand at 3-2 after a regular game.
+    createHistoryEntry('match-1', 6, null, {
+      setHistory: [{ setNumber: 1, teamAGames: 3, teamBGames: 2 }],
+      pointLog: [
+        createSetPoint(
+          'teamA',
+          1,
+          { setsWon: [0, 0], games: [2, 2], points: [40, 15] },
+          { setsWon: [0, 0], games: [3, 2] }
+        )
+      ]
+    }),
+    // A fixed-games match moved one game apart by a one-game handicap.
+    createHistoryEntry('match-2', 6, 'teamB', {
+      setsWonTeamB: 1,
+      setHistory: [{ setNumber: 1, teamAGames: 6, teamBGames: 7 }],
+      pointLog: [
+        createSetPoint(
+          'teamB',
+          1,
+          { setsWon: [0, 0], games: [6, 6], points: [30, 40] },
+          { setsWon: [0, 1], games: [0, 0] }
+        )
+      ]
+    }),
+    // Saved before tie-breaks were recorded, won from a 6-4 tie-break score.
+    createHistoryEntry('match-3', 6, 'teamA', {
+      setsWonTeamA: 1,
+      setHistory: [{ setNumber: 1, teamAGames: 7, teamBGames: 6 }],
+      pointLog: [
+        createSetPoint(
+          'teamA',
+          1,
+          { setsWon: [0, 0], games: [6, 6], points: [6, 4] },
+          { setsWon: [1, 0], games: [0, 0] }
+        )
+      ]
+    }),
+    createHistoryEntry('match-4', 6, 'teamA', {
+      setsWonTeamA: 1,
+      setHistory: [{ setNumber: 1, teamAGames: 4, teamBGames: 3 }]
+    })
+  ])
+
+  assert.deepEqual([statistics.tieBreaksWon, statistics.tieBreaksLost], [1, 0])
+})
+
+test('computeHistoryStatistics follows win streaks in the order matches were played', () => {
+  const entries = ['teamA', 'teamA', 'teamB', 'teamA', 'teamA', 'teamA'].map(
+    (winnerTeam, index) => createHistoryEntry(`match-${index}`, 3, winnerTeam)
+  )
+  const statistics = computeHistoryStatistics(entries.reverse())
+
+  assert.equal(statistics.currentWinStreak, 3)
+  assert.equal(statistics.longestWinStreak, 3)
+
+  const endedStreak = computeHistoryStatistics([
+    ...entries,
+    createHistoryEntry('match-9', 4, null)
+  ])
+
+  assert.equal(endedStreak.currentWinStreak, 0)
+  assert.equal(endedStreak.longestWinStreak, 3)
+})
+
+test('computeHistoryStatistics counts for the side of a named team or player', () => {
+  const statistics = computeHistoryStatistics(
+    [
+      createHistoryEntry('match-1', 5, 'teamB', {
+        teamBLabel: 'Lobos',
+        setHistory: [{ setNumber: 1, teamAGames: 3, teamBGames: 6 }]
+      }),
+      createHistoryEntry('match-2', 5, 'teamA')
+    ],
+    'lobos'
+  )
+
+  assert.equal(statistics.played, 1)
+  assert.equal(statistics.winRate, 100)
+  assert.deepEqual([statistics.gamesWon, statistics.gamesLost], [6, 3])
+  assert.deepEqual([statistics.setsWon, statistics.setsLost], [2, 0])
+})
+
+test('average duration uses matches with a point log', () => {
+  const startedAt = Date.UTC(2026, 0, 10)
+  const statistics = computeHistoryStatistics([
+    createHistoryEntry('match-1', 1, 'teamA', {
+      completedAt: startedAt + 60 * 60000,
+      pointLog: [{ timestamp: startedAt }]
+    }),
+    createHistoryEntry('match-2', 1, 'teamA', {
+      completedAt: startedAt + 100 * 60000,
+      pointLog: [{ timestamp: startedAt + 10 * 60000 }]
+    }),
+    createHistoryEntry('match-3', 1, 'teamA')
+  ])
+
+  assert.equal(statistics.averageDurationMs, 75 * 60000)
+  assert.equal(
+    getHistoryEntryDuration(createHistoryEntry('match-4', 1, null)),
+    null
+  )
+  assert.equal(
+    getHistoryEntryDuration(
+      createHistoryEntry('match-5', 1, 'teamA', {
+        durationMs: 40 * 60000,
+        pointLog: [{ timestamp: startedAt }]
+      })
+    ),
+    40 * 60000
+  )
+  assert.equal(formatMatchDuration(statistics.averageDurationMs), '1h 15m')
+  assert.equal(formatMatchDuration(48 * 60000), '48m')
+  assert.equal(formatMatchDuration(62 * 60000), '1h 02m')
+  assert.equal(formatMatchDuration(null), '--')
+})
+
+test('computeHistoryStatistics reports no rate or duration without matches', () => {
+  const statistics = computeHistoryStatistics([])
+
+  assert.equal(statistics.played, 0)
+  assert.equal(statistics.winRate, null)
+  assert.equal(statistics.averageDurationMs, null)
+  assert.deepEqual(statistics.months, [])
+})
@@ -0,0 +1,328 @@
+import assert from 'node:assert/strict'
+import test from 'node:test'
+
+import {
+  createHistoryArchiveService,
+  HISTORY_ARCHIVE_STORAGE_KEY,
+  loadHistoryArchive
+} from '../app-side/history-archive.js'
+import { clearAllAppData } from '../utils/app-data-clear.js'
+import {
+  createHistorySyncClient,
+  getPendingHistoryEntries,
+  HISTORY_SYNC_STORAGE_KEY,
+  loadSyncedHistoryIds
+} from '../utils/history-sync.js'
+import { importMatchHistoryEntries } from '../utils/match-history-storage.js'
+import { MATCH_HISTORY_SCHEMA_VERSION } from '../utils/match-history-types.js'
+import { createPhoneMessagingChannel } from '../utils/phone-messaging.js'
+import {
+  createHistoryAckMessage,
+  createHistoryEntryMessage,
+  decodeSyncMessage,
+  encodeSyncMessage
+} from '../utils/sync-protocol.js'
+import {
+  createLocalStorageMock,
+  withMockLocalStorage
+} from './helpers/local-storage-mock.js'
+import { createMessagingChannelPair } from './helpers/messaging-channel-mock.js'
+
+function createHistoryEntry(id, completedAt) {
+  return {
+    id,
+    completedAt,
+    teamALabel: 'Lobos',
+    teamBLabel: 'Team B',
+    setsWonTeamA: 2,
+    setsWonTeamB: 0,
+    setHistory: [{ setNumber: 1, teamAGames: 6, teamBGames: 4 }],
+    winnerTeam: 'teamA',
+    schemaVersion: MATCH_HISTORY_SCHEMA_VERSION
+  }
+}
+
+function saveHistory(matches) {
+  importMatchHistoryEntries(matches)
+}
+
+function createFakeTimers() {
+  const timers = new Map()
+  let nextTimer = 1
+
+  return {
+    setTimeout(callback) {
+      const timer = nextTimer
+      nextTimer += 1
+      timers.set(timer, callback)
+      return timer
+    },
+    clearTimeout(timer) {
+      timers.delete(timer)
+    },
+    pendingCount() {
+      return timers.size
+    },
+    runAll() {
+      const callbacks = [...timers.values()]
+      timers.clear()
+      callbacks.forEach((callback) => callback())
+    }
+  }
+}
+
+function connectPhone(pair, phoneStorage) {
+  const service = createHistoryArchiveService({
+    storage: phoneStorage,
+    send: (message) => pair.phone.send(message)
+  })
+
+  pair.phone.onMessage((message) => service.handleMessage(message))
+  return service
+}
+
+test('sync messages survive encoding and invalid payloads are ignored', () => {
+  const entryMessage = createHistoryEntryMessage(
+    createHistoryEntry('match-1', 1000)
+  )
+  entryMessage.entry.teamALabel = 'Begoña 🎾'
+
+  assert.deepEqual(
+    decodeSyncMessage(encodeSyncMessage(entryMessage)),
+    entryMessage
+  )
+  assert.deepEqual(
+    decodeSyncMessage(
+      new Uint8Array(encodeSyncMessage(createHistoryAckMessage('m-1')))
+    ),
+    createHistoryAckMessage('m-1')
+  )
+  assert.equal(decodeSyncMessage('text'), null)
+  assert.equal(
+    decodeSyncMessage(new TextEncoder().encode('{"type":"x"}')),
+    null
+  )
+  assert.equal(
+    decodeSyncMessage(
+      encodeSyncMessage({ ...createHistoryAckMessage('m-1'), id: '' })
+    ),
+    null
+  )
+})
+
+test('history sync pushes pending entries and stops once the phone acknowledges them', () => {
+  const { storage } = createLocalStorageMock()
+  const phone = createLocalStorageMock()
+  const pair = createMessagingChannelPair()
+  const timers = createFakeTimers()
+
+  withMockLocalStorage(storage, () => {
+    saveHistory([
+      createHistoryEntry('match-2', 2000),
+      createHistoryEntry('match-1', 1000)
+    ])
+    connectPhone(pair, phone.storage)
+
+    const client = createHistorySyncClient(pair.watch, timers)
+
+    assert.equal(client.syncPending(), 2)
+    pair.deliver()
+
+    assert.deepEqual(loadSyncedHistoryIds(), ['match-1', 'match-2'])
+    assert.deepEqual(getPendingHistoryEntries(), [])
+    assert.deepEqual(
+      loadHistoryArchive(phone.storage).map((entry) => entry.id),
+      ['match-2', 'match-1']
+    )
+    assert.equal(client.syncPending(), 0)
+
+    client.stop()
+
+    assert.equal(timers.pendingCount(), 0)
+
+    clearAllAppData()
+
+    assert.deepEqual(loadSyncedHistoryIds(), [])
+    assert.equal(storage.getItem(HISTORY_SYNC_STORAGE_KEY), null)
+  })
+})
+
+test('history sync resends entries whose acknowledgement was lost', () => {
+  const { storage } = createLocalStorageMock()
+  const phone = createLocalStorageMock()
+  const pair = createMessagingChannelPair()
+  const timers = createFakeTimers()
+
+  withMockLocalStorage(storage, () => {
+    saveHistory([createHistoryEntry('match-1', 1000)])
+    connectPhone(pair, phone.storage)
+
+    const client = createHistorySyncClient(pair.watch, {
+      ...timers,
+      maxRetries: 1
+    })
+
+    client.syncPending()
+    assert.equal(pair.inFlight('phone'), 1)
+    pair.deliver('phone')
+    // The entry reaches the phone but its acknowledgement does not.
+    assert.equal(pair.inFlight('watch'), 1)
+    pair.drop('watch')
+
+    assert.equal(getPendingHistoryEntries().length, 1)
+    assert.equal(loadHistoryArchive(phone.storage).length, 1)
+
+    timers.runAll()
+    assert.equal(pair.inFlight('phone'), 1)
+    pair.drop('phone')
+
+    // Retries are used up until the next sync request.
+    timers.runAll()
+    assert.equal(pair.inFlight('phone'), 0)
+    assert.equal(timers.pendingCount(), 0)
+
+    assert.equal(client.syncPending(), 1)
+    pair.deliver()
+
+    assert.deepEqual(loadSyncedHistoryIds(), ['match-1'])
+    assert.equal(loadHistoryArchive(phone.storage).length, 1)
+  })
+})
+
+test('history sync sends entries in batches and reads history once per sync', () => {
+  const { storage } = createLocalStorageMock()
+  const phone = createLocalStorageMock()
+  const pair = createMessagingChannelPair()
+  const timers = createFakeTimers()
+  let historyReads = 0
+  const countingStorage = {
+    ...storage,
+    getItem(key) {
+      if (String(key).startsWith('padel-buddy.match-history')) {
+        historyReads += 1
+      }
+
+      return storage.getItem(key)
+    }
+  }
+
+  withMockLocalStorage(countingStorage, () => {
+    saveHistory(
+      [5, 4, 3, 2, 1].map((index) =>
+        createHistoryEntry(`match-${index}`, index * 1000)
+      )
+    )
+    connectPhone(pair, phone.storage)
+
+    const client = createHistorySyncClient(pair.watch, {
+      ...timers,
+      batchSize: 2
+    })
+
+    assert.equal(client.syncPending(), 5)
+    assert.equal(pair.inFlight('phone'), 2)
+
+    pair.deliver('phone')
+    historyReads = 0
+    pair.deliver('watch')
+
+    // Acknowledgements are recorded without reading history back.
+    assert.equal(historyReads, 0)
+    assert.deepEqual(loadSyncedHistoryIds(), ['match-1', 'match-2'])
+    assert.equal(pair.inFlight('phone'), 2)
+
+    // A retry resends only the unacknowledged part of the current batch.
+    pair.deliver('phone')
+    pair.drop('watch')
+    timers.runAll()
+    assert.equal(pair.inFlight('phone'), 2)
+
+    pair.deliver()
+
+    assert.deepEqual(getPendingHistoryEntries(), [])
+    assert.deepEqual(
+      loadHistoryArchive(phone.storage).map((entry) => entry.id),
+      ['match-5', 'match-4', 'match-3', 'match-2', 'match-1']
+    )
+    assert.equal(timers.pendingCount(), 0)
+
+    client.stop()
+  })
+})
+
+test('phone archive keeps every synced match', () => {
+  const phone = createLocalStorageMock()
+  const acknowledgedIds = []
+  const service = createHistoryArchiveService({
+    storage: phone.storage,
+    send: (message) => acknowledgedIds.push(message.id)
+  })
+  const entryCount = 55
+
+  for (let index = 0; index < entryCount; index += 1) {
+    assert.equal(
+      service.handleMessage(
+        createHistoryEntryMessage(createHistoryEntry(`match-${index}`, index))
+      ),
+      true
+    )
+  }
+
+  assert.equal(service.handleMessage(createHistoryAckMessage('match-1')), false)
+  assert.equal(service.handleMessage(null), false)
+
+  const archive = loadHistoryArchive(phone.storage)
+
+  assert.equal(archive.length, entryCount)
+  assert.equal(archive[0].id, `match-${entryCount - 1}`)
+  assert.equal(acknowledgedIds.length, entryCount)
+  assert.equal(phone.has(HISTORY_ARCHIVE_STORAGE_KEY), true)
+})
+
+test('phone messaging channel sends and receives sync messages over hmBle', () => {
+  const originalHmBle = globalThis.hmBle
+  const sentPayloads = []
+  const receivedMessages = []
+  let receive = null
+  let disconnected = false
+
+  try {
+    delete globalThis.hmBle
+    assert.equal(createPhoneMessagingChannel(), null)
+
+    globalThis.hmBle = {
+      createConnect(callback) {
+        receive = callback
+      },
+      send(payload, size) {
+        sentPayloads.push([payload, size])
+      },
+      disConnect() {
+        disconnected = true
+      }
+    }
+
+    const channel = createPhoneMessagingChannel()
+    channel.onMessage((message) => receivedMessages.push(message))
+
+    assert.equal(channel.send(createHistoryAckMessage('match-1')), true)
+    assert.deepEqual(
+      decodeSyncMessage(sentPayloads[0][0]),
+      createHistoryAckMessage('match-1')
+    )
+    assert.equal(sentPayloads[0][1], sentPayloads[0][0].byteLength)
+
+    receive(0, encodeSyncMessage(createHistoryAckMessage('match-2')))
+    receive(0, new ArrayBuffer(4))
+    assert.deepEqual(receivedMessages, [createHistoryAckMessage('match-2')])
+
+    channel.close()
+    assert.equal(disconnected, true)
+  } finally {
+    if (typeof originalHmBle === 'undefined') {
+      delete globalThis.hmBle
+    } else {
+      globalThis.hmBle = originalHmBle
+    }
+  }
+})
@@ -1,11 +1,20 @@
 import assert from 'node:assert/strict'
 import { readFile } from 'node:fs/promises'
 import test from 'node:test'
+import {
+  createAmericanoSession,
+  saveAmericanoSession
+} from '../utils/americano-session.js'
+import { createHistoryStack } from '../utils/history-stack.js'
 import { createInitialMatchState } from '../utils/match-state.js'
 import { STORAGE_KEY as ACTIVE_MATCH_SESSION_STORAGE_KEY } from '../utils/match-state-schema.js'
 import { matchStorage } from '../utils/match-storage.js'
 import { SYSTEM_HEADER_HEIGHT_SQUARE } from '../utils/screen-utils.js'
 import { startNewMatchFlow as runStartNewMatchFlow } from '../utils/start-new-match-flow.js'
+import {
+  createLocalStorageMock,
+  withMockLocalStorage
+} from './helpers/local-storage-mock.js'
 import { toProjectFileUrl } from './helpers/project-paths.js'
 
 let homePageImportCounter = 0
@@ -130,6 +139,10 @@ async function waitForAsyncPageUpdates() {
 
 async function loadHomePageDefinition() {
   const sourceUrl = toProjectFileUrl('page/index.js')
+  const activeSessionStorageUrl = toProjectFileUrl(
+    'utils/active-session-storage.js'
+  )
+  const americanoSessionUrl = toProjectFileUrl('utils/americano-session.js')
   const appFeedbackUrl = toProjectFileUrl('utils/app-feedback.js')
   const historyStackUrl = toProjectFileUrl('utils/history-stack.js')
   const matchStorageUrl = toProjectFileUrl('utils/match-storage.js')
@@ -138,6 +151,7 @@ async function loadHomePageDefinition() {
   const startNewMatchFlowUrl = toProjectFileUrl(
     'tests/helpers/home-start-new-match-flow-bridge.js'
   )
+  const teamNamesUrl = toProjectFileUrl('utils/team-names.js')
   const constantsUrl = toProjectFileUrl('utils/constants.js')
   const storageUrl = toProjectFileUrl('utils/storage.js')
   const validationUrl = toProjectFileUrl('utils/validation.js')
@@ -161,6 +175,14 @@ async function loadHomePageDefinition() {
       "import { gettext } from 'i18n'\n",
       'const gettext = (key) => key\n'
     )
+    .replace(
+      "from '../utils/active-session-storage.js'",
+      `from '${activeSessionStorageUrl.href}'`
+    )
+    .replace(
+      "from '../utils/americano-session.js'",
+      `from '${americanoSessionUrl.href}'`
+    )
     .replace("from '../utils/app-feedback.js'", `from '${appFeedbackUrl.href}'`)
     .replace(
       "from '../utils/history-stack.js'",
@@ -179,6 +201,7 @@ async function loadHomePageDefinition() {
       "from '../utils/start-new-match-flow.js'",
       `from '${startNewMatchFlowUrl.href}'`
     )
+    .replace("from '../utils/team-names.js'", `from '${teamNamesUrl.href}'`)
     .replace("from '../utils/constants.js'", `from '${constantsUrl.href}'`)
     .replace("from '../utils/storage.js'", `from '${storageUrl.href}'`)
     .replace("from '../utils/validation.js'", `from '${validationUrl.href}'`)
@@ -427,7 +450,8 @@ test('home screen resume visibility uses active persisted session state only', a
     async ({ createdWidgets, loadedMatchStorageKeys }) => {
       assert.deepEqual(getVisibleButtonLabels(createdWidgets), [
         'home.startNewGame',
-        'home.resumeGame'
+        'home.resumeGame',
+        'home.americano'
       ])
       assert.deepEqual(loadedMatchStorageKeys, [
         ACTIVE_MATCH_SESSION_STORAGE_KEY
@@ -441,7 +465,8 @@ test('home screen resume visibility uses active persisted session state only', a
     },
     async ({ createdWidgets }) => {
       assert.deepEqual(getVisibleButtonLabels(createdWidgets), [
-        'home.startNewGame'
+        'home.startNewGame',
+        'home.americano'
       ])
     }
   )
@@ -452,7 +477,8 @@ test('home screen resume visibility uses active persisted session state only', a
     },
     async ({ createdWidgets }) => {
       assert.deepEqual(getVisibleButtonLabels(createdWidgets), [
-        'home.startNewGame'
+        'home.startNewGame',
+        'home.americano'
       ])
     }
   )
@@ -467,7 +493,8 @@ test('home screen refreshes resume visibility on re-init (v1.0 lifecycle) using
     },
     async ({ createdWidgets, page, loadedMatchStorageKeys }) => {
       assert.deepEqual(getVisibleButtonLabels(createdWidgets), [
-        'home.startNewGame'
+        'home.startNewGame',
+        'home.americano'
       ])
 
       page.onDestroy()
@@ -477,7 +504,8 @@ test('home screen refreshes resume visibility on re-init (v1.0 lifecycle) using
 
       assert.deepEqual(getVisibleButtonLabels(createdWidgets), [
         'home.startNewGame',
-        'home.resumeGame'
+        'home.resumeGame',
+        'home.americano'
       ])
       assert.deepEqual(loadedMatchStorageKeys, [
         ACTIVE_MATCH_SESSION_STORAGE_KEY,
@@ -494,7 +522,8 @@ test('home screen hides Resume for invalid, corrupt, or load-failure payloads',
     },
     async ({ createdWidgets }) => {
       assert.deepEqual(getVisibleButtonLabels(createdWidgets), [
-        'home.startNewGame'
+        'home.startNewGame',
+        'home.americano'
       ])
     }
   )
@@ -505,7 +534,8 @@ test('home screen hides Resume for invalid, corrupt, or load-failure payloads',
     },
     async ({ createdWidgets }) => {
       assert.deepEqual(getVisibleButtonLabels(createdWidgets), [
-        'home.startNewGame'
+        'home.startNewGame',
+        'home.americano'
       ])
     }
   )
@@ -516,12 +546,41 @@ test('home screen hides Resume for invalid, corrupt, or load-failure payloads',
     },
     async ({ createdWidgets }) => {
       assert.deepEqual(getVisibleButtonLabels(createdWidgets), [
-        'home.startNewGame'
+        'home.startNewGame',
+        'home.americano'
       ])
     }
   )
 })
 
+test('home screen Americano button resumes a stored session', async () => {
+  const { storage } = createLocalStorageMock()
+
+  await withMockLocalStorage(storage, async () => {
+    saveAmericanoSession(
+      createAmericanoSession({ players: ['Ana', 'Bea', 'Cris', 'Dani'] })
+    )
+
+    await runHomePageScenario(
+      {
+        matchStorageLoadResponses: [null]
+      },
+      async ({ createdWidgets, navigationCalls }) => {
+        assert.deepEqual(getVisibleButtonLabels(createdWidgets), [
+          'home.startNewGame',
+          'home.resumeAmericano'
+        ])
+
+        getVisibleButtons(createdWidgets)
+          .find((widget) => widget.properties.text === 'home.resumeAmericano')
+          .properties.click_func()
+
+        assert.deepEqual(navigationCalls, [{ url: 'page/americano' }])
+      }
+    )
+  })
+})
+
 test('home screen start button requires confirmation before running hard reset flow', async () => {
   let startNewMatchFlowCalls = 0
 
@@ -705,6 +764,40 @@ test('home resume click reloads active session, restores runtime manager, and na
   )
 })
 
+test('home restoreRuntimeMatchState refills the undo history from persisted snapshots', async () => {
+  const matchHistory = createHistoryStack()
+  matchHistory.push({ stale: true })
+
+  await runHomePageScenario(
+    {
+      app: {
+        globalData: {
+          matchState: createInitialMatchState(1700000000),
+          matchHistory
+        }
+      }
+    },
+    async ({ app, page }) => {
+      const firstSnapshot = createInitialMatchState(1700000100)
+      const secondSnapshot = createInitialMatchState(1700000200)
+      secondSnapshot.teamA.points = 15
+      const restoredState = createInitialMatchState(1700000300)
+      restoredState.teamA.points = 30
+
+      page.restoreRuntimeMatchState(restoredState, [
+        firstSnapshot,
+        secondSnapshot
+      ])
+
+      assert.equal(app.globalData.matchHistory, matchHistory)
+      assert.deepEqual(app.globalData.matchState, restoredState)
+      assert.equal(matchHistory.size(), 2)
+      assert.deepEqual(matchHistory.pop(), secondSnapshot)
+      assert.deepEqual(matchHistory.pop(), firstSnapshot)
+    }
+  )
+})
+
 test('home resume click fails safe when reloaded session is no longer active', async () => {
   const activeState = serializePersistedMatchState({ status: 'active' })
   const finishedState = serializePersistedMatchState({ status: 'finished' })
@@ -727,7 +820,8 @@ test('home resume click fails safe when reloaded session is no longer active', a
       assert.equal(app.globalData.matchHistory.clearCalls, 0)
       assert.deepEqual(app.globalData.matchState, initialRuntimeState)
       assert.deepEqual(getVisibleButtonLabels(createdWidgets), [
-        'home.startNewGame'
+        'home.startNewGame',
+        'home.americano'
       ])
     }
   )
@@ -752,7 +846,8 @@ test('home resume click fails safe when reloaded session throws', async () => {
       assert.deepEqual(navigationCalls, [])
       assert.equal(app.globalData.matchHistory.clearCalls, 0)
       assert.deepEqual(getVisibleButtonLabels(createdWidgets), [
-        'home.startNewGame'
+        'home.startNewGame',
+        'home.americano'
       ])
     }
   )
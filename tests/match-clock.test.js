@@ -0,0 +1,111 @@
+import assert from 'node:assert/strict'
+import test from 'node:test'
+
+import {
+  formatMatchDuration,
+  getMatchElapsedMs,
+  getMatchTimeRemainingMs,
+  getPassedTimeLimitWarning,
+  isMatchClockRunning,
+  syncMatchClock
+} from '../utils/match-clock.js'
+
+const STARTED_AT = Date.UTC(2026, 0, 10, 18, 0, 0)
+
+function createTiming(overrides = {}) {
+  return {
+    createdAt: new Date(STARTED_AT).toISOString(),
+    updatedAt: new Date(STARTED_AT).toISOString(),
+    startedAt: new Date(STARTED_AT).toISOString(),
+    finishedAt: null,
+    ...overrides
+  }
+}
+
+test('legacy timings run from the start until the match finishes', () => {
+  const timing = createTiming()
+
+  assert.equal(isMatchClockRunning(timing), true)
+  assert.equal(getMatchElapsedMs(timing, STARTED_AT + 90000), 90000)
+
+  const finishedTiming = createTiming({
+    finishedAt: new Date(STARTED_AT + 60000).toISOString()
+  })
+
+  assert.equal(isMatchClockRunning(finishedTiming), false)
+  assert.equal(getMatchElapsedMs(finishedTiming, STARTED_AT + 90000), 60000)
+  assert.equal(getMatchElapsedMs(null), null)
+  assert.equal(getMatchElapsedMs(createTiming({ startedAt: null })), null)
+})
+
+test('syncMatchClock leaves paused time out of the match clock', () => {
+  const timing = createTiming({
+    activeDurationMs: 0,
+    resumedAt: new Date(STARTED_AT).toISOString()
+  })
+
+  assert.equal(syncMatchClock(timing, 'active', STARTED_AT + 1000), timing)
+
+  const pausedTiming = syncMatchClock(timing, 'paused', STARTED_AT + 60000)
+
+  assert.equal(pausedTiming.activeDurationMs, 60000)
+  assert.equal(pausedTiming.resumedAt, null)
+  assert.equal(isMatchClockRunning(pausedTiming), false)
+  assert.equal(getMatchElapsedMs(pausedTiming, STARTED_AT + 600000), 60000)
+  assert.equal(
+    syncMatchClock(pausedTiming, 'finished', STARTED_AT + 600000),
+    pausedTiming
+  )
+
+  const resumedTiming = syncMatchClock(
+    pausedTiming,
+    'active',
+    STARTED_AT + 600000
+  )
+
+  assert.equal(
+    resumedTiming.resumedAt,
+    new Date(STARTED_AT + 600000).toISOString()
+  )
+  assert.equal(getMatchElapsedMs(resumedTiming, STARTED_AT + 630000), 90000)
+})
+
+test('getMatchTimeRemainingMs counts the time limit down on the match clock', () => {
+  const timing = createTiming({
+    activeDurationMs: 20 * 60000,
+    resumedAt: null
+  })
+  const settings = { setsToPlay: 3, setsNeededToWin: 2, timeLimitMinutes: 60 }
+
+  assert.equal(getMatchTimeRemainingMs({ settings, timing }), 40 * 60000)
+  assert.equal(
+    getMatchTimeRemainingMs(
+      {
+        settings,
+        timing: { ...timing, resumedAt: new Date(STARTED_AT).toISOString() }
+      },
+      STARTED_AT + 50 * 60000
+    ),
+    0
+  )
+  assert.equal(
+    getMatchTimeRemainingMs({ settings: { setsToPlay: 3 }, timing }),
+    null
+  )
+  assert.equal(getMatchTimeRemainingMs(null), null)
+})
+
+test('getPassedTimeLimitWarning reports the last warning passed', () => {
+  assert.equal(getPassedTimeLimitWarning(null, 9 * 60000), null)
+  assert.equal(getPassedTimeLimitWarning(11 * 60000, 10 * 60000), 10)
+  assert.equal(getPassedTimeLimitWarning(10 * 60000, 6 * 60000), null)
+  assert.equal(getPassedTimeLimitWarning(12 * 60000, 4 * 60000), 5)
+  assert.equal(getPassedTimeLimitWarning(4 * 60000, 3 * 60000), null)
+})
+
+test('formatMatchDuration shows hours and minutes', () => {
+  assert.equal(formatMatchDuration(0), '0m')
+  assert.equal(formatMatchDuration(48 * 60000), '48m')
+  assert.equal(formatMatchDuration(65 * 60000), '1h 05m')
+  assert.equal(formatMatchDuration(undefined), '--')
+})
@@ -1,20 +1,29 @@
 import assert from 'node:assert/strict'
 import test from 'node:test'
 
+import {
+  getHistoryPageKey,
+  HISTORY_INDEX_STORAGE_KEY,
+  HISTORY_PAGE_SIZE,
+  LEGACY_HISTORY_STORAGE_KEY
+} from '../utils/match-history-pages.js'
 import {
   clearMatchHistory,
   deleteMatchFromHistory,
   getMatchHistoryCount,
-  HISTORY_STORAGE_KEY,
+  getMatchHistoryPageCount,
+  importMatchHistoryEntries,
   loadMatchById,
   loadMatchHistory,
-  MAX_HISTORY_ENTRIES,
+  loadMatchHistoryPage,
   saveMatchToHistory
 } from '../utils/match-history-storage.js'
+import { MATCH_HISTORY_SCHEMA_VERSION } from '../utils/match-history-types.js'
 import {
   createLocalStorageMock,
   withMockLocalStorage
 } from './helpers/local-storage-mock.js'
+import { toProjectFileUrl } from './helpers/project-paths.js'
 
 function createFinishedMatchState(index = 0) {
   return {
@@ -32,6 +41,24 @@ function createFinishedMatchState(index = 0) {
   }
 }
 
+function createHistoryEntry(index) {
+  return {
+    id: `match-${index}`,
+    completedAt: 1700000001000 + index,
+    teamALabel: `Team ${index}-A`,
+    teamBLabel: `Team ${index}-B`,
+    setsWonTeamA: 1,
+    setsWonTeamB: 0,
+    setHistory: [],
+    winnerTeam: 'teamA',
+    schemaVersion: MATCH_HISTORY_SCHEMA_VERSION
+  }
+}
+
+function toRawStorageValue(value) {
+  return `__padel_buddy_platform_adapters__:${JSON.stringify(value)}`
+}
+
 test('saveMatchToHistory rejects non-finished state', () => {
   const { storage } = createLocalStorageMock()
 
@@ -46,7 +73,8 @@ test('saveMatchToHistory stores finished matches in LocalStorage', () => {
 
   withMockLocalStorage(storage, () => {
     assert.equal(saveMatchToHistory(createFinishedMatchState(1)), true)
-    assert.equal(has(HISTORY_STORAGE_KEY), true)
+    assert.equal(has(HISTORY_INDEX_STORAGE_KEY), true)
+    assert.equal(has(getHistoryPageKey(1)), true)
 
     const history = loadMatchHistory()
     assert.equal(history.length, 1)
@@ -55,6 +83,104 @@ test('saveMatchToHistory stores finished matches in LocalStorage', () => {
   })
 })
 
+test('saveMatchToHistory records the scoring rule with advantage as fallback', () => {
+  const { storage } = createLocalStorageMock()
+
+  withMockLocalStorage(storage, () => {
+    const goldenPointState = {
+      ...createFinishedMatchState(1),
+      settings: { scoringMode: 'golden-point' }
+    }
+
+    assert.equal(saveMatchToHistory(goldenPointState), true)
+    assert.equal(saveMatchToHistory(createFinishedMatchState(2)), true)
+
+    const history = loadMatchHistory()
+    assert.equal(history[0].scoringMode, 'advantage')
+    assert.equal(history[1].scoringMode, 'golden-point')
+  })
+})
+
+test('saveMatchToHistory keeps the point log of the match and its statistics', () => {
+  const { storage } = createLocalStorageMock()
+  const score = {
+    setsWon: { teamA: 0, teamB: 0 },
+    games: { teamA: 0, teamB: 0 },
+    points: { teamA: 0, teamB: 0 }
+  }
+  const pointLog = [
+    {
+      team: 'teamA',
+      timestamp: 1700000000500,
+      setNumber: 1,
+      gameNumber: 1,
+      before: score,
+      after: { ...score, points: { teamA: 15, teamB: 0 } }
+    }
+  ]
+
+  withMockLocalStorage(storage, () => {
+    assert.equal(
+      saveMatchToHistory({ ...createFinishedMatchState(1), pointLog }),
+      true
+    )
+    assert.equal(saveMatchToHistory(createFinishedMatchState(2)), true)
+
+    const history = loadMatchHistory()
+    assert.equal('pointLog' in history[0], false)
+    assert.deepEqual(history[1].pointLog, pointLog)
+    assert.equal('statistics' in history[0], false)
+    assert.equal(history[1].statistics.teams.teamA.pointsWon, 1)
+    assert.equal(history[1].statistics.teams.teamB.pointsWon, 0)
+  })
+})
+
+test('saveMatchToHistory keeps the team and player names of the match', () => {
+  const { storage } = createLocalStorageMock()
+
+  withMockLocalStorage(storage, () => {
+    assert.equal(
+      saveMatchToHistory({
+        ...createFinishedMatchState(1),
+        teams: {
+          teamA: { id: 'teamA', label: 'Lobos', players: ['Ana', 'Bea'] },
+          teamB: { id: 'teamB', label: 'Team B' }
+        }
+      }),
+      true
+    )
+
+    const [entry] = loadMatchHistory()
+    assert.equal(entry.teamALabel, 'Lobos')
+    assert.deepEqual(entry.teamAPlayers, ['Ana', 'Bea'])
+    assert.equal(entry.teamBLabel, 'Team B')
+    assert.equal('teamBPlayers' in entry, false)
+  })
+})
+
+test('saveMatchToHistory references roster players by id', () => {
+  const { storage } = createLocalStorageMock()
+
+  withMockLocalStorage(storage, () => {
+    saveMatchToHistory({
+      ...createFinishedMatchState(1),
+      teams: {
+        teamA: {
+          id: 'teamA',
+          label: 'Ana / Bea',
+          players: ['Ana', 'Bea'],
+          playerIds: ['player-1', 'player-2']
+        },
+        teamB: { id: 'teamB', label: 'Cris', players: ['Cris', ''] }
+      }
+    })
+
+    const [entry] = loadMatchHistory()
+    assert.deepEqual(entry.teamAPlayerIds, ['player-1', 'player-2'])
+    assert.equal('teamBPlayerIds' in entry, false)
+  })
+})
+
 test('loadMatchHistory returns empty array for missing or invalid payloads', () => {
   const { storage: emptyStorage } = createLocalStorageMock()
 
@@ -63,8 +189,12 @@ test('loadMatchHistory returns empty array for missing or invalid payloads', ()
   })
 
   const { storage: invalidStorage } = createLocalStorageMock({
-    [HISTORY_STORAGE_KEY]:
-      '__padel_buddy_platform_adapters__:{"schemaVersion":1}'
+    [LEGACY_HISTORY_STORAGE_KEY]: toRawStorageValue({ schemaVersion: 1 }),
+    [HISTORY_INDEX_STORAGE_KEY]: toRawStorageValue({
+      pages: [{ id: 1, count: 1 }],
+      nextPageId: 2
+    }),
+    [getHistoryPageKey(1)]: toRawStorageValue({ matches: [] })
   })
 
   withMockLocalStorage(invalidStorage, () => {
@@ -72,6 +202,99 @@ test('loadMatchHistory returns empty array for missing or invalid payloads', ()
   })
 })
 
+test('storage migration moves single-key history into pages', () => {
+  const legacyEntries = Array.from({ length: HISTORY_PAGE_SIZE + 5 }, (_, i) =>
+    createHistoryEntry(HISTORY_PAGE_SIZE + 5 - i)
+  )
+  const { storage, has } = createLocalStorageMock({
+    [LEGACY_HISTORY_STORAGE_KEY]: toRawStorageValue({
+      matches: legacyEntries,
+      schemaVersion: MATCH_HISTORY_SCHEMA_VERSION
+    })
+  })
+
+  withMockLocalStorage(storage, () => {
+    assert.deepEqual(loadMatchHistory(), legacyEntries)
+    assert.equal(has(LEGACY_HISTORY_STORAGE_KEY), false)
+    assert.equal(getMatchHistoryPageCount(), 2)
+    assert.equal(loadMatchHistoryPage(0).length, HISTORY_PAGE_SIZE)
+    assert.deepEqual(loadMatchHistoryPage(1), legacyEntries.slice(-5))
+  })
+})
+
+test('storage migration leaves invalid legacy entries out of the pages', () => {
+  const { storage } = createLocalStorageMock({
+    [LEGACY_HISTORY_STORAGE_KEY]: toRawStorageValue([
+      createHistoryEntry(2),
+      { id: 'broken' },
+      createHistoryEntry(1)
+    ])
+  })
+
+  withMockLocalStorage(storage, () => {
+    assert.equal(getMatchHistoryCount(), 2)
+    assert.deepEqual(loadMatchHistoryPage(0), [
+      createHistoryEntry(2),
+      createHistoryEntry(1)
+    ])
+  })
+})
+
+test('storage migration keeps the legacy history until its pages are written', async () => {
+  const legacyEntries = Array.from({ length: HISTORY_PAGE_SIZE + 5 }, (_, i) =>
+    createHistoryEntry(HISTORY_PAGE_SIZE + 5 - i)
+  )
+  const { storage, has } = createLocalStorageMock({
+    [LEGACY_HISTORY_STORAGE_KEY]: toRawStorageValue(legacyEntries)
+  })
+  let isStorageFull = true
+  const failingStorage = {
+    ...storage,
+    setItem(key, value) {
+      if (isStorageFull && key === getHistoryPageKey(2)) {
+        throw new Error('Storage is full')
+      }
+
+      storage.setItem(key, value)
+    }
+  }
+
+  await withMockLocalStorage(failingStorage, async () => {
+    assert.equal(getMatchHistoryCount(), 0)
+    assert.equal(has(LEGACY_HISTORY_STORAGE_KEY), true)
+    assert.equal(has(HISTORY_INDEX_STORAGE_KEY), false)
+
+    // A match saved meanwhile stays ahead of the legacy history.
+    isStorageFull = false
+    saveMatchToHistory(createFinishedMatchState(HISTORY_PAGE_SIZE + 9))
+    assert.equal(has(LEGACY_HISTORY_STORAGE_KEY), true)
+
+    // The migration runs again when the app next starts.
+    const restartedPersistence = await import(
+      `${toProjectFileUrl('utils/persistence.js').href}?restart`
+    )
+    restartedPersistence.ensureStorageSchema()
+
+    const history = loadMatchHistory()
+
+    assert.equal(has(LEGACY_HISTORY_STORAGE_KEY), false)
+    assert.equal(history.length, legacyEntries.length + 1)
+    assert.equal(history[0].teamALabel, `Team ${HISTORY_PAGE_SIZE + 9}-A`)
+    assert.deepEqual(history.slice(1), legacyEntries)
+  })
+})
+
+test('storage migration accepts history stored as a plain array', () => {
+  const { storage } = createLocalStorageMock({
+    [LEGACY_HISTORY_STORAGE_KEY]: toRawStorageValue([createHistoryEntry(1)])
+  })
+
+  withMockLocalStorage(storage, () => {
+    assert.deepEqual(loadMatchById('match-1'), createHistoryEntry(1))
+    assert.equal(getMatchHistoryCount(), 1)
+  })
+})
+
 test('loadMatchById returns a stored match by id', () => {
   const { storage } = createLocalStorageMock()
 
@@ -86,19 +309,42 @@ test('loadMatchById returns a stored match by id', () => {
   })
 })
 
-test('history keeps only the most recent 50 entries', () => {
+test('history keeps every match in pages, newest first', () => {
   const { storage } = createLocalStorageMock()
+  const matchCount = HISTORY_PAGE_SIZE * 3 + 1
 
   withMockLocalStorage(storage, () => {
-    for (let index = 0; index <= MAX_HISTORY_ENTRIES; index += 1) {
-      saveMatchToHistory(createFinishedMatchState(index))
+    for (let index = 1; index <= matchCount; index += 1) {
+      assert.equal(saveMatchToHistory(createFinishedMatchState(index)), true)
     }
 
     const history = loadMatchHistory()
-    assert.equal(history.length, MAX_HISTORY_ENTRIES)
-    assert.equal(history[0].teamALabel, 'Team 50-A')
+    assert.equal(history.length, matchCount)
+    assert.equal(history[0].teamALabel, `Team ${matchCount}-A`)
     assert.equal(history.at(-1)?.teamALabel, 'Team 1-A')
-    assert.equal(getMatchHistoryCount(), MAX_HISTORY_ENTRIES)
+    assert.equal(getMatchHistoryCount(), matchCount)
+    assert.equal(getMatchHistoryPageCount(), 4)
+    assert.equal(loadMatchHistoryPage(0).length, 1)
+    assert.equal(loadMatchHistoryPage(0)[0].teamALabel, `Team ${matchCount}-A`)
+    assert.equal(loadMatchHistoryPage(3).at(-1)?.teamALabel, 'Team 1-A')
+    assert.deepEqual(loadMatchHistoryPage(4), [])
+  })
+})
+
+test('deleting the last match of a page drops the page', () => {
+  const { storage, has } = createLocalStorageMock()
+  const entries = Array.from({ length: HISTORY_PAGE_SIZE + 1 }, (_, i) =>
+    createHistoryEntry(HISTORY_PAGE_SIZE + 1 - i)
+  )
+
+  withMockLocalStorage(storage, () => {
+    importMatchHistoryEntries(entries)
+    assert.equal(getMatchHistoryPageCount(), 2)
+
+    assert.equal(deleteMatchFromHistory('match-1'), true)
+    assert.equal(getMatchHistoryPageCount(), 1)
+    assert.equal(getMatchHistoryCount(), HISTORY_PAGE_SIZE)
+    assert.equal(has(getHistoryPageKey(2)), false)
   })
 })
 
@@ -135,10 +381,91 @@ test('clearMatchHistory removes all stored history', () => {
 
   withMockLocalStorage(storage, () => {
     saveMatchToHistory(createFinishedMatchState(5))
-    assert.equal(has(HISTORY_STORAGE_KEY), true)
+    assert.equal(has(HISTORY_INDEX_STORAGE_KEY), true)
 
     assert.equal(clearMatchHistory(), true)
-    assert.equal(has(HISTORY_STORAGE_KEY), false)
+    assert.equal(has(HISTORY_INDEX_STORAGE_KEY), false)
+    assert.equal(has(getHistoryPageKey(1)), false)
     assert.deepEqual(loadMatchHistory(), [])
   })
 })
+
+test('saveMatchToHistory records the play time of the match clock', () => {
+  const { storage } = createLocalStorageMock()
+
+  withMockLocalStorage(storage, () => {
+    const timedState = {
+      ...createFinishedMatchState(1),
+      timing: {
+        createdAt: '2026-01-10T18:00:00.000Z',
+        updatedAt: '2026-01-10T19:00:00.000Z',
+        startedAt: '2026-01-10T18:00:00.000Z',
+        finishedAt: '2026-01-10T19:00:00.000Z',
+        activeDurationMs: 48 * 60000,
+        resumedAt: null
+      }
+    }
+
+    assert.equal(saveMatchToHistory(timedState), true)
+    assert.equal(saveMatchToHistory(createFinishedMatchState(2)), true)
+
+    const history = loadMatchHistory()
+    assert.equal('durationMs' in history[0], false)
+    assert.equal(history[1].durationMs, 48 * 60000)
+  })
+})
+
+test('saveMatchToHistory keeps the winner on games of a match closed on time', () => {
+  const { storage } = createLocalStorageMock()
+
+  withMockLocalStorage(storage, () => {
+    const timeFinishedState = {
+      ...createFinishedMatchState(1),
+      setsWon: { teamA: 1, teamB: 1 },
+      winnerTeam: 'teamB',
+      finishReason: 'time'
+    }
+
+    assert.equal(saveMatchToHistory(timeFinishedState), true)
+    assert.equal(
+      saveMatchToHistory({
+        ...createFinishedMatchState(2),
+        setsWon: { teamA: 1, teamB: 1 },
+        winnerTeam: 'teamB'
+      }),
+      true
+    )
+
+    const history = loadMatchHistory()
+    assert.equal(history[0].winnerTeam, null)
+    assert.equal('finishReason' in history[0], false)
+    assert.equal(history[1].winnerTeam, 'teamB')
+    assert.equal(history[1].finishReason, 'time')
+  })
+})
+
+test('saveMatchToHistory records the handicap the match started with', () => {
+  const { storage } = createLocalStorageMock()
+
+  withMockLocalStorage(storage, () => {
+    const handicapState = {
+      ...createFinishedMatchState(1),
+      settings: {
+        scoringMode: 'advantage',
+        handicap: { team: 'teamB', points: 1, games: 2, sets: 0 }
+      }
+    }
+
+    assert.equal(saveMatchToHistory(handicapState), true)
+    assert.equal(saveMatchToHistory(createFinishedMatchState(2)), true)
+
+    const history = loadMatchHistory()
+    assert.equal('handicap' in history[0], false)
+    assert.deepEqual(history[1].handicap, {
+      team: 'teamB',
+      points: 1,
+      games: 2,
+      sets: 0
+    })
+  })
+})
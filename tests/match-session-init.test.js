@@ -9,6 +9,7 @@ import {
 import {
   CURRENT_SCHEMA_VERSION,
   MATCH_STATUS,
+  SCORING_MODE,
   SETS_NEEDED_TO_WIN,
   SETS_TO_PLAY,
   validateMatchSession
@@ -55,8 +56,12 @@ test('initializeMatchState creates active match state for 1-set match', () => {
       number: 1,
       games: { teamA: 0, teamB: 0 }
     })
-    assert.deepEqual(state.currentGame, { points: { teamA: 0, teamB: 0 } })
+    assert.deepEqual(state.currentGame, {
+      points: { teamA: 0, teamB: 0 },
+      deuceCount: 0
+    })
     assert.deepEqual(state.setHistory, [])
+    assert.deepEqual(state.pointLog, [])
     assert.equal(state.updatedAt, fixedTimestamp)
     assert.equal(state.schemaVersion, CURRENT_SCHEMA_VERSION)
   } finally {
@@ -81,7 +86,10 @@ test('initializeMatchState creates active match state for 3-set match', () => {
       number: 1,
       games: { teamA: 0, teamB: 0 }
     })
-    assert.deepEqual(state.currentGame, { points: { teamA: 0, teamB: 0 } })
+    assert.deepEqual(state.currentGame, {
+      points: { teamA: 0, teamB: 0 },
+      deuceCount: 0
+    })
     assert.deepEqual(state.setHistory, [])
     assert.equal(state.updatedAt, fixedTimestamp)
     assert.equal(state.schemaVersion, CURRENT_SCHEMA_VERSION)
@@ -107,7 +115,10 @@ test('initializeMatchState creates active match state for 5-set match', () => {
       number: 1,
       games: { teamA: 0, teamB: 0 }
     })
-    assert.deepEqual(state.currentGame, { points: { teamA: 0, teamB: 0 } })
+    assert.deepEqual(state.currentGame, {
+      points: { teamA: 0, teamB: 0 },
+      deuceCount: 0
+    })
     assert.deepEqual(state.setHistory, [])
     assert.equal(state.updatedAt, fixedTimestamp)
     assert.equal(state.schemaVersion, CURRENT_SCHEMA_VERSION)
@@ -160,6 +171,7 @@ test('initializeMatchState returns independent state objects for each call', ()
   assert.notEqual(firstState.currentSet, secondState.currentSet)
   assert.notEqual(firstState.currentGame, secondState.currentGame)
   assert.notEqual(firstState.setHistory, secondState.setHistory)
+  assert.notEqual(firstState.pointLog, secondState.pointLog)
 })
 
 test('initializeMatchState returns detached canonical and mirror score objects', () => {
@@ -243,3 +255,223 @@ test('initializeMatchState produces schema-valid match state for all supported s
     )
   }
 })
+
+test('initializeMatchState defaults to advantage scoring and accepts golden point', () => {
+  const defaultState = initializeMatchState(SETS_TO_PLAY.THREE)
+  const goldenPointState = initializeMatchState(SETS_TO_PLAY.THREE, {
+    scoringMode: SCORING_MODE.GOLDEN_POINT
+  })
+
+  assert.equal(defaultState.settings.scoringMode, SCORING_MODE.ADVANTAGE)
+  assert.equal(goldenPointState.settings.scoringMode, SCORING_MODE.GOLDEN_POINT)
+  assert.equal(validateMatchSession(goldenPointState), true)
+})
+
+test('initializeMatchState stores the super tie-break setting', () => {
+  const defaultState = initializeMatchState(SETS_TO_PLAY.THREE)
+  const superTieBreakState = initializeMatchState(SETS_TO_PLAY.THREE, {
+    superTieBreak: true
+  })
+
+  assert.equal(defaultState.settings.superTieBreak, false)
+  assert.equal(superTieBreakState.settings.superTieBreak, true)
+  assert.equal(validateMatchSession(superTieBreakState), true)
+  assert.throws(
+    () => initializeMatchState(SETS_TO_PLAY.THREE, { superTieBreak: 'yes' }),
+    {
+      name: 'TypeError',
+      message: 'superTieBreak must be a boolean'
+    }
+  )
+})
+
+test('initializeMatchState stores set length settings with standard defaults', () => {
+  const defaultState = initializeMatchState(SETS_TO_PLAY.THREE)
+  const shortSetState = initializeMatchState(SETS_TO_PLAY.THREE, {
+    gamesPerSet: 4,
+    tieBreakAt: 3,
+    finalSetTieBreak: false
+  })
+
+  assert.equal(defaultState.settings.gamesPerSet, 6)
+  assert.equal(defaultState.settings.tieBreakAt, 6)
+  assert.equal(defaultState.settings.finalSetTieBreak, true)
+  assert.equal(shortSetState.settings.gamesPerSet, 4)
+  assert.equal(shortSetState.settings.tieBreakAt, 3)
+  assert.equal(shortSetState.settings.finalSetTieBreak, false)
+  assert.equal(validateMatchSession(shortSetState), true)
+})
+
+test('initializeMatchState throws TypeError for unsupported set lengths', () => {
+  assert.throws(
+    () => initializeMatchState(SETS_TO_PLAY.THREE, { gamesPerSet: 5 }),
+    { name: 'TypeError', message: 'gamesPerSet must be one of: 4, 6, 8, 9' }
+  )
+  assert.throws(
+    () =>
+      initializeMatchState(SETS_TO_PLAY.THREE, {
+        gamesPerSet: 6,
+        tieBreakAt: 4
+      }),
+    {
+      name: 'TypeError',
+      message: 'tieBreakAt must be gamesPerSet or one game less'
+    }
+  )
+  assert.throws(
+    () => initializeMatchState(SETS_TO_PLAY.THREE, { finalSetTieBreak: 0 }),
+    { name: 'TypeError', message: 'finalSetTieBreak must be a boolean' }
+  )
+})
+
+test('initializeMatchState stores the first server and defaults to team A player 1', () => {
+  const defaultState = initializeMatchState(SETS_TO_PLAY.THREE)
+  const firstServer = { team: 'teamB', player: 2 }
+  const state = initializeMatchState(SETS_TO_PLAY.THREE, { firstServer })
+
+  assert.deepEqual(defaultState.settings.firstServer, {
+    team: 'teamA',
+    player: 1
+  })
+  assert.deepEqual(state.settings.firstServer, firstServer)
+  assert.notEqual(state.settings.firstServer, firstServer)
+  assert.equal(validateMatchSession(state), true)
+  assert.throws(
+    () =>
+      initializeMatchState(SETS_TO_PLAY.THREE, {
+        firstServer: { team: 'teamA', player: 3 }
+      }),
+    {
+      name: 'TypeError',
+      message: "firstServer must be { team: 'teamA' | 'teamB', player: 1 | 2 }"
+    }
+  )
+})
+
+test('initializeMatchState stores a time limit only for timed matches', () => {
+  const untimedState = initializeMatchState(SETS_TO_PLAY.THREE, {
+    timeLimitMinutes: 0
+  })
+  const timedState = initializeMatchState(SETS_TO_PLAY.THREE, {
+    timeLimitMinutes: 90
+  })
+
+  assert.equal('timeLimitMinutes' in untimedState.settings, false)
+  assert.equal(timedState.settings.timeLimitMinutes, 90)
+  assert.equal(validateMatchSession(timedState), true)
+  assert.throws(
+    () => initializeMatchState(SETS_TO_PLAY.THREE, { timeLimitMinutes: 1.5 }),
+    {
+      name: 'TypeError',
+      message: 'timeLimitMinutes must be a non-negative integer'
+    }
+  )
+})
+
+test('initializeMatchState sets up pro sets and fixed-games matches as a single set', () => {
+  const proSetState = initializeMatchState(SETS_TO_PLAY.ONE, {
+    gamesPerSet: 9
+  })
+  const totalGamesState = initializeMatchState(SETS_TO_PLAY.ONE, {
+    totalGames: 12
+  })
+
+  assert.equal(proSetState.settings.gamesPerSet, 9)
+  assert.equal(proSetState.settings.tieBreakAt, 8)
+  assert.equal(validateMatchSession(proSetState), true)
+  assert.equal(totalGamesState.settings.totalGames, 12)
+  assert.equal('totalGames' in proSetState.settings, false)
+  assert.equal(validateMatchSession(totalGamesState), true)
+  assert.throws(
+    () => initializeMatchState(SETS_TO_PLAY.THREE, { gamesPerSet: 8 }),
+    {
+      name: 'TypeError',
+      message: 'a pro set (8 or 9 games) is played as a single set'
+    }
+  )
+  assert.throws(
+    () => initializeMatchState(SETS_TO_PLAY.THREE, { totalGames: 12 }),
+    {
+      name: 'TypeError',
+      message: 'a fixed number of games is played as a single set'
+    }
+  )
+  assert.throws(
+    () => initializeMatchState(SETS_TO_PLAY.ONE, { totalGames: 7 }),
+    { name: 'TypeError', message: 'totalGames must be 0 or 12' }
+  )
+})
+
+test('initializeMatchState starts a handicap match on the head start score', () => {
+  const state = initializeMatchState(SETS_TO_PLAY.THREE, {
+    handicap: { team: 'teamB', points: 1, games: 2, sets: 1 }
+  })
+
+  assert.deepEqual(state.settings.handicap, {
+    team: 'teamB',
+    points: 1,
+    games: 2,
+    sets: 1
+  })
+  assert.deepEqual(state.scores.setsWon, { teamA: 0, teamB: 1 })
+  assert.deepEqual(state.scores.currentSet.games, { teamA: 0, teamB: 2 })
+  assert.deepEqual(state.scores.currentGame.points, { teamA: 0, teamB: 15 })
+  assert.deepEqual(state.setsWon, state.scores.setsWon)
+  assert.deepEqual(state.currentGame.points, state.scores.currentGame.points)
+  assert.equal(validateMatchSession(state), true)
+
+  const noHeadStartState = initializeMatchState(SETS_TO_PLAY.THREE, {
+    handicap: { team: 'teamA', points: 0, games: 0, sets: 0 }
+  })
+
+  assert.equal('handicap' in noHeadStartState.settings, false)
+  assert.throws(
+    () =>
+      initializeMatchState(SETS_TO_PLAY.ONE, {
+        handicap: { team: 'teamA', points: 0, games: 0, sets: 1 }
+      }),
+    { name: 'TypeError', message: 'handicap.sets must leave a set to win' }
+  )
+  assert.throws(
+    () =>
+      initializeMatchState(SETS_TO_PLAY.THREE, {
+        handicap: { team: 'teamA', points: 3, games: 0, sets: 0 }
+      }),
+    {
+      name: 'TypeError',
+      message:
+        "handicap must be { team: 'teamA' | 'teamB', points: 0-2, games: 0-3, sets }"
+    }
+  )
+})
+
+test('initializeMatchState stores the team and player names picked at setup', () => {
+  const defaultState = initializeMatchState(SETS_TO_PLAY.THREE)
+  const state = initializeMatchState(SETS_TO_PLAY.THREE, {
+    teams: {
+      teamA: { label: '', players: ['Ana', 'Bea'] },
+      teamB: { label: 'Lobos', players: ['', ''] }
+    }
+  })
+
+  assert.deepEqual(defaultState.teams, {
+    teamA: { id: 'teamA', label: 'Team A' },
+    teamB: { id: 'teamB', label: 'Team B' }
+  })
+  assert.deepEqual(state.teams, {
+    teamA: { id: 'teamA', label: 'Ana / Bea', players: ['Ana', 'Bea'] },
+    teamB: { id: 'teamB', label: 'Lobos' }
+  })
+  assert.equal(validateMatchSession(state), true)
+})
+
+test('initializeMatchState throws TypeError for unsupported scoring modes', () => {
+  assert.throws(
+    () => initializeMatchState(SETS_TO_PLAY.THREE, { scoringMode: 'no-ad' }),
+    {
+      name: 'TypeError',
+      message:
+        "scoringMode must be one of: 'advantage', 'golden-point', 'star-point'"
+    }
+  )
+})
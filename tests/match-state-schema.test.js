@@ -140,6 +140,40 @@ test('validateMatchSession and deserializeMatchSession reject negative score val
   assert.equal(deserializeMatchSession(JSON.stringify(invalidCandidate)), null)
 })
 
+test('match session settings keep a supported scoring mode through round-trips', () => {
+  const goldenPointSession = {
+    ...activeInProgressSession,
+    settings: {
+      ...activeInProgressSession.settings,
+      scoringMode: 'golden-point'
+    }
+  }
+
+  assert.equal(validateMatchSession(goldenPointSession), true)
+  assert.deepEqual(
+    deserializeMatchSession(serializeMatchSession(goldenPointSession)),
+    goldenPointSession
+  )
+})
+
+test('validateMatchSession rejects unsupported scoring modes and deserialize drops them', () => {
+  const invalidCandidate = {
+    ...activeInProgressSession,
+    settings: {
+      ...activeInProgressSession.settings,
+      scoringMode: 'no-ad'
+    }
+  }
+
+  const repairedSession = deserializeMatchSession(
+    JSON.stringify(invalidCandidate)
+  )
+
+  assert.equal(validateMatchSession(invalidCandidate), false)
+  assert.notEqual(repairedSession, null)
+  assert.equal('scoringMode' in repairedSession.settings, false)
+})
+
 test('serializeMatchSession and deserializeMatchSession normalize legacy v1 payloads to v2', () => {
   const legacyV1Payload = {
     status: 'active',
@@ -366,6 +400,363 @@ test('migrateMatchState returns canonical default for unsupported future schemas
   assert.equal(validateMatchSession(migrated), true)
 })
 
+test('migrateMatchState upgrades v2 payloads with a zeroed deuce count', () => {
+  const v2Payload = structuredClone(activeInProgressSession)
+  v2Payload.schemaVersion = 2
+  delete v2Payload.currentGame.deuceCount
+  delete v2Payload.scores.currentGame.deuceCount
+
+  const migrated = migrateMatchState(v2Payload)
+
+  assert.equal(migrated.schemaVersion, CURRENT_SCHEMA_VERSION)
+  assert.equal(migrated.currentGame.deuceCount, 0)
+  assert.equal(migrated.scores.currentGame.deuceCount, 0)
+  assert.deepEqual(migrated.currentGame.points, v2Payload.currentGame.points)
+  assert.equal(validateMatchSession(migrated), true)
+})
+
+test('match session deuce count survives serialize round-trips', () => {
+  const starPointSession = structuredClone(activeInProgressSession)
+  starPointSession.settings.scoringMode = 'star-point'
+  starPointSession.currentGame.deuceCount = 2
+  starPointSession.scores.currentGame.deuceCount = 2
+
+  assert.equal(validateMatchSession(starPointSession), true)
+  assert.deepEqual(
+    deserializeMatchSession(serializeMatchSession(starPointSession)),
+    starPointSession
+  )
+})
+
+test('match session keeps the super tie-break setting and set history marker', () => {
+  const superTieBreakSession = structuredClone(finishedSessionWithHistory)
+  superTieBreakSession.settings.superTieBreak = true
+  superTieBreakSession.setHistory[superTieBreakSession.setHistory.length - 1] =
+    {
+      ...superTieBreakSession.setHistory.at(-1),
+      teamAGames: 10,
+      teamBGames: 8,
+      superTieBreak: true
+    }
+
+  assert.equal(validateMatchSession(superTieBreakSession), true)
+  assert.deepEqual(
+    deserializeMatchSession(serializeMatchSession(superTieBreakSession)),
+    superTieBreakSession
+  )
+  assert.equal(
+    validateMatchSession({
+      ...superTieBreakSession,
+      settings: { ...superTieBreakSession.settings, superTieBreak: 'yes' }
+    }),
+    false
+  )
+})
+
+test('match session keeps the tie-break set history marker', () => {
+  const tieBreakSession = structuredClone(finishedSessionWithHistory)
+  tieBreakSession.setHistory[0] = {
+    ...tieBreakSession.setHistory[0],
+    teamAGames: 7,
+    teamBGames: 6,
+    tieBreak: true
+  }
+
+  assert.equal(validateMatchSession(tieBreakSession), true)
+  assert.deepEqual(
+    deserializeMatchSession(serializeMatchSession(tieBreakSession)),
+    tieBreakSession
+  )
+
+  tieBreakSession.setHistory[0].tieBreak = 'yes'
+
+  assert.equal(validateMatchSession(tieBreakSession), false)
+})
+
+test('validateMatchSession checks set length settings and deserialize drops unsupported ones', () => {
+  const shortSetSession = structuredClone(activeInProgressSession)
+  shortSetSession.settings.gamesPerSet = 4
+  shortSetSession.settings.tieBreakAt = 4
+  shortSetSession.settings.finalSetTieBreak = false
+
+  assert.equal(validateMatchSession(shortSetSession), true)
+  assert.deepEqual(
+    deserializeMatchSession(serializeMatchSession(shortSetSession)),
+    shortSetSession
+  )
+
+  const mismatchedTieBreakSession = structuredClone(shortSetSession)
+  mismatchedTieBreakSession.settings.tieBreakAt = 6
+
+  const repairedSession = deserializeMatchSession(
+    JSON.stringify(mismatchedTieBreakSession)
+  )
+
+  assert.equal(validateMatchSession(mismatchedTieBreakSession), false)
+  assert.notEqual(repairedSession, null)
+  assert.equal('gamesPerSet' in repairedSession.settings, false)
+  assert.equal('tieBreakAt' in repairedSession.settings, false)
+  assert.equal(repairedSession.settings.finalSetTieBreak, false)
+})
+
+test('validateMatchSession only accepts pro sets and fixed games in one-set matches', () => {
+  const oneSetSession = structuredClone(activeInProgressSession)
+  oneSetSession.setsToPlay = 1
+  oneSetSession.setsNeededToWin = 1
+  oneSetSession.settings.setsToPlay = 1
+  oneSetSession.settings.setsNeededToWin = 1
+
+  const proSetSession = structuredClone(oneSetSession)
+  proSetSession.settings.gamesPerSet = 9
+  proSetSession.settings.tieBreakAt = 8
+
+  const totalGamesSession = structuredClone(oneSetSession)
+  totalGamesSession.settings.totalGames = 12
+
+  assert.equal(validateMatchSession(proSetSession), true)
+  assert.equal(validateMatchSession(totalGamesSession), true)
+  assert.deepEqual(
+    deserializeMatchSession(serializeMatchSession(totalGamesSession)),
+    totalGamesSession
+  )
+
+  const threeSetProSession = structuredClone(activeInProgressSession)
+  threeSetProSession.settings.gamesPerSet = 8
+  threeSetProSession.settings.tieBreakAt = 8
+
+  const threeSetTotalGamesSession = structuredClone(activeInProgressSession)
+  threeSetTotalGamesSession.settings.totalGames = 12
+
+  assert.equal(validateMatchSession(threeSetProSession), false)
+  assert.equal(validateMatchSession(threeSetTotalGamesSession), false)
+  assert.equal(
+    'gamesPerSet' in
+      deserializeMatchSession(JSON.stringify(threeSetProSession)).settings,
+    false
+  )
+  assert.equal(
+    'totalGames' in
+      deserializeMatchSession(JSON.stringify(threeSetTotalGamesSession))
+        .settings,
+    false
+  )
+})
+
+test('validateMatchSession checks the first server and deserialize drops an invalid one', () => {
+  const servedSession = structuredClone(activeInProgressSession)
+  servedSession.settings.firstServer = { team: 'teamB', player: 2 }
+
+  assert.equal(validateMatchSession(servedSession), true)
+  assert.deepEqual(
+    deserializeMatchSession(serializeMatchSession(servedSession)),
+    servedSession
+  )
+
+  const invalidServerSession = structuredClone(servedSession)
+  invalidServerSession.settings.firstServer = { team: 'teamC', player: 1 }
+
+  const repairedSession = deserializeMatchSession(
+    JSON.stringify(invalidServerSession)
+  )
+
+  assert.equal(validateMatchSession(invalidServerSession), false)
+  assert.notEqual(repairedSession, null)
+  assert.equal('firstServer' in repairedSession.settings, false)
+})
+
+test('match session keeps the time limit and the time finish reason', () => {
+  const timedSession = structuredClone(activeInProgressSession)
+  timedSession.settings.timeLimitMinutes = 60
+
+  assert.equal(validateMatchSession(timedSession), true)
+  assert.deepEqual(
+    deserializeMatchSession(serializeMatchSession(timedSession)),
+    timedSession
+  )
+
+  const invalidLimitSession = structuredClone(timedSession)
+  invalidLimitSession.settings.timeLimitMinutes = -5
+
+  assert.equal(validateMatchSession(invalidLimitSession), false)
+  assert.equal(
+    'timeLimitMinutes' in
+      deserializeMatchSession(JSON.stringify(invalidLimitSession)).settings,
+    false
+  )
+
+  const invalidReasonSession = structuredClone(timedSession)
+  invalidReasonSession.finishReason = 'rain'
+
+  assert.equal(validateMatchSession(invalidReasonSession), false)
+  assert.equal(
+    'finishReason' in
+      deserializeMatchSession(JSON.stringify(invalidReasonSession)),
+    false
+  )
+
+  const timeSession = structuredClone(timedSession)
+  timeSession.finishReason = 'time'
+
+  assert.equal(validateMatchSession(timeSession), true)
+  assert.equal(
+    deserializeMatchSession(JSON.stringify(timeSession)).finishReason,
+    'time'
+  )
+})
+
+test('match session keeps a handicap that leaves a set to win', () => {
+  const handicapSession = structuredClone(activeInProgressSession)
+  handicapSession.settings.handicap = {
+    team: 'teamA',
+    points: 2,
+    games: 1,
+    sets: 1
+  }
+
+  assert.equal(validateMatchSession(handicapSession), true)
+  assert.deepEqual(
+    deserializeMatchSession(serializeMatchSession(handicapSession)),
+    handicapSession
+  )
+
+  const wonOnHandicapSession = structuredClone(handicapSession)
+  wonOnHandicapSession.settings.handicap.sets = 2
+
+  assert.equal(validateMatchSession(wonOnHandicapSession), false)
+
+  const invalidPointsSession = structuredClone(handicapSession)
+  invalidPointsSession.settings.handicap.points = 40
+
+  assert.equal(validateMatchSession(invalidPointsSession), false)
+  assert.equal(
+    'handicap' in
+      deserializeMatchSession(JSON.stringify(invalidPointsSession)).settings,
+    false
+  )
+})
+
+test('validateMatchSession checks team player names and deserialize drops invalid ones', () => {
+  const namedSession = structuredClone(activeInProgressSession)
+  namedSession.teams.teamA = {
+    id: 'teamA',
+    label: 'Lobos',
+    players: ['Ana', '']
+  }
+
+  assert.equal(validateMatchSession(namedSession), true)
+  assert.deepEqual(
+    deserializeMatchSession(serializeMatchSession(namedSession)),
+    namedSession
+  )
+
+  const invalidPlayersSession = structuredClone(namedSession)
+  invalidPlayersSession.teams.teamA.players = ['Ana']
+
+  const repairedSession = deserializeMatchSession(
+    JSON.stringify(invalidPlayersSession)
+  )
+
+  assert.equal(validateMatchSession(invalidPlayersSession), false)
+  assert.notEqual(repairedSession, null)
+  assert.deepEqual(repairedSession.teams.teamA, { id: 'teamA', label: 'Lobos' })
+})
+
+test('validateMatchSession keeps roster player ids only alongside player names', () => {
+  const linkedSession = structuredClone(activeInProgressSession)
+  linkedSession.teams.teamA = {
+    id: 'teamA',
+    label: 'Ana',
+    players: ['Ana', ''],
+    playerIds: ['player-1', '']
+  }
+
+  assert.equal(validateMatchSession(linkedSession), true)
+  assert.deepEqual(
+    deserializeMatchSession(serializeMatchSession(linkedSession)),
+    linkedSession
+  )
+
+  const orphanIdsSession = structuredClone(linkedSession)
+  delete orphanIdsSession.teams.teamA.players
+
+  assert.equal(validateMatchSession(orphanIdsSession), false)
+  assert.deepEqual(
+    deserializeMatchSession(JSON.stringify(orphanIdsSession)).teams.teamA,
+    { id: 'teamA', label: 'Ana' }
+  )
+})
+
+test('match session keeps a valid point log and drops an invalid one', () => {
+  const score = {
+    setsWon: { teamA: 0, teamB: 0 },
+    games: { teamA: 0, teamB: 0 },
+    points: { teamA: 0, teamB: 0 }
+  }
+  const loggedSession = structuredClone(activeInProgressSession)
+  loggedSession.pointLog = [
+    {
+      team: 'teamB',
+      timestamp: 1700000000500,
+      setNumber: 1,
+      gameNumber: 1,
+      before: score,
+      after: { ...score, points: { teamA: 0, teamB: 15 } }
+    }
+  ]
+
+  assert.equal(validateMatchSession(loggedSession), true)
+  assert.deepEqual(
+    deserializeMatchSession(serializeMatchSession(loggedSession)),
+    loggedSession
+  )
+
+  const invalidLogSession = structuredClone(loggedSession)
+  invalidLogSession.pointLog.push({ team: 'teamA' })
+
+  const repairedSession = deserializeMatchSession(
+    JSON.stringify(invalidLogSession)
+  )
+
+  assert.equal(validateMatchSession(invalidLogSession), false)
+  assert.notEqual(repairedSession, null)
+  assert.equal('pointLog' in repairedSession, false)
+})
+
+test('match session keeps valid score corrections and drops invalid ones', () => {
+  const score = {
+    setNumber: 1,
+    setsWon: { teamA: 0, teamB: 0 },
+    games: { teamA: 0, teamB: 0 },
+    points: { teamA: 0, teamB: 0 }
+  }
+  const correctedSession = structuredClone(activeInProgressSession)
+  correctedSession.corrections = [
+    {
+      timestamp: 1700000000500,
+      pointCount: 0,
+      before: score,
+      after: { ...score, games: { teamA: 3, teamB: 0 } }
+    }
+  ]
+
+  assert.equal(validateMatchSession(correctedSession), true)
+  assert.deepEqual(
+    deserializeMatchSession(serializeMatchSession(correctedSession)),
+    correctedSession
+  )
+
+  const invalidSession = structuredClone(correctedSession)
+  invalidSession.corrections[0].after.setNumber = 0
+
+  const repairedSession = deserializeMatchSession(
+    JSON.stringify(invalidSession)
+  )
+
+  assert.equal(validateMatchSession(invalidSession), false)
+  assert.notEqual(repairedSession, null)
+  assert.equal('corrections' in repairedSession, false)
+})
+
 test('migrateMatchState preserves identity for already-canonical payload', () => {
   const state = createDefaultMatchState()
   assert.strictEqual(migrateMatchState(state), state)
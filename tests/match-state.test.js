@@ -31,6 +31,9 @@ test('createInitialMatchState returns the expected default structure and values'
       teamAGames: 0,
       teamBGames: 0
     },
+    currentGameStatus: {
+      deuceCount: 0
+    },
     currentSet: 1,
     status: MATCH_STATUS.ACTIVE,
     updatedAt: 0
@@ -0,0 +1,225 @@
+import assert from 'node:assert/strict'
+import test from 'node:test'
+
+import { createInitialMatchState } from '../utils/match-state.js'
+import {
+  computeMatchStatistics,
+  createMatchStatisticsRows,
+  isMatchStatistics
+} from '../utils/match-statistics.js'
+import { addPoint, correctScore } from '../utils/scoring-engine.js'
+import { toRuntimeMatchSettings } from '../utils/validation.js'
+
+function createLoggedMatchState(settings = {}) {
+  const state = createInitialMatchState()
+  state.settings = toRuntimeMatchSettings(settings)
+  state.setsNeededToWin = 2
+  state.setsWon = { teamA: 0, teamB: 0 }
+  state.setHistory = []
+  state.pointLog = []
+  return state
+}
+
+function playPoints(state, teams) {
+  return teams.reduce((nextState, team) => addPoint(nextState, team), state)
+}
+
+function winGame(state, team) {
+  return playPoints(state, [team, team, team, team])
+}
+
+const firstServerTeamA = { firstServer: { team: 'teamA', player: 1 } }
+
+test('computeMatchStatistics returns null without a point log', () => {
+  assert.equal(computeMatchStatistics(createInitialMatchState()), null)
+  assert.equal(computeMatchStatistics(null), null)
+})
+
+test('computeMatchStatistics counts points, streaks, holds and breaks', () => {
+  let state = createLoggedMatchState(firstServerTeamA)
+  state = winGame(state, 'teamA')
+  state = winGame(state, 'teamA')
+  state = playPoints(state, ['teamB', 'teamB'])
+
+  const statistics = computeMatchStatistics(state)
+
+  assert.deepEqual(statistics, {
+    teams: {
+      teamA: {
+        pointsWon: 8,
+        serviceGamesPlayed: 1,
+        serviceGamesHeld: 1,
+        breakPointsFaced: 0,
+        breakPointsConverted: 1,
+        longestStreak: 8,
+        tieBreaksWon: 0
+      },
+      teamB: {
+        pointsWon: 2,
+        serviceGamesPlayed: 1,
+        serviceGamesHeld: 0,
+        breakPointsFaced: 1,
+        breakPointsConverted: 0,
+        longestStreak: 2,
+        tieBreaksWon: 0
+      }
+    },
+    deuceGames: 0,
+    hasServeData: true
+  })
+  assert.equal(isMatchStatistics(statistics), true)
+})
+
+test('computeMatchStatistics counts golden point deuces as break points', () => {
+  const state = playPoints(
+    createLoggedMatchState({
+      ...firstServerTeamA,
+      scoringMode: 'golden-point'
+    }),
+    ['teamA', 'teamA', 'teamA', 'teamB', 'teamB', 'teamB', 'teamB']
+  )
+
+  const statistics = computeMatchStatistics(state)
+
+  assert.equal(statistics.deuceGames, 1)
+  assert.equal(statistics.teams.teamA.breakPointsFaced, 1)
+  assert.equal(statistics.teams.teamB.breakPointsConverted, 1)
+  assert.equal(statistics.teams.teamA.serviceGamesPlayed, 1)
+  assert.equal(statistics.teams.teamA.serviceGamesHeld, 0)
+})
+
+test('computeMatchStatistics counts tie-breaks won outside service games', () => {
+  let state = createLoggedMatchState({
+    ...firstServerTeamA,
+    gamesPerSet: 4,
+    tieBreakAt: 3
+  })
+
+  for (let game = 0; game < 3; game += 1) {
+    state = winGame(state, 'teamA')
+    state = winGame(state, 'teamB')
+  }
+
+  state = playPoints(state, Array(7).fill('teamB'))
+
+  const statistics = computeMatchStatistics(state)
+
+  assert.equal(state.setsWon.teamB, 1)
+  assert.equal(statistics.teams.teamB.tieBreaksWon, 1)
+  assert.equal(statistics.teams.teamA.tieBreaksWon, 0)
+  assert.equal(statistics.teams.teamA.serviceGamesPlayed, 3)
+  assert.equal(statistics.teams.teamB.serviceGamesPlayed, 3)
+  assert.equal(statistics.teams.teamB.longestStreak, 11)
+})
+
+test('computeMatchStatistics counts the last game of a drawn fixed-games match', () => {
+  let state = createLoggedMatchState({ ...firstServerTeamA, totalGames: 12 })
+  state.setsNeededToWin = 1
+
+  for (let game = 0; game < 10; game += 1) {
+    state = winGame(state, game % 2 === 0 ? 'teamA' : 'teamB')
+  }
+
+  // Team B breaks to 5-6, then is broken from deuce to end level at 6-6.
+  state = winGame(state, 'teamB')
+  state = playPoints(state, [
+    'teamB',
+    'teamB',
+    'teamB',
+    'teamA',
+    'teamA',
+    'teamA',
+    'teamA',
+    'teamA'
+  ])
+
+  assert.equal(state.status, 'finished')
+  assert.deepEqual(state.setHistory, [
+    { setNumber: 1, teamAGames: 6, teamBGames: 6 }
+  ])
+
+  const statistics = computeMatchStatistics(state)
+
+  assert.deepEqual(statistics, {
+    teams: {
+      teamA: {
+        pointsWon: 25,
+        serviceGamesPlayed: 6,
+        serviceGamesHeld: 5,
+        breakPointsFaced: 1,
+        breakPointsConverted: 1,
+        longestStreak: 5,
+        tieBreaksWon: 0
+      },
+      teamB: {
+        pointsWon: 27,
+        serviceGamesPlayed: 6,
+        serviceGamesHeld: 5,
+        breakPointsFaced: 1,
+        breakPointsConverted: 1,
+        longestStreak: 11,
+        tieBreaksWon: 0
+      }
+    },
+    deuceGames: 1,
+    hasServeData: true
+  })
+})
+
+test('computeMatchStatistics returns null when the log does not replay', () => {
+  const state = playPoints(createLoggedMatchState(), ['teamA', 'teamB'])
+  state.pointLog = state.pointLog.slice(1)
+
+  assert.equal(computeMatchStatistics(state), null)
+})
+
+test('computeMatchStatistics replays score corrections where they were made', () => {
+  let state = winGame(createLoggedMatchState(), 'teamA')
+  state = correctScore(state, {
+    setNumber: 1,
+    setsWon: { teamA: 0, teamB: 0 },
+    games: { teamA: 4, teamB: 0 },
+    points: { teamA: 0, teamB: 0 }
+  })
+  state = winGame(state, 'teamB')
+
+  const statistics = computeMatchStatistics(state)
+
+  assert.equal(state.currentSetStatus.teamBGames, 1)
+  assert.notEqual(statistics, null)
+  assert.equal(statistics.teams.teamA.pointsWon, 4)
+  assert.equal(statistics.teams.teamB.pointsWon, 4)
+  assert.equal(computeMatchStatistics({ ...state, corrections: [] }), null)
+})
+
+test('createMatchStatisticsRows leaves out service rows without a first server', () => {
+  const state = playPoints(createLoggedMatchState(), ['teamA', 'teamA'])
+  const statistics = computeMatchStatistics(state)
+
+  assert.equal(statistics.hasServeData, false)
+  assert.deepEqual(createMatchStatisticsRows(statistics), [
+    { labelKey: 'stats.pointsWon', teamA: '2', teamB: '0' },
+    { labelKey: 'stats.deuceGames', teamA: '', teamB: '', value: '0' },
+    { labelKey: 'stats.longestStreak', teamA: '2', teamB: '0' },
+    { labelKey: 'stats.tieBreaksWon', teamA: '0', teamB: '0' }
+  ])
+})
+
+test('createMatchStatisticsRows formats hold and break point ratios', () => {
+  let state = createLoggedMatchState(firstServerTeamA)
+  state = winGame(state, 'teamA')
+  state = winGame(state, 'teamA')
+
+  const rows = createMatchStatisticsRows(computeMatchStatistics(state))
+  const rowsByKey = Object.fromEntries(rows.map((row) => [row.labelKey, row]))
+
+  assert.deepEqual(rowsByKey['stats.serviceGamesHeld'], {
+    labelKey: 'stats.serviceGamesHeld',
+    teamA: '1/1',
+    teamB: '0/1'
+  })
+  assert.equal(rowsByKey['stats.holdPercentage'].teamA, '100%')
+  assert.equal(rowsByKey['stats.holdPercentage'].teamB, '0%')
+  assert.equal(rowsByKey['stats.serviceGamesBroken'].teamB, '1')
+  assert.equal(rowsByKey['stats.breakPointsConverted'].teamA, '1/1')
+})
@@ -8,9 +8,13 @@ const MIGRATED_PAGE_FILES = [
   'page/index.js',
   'page/setup.js',
   'page/game.js',
+  'page/score-editor.js',
   'page/summary.js',
   'page/history.js',
   'page/history-detail.js',
+  'page/players.js',
+  'page/player-detail.js',
+  'page/stats.js',
   'page/settings.js',
   'page/game-settings.js'
 ]
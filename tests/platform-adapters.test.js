@@ -2,6 +2,7 @@ import assert from 'node:assert/strict'
 import { beforeEach, test } from 'node:test'
 
 import {
+  getActiveIntervals,
   getGestureRegistrations,
   getHapticsCalls,
   getKeepAwakeState,
@@ -14,10 +15,12 @@ import {
   keepAwake as mockKeepAwake,
   router as mockRouter,
   storage as mockStorage,
+  timer as mockTimer,
   toast as mockToast,
   resetPlatformAdaptersMock,
   setMockDeviceInfo,
-  triggerGesture
+  triggerGesture,
+  triggerIntervals
 } from './__mocks__/platform-adapters.js'
 import { toProjectFileUrl } from './helpers/project-paths.js'
 
@@ -40,6 +43,7 @@ const RUNTIME_GLOBAL_KEYS = [
   'localStorage',
   'router',
   'settingsStorage',
+  'timer',
   'vibrator'
 ]
 const STORAGE_VALUE_PREFIX = '__padel_buddy_platform_adapters__:'
@@ -48,7 +52,7 @@ beforeEach(() => {
   resetPlatformAdaptersMock()
 })
 
-test('platform adapters export the expected seven adapter contracts', async () => {
+test('platform adapters export the expected eight adapter contracts', async () => {
   const platformAdapters = await importFresh('utils/platform-adapters.js')
 
   assert.equal(typeof platformAdapters.router.navigateTo, 'function')
@@ -64,10 +68,13 @@ test('platform adapters export the expected seven adapter contracts', async () =
   assert.equal(typeof platformAdapters.keepAwake.getKeepAwakeStatus, 'function')
   assert.equal(typeof platformAdapters.storage.setItem, 'function')
   assert.equal(typeof platformAdapters.storage.getItem, 'function')
+  assert.equal(typeof platformAdapters.storage.getPersistedItem, 'function')
   assert.equal(typeof platformAdapters.storage.removeItem, 'function')
   assert.equal(typeof platformAdapters.storage.clear, 'function')
   assert.equal(typeof platformAdapters.haptics.vibrate, 'function')
   assert.equal(typeof platformAdapters.haptics.vibratePattern, 'function')
+  assert.equal(typeof platformAdapters.timer.startInterval, 'function')
+  assert.equal(typeof platformAdapters.timer.stopInterval, 'function')
 })
 
 test('platform adapters load and smoke-test safely without a Zepp runtime', async () => {
@@ -633,6 +640,108 @@ test('platform adapters storage.removeItem reports failure when runtime storage
   )
 })
 
+test('platform adapters storage.getPersistedItem skips the in-memory copy of a failed write', async () => {
+  await withRuntimeGlobals(
+    {
+      localStorage: {
+        setItem() {
+          throw new Error('Storage is full')
+        },
+        getItem() {
+          return null
+        },
+        removeItem() {}
+      }
+    },
+    async () => {
+      const platformAdapters = await importFresh('utils/platform-adapters.js')
+
+      platformAdapters.storage.setItem('unsaved', { score: 15 })
+
+      assert.deepEqual(platformAdapters.storage.getItem('unsaved'), {
+        score: 15
+      })
+      assert.equal(platformAdapters.storage.getPersistedItem('unsaved'), null)
+    }
+  )
+})
+
+test('platform adapters timer runs intervals on the runtime timers', async () => {
+  const originalSetInterval = globalThis.setInterval
+  const originalClearInterval = globalThis.clearInterval
+  const intervals = new Map()
+  const ticks = []
+
+  globalThis.setInterval = (callback, intervalMs) => {
+    intervals.set(intervals.size + 1, { callback, intervalMs })
+    return intervals.size
+  }
+  globalThis.clearInterval = (id) => {
+    intervals.delete(id)
+  }
+
+  try {
+    await withRuntimeGlobals({}, async () => {
+      const platformAdapters = await importFresh('utils/platform-adapters.js')
+      const handle = platformAdapters.timer.startInterval(() => {
+        ticks.push('tick')
+        throw new Error('Tick failed')
+      }, 15000)
+
+      assert.equal(intervals.get(1).intervalMs, 15000)
+      assert.doesNotThrow(() => intervals.get(1).callback())
+      assert.deepEqual(ticks, ['tick'])
+      assert.equal(platformAdapters.timer.stopInterval(handle), true)
+      assert.equal(intervals.size, 0)
+      assert.equal(platformAdapters.timer.startInterval(null, 1000), null)
+      assert.equal(platformAdapters.timer.stopInterval(null), false)
+    })
+  } finally {
+    globalThis.setInterval = originalSetInterval
+    globalThis.clearInterval = originalClearInterval
+  }
+})
+
+test('platform adapters timer falls back to the legacy timer API', async () => {
+  const originalSetInterval = globalThis.setInterval
+  const calls = []
+
+  delete globalThis.setInterval
+
+  try {
+    await withRuntimeGlobals(
+      {
+        timer: {
+          createTimer(delay, period, callback) {
+            calls.push(['createTimer', delay, period])
+            callback()
+            return 7
+          },
+          stopTimer(id) {
+            calls.push(['stopTimer', id])
+          }
+        }
+      },
+      async () => {
+        const platformAdapters = await importFresh('utils/platform-adapters.js')
+        const handle = platformAdapters.timer.startInterval(
+          () => calls.push(['tick']),
+          60000
+        )
+
+        assert.equal(platformAdapters.timer.stopInterval(handle), true)
+        assert.deepEqual(calls, [
+          ['createTimer', 60000, 60000],
+          ['tick'],
+          ['stopTimer', 7]
+        ])
+      }
+    )
+  } finally {
+    globalThis.setInterval = originalSetInterval
+  }
+})
+
 test('platform adapters storage.clear reports failure when runtime storage lacks clear method', async () => {
   await withRuntimeGlobals(
     {
@@ -715,6 +824,18 @@ test('platform adapter mock tracks router, toast, storage, keep-awake, device, h
   assert.equal(getGestureRegistrations().length, 1)
 })
 
+test('platform adapter mock runs and stops intervals on demand', () => {
+  const ticks = []
+  const handle = mockTimer.startInterval(() => ticks.push('tick'), 15000)
+
+  triggerIntervals()
+
+  assert.deepEqual(ticks, ['tick'])
+  assert.deepEqual(getActiveIntervals(), [{ intervalMs: 15000 }])
+  assert.equal(mockTimer.stopInterval(handle), true)
+  assert.deepEqual(getActiveIntervals(), [])
+})
+
 test('platform adapter mock rejects non-function gesture callbacks', () => {
   const gestureElement = { id: 'invalid-callback' }
 
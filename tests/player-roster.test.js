@@ -0,0 +1,196 @@
+import assert from 'node:assert/strict'
+import test from 'node:test'
+
+import { clearAllAppData } from '../utils/app-data-clear.js'
+import { saveState } from '../utils/persistence.js'
+import {
+  applyEditedRoster,
+  assignRosterPlayerIds,
+  computePlayerRecords,
+  formatWinLoss,
+  loadPlayerRoster,
+  MAX_ROSTER_PLAYERS,
+  PLAYER_ROSTER_STORAGE_KEY,
+  savePlayerRoster
+} from '../utils/player-roster.js'
+import { createEmptyTeamNames } from '../utils/team-names.js'
+import {
+  createLocalStorageMock,
+  withMockLocalStorage
+} from './helpers/local-storage-mock.js'
+
+const ROSTER = Object.freeze([
+  { id: 'player-1', name: 'Ana' },
+  { id: 'player-2', name: 'Bea' },
+  { id: 'player-3', name: 'Cris' },
+  { id: 'player-4', name: 'Dani' }
+])
+
+function createEntry(teamAPlayerIds, teamBPlayerIds, winnerTeam) {
+  return {
+    id: String(Math.random()),
+    teamALabel: 'Team A',
+    teamBLabel: 'Team B',
+    teamAPlayerIds,
+    teamBPlayerIds,
+    winnerTeam
+  }
+}
+
+test('loadPlayerRoster sorts players and drops invalid or duplicate entries', () => {
+  const { storage, has } = createLocalStorageMock()
+
+  withMockLocalStorage(storage, () => {
+    assert.deepEqual(loadPlayerRoster(), [])
+
+    savePlayerRoster([
+      { id: 'player-2', name: 'Bea' },
+      { id: 'player-1', name: ' Ana ' },
+      { id: 'player-1', name: 'Duplicate' },
+      { id: '', name: 'No Id' },
+      { id: 'player-3', name: '' },
+      'Cris'
+    ])
+
+    assert.equal(has(PLAYER_ROSTER_STORAGE_KEY), true)
+    assert.deepEqual(loadPlayerRoster(), [
+      { id: 'player-1', name: 'Ana' },
+      { id: 'player-2', name: 'Bea' }
+    ])
+  })
+})
+
+test('assignRosterPlayerIds reuses roster players and adds new ones', () => {
+  const teamNames = createEmptyTeamNames()
+  teamNames.teamA.players = ['ana', '']
+  teamNames.teamB = { label: 'Lobos', players: ['Eva', 'Cris'] }
+
+  const result = assignRosterPlayerIds(teamNames, [...ROSTER])
+
+  assert.deepEqual(result.teamNames, {
+    teamA: { label: '', players: ['ana', ''], playerIds: ['player-1', ''] },
+    teamB: {
+      label: 'Lobos',
+      players: ['Eva', 'Cris'],
+      playerIds: ['player-5', 'player-3']
+    }
+  })
+  assert.deepEqual(result.roster.at(-1), { id: 'player-5', name: 'Eva' })
+  assert.equal(teamNames.teamB.playerIds, undefined)
+})
+
+test('assignRosterPlayerIds leaves new players unlinked when the roster is full', () => {
+  const roster = Array.from({ length: MAX_ROSTER_PLAYERS }, (_, index) => ({
+    id: `player-${index + 1}`,
+    name: `Player ${index + 1}`
+  }))
+  const teamNames = createEmptyTeamNames()
+  teamNames.teamA.players = ['Newcomer', 'Player 2']
+
+  const result = assignRosterPlayerIds(teamNames, roster)
+
+  assert.deepEqual(result.teamNames.teamA.playerIds, ['', 'player-2'])
+  assert.equal(result.roster.length, MAX_ROSTER_PLAYERS)
+})
+
+test('applyEditedRoster keeps ids of renamed players and adds new ones', () => {
+  assert.deepEqual(
+    applyEditedRoster(
+      [...ROSTER],
+      [
+        { id: 'player-2', name: 'Beatriz' },
+        { id: '', name: 'dani' },
+        { id: '', name: 'Eva' },
+        { id: 'player-1', name: 'beatriz' },
+        { id: 'player-9', name: ' ' }
+      ]
+    ),
+    [
+      { id: 'player-2', name: 'Beatriz' },
+      { id: 'player-4', name: 'dani' },
+      { id: 'player-5', name: 'Eva' }
+    ]
+  )
+})
+
+test('removed player ids are not handed out again', () => {
+  const { storage } = createLocalStorageMock()
+
+  withMockLocalStorage(storage, () => {
+    savePlayerRoster([...ROSTER])
+    savePlayerRoster(applyEditedRoster(loadPlayerRoster(), ROSTER.slice(0, 3)))
+    savePlayerRoster(
+      applyEditedRoster(loadPlayerRoster(), [
+        ...ROSTER.slice(0, 3),
+        { id: '', name: 'Eva' }
+      ])
+    )
+
+    const eva = loadPlayerRoster().find((player) => player.name === 'Eva')
+    const teamNames = createEmptyTeamNames()
+    teamNames.teamA.players = ['Fede', '']
+
+    assert.equal(eva?.id, 'player-5')
+    assert.deepEqual(
+      assignRosterPlayerIds(teamNames, loadPlayerRoster()).teamNames.teamA
+        .playerIds,
+      ['player-6', '']
+    )
+  })
+})
+
+test('loadPlayerRoster reads rosters saved as a bare player list', () => {
+  const { storage } = createLocalStorageMock()
+
+  withMockLocalStorage(storage, () => {
+    saveState(PLAYER_ROSTER_STORAGE_KEY, [{ id: 'player-1', name: 'Ana' }])
+
+    assert.deepEqual(loadPlayerRoster(), [{ id: 'player-1', name: 'Ana' }])
+  })
+})
+
+test('computePlayerRecords counts wins, partners and head-to-head results', () => {
+  const records = computePlayerRecords(
+    [
+      createEntry(['player-1', 'player-2'], ['player-3', 'player-4'], 'teamA'),
+      createEntry(['player-1', 'player-3'], ['player-2', 'player-4'], 'teamB'),
+      createEntry(['player-1', 'player-2'], ['player-3', ''], null),
+      createEntry(undefined, undefined, 'teamA')
+    ],
+    ROSTER
+  )
+  const ana = records.find((record) => record.id === 'player-1')
+
+  assert.deepEqual(
+    records.map((record) => [record.name, formatWinLoss(record)]),
+    [
+      ['Bea', '2-0'],
+      ['Ana', '1-1'],
+      ['Dani', '1-1'],
+      ['Cris', '0-2']
+    ]
+  )
+  assert.equal(ana.played, 3)
+  assert.deepEqual(ana.partners, [
+    { id: 'player-2', name: 'Bea', played: 2, won: 1, lost: 0 },
+    { id: 'player-3', name: 'Cris', played: 1, won: 0, lost: 1 }
+  ])
+  assert.deepEqual(ana.opponents, [
+    { id: 'player-3', name: 'Cris', played: 2, won: 1, lost: 0 },
+    { id: 'player-4', name: 'Dani', played: 2, won: 1, lost: 1 },
+    { id: 'player-2', name: 'Bea', played: 1, won: 0, lost: 1 }
+  ])
+})
+
+test('clearAllAppData forgets the player roster', () => {
+  const { storage, has } = createLocalStorageMock()
+
+  withMockLocalStorage(storage, () => {
+    savePlayerRoster([...ROSTER])
+
+    clearAllAppData()
+
+    assert.equal(has(PLAYER_ROSTER_STORAGE_KEY), false)
+    assert.deepEqual(loadPlayerRoster(), [])
+  })
+})
@@ -0,0 +1,108 @@
+import assert from 'node:assert/strict'
+import test from 'node:test'
+
+import { SCORE_POINTS } from '../utils/constants.js'
+import { createInitialMatchState } from '../utils/match-state.js'
+import {
+  clonePointLog,
+  cloneScoreCorrections,
+  createCorrectionScore,
+  createPointLogEntry,
+  createPointLogScore,
+  isSamePointLogScore
+} from '../utils/point-log.js'
+import { addPoint } from '../utils/scoring-engine.js'
+
+test('createPointLogScore stores points in their persisted numeric form', () => {
+  const state = createInitialMatchState()
+  state.setsWon = { teamA: 1, teamB: 0 }
+  state.currentSetStatus.teamAGames = 2
+  state.currentSetStatus.teamBGames = 3
+  state.teamA.points = SCORE_POINTS.ADVANTAGE
+  state.teamB.points = SCORE_POINTS.FORTY
+
+  assert.deepEqual(createPointLogScore(state), {
+    setsWon: { teamA: 1, teamB: 0 },
+    games: { teamA: 2, teamB: 3 },
+    points: { teamA: 50, teamB: 40 }
+  })
+})
+
+test('createPointLogEntry records the point with the score before and after it', () => {
+  const previousState = createInitialMatchState()
+  previousState.currentSetStatus.teamAGames = 1
+  previousState.teamA.games = 1
+  const nextState = addPoint(previousState, 'teamB')
+
+  assert.deepEqual(
+    createPointLogEntry(previousState, nextState, 'teamB', 1700000000000),
+    {
+      team: 'teamB',
+      timestamp: 1700000000000,
+      setNumber: 1,
+      gameNumber: 2,
+      before: {
+        setsWon: { teamA: 0, teamB: 0 },
+        games: { teamA: 1, teamB: 0 },
+        points: { teamA: 0, teamB: 0 }
+      },
+      after: {
+        setsWon: { teamA: 0, teamB: 0 },
+        games: { teamA: 1, teamB: 0 },
+        points: { teamA: 0, teamB: 15 }
+      }
+    }
+  )
+})
+
+test('isSamePointLogScore compares every score field', () => {
+  const score = createPointLogScore(createInitialMatchState())
+
+  assert.equal(isSamePointLogScore(score, structuredClone(score)), true)
+  assert.equal(
+    isSamePointLogScore(score, {
+      ...score,
+      points: { teamA: 15, teamB: 0 }
+    }),
+    false
+  )
+  assert.equal(isSamePointLogScore(score, null), false)
+})
+
+test('clonePointLog returns a detached copy or null for invalid logs', () => {
+  const state = createInitialMatchState()
+  const pointLog = [
+    createPointLogEntry(state, addPoint(state, 'teamA'), 'teamA', 1)
+  ]
+  const clonedLog = clonePointLog(pointLog)
+
+  assert.deepEqual(clonedLog, pointLog)
+  assert.notEqual(clonedLog[0], pointLog[0])
+  assert.deepEqual(clonePointLog([]), [])
+  assert.equal(clonePointLog([{ ...pointLog[0], team: 'teamC' }]), null)
+  assert.equal(clonePointLog(undefined), null)
+})
+
+test('cloneScoreCorrections returns a detached copy or null for invalid lists', () => {
+  const state = createInitialMatchState()
+  state.currentSetStatus.number = 2
+  state.currentSet = 2
+  const corrections = [
+    {
+      timestamp: 1,
+      pointCount: 0,
+      before: createCorrectionScore(createInitialMatchState()),
+      after: createCorrectionScore(state)
+    }
+  ]
+  const clonedCorrections = cloneScoreCorrections(corrections)
+
+  assert.equal(corrections[0].after.setNumber, 2)
+  assert.deepEqual(clonedCorrections, corrections)
+  assert.notEqual(clonedCorrections[0].after, corrections[0].after)
+  assert.equal(
+    cloneScoreCorrections([{ ...corrections[0], pointCount: -1 }]),
+    null
+  )
+  assert.equal(cloneScoreCorrections(undefined), null)
+})
@@ -1,9 +1,18 @@
 import assert from 'node:assert/strict'
 import test from 'node:test'
+import { SCORING_EVENT } from '../utils/constants.js'
 import { createHistoryStack } from '../utils/history-stack.js'
 import { createInitialMatchState } from '../utils/match-state.js'
 import { SCORE_POINTS } from '../utils/scoring-constants.js'
-import { addPoint, removePoint } from '../utils/scoring-engine.js'
+import {
+  addPoint,
+  applyStartingHandicap,
+  canCorrectScore,
+  correctScore,
+  isStarPoint,
+  redoPoint,
+  removePoint
+} from '../utils/scoring-engine.js'
 
 const VALID_REGULAR_POINTS = new Set([
   SCORE_POINTS.LOVE,
@@ -77,6 +86,22 @@ function createTieBreakState(teamAPoints = 0, teamBPoints = 0) {
   return state
 }
 
+function createSuperTieBreakState(teamAPoints = 0, teamBPoints = 0) {
+  const state = createInitialMatchState()
+  state.settings = { scoringMode: 'advantage', superTieBreak: true }
+  state.setsNeededToWin = 2
+  state.setsWon = { teamA: 1, teamB: 1 }
+  state.setHistory = [
+    { setNumber: 1, teamAGames: 6, teamBGames: 4 },
+    { setNumber: 2, teamAGames: 3, teamBGames: 6 }
+  ]
+  state.currentSetStatus.number = 3
+  state.currentSet = 3
+  state.teamA.points = teamAPoints
+  state.teamB.points = teamBPoints
+  return state
+}
+
 function createSetPointState({
   winningTeam,
   setsNeededToWin,
@@ -196,6 +221,125 @@ test('addPoint awards game when team with advantage scores again', () => {
   assert.equal(nextState.teamB.points, SCORE_POINTS.LOVE)
 })
 
+test('addPoint awards game on the deciding point at deuce in golden point mode', () => {
+  const state = createInitialMatchState()
+  state.settings = { scoringMode: 'golden-point' }
+  state.teamA.points = SCORE_POINTS.FORTY
+  state.teamB.points = SCORE_POINTS.FORTY
+
+  const nextState = addPoint(state, 'teamB')
+
+  assert.equal(nextState.teamB.games, 1)
+  assert.equal(nextState.currentSetStatus.teamBGames, 1)
+  assert.equal(nextState.teamA.games, 0)
+  assert.equal(nextState.teamA.points, SCORE_POINTS.LOVE)
+  assert.equal(nextState.teamB.points, SCORE_POINTS.LOVE)
+})
+
+test('addPoint keeps regular and tie-break scoring unchanged in golden point mode', () => {
+  const regularState = createInitialMatchState()
+  regularState.settings = { scoringMode: 'golden-point' }
+  regularState.teamA.points = SCORE_POINTS.FORTY
+  regularState.teamB.points = SCORE_POINTS.THIRTY
+
+  const deuceState = addPoint(regularState, 'teamB')
+
+  assert.equal(deuceState.teamA.points, SCORE_POINTS.FORTY)
+  assert.equal(deuceState.teamB.points, SCORE_POINTS.FORTY)
+  assert.equal(deuceState.settings.scoringMode, 'golden-point')
+
+  const tieBreakState = createInitialMatchState()
+  tieBreakState.settings = { scoringMode: 'golden-point' }
+  tieBreakState.teamA.games = 6
+  tieBreakState.teamB.games = 6
+  tieBreakState.currentSetStatus.teamAGames = 6
+  tieBreakState.currentSetStatus.teamBGames = 6
+  tieBreakState.teamA.points = 6
+  tieBreakState.teamB.points = 6
+
+  const nextTieBreakState = addPoint(tieBreakState, 'teamA')
+
+  assert.equal(nextTieBreakState.teamA.points, 7)
+  assert.equal(nextTieBreakState.currentSetStatus.teamAGames, 6)
+})
+
+test('removePoint restores deuce after a golden point game win', () => {
+  const history = createHistoryStack()
+  const deuceState = createInitialMatchState()
+  deuceState.settings = { scoringMode: 'golden-point' }
+  deuceState.teamA.points = SCORE_POINTS.FORTY
+  deuceState.teamB.points = SCORE_POINTS.FORTY
+
+  const afterGameWinState = addPoint(deuceState, 'teamA', history)
+  const restoredState = removePoint(afterGameWinState, history)
+
+  assert.equal(afterGameWinState.teamA.games, 1)
+  assert.deepEqual(restoredState, deuceState)
+})
+
+test('addPoint plays two advantages before the star point decides the game', () => {
+  let state = createInitialMatchState()
+  state.settings = { scoringMode: 'star-point' }
+  state.teamA.points = SCORE_POINTS.FORTY
+  state.teamB.points = SCORE_POINTS.THIRTY
+
+  state = addPoint(state, 'teamB')
+  assert.equal(state.currentGameStatus.deuceCount, 1)
+  assert.equal(isStarPoint(state), false)
+
+  state = addPoint(state, 'teamA')
+  assert.equal(state.teamA.points, SCORE_POINTS.ADVANTAGE)
+
+  state = addPoint(state, 'teamB')
+  assert.equal(state.currentGameStatus.deuceCount, 2)
+  assert.equal(isStarPoint(state), false)
+
+  state = addPoint(state, 'teamB')
+  assert.equal(state.teamB.points, SCORE_POINTS.ADVANTAGE)
+
+  state = addPoint(state, 'teamA')
+  assert.equal(state.currentGameStatus.deuceCount, 3)
+  assert.equal(isStarPoint(state), true)
+
+  state = addPoint(state, 'teamB')
+
+  assert.equal(state.teamB.games, 1)
+  assert.equal(state.currentSetStatus.teamBGames, 1)
+  assert.equal(state.teamA.points, SCORE_POINTS.LOVE)
+  assert.equal(state.teamB.points, SCORE_POINTS.LOVE)
+  assert.equal(state.currentGameStatus.deuceCount, 0)
+  assert.equal(isStarPoint(state), false)
+})
+
+test('addPoint counts deuces without deciding them in advantage mode', () => {
+  const state = createInitialMatchState()
+  state.teamA.points = SCORE_POINTS.FORTY
+  state.teamB.points = SCORE_POINTS.FORTY
+  state.currentGameStatus.deuceCount = 3
+
+  const nextState = addPoint(state, 'teamA')
+
+  assert.equal(isStarPoint(state), false)
+  assert.equal(nextState.teamA.points, SCORE_POINTS.ADVANTAGE)
+  assert.equal(nextState.teamA.games, 0)
+})
+
+test('removePoint restores the deuce count before a star point game win', () => {
+  const history = createHistoryStack()
+  const starPointState = createInitialMatchState()
+  starPointState.settings = { scoringMode: 'star-point' }
+  starPointState.teamA.points = SCORE_POINTS.FORTY
+  starPointState.teamB.points = SCORE_POINTS.FORTY
+  starPointState.currentGameStatus.deuceCount = 3
+
+  const afterGameWinState = addPoint(starPointState, 'teamA', history)
+  const restoredState = removePoint(afterGameWinState, history)
+
+  assert.equal(afterGameWinState.teamA.games, 1)
+  assert.deepEqual(restoredState, starPointState)
+  assert.equal(isStarPoint(restoredState), true)
+})
+
 test('addPoint wins set at 6-0 and resets games for next set', () => {
   const state = createStateWithTeamAGamePoint(5, 0)
 
@@ -414,6 +558,394 @@ test('addPoint marks match finished exactly when setsNeededToWin is 3', () => {
   ])
 })
 
+test('addPoint plays the deciding set as a super tie-break counted to 10', () => {
+  const firstPointState = addPoint(createSuperTieBreakState(), 'teamA')
+
+  assert.equal(firstPointState.teamA.points, 1)
+  assert.equal(firstPointState.teamB.points, 0)
+  assert.equal(firstPointState.currentSetStatus.teamAGames, 0)
+
+  const tenNineState = addPoint(createSuperTieBreakState(9, 9), 'teamA')
+
+  assert.equal(tenNineState.status, 'active')
+  assert.equal(tenNineState.teamA.points, 10)
+  assert.equal(tenNineState.teamB.points, 9)
+  assert.equal(tenNineState.setHistory.length, 2)
+})
+
+test('addPoint finishes the match on a super tie-break win by two and records it as [10-8]', () => {
+  const finishedState = addPoint(createSuperTieBreakState(9, 8), 'teamA')
+
+  assert.equal(finishedState.status, 'finished')
+  assert.equal(finishedState.winnerTeam, 'teamA')
+  assert.deepEqual(finishedState.setsWon, { teamA: 2, teamB: 1 })
+  assert.deepEqual(finishedState.setHistory[2], {
+    setNumber: 3,
+    teamAGames: 10,
+    teamBGames: 8,
+    superTieBreak: true
+  })
+
+  const extendedState = addPoint(createSuperTieBreakState(11, 12), 'teamB')
+
+  assert.equal(extendedState.winnerTeam, 'teamB')
+  assert.deepEqual(extendedState.setHistory[2], {
+    setNumber: 3,
+    teamAGames: 11,
+    teamBGames: 13,
+    superTieBreak: true
+  })
+})
+
+test('addPoint only uses the super tie-break for the deciding set', () => {
+  const firstSetState = createInitialMatchState()
+  firstSetState.settings = { scoringMode: 'advantage', superTieBreak: true }
+  firstSetState.setsNeededToWin = 2
+
+  assert.equal(
+    addPoint(firstSetState, 'teamA').teamA.points,
+    SCORE_POINTS.FIFTEEN
+  )
+
+  const singleSetState = createInitialMatchState()
+  singleSetState.settings = { scoringMode: 'advantage', superTieBreak: true }
+  singleSetState.setsNeededToWin = 1
+
+  assert.equal(
+    addPoint(singleSetState, 'teamA').teamA.points,
+    SCORE_POINTS.FIFTEEN
+  )
+
+  const decidingSetWithoutSuperTieBreak = createSuperTieBreakState()
+  decidingSetWithoutSuperTieBreak.settings.superTieBreak = false
+
+  assert.equal(
+    addPoint(decidingSetWithoutSuperTieBreak, 'teamA').teamA.points,
+    SCORE_POINTS.FIFTEEN
+  )
+})
+
+test('addPoint wins short sets at 4 games and plays the tie-break at 4-4', () => {
+  const shortSetState = createStateWithTeamAGamePoint(3, 2)
+  shortSetState.settings = { scoringMode: 'advantage', gamesPerSet: 4 }
+  shortSetState.setsNeededToWin = 2
+
+  const setWonState = addPoint(shortSetState, 'teamA')
+
+  assert.equal(setWonState.setsWon.teamA, 1)
+  assert.deepEqual(setWonState.setHistory, [
+    { setNumber: 1, teamAGames: 4, teamBGames: 2 }
+  ])
+
+  const tieBreakEntryState = createStateWithTeamAGamePoint(3, 4)
+  tieBreakEntryState.settings = { scoringMode: 'advantage', gamesPerSet: 4 }
+
+  const tieBreakState = addPoint(tieBreakEntryState, 'teamA')
+
+  assert.equal(tieBreakState.currentSetStatus.teamAGames, 4)
+  assert.equal(tieBreakState.currentSetStatus.teamBGames, 4)
+
+  const firstTieBreakPointState = addPoint(tieBreakState, 'teamB')
+
+  assert.equal(firstTieBreakPointState.teamB.points, 1)
+})
+
+test('addPoint honours a tie-break trigger one game below the set length', () => {
+  const state = createStateWithTeamAGamePoint(2, 3)
+  state.settings = { scoringMode: 'advantage', gamesPerSet: 4, tieBreakAt: 3 }
+
+  const tieBreakState = addPoint(state, 'teamA')
+  const firstTieBreakPointState = addPoint(tieBreakState, 'teamA')
+
+  assert.equal(firstTieBreakPointState.teamA.points, 1)
+  assert.equal(firstTieBreakPointState.currentSetStatus.teamAGames, 3)
+})
+
+test('addPoint plays a pro set to 9 with the tie-break at 8-8', () => {
+  const proSetSettings = {
+    scoringMode: 'advantage',
+    gamesPerSet: 9,
+    tieBreakAt: 8
+  }
+  const nineSixState = createSetPointState({
+    winningTeam: 'teamA',
+    setsNeededToWin: 1,
+    setsWonByWinningTeam: 0,
+    teamAGames: 8,
+    teamBGames: 6
+  })
+  nineSixState.settings = proSetSettings
+
+  const wonState = addPoint(nineSixState, 'teamA')
+
+  assert.equal(wonState.status, 'finished')
+  assert.equal(wonState.winnerTeam, 'teamA')
+  assert.deepEqual(wonState.setHistory, [
+    { setNumber: 1, teamAGames: 9, teamBGames: 6 }
+  ])
+
+  const eightSevenState = createStateWithTeamAGamePoint(7, 8)
+  eightSevenState.settings = proSetSettings
+  eightSevenState.setsNeededToWin = 1
+
+  const tieBreakState = addPoint(addPoint(eightSevenState, 'teamA'), 'teamA')
+
+  assert.equal(tieBreakState.currentSetStatus.teamAGames, 8)
+  assert.equal(tieBreakState.teamA.points, 1)
+})
+
+test('addPoint ends a fixed-games match after its last game', () => {
+  const totalGamesSettings = { scoringMode: 'advantage', totalGames: 12 }
+  const runawayState = createStateWithTeamAGamePoint(6, 0)
+  runawayState.settings = totalGamesSettings
+  runawayState.setsNeededToWin = 1
+
+  const sevenLoveState = addPoint(runawayState, 'teamA')
+
+  assert.equal(sevenLoveState.status, 'active')
+  assert.equal(sevenLoveState.currentSetStatus.teamAGames, 7)
+
+  const lastGameState = createStateWithTeamAGamePoint(6, 5)
+  lastGameState.settings = totalGamesSettings
+  lastGameState.setsNeededToWin = 1
+
+  const wonState = addPoint(lastGameState, 'teamA')
+
+  assert.equal(wonState.status, 'finished')
+  assert.equal(wonState.winnerTeam, 'teamA')
+  assert.deepEqual(wonState.setsWon, { teamA: 1, teamB: 0 })
+  assert.deepEqual(wonState.setHistory, [
+    { setNumber: 1, teamAGames: 7, teamBGames: 5 }
+  ])
+})
+
+test('addPoint plays every fixed game on top of the handicap games', () => {
+  const state = createInitialMatchState()
+  state.settings = {
+    scoringMode: 'advantage',
+    totalGames: 12,
+    handicap: { team: 'teamA', points: 0, games: 2, sets: 0 }
+  }
+  state.setsNeededToWin = 1
+  applyStartingHandicap(state)
+  state.currentSetStatus.teamBGames = 10
+  state.teamB.games = 10
+  state.teamB.points = SCORE_POINTS.FORTY
+
+  // 12 games on the board, but only 11 of the 12 have been played.
+  const lastGameState = addPoint(state, 'teamB')
+
+  assert.equal(lastGameState.status, 'active')
+  assert.equal(lastGameState.currentSetStatus.teamBGames, 11)
+
+  lastGameState.teamB.points = SCORE_POINTS.FORTY
+  const wonState = addPoint(lastGameState, 'teamB')
+
+  assert.equal(wonState.status, 'finished')
+  assert.equal(wonState.winnerTeam, 'teamB')
+  assert.deepEqual(wonState.setHistory, [
+    { setNumber: 1, teamAGames: 2, teamBGames: 12 }
+  ])
+})
+
+test('addPoint finishes an evenly split fixed-games match as a draw', () => {
+  const state = createStateWithTeamAGamePoint(5, 6)
+  state.settings = { scoringMode: 'advantage', totalGames: 12 }
+  state.setsNeededToWin = 1
+
+  const { nextState, events } = collectScoringEvents(state, 'teamA')
+
+  assert.equal(nextState.status, 'finished')
+  assert.equal('winnerTeam' in nextState, false)
+  assert.deepEqual(nextState.setsWon, { teamA: 0, teamB: 0 })
+  assert.deepEqual(nextState.setHistory, [
+    { setNumber: 1, teamAGames: 6, teamBGames: 6 }
+  ])
+  assert.deepEqual(events, [])
+})
+
+test('applyStartingHandicap puts the handicap team ahead before the first point', () => {
+  const state = createInitialMatchState()
+  state.setsNeededToWin = 2
+  state.settings = {
+    scoringMode: 'advantage',
+    handicap: { team: 'teamA', points: 2, games: 2, sets: 1 }
+  }
+
+  const handicapState = applyStartingHandicap(state)
+
+  assert.deepEqual(handicapState.setsWon, { teamA: 1, teamB: 0 })
+  assert.equal(handicapState.currentSetStatus.teamAGames, 2)
+  assert.equal(handicapState.teamA.games, 2)
+  assert.equal(handicapState.teamA.points, SCORE_POINTS.THIRTY)
+  assert.equal(handicapState.teamB.points, SCORE_POINTS.LOVE)
+
+  const plainState = createInitialMatchState()
+  assert.deepEqual(applyStartingHandicap(plainState), createInitialMatchState())
+})
+
+test('addPoint starts every game with the handicap points', () => {
+  const state = createStateWithTeamAGamePoint(1, 0)
+  state.settings = {
+    scoringMode: 'advantage',
+    handicap: { team: 'teamB', points: 1, games: 0, sets: 0 }
+  }
+
+  const nextGameState = addPoint(state, 'teamA')
+
+  assert.equal(nextGameState.currentSetStatus.teamAGames, 2)
+  assert.equal(nextGameState.teamA.points, SCORE_POINTS.LOVE)
+  assert.equal(nextGameState.teamB.points, SCORE_POINTS.FIFTEEN)
+})
+
+test('addPoint plays tie-breaks without the handicap points', () => {
+  const state = createStateWithTeamAGamePoint(5, 6)
+  state.settings = {
+    scoringMode: 'advantage',
+    handicap: { team: 'teamB', points: 2, games: 0, sets: 0 }
+  }
+
+  const tieBreakState = addPoint(state, 'teamA')
+
+  assert.equal(tieBreakState.currentSetStatus.teamAGames, 6)
+  assert.equal(tieBreakState.teamA.points, 0)
+  assert.equal(tieBreakState.teamB.points, 0)
+})
+
+test('addPoint leaves handicap games out of the change of ends', () => {
+  const state = createInitialMatchState()
+  state.settings = {
+    scoringMode: 'advantage',
+    handicap: { team: 'teamA', points: 0, games: 1, sets: 0 }
+  }
+  applyStartingHandicap(state)
+  state.teamB.points = SCORE_POINTS.FORTY
+
+  // 1-1, but only the one game actually played counts.
+  const { nextState, events } = collectScoringEvents(state, 'teamB')
+
+  assert.equal(nextState.currentSetStatus.teamAGames, 1)
+  assert.equal(nextState.currentSetStatus.teamBGames, 1)
+  assert.deepEqual(events, [{ type: SCORING_EVENT.CHANGE_ENDS }])
+})
+
+test('addPoint plays the deciding set out without a tie-break when disabled', () => {
+  const decidingSetState = createStateWithTeamAGamePoint(5, 6)
+  decidingSetState.settings = {
+    scoringMode: 'advantage',
+    finalSetTieBreak: false
+  }
+  decidingSetState.setsNeededToWin = 2
+  decidingSetState.setsWon = { teamA: 1, teamB: 1 }
+  decidingSetState.currentSetStatus.number = 3
+  decidingSetState.currentSet = 3
+
+  const sixAllState = addPoint(decidingSetState, 'teamA')
+  const regularPointState = addPoint(sixAllState, 'teamA')
+
+  assert.equal(sixAllState.currentSetStatus.teamAGames, 6)
+  assert.equal(regularPointState.teamA.points, SCORE_POINTS.FIFTEEN)
+
+  const firstSetState = createStateWithTeamAGamePoint(5, 6)
+  firstSetState.settings = { scoringMode: 'advantage', finalSetTieBreak: false }
+  firstSetState.setsNeededToWin = 2
+
+  const firstSetTieBreakState = addPoint(
+    addPoint(firstSetState, 'teamA'),
+    'teamA'
+  )
+
+  assert.equal(firstSetTieBreakState.teamA.points, 1)
+})
+
+function collectScoringEvents(state, team) {
+  const events = []
+  const nextState = addPoint(state, team, undefined, {
+    onEvent: (event) => events.push(event)
+  })
+
+  return { nextState, events }
+}
+
+test('addPoint emits a change of ends after odd games only', () => {
+  const afterFirstGame = collectScoringEvents(
+    createStateWithTeamAGamePoint(0, 0),
+    'teamA'
+  )
+  const afterSecondGame = collectScoringEvents(
+    createStateWithTeamAGamePoint(1, 0),
+    'teamA'
+  )
+  const withinGame = collectScoringEvents(createInitialMatchState(), 'teamA')
+
+  assert.deepEqual(afterFirstGame.events, [{ type: SCORING_EVENT.CHANGE_ENDS }])
+  assert.deepEqual(afterSecondGame.events, [])
+  assert.deepEqual(withinGame.events, [])
+})
+
+test('addPoint carries the change of ends over the set break by the completed set games', () => {
+  const oddSetEnd = collectScoringEvents(
+    createStateWithTeamAGamePoint(5, 3),
+    'teamA'
+  )
+  const evenSetEnd = collectScoringEvents(
+    createStateWithTeamAGamePoint(5, 4),
+    'teamA'
+  )
+
+  assert.equal(oddSetEnd.nextState.currentSetStatus.number, 2)
+  assert.deepEqual(oddSetEnd.events, [{ type: SCORING_EVENT.CHANGE_ENDS }])
+  assert.equal(evenSetEnd.nextState.currentSetStatus.number, 2)
+  assert.deepEqual(evenSetEnd.events, [])
+})
+
+test('addPoint emits a change of ends every 6 tie-break points and after the tie-break', () => {
+  const afterFifthPoint = collectScoringEvents(
+    createTieBreakState(3, 1),
+    'teamA'
+  )
+  const afterSixthPoint = collectScoringEvents(
+    createTieBreakState(4, 1),
+    'teamA'
+  )
+  const afterTwelfthPoint = collectScoringEvents(
+    createTieBreakState(5, 6),
+    'teamA'
+  )
+  const afterTieBreakWin = collectScoringEvents(
+    createTieBreakState(6, 4),
+    'teamA'
+  )
+
+  assert.deepEqual(afterFifthPoint.events, [])
+  assert.deepEqual(afterSixthPoint.events, [
+    { type: SCORING_EVENT.CHANGE_ENDS }
+  ])
+  assert.deepEqual(afterTwelfthPoint.events, [
+    { type: SCORING_EVENT.CHANGE_ENDS }
+  ])
+  assert.equal(afterTieBreakWin.nextState.currentSetStatus.number, 2)
+  assert.deepEqual(afterTieBreakWin.events, [
+    { type: SCORING_EVENT.CHANGE_ENDS }
+  ])
+})
+
+test('addPoint does not ask for a change of ends when the match is won', () => {
+  const { nextState, events } = collectScoringEvents(
+    createSetPointState({
+      winningTeam: 'teamA',
+      setsNeededToWin: 1,
+      setsWonByWinningTeam: 0,
+      teamAGames: 5,
+      teamBGames: 2
+    }),
+    'teamA'
+  )
+
+  assert.equal(nextState.status, 'finished')
+  assert.deepEqual(events, [])
+})
+
 test('addPoint records tie-break set history as 7-6 and finishes when threshold reached', () => {
   const state = createTieBreakState(6, 5)
   state.setsNeededToWin = 1
@@ -431,7 +963,8 @@ test('addPoint records tie-break set history as 7-6 and finishes when threshold
     {
       setNumber: 1,
       teamAGames: 7,
-      teamBGames: 6
+      teamBGames: 6,
+      tieBreak: true
     }
   ])
   assert.equal(nextState.currentSetStatus.teamAGames, 0)
@@ -533,6 +1066,189 @@ test('removePoint handles rapid repeated undos back to initial state', () => {
   assert.equal(history.size(), 0)
 })
 
+function createLoggedMatchState() {
+  const state = createInitialMatchState()
+  state.setsNeededToWin = 2
+  state.setsWon = { teamA: 0, teamB: 0 }
+  state.setHistory = []
+  state.pointLog = []
+  return state
+}
+
+test('addPoint appends a log entry only for states that keep a point log', () => {
+  const loggedState = addPoint(
+    addPoint(createLoggedMatchState(), 'teamA'),
+    'teamB'
+  )
+  const unloggedState = addPoint(createInitialMatchState(), 'teamA')
+
+  assert.equal(loggedState.pointLog.length, 2)
+  assert.equal(loggedState.pointLog[1].team, 'teamB')
+  assert.deepEqual(loggedState.pointLog[1].before.points, {
+    teamA: 15,
+    teamB: 0
+  })
+  assert.deepEqual(loggedState.pointLog[1].after.points, {
+    teamA: 15,
+    teamB: 15
+  })
+  assert.equal('pointLog' in unloggedState, false)
+})
+
+test('addPoint keeps the point log out of undo snapshots and removePoint trims it', () => {
+  const history = createHistoryStack()
+  let state = createLoggedMatchState()
+
+  state = addPoint(state, 'teamA', history)
+  state = addPoint(state, 'teamA', history)
+
+  const restoredState = removePoint(state, history)
+  const snapshot = history.pop()
+
+  assert.equal('pointLog' in snapshot, false)
+  assert.equal(restoredState.pointLog.length, 1)
+  assert.deepEqual(restoredState.pointLog[0], state.pointLog[0])
+  assert.equal(restoredState.teamA.points, SCORE_POINTS.FIFTEEN)
+})
+
+test('removePoint rebuilds the previous state from the point log when history is empty', () => {
+  const history = createHistoryStack()
+  let state = createLoggedMatchState()
+  state.settings = { scoringMode: 'star-point' }
+  const scoringSequence = [
+    ...Array(24).fill('teamA'),
+    'teamA',
+    'teamA',
+    'teamA',
+    'teamB',
+    'teamB',
+    'teamB',
+    'teamA',
+    'teamB'
+  ]
+
+  scoringSequence.forEach((team) => {
+    state = addPoint(state, team, history)
+  })
+
+  const undoneWithHistory = removePoint(state, history)
+  const undoneFromLog = removePoint(state, createHistoryStack())
+  const undoneWithoutStack = removePoint(state)
+
+  assert.equal(state.setsWon.teamA, 1)
+  assert.equal(state.currentGameStatus.deuceCount, 2)
+  assert.deepEqual(undoneFromLog, undoneWithHistory)
+  assert.deepEqual(undoneWithoutStack, undoneWithHistory)
+})
+
+test('removePoint rebuilds a handicap match from its starting score', () => {
+  const history = createHistoryStack()
+  let state = createLoggedMatchState()
+  state.settings = {
+    scoringMode: 'advantage',
+    handicap: { team: 'teamB', points: 1, games: 2, sets: 0 }
+  }
+  applyStartingHandicap(state)
+
+  for (let point = 0; point < 6; point += 1) {
+    state = addPoint(state, 'teamA', history)
+  }
+
+  assert.equal(state.teamA.points, SCORE_POINTS.THIRTY)
+  assert.equal(state.teamB.points, SCORE_POINTS.FIFTEEN)
+  assert.deepEqual(removePoint(state), removePoint(state, history))
+})
+
+test('removePoint rebuilds across a set boundary from the point log', () => {
+  let state = createLoggedMatchState()
+
+  for (let point = 0; point < 24; point += 1) {
+    state = addPoint(state, 'teamA')
+  }
+
+  const restoredState = removePoint(state)
+
+  assert.equal(state.currentSetStatus.number, 2)
+  assert.equal(restoredState.currentSetStatus.number, 1)
+  assert.equal(restoredState.currentSetStatus.teamAGames, 5)
+  assert.equal(restoredState.teamA.points, SCORE_POINTS.FORTY)
+  assert.equal(restoredState.setsWon.teamA, 0)
+  assert.deepEqual(restoredState.setHistory, [])
+  assert.equal(restoredState.pointLog.length, 23)
+})
+
+test('removePoint leaves the state unchanged when the point log cannot be replayed', () => {
+  let state = createLoggedMatchState()
+  state = addPoint(state, 'teamA')
+  state = addPoint(state, 'teamA')
+  state.pointLog.shift()
+
+  assert.deepEqual(removePoint(state), state)
+})
+
+test('redoPoint reapplies undone points and restores the undo history', () => {
+  const history = createHistoryStack()
+  let state = createLoggedMatchState()
+
+  state = addPoint(state, 'teamA', history)
+  state = addPoint(state, 'teamB', history)
+  state = addPoint(state, 'teamB', history)
+
+  const scoredState = state
+  const scoredHistory = history.toArray()
+
+  state = removePoint(state, history)
+  state = removePoint(state, history)
+
+  assert.equal(history.redoSize(), 2)
+
+  state = redoPoint(state, history)
+
+  assert.equal(state.teamB.points, SCORE_POINTS.FIFTEEN)
+  assert.equal(state.pointLog.length, 2)
+
+  state = redoPoint(state, history)
+
+  assert.deepEqual(state, scoredState)
+  assert.deepEqual(history.toArray(), scoredHistory)
+  assert.equal(history.redoSize(), 0)
+  assert.deepEqual(redoPoint(state, history), scoredState)
+
+  const undoneAgain = removePoint(state, history)
+
+  assert.equal(undoneAgain.teamB.points, SCORE_POINTS.FIFTEEN)
+})
+
+test('addPoint clears redo entries', () => {
+  const history = createHistoryStack()
+  let state = addPoint(createLoggedMatchState(), 'teamA', history)
+
+  state = removePoint(state, history)
+  assert.equal(history.redoSize(), 1)
+
+  state = addPoint(state, 'teamB', history)
+
+  assert.equal(history.redoSize(), 0)
+  assert.deepEqual(redoPoint(state, history), state)
+})
+
+test('redoPoint restores a point undone by replaying the point log', () => {
+  const history = createHistoryStack()
+  let state = createLoggedMatchState()
+
+  for (let point = 0; point < 5; point += 1) {
+    state = addPoint(state, 'teamA')
+  }
+
+  const undoneState = removePoint(state, history)
+  const redoneState = redoPoint(undoneState, history)
+
+  assert.equal(undoneState.currentSetStatus.teamAGames, 1)
+  assert.equal(undoneState.teamA.points, SCORE_POINTS.LOVE)
+  assert.deepEqual(redoneState, state)
+  assert.equal(history.size(), 0)
+})
+
 test('removePoint is a no-op when history is empty', () => {
   const state = addPoint(createInitialMatchState(), 'teamA')
   const history = createHistoryStack()
@@ -609,3 +1325,196 @@ test('removePoint restores pre-tie-break-set-win snapshot', () => {
   assert.equal(afterTieBreakSetWinState.currentSet, 2)
   assert.deepEqual(restoredState, preTieBreakSetWinState)
 })
+
+function createCorrectionScore({
+  setNumber = 1,
+  setsWon = [0, 0],
+  games = [0, 0],
+  points = [0, 0]
+} = {}) {
+  return {
+    setNumber,
+    setsWon: { teamA: setsWon[0], teamB: setsWon[1] },
+    games: { teamA: games[0], teamB: games[1] },
+    points: { teamA: points[0], teamB: points[1] }
+  }
+}
+
+test('correctScore sets the score directly and records the correction', () => {
+  let state = createLoggedMatchState()
+  state = addPoint(addPoint(state, 'teamA'), 'teamA')
+
+  const correctedState = correctScore(
+    state,
+    createCorrectionScore({ games: [3, 1], points: [40, 50] }),
+    1700000000000
+  )
+
+  assert.equal(correctedState.teamA.games, 3)
+  assert.equal(correctedState.currentSetStatus.teamAGames, 3)
+  assert.equal(correctedState.currentSetStatus.teamBGames, 1)
+  assert.equal(correctedState.teamA.points, SCORE_POINTS.FORTY)
+  assert.equal(correctedState.teamB.points, SCORE_POINTS.ADVANTAGE)
+  assert.equal(correctedState.currentGameStatus.deuceCount, 1)
+  assert.equal(correctedState.pointLog.length, 2)
+  assert.deepEqual(correctedState.corrections, [
+    {
+      timestamp: 1700000000000,
+      pointCount: 2,
+      before: createCorrectionScore({ points: [30, 0] }),
+      after: createCorrectionScore({ games: [3, 1], points: [40, 50] })
+    }
+  ])
+  assert.equal(state.teamA.points, SCORE_POINTS.THIRTY)
+  assert.equal('corrections' in state, false)
+})
+
+test('correctScore corrects a paused match and keeps it paused', () => {
+  const state = addPoint(createLoggedMatchState(), 'teamB')
+  state.status = 'paused'
+
+  const correctedState = correctScore(
+    state,
+    createCorrectionScore({ games: [2, 2], points: [15, 30] })
+  )
+
+  assert.equal(correctedState.status, 'paused')
+  assert.equal(correctedState.currentSetStatus.teamAGames, 2)
+  assert.equal(correctedState.teamB.points, SCORE_POINTS.THIRTY)
+  assert.equal(correctedState.corrections.length, 1)
+})
+
+test('correctScore moves the match to another set', () => {
+  const state = createSetPointState({
+    winningTeam: 'teamA',
+    setsNeededToWin: 2,
+    setsWonByWinningTeam: 1,
+    currentSetNumber: 2,
+    teamAGames: 2,
+    teamBGames: 1
+  })
+  state.setHistory = [{ setNumber: 1, teamAGames: 6, teamBGames: 4 }]
+
+  const laterSetState = correctScore(
+    state,
+    createCorrectionScore({ setNumber: 3, setsWon: [1, 1], games: [1, 0] })
+  )
+  const earlierSetState = correctScore(
+    state,
+    createCorrectionScore({ games: [5, 4], points: [15, 0] })
+  )
+
+  assert.equal(laterSetState.currentSet, 3)
+  assert.equal(laterSetState.currentSetStatus.number, 3)
+  assert.deepEqual(laterSetState.setsWon, { teamA: 1, teamB: 1 })
+  assert.deepEqual(laterSetState.setHistory, state.setHistory)
+  assert.equal(earlierSetState.currentSet, 1)
+  assert.deepEqual(earlierSetState.setsWon, { teamA: 0, teamB: 0 })
+  assert.deepEqual(earlierSetState.setHistory, [])
+})
+
+test('canCorrectScore only accepts scores the match could reach', () => {
+  const state = createLoggedMatchState()
+  const accepts = (score, matchState = state) =>
+    canCorrectScore(matchState, createCorrectionScore(score))
+
+  assert.equal(accepts({ games: [5, 5], points: [40, 40] }), true)
+  assert.equal(accepts({ games: [6, 6], points: [6, 5] }), true)
+  assert.equal(accepts({ games: [6, 5] }), true)
+  assert.equal(accepts({ games: [6, 4] }), false)
+  assert.equal(accepts({ games: [7, 6] }), false)
+  assert.equal(accepts({ games: [6, 6], points: [8, 6] }), false)
+  assert.equal(accepts({ points: [50, 30] }), false)
+  assert.equal(accepts({ points: [45, 0] }), false)
+  assert.equal(accepts({ setNumber: 2 }), false)
+  assert.equal(accepts({ setNumber: 3, setsWon: [2, 0] }), false)
+  assert.equal(accepts({ setsWon: [1, 0] }), false)
+  assert.equal(canCorrectScore(state, null), false)
+
+  const goldenPointState = createLoggedMatchState()
+  goldenPointState.settings = { scoringMode: 'golden-point' }
+
+  assert.equal(accepts({ points: [40, 40] }, goldenPointState), true)
+  assert.equal(accepts({ points: [50, 40] }, goldenPointState), false)
+
+  const superTieBreakState = createSuperTieBreakState()
+
+  assert.equal(
+    accepts(
+      { setNumber: 3, setsWon: [1, 1], points: [9, 8] },
+      superTieBreakState
+    ),
+    true
+  )
+  assert.equal(
+    accepts(
+      { setNumber: 3, setsWon: [1, 1], games: [1, 0] },
+      superTieBreakState
+    ),
+    false
+  )
+
+  const finishedState = createLoggedMatchState()
+  finishedState.status = 'finished'
+
+  assert.equal(accepts({ points: [15, 0] }, finishedState), false)
+  assert.throws(
+    () => correctScore(state, createCorrectionScore({ games: [6, 0] })),
+    TypeError
+  )
+})
+
+test('canCorrectScore counts the handicap sets already won', () => {
+  const state = createLoggedMatchState()
+  state.settings = {
+    scoringMode: 'advantage',
+    handicap: { team: 'teamB', points: 0, games: 0, sets: 1 }
+  }
+  applyStartingHandicap(state)
+
+  assert.equal(
+    canCorrectScore(state, createCorrectionScore({ setsWon: [0, 1] })),
+    true
+  )
+  assert.equal(
+    canCorrectScore(
+      state,
+      createCorrectionScore({ setNumber: 2, setsWon: [1, 1] })
+    ),
+    true
+  )
+  assert.equal(
+    canCorrectScore(state, createCorrectionScore({ setsWon: [1, 0] })),
+    false
+  )
+})
+
+test('removePoint does not undo a correction but rebuilds the points after it', () => {
+  let state = createLoggedMatchState()
+  state = addPoint(addPoint(state, 'teamA'), 'teamB')
+
+  const correctedState = correctScore(
+    state,
+    createCorrectionScore({ games: [4, 2], points: [15, 15] })
+  )
+
+  assert.deepEqual(removePoint(correctedState), correctedState)
+  assert.deepEqual(
+    removePoint(correctedState, createHistoryStack()),
+    correctedState
+  )
+
+  const history = createHistoryStack()
+  let playedState = correctedState
+
+  for (let point = 0; point < 3; point += 1) {
+    playedState = addPoint(playedState, 'teamA', history)
+  }
+
+  const undoneFromLog = removePoint(playedState)
+
+  assert.equal(playedState.currentSetStatus.teamAGames, 5)
+  assert.deepEqual(undoneFromLog, removePoint(playedState, history))
+  assert.equal(undoneFromLog.teamA.points, SCORE_POINTS.FORTY)
+  assert.equal(undoneFromLog.corrections.length, 1)
+})
@@ -0,0 +1,154 @@
+import assert from 'node:assert/strict'
+import test from 'node:test'
+import { createHistoryStack } from '../utils/history-stack.js'
+import { createInitialMatchState } from '../utils/match-state.js'
+import {
+  addPoint,
+  applyStartingHandicap,
+  removePoint
+} from '../utils/scoring-engine.js'
+import {
+  createServeOrder,
+  getCurrentServer,
+  isSameServerPosition
+} from '../utils/serve-rotation.js'
+
+function createServeTrackedState(firstServer = { team: 'teamA', player: 1 }) {
+  const state = createInitialMatchState()
+  state.settings = { scoringMode: 'advantage', firstServer }
+  state.setsNeededToWin = 2
+  state.setsWon = { teamA: 0, teamB: 0 }
+  state.setHistory = []
+  return state
+}
+
+function winGame(state, team) {
+  let nextState = state
+
+  for (let point = 0; point < 4; point += 1) {
+    nextState = addPoint(nextState, team)
+  }
+
+  return nextState
+}
+
+function createTieBreakServeState() {
+  const state = createServeTrackedState()
+  state.teamA.games = 6
+  state.teamB.games = 6
+  state.currentSetStatus.teamAGames = 6
+  state.currentSetStatus.teamBGames = 6
+  return state
+}
+
+test('createServeOrder alternates teams and partners', () => {
+  assert.deepEqual(createServeOrder({ team: 'teamB', player: 2 }), [
+    { team: 'teamB', player: 2 },
+    { team: 'teamA', player: 1 },
+    { team: 'teamB', player: 1 },
+    { team: 'teamA', player: 2 }
+  ])
+})
+
+test('isSameServerPosition compares team and player', () => {
+  assert.equal(
+    isSameServerPosition(
+      { team: 'teamA', player: 1 },
+      { team: 'teamA', player: 1 }
+    ),
+    true
+  )
+  assert.equal(
+    isSameServerPosition(
+      { team: 'teamA', player: 1 },
+      { team: 'teamA', player: 2 }
+    ),
+    false
+  )
+  assert.equal(isSameServerPosition(null, { team: 'teamA', player: 1 }), false)
+})
+
+test('getCurrentServer returns null when no first server was chosen', () => {
+  assert.equal(getCurrentServer(createInitialMatchState()), null)
+})
+
+test('addPoint rotates the server after every game', () => {
+  let state = createServeTrackedState()
+  const servers = [getCurrentServer(state)]
+
+  for (let game = 0; game < 4; game += 1) {
+    state = winGame(state, game % 2 === 0 ? 'teamA' : 'teamB')
+    servers.push(state.currentServer)
+  }
+
+  assert.deepEqual(servers, [
+    { team: 'teamA', player: 1 },
+    { team: 'teamB', player: 1 },
+    { team: 'teamA', player: 2 },
+    { team: 'teamB', player: 2 },
+    { team: 'teamA', player: 1 }
+  ])
+})
+
+test('games given by a handicap do not move the server on', () => {
+  const state = createServeTrackedState()
+  state.settings.handicap = { team: 'teamB', points: 0, games: 3, sets: 0 }
+  applyStartingHandicap(state)
+
+  assert.deepEqual(getCurrentServer(state), { team: 'teamA', player: 1 })
+  assert.deepEqual(winGame(state, 'teamA').currentServer, {
+    team: 'teamB',
+    player: 1
+  })
+})
+
+test('addPoint keeps the server within a game', () => {
+  const state = addPoint(createServeTrackedState(), 'teamB')
+
+  assert.deepEqual(state.currentServer, { team: 'teamA', player: 1 })
+})
+
+test('addPoint changes the tie-break server after the first point and then every two points', () => {
+  let state = createTieBreakServeState()
+  const servers = [getCurrentServer(state)]
+
+  for (let point = 0; point < 5; point += 1) {
+    state = addPoint(state, point % 2 === 0 ? 'teamA' : 'teamB')
+    servers.push(state.currentServer)
+  }
+
+  assert.deepEqual(servers, [
+    { team: 'teamA', player: 1 },
+    { team: 'teamB', player: 1 },
+    { team: 'teamB', player: 1 },
+    { team: 'teamA', player: 2 },
+    { team: 'teamA', player: 2 },
+    { team: 'teamB', player: 2 }
+  ])
+})
+
+test('addPoint hands the first game of the next set to the team that received first in the tie-break', () => {
+  let state = createTieBreakServeState()
+
+  for (let point = 0; point < 7; point += 1) {
+    state = addPoint(state, 'teamA')
+  }
+
+  assert.equal(state.currentSetStatus.number, 2)
+  assert.deepEqual(state.currentServer, { team: 'teamB', player: 1 })
+})
+
+test('removePoint restores the server of the undone point', () => {
+  const history = createHistoryStack()
+  let state = createServeTrackedState()
+
+  for (let point = 0; point < 4; point += 1) {
+    state = addPoint(state, 'teamA', history)
+  }
+
+  assert.deepEqual(state.currentServer, { team: 'teamB', player: 1 })
+
+  const restoredState = removePoint(state, history)
+
+  assert.deepEqual(restoredState.currentServer, { team: 'teamA', player: 1 })
+})
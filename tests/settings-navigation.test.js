@@ -1,9 +1,15 @@
 import assert from 'node:assert/strict'
 import { readFile } from 'node:fs/promises'
 import test from 'node:test'
-import { HISTORY_STORAGE_KEY } from '../utils/match-history-storage.js'
+import { getCurrentAmericanoRound } from '../utils/americano-session.js'
+import { HISTORY_PAGE_SIZE } from '../utils/match-history-pages.js'
+import {
+  clearMatchHistory,
+  importMatchHistoryEntries
+} from '../utils/match-history-storage.js'
 import { MATCH_HISTORY_SCHEMA_VERSION } from '../utils/match-history-types.js'
-import { saveState } from '../utils/persistence.js'
+import { savePlayerRoster } from '../utils/player-roster.js'
+import { createHmFsMock } from './helpers/hmfs-mock.js'
 import {
   createLocalStorageMock,
   withMockLocalStorage
@@ -13,6 +19,7 @@ import { toProjectFileUrl } from './helpers/project-paths.js'
 let settingsPageImportCounter = 0
 let gameSettingsPageImportCounter = 0
 let historyDetailPageImportCounter = 0
+let listPageImportCounter = 0
 
 function createHmUiRecorder() {
   const createdWidgets = []
@@ -122,8 +129,13 @@ async function loadSettingsPageDefinition() {
   const appFeedbackUrl = toProjectFileUrl('utils/app-feedback.js')
   const appDataClearUrl = toProjectFileUrl('utils/app-data-clear.js')
   const designTokensUrl = toProjectFileUrl('utils/design-tokens.js')
+  const historyExportUrl = toProjectFileUrl('utils/history-export.js')
+  const historyImportUrl = toProjectFileUrl('utils/history-import.js')
   const layoutEngineUrl = toProjectFileUrl('utils/layout-engine.js')
   const layoutPresetsUrl = toProjectFileUrl('utils/layout-presets.js')
+  const matchHistoryStorageUrl = toProjectFileUrl(
+    'utils/match-history-storage.js'
+  )
   const platformAdaptersUrl = toProjectFileUrl('utils/platform-adapters.js')
   const screenUtilsUrl = toProjectFileUrl('utils/screen-utils.js')
   const uiComponentsUrl = toProjectFileUrl('utils/ui-components.js')
@@ -145,6 +157,14 @@ async function loadSettingsPageDefinition() {
       "from '../utils/design-tokens.js'",
       `from '${designTokensUrl.href}'`
     )
+    .replace(
+      "from '../utils/history-export.js'",
+      `from '${historyExportUrl.href}'`
+    )
+    .replace(
+      "from '../utils/history-import.js'",
+      `from '${historyImportUrl.href}'`
+    )
     .replace(
       "from '../utils/layout-engine.js'",
       `from '${layoutEngineUrl.href}'`
@@ -153,6 +173,10 @@ async function loadSettingsPageDefinition() {
       "from '../utils/layout-presets.js'",
       `from '${layoutPresetsUrl.href}'`
     )
+    .replace(
+      "from '../utils/match-history-storage.js'",
+      `from '${matchHistoryStorageUrl.href}'`
+    )
     .replace(
       "from '../utils/platform-adapters.js'",
       `from '${platformAdaptersUrl.href}'`
@@ -198,6 +222,9 @@ async function loadSettingsPageDefinition() {
 async function loadGameSettingsPageDefinition() {
   const sourceUrl = toProjectFileUrl('page/game-settings.js')
   const designTokensUrl = toProjectFileUrl('utils/design-tokens.js')
+  const changeEndsAlertSettingsUrl = toProjectFileUrl(
+    'utils/change-ends-alert-settings.js'
+  )
   const hapticFeedbackSettingsUrl = toProjectFileUrl(
     'utils/haptic-feedback-settings.js'
   )
@@ -214,6 +241,10 @@ async function loadGameSettingsPageDefinition() {
       "import { gettext } from 'i18n'\n",
       'const gettext = (key) => key\n'
     )
+    .replace(
+      "from '../utils/change-ends-alert-settings.js'",
+      `from '${changeEndsAlertSettingsUrl.href}'`
+    )
     .replace(
       "from '../utils/design-tokens.js'",
       `from '${designTokensUrl.href}'`
@@ -275,12 +306,17 @@ async function loadGameSettingsPageDefinition() {
 
 async function loadHistoryDetailPageDefinition() {
   const sourceUrl = toProjectFileUrl('page/history-detail.js')
+  const constantsUrl = toProjectFileUrl('utils/constants.js')
   const designTokensUrl = toProjectFileUrl('utils/design-tokens.js')
+  const historyStatsUrl = toProjectFileUrl('utils/history-stats.js')
   const layoutEngineUrl = toProjectFileUrl('utils/layout-engine.js')
   const layoutPresetsUrl = toProjectFileUrl('utils/layout-presets.js')
+  const matchClockUrl = toProjectFileUrl('utils/match-clock.js')
   const matchHistoryStorageUrl = toProjectFileUrl(
     'utils/match-history-storage.js'
   )
+  const matchStatisticsUrl = toProjectFileUrl('utils/match-statistics.js')
+  const teamNamesUrl = toProjectFileUrl('utils/team-names.js')
   const platformAdaptersUrl = toProjectFileUrl('utils/platform-adapters.js')
   const screenUtilsUrl = toProjectFileUrl('utils/screen-utils.js')
   const uiComponentsUrl = toProjectFileUrl('utils/ui-components.js')
@@ -293,10 +329,15 @@ async function loadHistoryDetailPageDefinition() {
       "import { gettext } from 'i18n'\n",
       'const gettext = (key) => key\n'
     )
+    .replace("from '../utils/constants.js'", `from '${constantsUrl.href}'`)
     .replace(
       "from '../utils/design-tokens.js'",
       `from '${designTokensUrl.href}'`
     )
+    .replace(
+      "from '../utils/history-stats.js'",
+      `from '${historyStatsUrl.href}'`
+    )
     .replace(
       "from '../utils/layout-engine.js'",
       `from '${layoutEngineUrl.href}'`
@@ -305,10 +346,16 @@ async function loadHistoryDetailPageDefinition() {
       "from '../utils/layout-presets.js'",
       `from '${layoutPresetsUrl.href}'`
     )
+    .replace("from '../utils/match-clock.js'", `from '${matchClockUrl.href}'`)
     .replace(
       "from '../utils/match-history-storage.js'",
       `from '${matchHistoryStorageUrl.href}'`
     )
+    .replace(
+      "from '../utils/match-statistics.js'",
+      `from '${matchStatisticsUrl.href}'`
+    )
+    .replace("from '../utils/team-names.js'", `from '${teamNamesUrl.href}'`)
     .replace(
       "from '../utils/platform-adapters.js'",
       `from '${platformAdaptersUrl.href}?history-detail=${historyDetailPageImportCounter}'`
@@ -325,39 +372,563 @@ async function loadHistoryDetailPageDefinition() {
     encodeURIComponent(source) +
     `#history-detail-page-${Date.now()}-${historyDetailPageImportCounter}`
 
-  historyDetailPageImportCounter += 1
+  historyDetailPageImportCounter += 1
+
+  const originalPage = globalThis.Page
+  let capturedDefinition = null
+
+  globalThis.Page = (definition) => {
+    capturedDefinition = definition
+  }
+
+  try {
+    await import(moduleUrl)
+  } finally {
+    if (typeof originalPage === 'undefined') {
+      delete globalThis.Page
+    } else {
+      globalThis.Page = originalPage
+    }
+  }
+
+  if (!capturedDefinition) {
+    throw new Error(
+      'Page definition was not registered by page/history-detail.js.'
+    )
+  }
+
+  return capturedDefinition
+}
+
+/**
+ * Loads page/history.js, page/players.js, page/player-detail.js or
+ * page/stats.js, which share most of their imports.
+ */
+async function loadListPageDefinition(pagePath) {
+  const sourceUrl = toProjectFileUrl(pagePath)
+  const americanoSessionUrl = toProjectFileUrl('utils/americano-session.js')
+  const designTokensUrl = toProjectFileUrl('utils/design-tokens.js')
+  const historyQueryUrl = toProjectFileUrl('utils/history-query.js')
+  const historyStatsUrl = toProjectFileUrl('utils/history-stats.js')
+  const layoutEngineUrl = toProjectFileUrl('utils/layout-engine.js')
+  const layoutPresetsUrl = toProjectFileUrl('utils/layout-presets.js')
+  const matchClockUrl = toProjectFileUrl('utils/match-clock.js')
+  const matchHistoryPagesUrl = toProjectFileUrl('utils/match-history-pages.js')
+  const matchHistoryStorageUrl = toProjectFileUrl(
+    'utils/match-history-storage.js'
+  )
+  const platformAdaptersUrl = toProjectFileUrl('utils/platform-adapters.js')
+  const playerRosterUrl = toProjectFileUrl('utils/player-roster.js')
+  const screenUtilsUrl = toProjectFileUrl('utils/screen-utils.js')
+  const teamNamesUrl = toProjectFileUrl('utils/team-names.js')
+  const uiComponentsUrl = toProjectFileUrl('utils/ui-components.js')
+  const validationUrl = toProjectFileUrl('utils/validation.js')
+
+  let source = await readFile(sourceUrl, 'utf8')
+
+  source = source
+    .replace(
+      "import { gettext } from 'i18n'\n",
+      'const gettext = (key) => key\n'
+    )
+    .replace(
+      "from '../utils/americano-session.js'",
+      `from '${americanoSessionUrl.href}'`
+    )
+    .replace(
+      "from '../utils/design-tokens.js'",
+      `from '${designTokensUrl.href}'`
+    )
+    .replace(
+      "from '../utils/history-query.js'",
+      `from '${historyQueryUrl.href}'`
+    )
+    .replace(
+      "from '../utils/history-stats.js'",
+      `from '${historyStatsUrl.href}'`
+    )
+    .replace(
+      "from '../utils/layout-engine.js'",
+      `from '${layoutEngineUrl.href}'`
+    )
+    .replace(
+      "from '../utils/layout-presets.js'",
+      `from '${layoutPresetsUrl.href}'`
+    )
+    .replace("from '../utils/match-clock.js'", `from '${matchClockUrl.href}'`)
+    .replace(
+      "from '../utils/match-history-pages.js'",
+      `from '${matchHistoryPagesUrl.href}'`
+    )
+    .replace(
+      "from '../utils/match-history-storage.js'",
+      `from '${matchHistoryStorageUrl.href}'`
+    )
+    .replace(
+      "from '../utils/platform-adapters.js'",
+      `from '${platformAdaptersUrl.href}'`
+    )
+    .replace(
+      "from '../utils/player-roster.js'",
+      `from '${playerRosterUrl.href}'`
+    )
+    .replace("from '../utils/screen-utils.js'", `from '${screenUtilsUrl.href}'`)
+    .replace("from '../utils/team-names.js'", `from '${teamNamesUrl.href}'`)
+    .replace(
+      "from '../utils/ui-components.js'",
+      `from '${uiComponentsUrl.href}'`
+    )
+    .replace("from '../utils/validation.js'", `from '${validationUrl.href}'`)
+
+  const moduleUrl =
+    'data:text/javascript;charset=utf-8,' +
+    encodeURIComponent(source) +
+    `#list-page-${Date.now()}-${listPageImportCounter}`
+
+  listPageImportCounter += 1
+
+  const originalPage = globalThis.Page
+  let capturedDefinition = null
+
+  globalThis.Page = (definition) => {
+    capturedDefinition = definition
+  }
+
+  try {
+    await import(moduleUrl)
+  } finally {
+    if (typeof originalPage === 'undefined') {
+      delete globalThis.Page
+    } else {
+      globalThis.Page = originalPage
+    }
+  }
+
+  if (!capturedDefinition) {
+    throw new Error(`Page definition was not registered by ${pagePath}.`)
+  }
+
+  return capturedDefinition
+}
+
+test('settings list shows game settings row and keeps version last', async () => {
+  const originalHmUI = globalThis.hmUI
+  const originalHmSetting = globalThis.hmSetting
+
+  const { hmUI, createdWidgets } = createHmUiRecorder()
+  globalThis.hmUI = hmUI
+  globalThis.hmSetting = {
+    getDeviceInfo() {
+      return { width: 390, height: 450 }
+    }
+  }
+
+  try {
+    const definition = await loadSettingsPageDefinition()
+    const page = { ...definition }
+
+    page.onInit()
+    page.build()
+
+    const scrollList = getVisibleWidgets(createdWidgets, 'SCROLL_LIST')[0]
+
+    assert.ok(scrollList)
+    assert.equal(scrollList.properties.data_count, 8)
+    assert.deepEqual(
+      scrollList.properties.data_array.slice(0, 7).map((entry) => entry.label),
+      [
+        'settings.previousMatches',
+        'settings.players',
+        'settings.stats',
+        'settings.gameSettings',
+        'settings.exportHistory',
+        'settings.importHistory',
+        'settings.clearAppData'
+      ]
+    )
+    assert.match(
+      scrollList.properties.data_array[7].version,
+      /^settings\.version \d+\.\d+\.\d+$/
+    )
+    assert.equal(getVisibleWidgets(createdWidgets, 'SLIDE_SWITCH').length, 0)
+  } finally {
+    if (typeof originalHmUI === 'undefined') {
+      delete globalThis.hmUI
+    } else {
+      globalThis.hmUI = originalHmUI
+    }
+
+    if (typeof originalHmSetting === 'undefined') {
+      delete globalThis.hmSetting
+    } else {
+      globalThis.hmSetting = originalHmSetting
+    }
+  }
+})
+
+test('settings game settings row navigates to dedicated page', async () => {
+  const originalHmUI = globalThis.hmUI
+  const originalHmSetting = globalThis.hmSetting
+  const originalHmApp = globalThis.hmApp
+
+  const { hmUI, createdWidgets } = createHmUiRecorder()
+  const navigationCalls = []
+
+  globalThis.hmUI = hmUI
+  globalThis.hmSetting = {
+    getDeviceInfo() {
+      return { width: 390, height: 450 }
+    }
+  }
+  globalThis.hmApp = {
+    gotoPage(payload) {
+      navigationCalls.push(payload)
+    }
+  }
+
+  try {
+    const definition = await loadSettingsPageDefinition()
+    const page = { ...definition }
+
+    page.onInit()
+    page.build()
+
+    const scrollList = getVisibleWidgets(createdWidgets, 'SCROLL_LIST')[0]
+    assert.equal(typeof scrollList?.properties.item_click_func, 'function')
+
+    scrollList.properties.item_click_func(scrollList, 3)
+    scrollList.properties.item_click_func(scrollList, 2)
+
+    assert.deepEqual(navigationCalls, [
+      { url: 'page/game-settings' },
+      { url: 'page/stats' }
+    ])
+  } finally {
+    if (typeof originalHmUI === 'undefined') {
+      delete globalThis.hmUI
+    } else {
+      globalThis.hmUI = originalHmUI
+    }
+
+    if (typeof originalHmSetting === 'undefined') {
+      delete globalThis.hmSetting
+    } else {
+      globalThis.hmSetting = originalHmSetting
+    }
+
+    if (typeof originalHmApp === 'undefined') {
+      delete globalThis.hmApp
+    } else {
+      globalThis.hmApp = originalHmApp
+    }
+  }
+})
+
+test('players page lists roster records and opens a player detail', async () => {
+  const originalHmUI = globalThis.hmUI
+  const originalHmSetting = globalThis.hmSetting
+  const originalHmApp = globalThis.hmApp
+
+  const { hmUI, createdWidgets } = createHmUiRecorder()
+  const { storage } = createLocalStorageMock()
+  const navigationCalls = []
+
+  globalThis.hmUI = hmUI
+  globalThis.hmSetting = {
+    getDeviceInfo() {
+      return { width: 390, height: 450 }
+    }
+  }
+  globalThis.hmApp = {
+    gotoPage(payload) {
+      navigationCalls.push(payload)
+    }
+  }
+
+  try {
+    await withMockLocalStorage(storage, async () => {
+      savePlayerRoster([
+        { id: 'player-1', name: 'Ana' },
+        { id: 'player-2', name: 'Bea' },
+        { id: 'player-3', name: 'Cris' }
+      ])
+      importMatchHistoryEntries([
+        createHistoryEntry({
+          teamAPlayerIds: ['player-1', 'player-2'],
+          teamBPlayerIds: ['player-3', '']
+        }),
+        createHistoryEntry({
+          id: 'match-2',
+          teamAPlayerIds: ['player-1', ''],
+          teamBPlayerIds: ['player-3', ''],
+          winnerTeam: 'teamB'
+        })
+      ])
+
+      const playersDefinition = await loadListPageDefinition('page/players.js')
+      const playersPage = { ...playersDefinition }
+
+      playersPage.onInit()
+      playersPage.build()
+
+      const scrollList = getVisibleScrollList(createdWidgets)
+
+      assert.deepEqual(
+        scrollList.properties.data_array.map((item) => [
+          item.name,
+          item.record,
+          item.played
+        ]),
+        [
+          ['Ana', '1-1', 'players.played: 2'],
+          ['Cris', '1-1', 'players.played: 2'],
+          ['Bea', '1-0', 'players.played: 1']
+        ]
+      )
+
+      scrollList.properties.item_click_func(scrollList, 1)
+
+      assert.deepEqual(navigationCalls, [
+        { url: 'page/player-detail?id=player-3', param: { id: 'player-3' } }
+      ])
+
+      playersPage.onDestroy()
+      createdWidgets.length = 0
+
+      const detailDefinition = await loadListPageDefinition(
+        'page/player-detail.js'
+      )
+      const detailPage = { ...detailDefinition }
+
+      detailPage.onInit('id=player-1')
+
+      const texts = getVisibleWidgets(createdWidgets, 'TEXT').map(
+        (widget) => widget.properties.text
+      )
+
+      assert.deepEqual(texts, ['Ana', '1-1', 'players.played: 2'])
+      assert.deepEqual(
+        getVisibleScrollList(createdWidgets).properties.data_array,
+        [
+          { type_id: 1, line: 'players.detail.partners' },
+          { type_id: 2, name: 'Bea', record: '1-0' },
+          { type_id: 1, line: 'players.detail.headToHead' },
+          { type_id: 2, name: 'Cris', record: '1-1' }
+        ]
+      )
+      assert.deepEqual(
+        getVisibleScrollList(createdWidgets).properties.data_type_config,
+        [
+          { start: 0, end: 0, type_id: 1 },
+          { start: 1, end: 1, type_id: 2 },
+          { start: 2, end: 2, type_id: 1 },
+          { start: 3, end: 3, type_id: 2 }
+        ]
+      )
+    })
+  } finally {
+    if (typeof originalHmUI === 'undefined') {
+      delete globalThis.hmUI
+    } else {
+      globalThis.hmUI = originalHmUI
+    }
+
+    if (typeof originalHmSetting === 'undefined') {
+      delete globalThis.hmSetting
+    } else {
+      globalThis.hmSetting = originalHmSetting
+    }
+
+    if (typeof originalHmApp === 'undefined') {
+      delete globalThis.hmApp
+    } else {
+      globalThis.hmApp = originalHmApp
+    }
+  }
+})
+
+test('history page loads older pages as the list reaches its end', async () => {
+  const originalHmUI = globalThis.hmUI
+  const originalHmSetting = globalThis.hmSetting
+  const originalHmApp = globalThis.hmApp
+
+  const { hmUI, createdWidgets } = createHmUiRecorder()
+  const { storage } = createLocalStorageMock()
+  const navigationCalls = []
+
+  globalThis.hmUI = hmUI
+  globalThis.hmSetting = {
+    getDeviceInfo() {
+      return { width: 390, height: 450 }
+    }
+  }
+  globalThis.hmApp = {
+    gotoPage(payload) {
+      navigationCalls.push(payload)
+    }
+  }
+
+  try {
+    await withMockLocalStorage(storage, async () => {
+      importMatchHistoryEntries(
+        Array.from({ length: HISTORY_PAGE_SIZE + 2 }, (_, index) =>
+          createHistoryEntry({
+            id: `match-${index}`,
+            completedAt: 1700000000000 - index
+          })
+        )
+      )
+
+      const definition = await loadListPageDefinition('page/history.js')
+      const page = { ...definition }
+
+      page.onInit()
+      page.build()
+
+      const scrollList = getVisibleScrollList(createdWidgets)
+
+      assert.equal(scrollList.properties.data_count, HISTORY_PAGE_SIZE + 1)
+      assert.deepEqual(scrollList.properties.data_array.at(-1), {
+        more: 'history.loadMore'
+      })
+      assert.deepEqual(scrollList.properties.data_type_config, [
+        { start: 0, end: HISTORY_PAGE_SIZE - 1, type_id: 1 },
+        { start: HISTORY_PAGE_SIZE, end: HISTORY_PAGE_SIZE, type_id: 2 }
+      ])
+
+      scrollList.properties.item_focus_change_func(
+        scrollList,
+        HISTORY_PAGE_SIZE,
+        true
+      )
+
+      assert.equal(scrollList.properties.data_count, HISTORY_PAGE_SIZE + 2)
+      assert.deepEqual(scrollList.properties.data_type_config, [
+        { start: 0, end: HISTORY_PAGE_SIZE + 1, type_id: 1 }
+      ])
+
+      scrollList.properties.item_click_func(scrollList, HISTORY_PAGE_SIZE + 1)
+
+      assert.deepEqual(navigationCalls, [
+        {
+          url: `page/history-detail?id=match-${HISTORY_PAGE_SIZE + 1}`,
+          param: { id: `match-${HISTORY_PAGE_SIZE + 1}` }
+        }
+      ])
+    })
+  } finally {
+    if (typeof originalHmUI === 'undefined') {
+      delete globalThis.hmUI
+    } else {
+      globalThis.hmUI = originalHmUI
+    }
+
+    if (typeof originalHmSetting === 'undefined') {
+      delete globalThis.hmSetting
+    } else {
+      globalThis.hmSetting = originalHmSetting
+    }
+
+    if (typeof originalHmApp === 'undefined') {
+      delete globalThis.hmApp
+    } else {
+      globalThis.hmApp = originalHmApp
+    }
+  }
+})
+
+test('history page filters matches and shows the filter and count in the header', async () => {
+  const originalHmUI = globalThis.hmUI
+  const originalHmSetting = globalThis.hmSetting
+
+  const { hmUI, createdWidgets } = createHmUiRecorder()
+  const { storage } = createLocalStorageMock()
+
+  globalThis.hmUI = hmUI
+  globalThis.hmSetting = {
+    getDeviceInfo() {
+      return { width: 390, height: 450 }
+    }
+  }
+
+  try {
+    await withMockLocalStorage(storage, async () => {
+      importMatchHistoryEntries([
+        createHistoryEntry({ id: 'match-1', teamBLabel: 'Lobos' }),
+        createHistoryEntry({
+          id: 'match-2',
+          completedAt: 1700000001000,
+          winnerTeam: 'teamB'
+        }),
+        createHistoryEntry({
+          id: 'match-3',
+          completedAt: 1700000002000,
+          teamAPlayers: ['Ana', 'Bea']
+        })
+      ])
+
+      const definition = await loadListPageDefinition('page/history.js')
+      const page = { ...definition }
+      const getHeaderText = () =>
+        getVisibleWidgets(createdWidgets, 'TEXT')[0].properties.text
+      const clickButton = (text) =>
+        getVisibleWidgets(createdWidgets, 'BUTTON')
+          .find((widget) => widget.properties.text === text)
+          .properties.click_func()
+
+      page.onInit()
+      page.build()
+
+      assert.equal(getHeaderText(), 'history.title (3)')
+
+      clickButton('history.filter.all')
+      clickButton('history.filter.thisMonth')
+      clickButton('history.filter.last30Days')
+
+      assert.equal(getHeaderText(), 'history.filter.wins (2)')
+      assert.deepEqual(
+        getVisibleScrollList(createdWidgets).properties.data_array.map(
+          (item) => item.score
+        ),
+        ['2-1', '2-1']
+      )
+
+      clickButton('history.filter.anyone')
 
-  const originalPage = globalThis.Page
-  let capturedDefinition = null
+      assert.equal(getHeaderText(), 'history.filter.wins · Ana (1)')
 
-  globalThis.Page = (definition) => {
-    capturedDefinition = definition
-  }
+      clickButton('Ana')
+      clickButton('Bea')
 
-  try {
-    await import(moduleUrl)
+      assert.equal(getHeaderText(), 'history.filter.wins · Lobos (0)')
+      assert.equal(getVisibleScrollList(createdWidgets), null)
+      assert.equal(
+        getVisibleWidgets(createdWidgets, 'TEXT').at(-1).properties.text,
+        'history.filter.empty'
+      )
+    })
   } finally {
-    if (typeof originalPage === 'undefined') {
-      delete globalThis.Page
+    if (typeof originalHmUI === 'undefined') {
+      delete globalThis.hmUI
     } else {
-      globalThis.Page = originalPage
+      globalThis.hmUI = originalHmUI
     }
-  }
 
-  if (!capturedDefinition) {
-    throw new Error(
-      'Page definition was not registered by page/history-detail.js.'
-    )
+    if (typeof originalHmSetting === 'undefined') {
+      delete globalThis.hmSetting
+    } else {
+      globalThis.hmSetting = originalHmSetting
+    }
   }
+})
 
-  return capturedDefinition
-}
-
-test('settings list shows game settings row and keeps version last', async () => {
+test('stats page aggregates history into totals, streaks and months', async () => {
   const originalHmUI = globalThis.hmUI
   const originalHmSetting = globalThis.hmSetting
 
   const { hmUI, createdWidgets } = createHmUiRecorder()
+  const { storage } = createLocalStorageMock()
+
   globalThis.hmUI = hmUI
   globalThis.hmSetting = {
     getDeviceInfo() {
@@ -366,29 +937,66 @@ test('settings list shows game settings row and keeps version last', async () =>
   }
 
   try {
-    const definition = await loadSettingsPageDefinition()
-    const page = { ...definition }
+    await withMockLocalStorage(storage, async () => {
+      const definition = await loadListPageDefinition('page/stats.js')
+      const emptyPage = { ...definition }
+
+      emptyPage.onInit()
+      emptyPage.build()
+
+      assert.equal(getVisibleScrollList(createdWidgets), null)
+      assert.deepEqual(
+        getVisibleWidgets(createdWidgets, 'TEXT').map(
+          (widget) => widget.properties.text
+        ),
+        ['stats.title', '', 'stats.empty']
+      )
 
-    page.onInit()
-    page.build()
+      emptyPage.onDestroy()
+      importMatchHistoryEntries([
+        createHistoryEntry({
+          pointLog: [{ timestamp: 1700000000000 - 50 * 60000 }]
+        }),
+        createHistoryEntry({
+          id: 'match-2',
+          completedAt: 1700000001000,
+          setsWonTeamA: 0,
+          setsWonTeamB: 2,
+          setHistory: [
+            { setNumber: 1, teamAGames: 6, teamBGames: 7, tieBreak: true },
+            { setNumber: 2, teamAGames: 3, teamBGames: 6 }
+          ],
+          winnerTeam: 'teamB'
+        })
+      ])
 
-    const scrollList = getVisibleWidgets(createdWidgets, 'SCROLL_LIST')[0]
+      const page = { ...definition }
 
-    assert.ok(scrollList)
-    assert.equal(scrollList.properties.data_count, 4)
-    assert.deepEqual(
-      scrollList.properties.data_array.slice(0, 3).map((entry) => entry.label),
-      [
-        'settings.previousMatches',
-        'settings.gameSettings',
-        'settings.clearAppData'
-      ]
-    )
-    assert.match(
-      scrollList.properties.data_array[3].version,
-      /^settings\.version \d+\.\d+\.\d+$/
-    )
-    assert.equal(getVisibleWidgets(createdWidgets, 'SLIDE_SWITCH').length, 0)
+      page.onInit()
+      page.build()
+
+      assert.deepEqual(
+        getVisibleWidgets(createdWidgets, 'TEXT').map(
+          (widget) => widget.properties.text
+        ),
+        ['stats.title', '50%', 'stats.played: 2 · 1-1']
+      )
+      assert.deepEqual(
+        getVisibleScrollList(createdWidgets).properties.data_array.map(
+          (item) => item.line ?? `${item.name}: ${item.value}`
+        ),
+        [
+          'stats.sets: 2-3',
+          'stats.games: 15-17',
+          'stats.tieBreaks: 0-1',
+          'stats.averageDuration: 50m',
+          'stats.currentStreak: 0',
+          'stats.longestStreak: 1',
+          'stats.byMonth',
+          '03/2026 (2): 1-1'
+        ]
+      )
+    })
   } finally {
     if (typeof originalHmUI === 'undefined') {
       delete globalThis.hmUI
@@ -404,13 +1012,12 @@ test('settings list shows game settings row and keeps version last', async () =>
   }
 })
 
-test('settings game settings row navigates to dedicated page', async () => {
+test('americano page starts a session from picked players and scores its rounds', async () => {
   const originalHmUI = globalThis.hmUI
   const originalHmSetting = globalThis.hmSetting
-  const originalHmApp = globalThis.hmApp
 
   const { hmUI, createdWidgets } = createHmUiRecorder()
-  const navigationCalls = []
+  const { storage } = createLocalStorageMock()
 
   globalThis.hmUI = hmUI
   globalThis.hmSetting = {
@@ -418,25 +1025,161 @@ test('settings game settings row navigates to dedicated page', async () => {
       return { width: 390, height: 450 }
     }
   }
-  globalThis.hmApp = {
-    gotoPage(payload) {
-      navigationCalls.push(payload)
+
+  const getTexts = (type) =>
+    getVisibleWidgets(createdWidgets, type).map(
+      (widget) => widget.properties.text
+    )
+  const findButton = (text) =>
+    getVisibleWidgets(createdWidgets, 'BUTTON').find(
+      (widget) => widget.properties.text === text
+    )
+
+  try {
+    await withMockLocalStorage(storage, async () => {
+      savePlayerRoster([
+        { id: 'player-1', name: 'Ana' },
+        { id: 'player-2', name: 'Bea' }
+      ])
+
+      const definition = await loadListPageDefinition('page/americano.js')
+      const page = { ...definition }
+
+      page.onInit()
+      page.build()
+
+      assert.equal(getTexts('TEXT')[0], 'americano.title')
+      assert.deepEqual(
+        getVisibleScrollList(createdWidgets)
+          .properties.data_array.map((item) => item.name)
+          .slice(0, 4),
+        ['Ana', 'Bea', 'P1', 'P2']
+      )
+      assert.equal(
+        findButton('americano.start (0)').properties.normal_color,
+        0x444444
+      )
+
+      for (const index of [1, 0, 2, 3]) {
+        getVisibleScrollList(createdWidgets).properties.item_click_func(
+          null,
+          index
+        )
+      }
+
+      findButton('americano.format.americano').properties.click_func()
+      findButton('24 americano.points').properties.click_func()
+      findButton('americano.start (4)').properties.click_func()
+
+      assert.deepEqual(getTexts('TEXT'), [
+        'americano.round 1/3',
+        'americano.court 1/1',
+        'Bea / P2',
+        'Ana / P1'
+      ])
+
+      findButton('0').properties.click_func()
+
+      assert.deepEqual(
+        getVisibleWidgets(createdWidgets, 'BUTTON')
+          .map((widget) => widget.properties.text)
+          .filter((text) => /^\d+$/.test(text ?? '')),
+        ['1', '0']
+      )
+
+      const resumedPage = { ...definition }
+
+      resumedPage.onInit()
+      resumedPage.build()
+
+      assert.equal(resumedPage.session.format, 'mexicano')
+      assert.equal(resumedPage.session.pointsPerRound, 32)
+      assert.deepEqual(
+        getCurrentAmericanoRound(resumedPage.session).matches[0].points,
+        { teamA: 1, teamB: 0 }
+      )
+
+      findButton('americano.leaderboard').properties.click_func()
+
+      assert.deepEqual(
+        getVisibleScrollList(createdWidgets).properties.data_array.map(
+          (item) => `${item.name}: ${item.value}`
+        ),
+        [
+          '1. Bea: 1 · 0/0',
+          '2. P2: 1 · 0/0',
+          '3. Ana: 0 · 0/0',
+          '4. P1: 0 · 0/0'
+        ]
+      )
+    })
+  } finally {
+    if (typeof originalHmUI === 'undefined') {
+      delete globalThis.hmUI
+    } else {
+      globalThis.hmUI = originalHmUI
+    }
+
+    if (typeof originalHmSetting === 'undefined') {
+      delete globalThis.hmSetting
+    } else {
+      globalThis.hmSetting = originalHmSetting
+    }
+  }
+})
+
+test('settings export and import rows write and restore the history backup', async () => {
+  const originalHmUI = globalThis.hmUI
+  const originalHmSetting = globalThis.hmSetting
+  const originalHmFS = globalThis.hmFS
+
+  const { hmUI, createdWidgets, shownToasts } = createHmUiRecorder()
+  const { storage } = createLocalStorageMock()
+  const { mock, fileStore } = createHmFsMock()
+
+  globalThis.hmUI = hmUI
+  globalThis.hmSetting = {
+    getDeviceInfo() {
+      return { width: 390, height: 450 }
     }
   }
+  globalThis.hmFS = mock
 
   try {
-    const definition = await loadSettingsPageDefinition()
-    const page = { ...definition }
+    await withMockLocalStorage(storage, async () => {
+      const definition = await loadSettingsPageDefinition()
+      const page = { ...definition }
 
-    page.onInit()
-    page.build()
+      page.onInit()
+      page.build()
 
-    const scrollList = getVisibleWidgets(createdWidgets, 'SCROLL_LIST')[0]
-    assert.equal(typeof scrollList?.properties.item_click_func, 'function')
+      const scrollList = getVisibleScrollList(createdWidgets)
+
+      scrollList.properties.item_click_func(scrollList, 4)
+
+      assert.equal(shownToasts[0]?.text, 'settings.exportEmpty')
+      assert.equal(fileStore.size, 0)
 
-    scrollList.properties.item_click_func(scrollList, 1)
+      importMatchHistoryEntries([createHistoryEntry()])
+      scrollList.properties.item_click_func(scrollList, 4)
 
-    assert.deepEqual(navigationCalls, [{ url: 'page/game-settings' }])
+      assert.equal(
+        shownToasts[1]?.text,
+        'settings.exportDone: padel-buddy-history.csv, padel-buddy-history.json (1)'
+      )
+      assert.deepEqual(
+        [...fileStore.keys()],
+        ['padel-buddy-history.csv', 'padel-buddy-history.json']
+      )
+
+      clearMatchHistory()
+      scrollList.properties.item_click_func(scrollList, 5)
+
+      assert.equal(
+        shownToasts[2]?.text,
+        'settings.importAdded 1 · settings.importSkipped 0 · settings.importRejected 0'
+      )
+    })
   } finally {
     if (typeof originalHmUI === 'undefined') {
       delete globalThis.hmUI
@@ -450,10 +1193,10 @@ test('settings game settings row navigates to dedicated page', async () => {
       globalThis.hmSetting = originalHmSetting
     }
 
-    if (typeof originalHmApp === 'undefined') {
-      delete globalThis.hmApp
+    if (typeof originalHmFS === 'undefined') {
+      delete globalThis.hmFS
     } else {
-      globalThis.hmApp = originalHmApp
+      globalThis.hmFS = originalHmFS
     }
   }
 })
@@ -481,11 +1224,11 @@ test('settings clear-data first tap enters confirmation mode', async () => {
     const scrollList = getVisibleScrollList(createdWidgets)
     assert.ok(scrollList)
 
-    scrollList.properties.item_click_func(scrollList, 2)
+    scrollList.properties.item_click_func(scrollList, 6)
 
     assert.equal(page.clearConfirmMode, true)
     assert.equal(
-      scrollList.properties.data_array[2].label,
+      scrollList.properties.data_array[6].label,
       'settings.clearDataConfirm'
     )
   } finally {
@@ -546,12 +1289,12 @@ test('settings clear-data second tap queues feedback and navigates home', async
       const scrollList = getVisibleScrollList(createdWidgets)
       assert.ok(scrollList)
 
-      scrollList.properties.item_click_func(scrollList, 2)
-      scrollList.properties.item_click_func(scrollList, 2)
+      scrollList.properties.item_click_func(scrollList, 6)
+      scrollList.properties.item_click_func(scrollList, 6)
 
       assert.equal(page.clearConfirmMode, false)
       assert.equal(
-        scrollList.properties.data_array[2].label,
+        scrollList.properties.data_array[6].label,
         'settings.clearAppData'
       )
       assert.deepEqual(navigationCalls, [{ url: 'page/index' }])
@@ -640,8 +1383,8 @@ test('settings clear-data failure keeps user on settings and shows error toast',
       const scrollList = getVisibleScrollList(createdWidgets)
       assert.ok(scrollList)
 
-      scrollList.properties.item_click_func(scrollList, 2)
-      scrollList.properties.item_click_func(scrollList, 2)
+      scrollList.properties.item_click_func(scrollList, 6)
+      scrollList.properties.item_click_func(scrollList, 6)
 
       assert.equal(page.clearConfirmMode, false)
       assert.deepEqual(navigationCalls, [])
@@ -704,12 +1447,12 @@ test('settings clear-data confirmation resets when another item is tapped', asyn
     const scrollList = getVisibleScrollList(createdWidgets)
     assert.ok(scrollList)
 
-    scrollList.properties.item_click_func(scrollList, 2)
+    scrollList.properties.item_click_func(scrollList, 6)
     scrollList.properties.item_click_func(scrollList, 0)
 
     assert.equal(page.clearConfirmMode, false)
     assert.equal(
-      scrollList.properties.data_array[2].label,
+      scrollList.properties.data_array[6].label,
       'settings.clearAppData'
     )
     assert.deepEqual(navigationCalls, [{ url: 'page/history' }])
@@ -757,7 +1500,7 @@ test('settings onDestroy clears pending clear-data confirmation state', async ()
     const scrollList = getVisibleScrollList(createdWidgets)
     assert.ok(scrollList)
 
-    scrollList.properties.item_click_func(scrollList, 2)
+    scrollList.properties.item_click_func(scrollList, 6)
     assert.equal(page.clearConfirmMode, true)
 
     page.onDestroy()
@@ -778,6 +1521,101 @@ test('settings onDestroy clears pending clear-data confirmation state', async ()
   }
 })
 
+test('history detail lists team names and saved match statistics around the set history', async () => {
+  const originalHmUI = globalThis.hmUI
+  const originalHmSetting = globalThis.hmSetting
+
+  const { hmUI, createdWidgets } = createHmUiRecorder()
+  const { storage } = createLocalStorageMock()
+  const teamStatistics = {
+    pointsWon: 30,
+    serviceGamesPlayed: 5,
+    serviceGamesHeld: 4,
+    breakPointsFaced: 3,
+    breakPointsConverted: 2,
+    longestStreak: 6,
+    tieBreaksWon: 0
+  }
+
+  globalThis.hmUI = hmUI
+  globalThis.hmSetting = {
+    getDeviceInfo() {
+      return { width: 390, height: 450 }
+    }
+  }
+
+  try {
+    await withMockLocalStorage(storage, async () => {
+      importMatchHistoryEntries([
+        createHistoryEntry({
+          statistics: {
+            teams: { teamA: teamStatistics, teamB: teamStatistics },
+            deuceGames: 2,
+            hasServeData: false
+          }
+        }),
+        createHistoryEntry({ id: 'match-2' }),
+        createHistoryEntry({
+          id: 'match-3',
+          teamALabel: 'Lobos',
+          teamAPlayers: ['Ana', 'Bea']
+        })
+      ])
+
+      const definition = await loadHistoryDetailPageDefinition()
+      const page = { ...definition }
+
+      page.onInit({ id: 'match-1' })
+
+      const dataArray =
+        getVisibleScrollList(createdWidgets)?.properties.data_array
+
+      assert.deepEqual(dataArray, [
+        { line: 'Set 1: 6-4' },
+        { line: 'stats.title' },
+        { teamA: '30', label: 'stats.pointsWon', teamB: '30' },
+        { teamA: '', label: 'stats.deuceGames: 2', teamB: '' },
+        { teamA: '6', label: 'stats.longestStreak', teamB: '6' },
+        { teamA: '0', label: 'stats.tieBreaksWon', teamB: '0' }
+      ])
+
+      page.onDestroy?.()
+      createdWidgets.length = 0
+      page.onInit({ id: 'match-2' })
+
+      assert.equal(
+        getVisibleScrollList(createdWidgets)?.properties.data_array.length,
+        1
+      )
+
+      page.onDestroy?.()
+      createdWidgets.length = 0
+      page.onInit({ id: 'match-3' })
+
+      assert.deepEqual(
+        getVisibleScrollList(createdWidgets)?.properties.data_array,
+        [
+          { line: 'A: Lobos (Ana / Bea)' },
+          { line: 'B: Team B' },
+          { line: 'Set 1: 6-4' }
+        ]
+      )
+    })
+  } finally {
+    if (typeof originalHmUI === 'undefined') {
+      delete globalThis.hmUI
+    } else {
+      globalThis.hmUI = originalHmUI
+    }
+
+    if (typeof originalHmSetting === 'undefined') {
+      delete globalThis.hmSetting
+    } else {
+      globalThis.hmSetting = originalHmSetting
+    }
+  }
+})
+
 test('history detail first tap enters delete confirmation mode', async () => {
   const originalHmUI = globalThis.hmUI
   const originalHmSetting = globalThis.hmSetting
@@ -794,10 +1632,7 @@ test('history detail first tap enters delete confirmation mode', async () => {
 
   try {
     await withMockLocalStorage(storage, async () => {
-      saveState(HISTORY_STORAGE_KEY, {
-        matches: [createHistoryEntry()],
-        schemaVersion: MATCH_HISTORY_SCHEMA_VERSION
-      })
+      importMatchHistoryEntries([createHistoryEntry()])
 
       const definition = await loadHistoryDetailPageDefinition()
       const page = { ...definition }
@@ -859,10 +1694,7 @@ test('history detail second tap deletes match and navigates back on success', as
 
   try {
     await withMockLocalStorage(storage, async () => {
-      saveState(HISTORY_STORAGE_KEY, {
-        matches: [createHistoryEntry()],
-        schemaVersion: MATCH_HISTORY_SCHEMA_VERSION
-      })
+      importMatchHistoryEntries([createHistoryEntry()])
 
       const definition = await loadHistoryDetailPageDefinition()
       const page = { ...definition }
@@ -928,10 +1760,7 @@ test('history detail delete failure resets confirmation state and icon', async (
 
   try {
     await withMockLocalStorage(storage, async () => {
-      saveState(HISTORY_STORAGE_KEY, {
-        matches: [createHistoryEntry()],
-        schemaVersion: MATCH_HISTORY_SCHEMA_VERSION
-      })
+      importMatchHistoryEntries([createHistoryEntry()])
 
       const definition = await loadHistoryDetailPageDefinition()
       const page = { ...definition }
@@ -997,10 +1826,7 @@ test('history detail onDestroy clears pending delete confirmation state', async
 
   try {
     await withMockLocalStorage(storage, async () => {
-      saveState(HISTORY_STORAGE_KEY, {
-        matches: [createHistoryEntry()],
-        schemaVersion: MATCH_HISTORY_SCHEMA_VERSION
-      })
+      importMatchHistoryEntries([createHistoryEntry()])
 
       const definition = await loadHistoryDetailPageDefinition()
       const page = { ...definition }
@@ -1151,6 +1977,76 @@ test('game settings switch persists vibration preference across reload', async (
   }
 })
 
+test('game settings change ends switch persists its preference across reload', async () => {
+  const originalHmUI = globalThis.hmUI
+  const originalHmSetting = globalThis.hmSetting
+  const { storage } = createLocalStorageMock()
+
+  globalThis.hmSetting = {
+    getDeviceInfo() {
+      return { width: 390, height: 450 }
+    }
+  }
+
+  try {
+    await withMockLocalStorage(storage, async () => {
+      const definition = await loadGameSettingsPageDefinition()
+
+      const firstRender = createHmUiRecorder()
+      globalThis.hmUI = firstRender.hmUI
+
+      const firstPage = { ...definition }
+      firstPage.onInit()
+      firstPage.build()
+
+      const visibleTexts = getVisibleWidgets(
+        firstRender.createdWidgets,
+        'TEXT'
+      ).map((widget) => widget.properties.text)
+      const firstSwitches = getVisibleWidgets(
+        firstRender.createdWidgets,
+        'SLIDE_SWITCH'
+      )
+
+      assert.equal(visibleTexts.includes('settings.changeEndsAlert'), true)
+      assert.equal(firstSwitches.length, 2)
+      assert.equal(firstSwitches[1].properties.checked, true)
+      assert.equal(
+        firstSwitches[1].properties.y > firstSwitches[0].properties.y,
+        true
+      )
+
+      firstSwitches[1].properties.checked_change_func(firstSwitches[1], false)
+
+      const secondRender = createHmUiRecorder()
+      globalThis.hmUI = secondRender.hmUI
+
+      const secondPage = { ...definition }
+      secondPage.onInit()
+      secondPage.build()
+
+      const secondSwitches = getVisibleWidgets(
+        secondRender.createdWidgets,
+        'SLIDE_SWITCH'
+      )
+      assert.equal(secondSwitches[0].properties.checked, true)
+      assert.equal(secondSwitches[1].properties.checked, false)
+    })
+  } finally {
+    if (typeof originalHmUI === 'undefined') {
+      delete globalThis.hmUI
+    } else {
+      globalThis.hmUI = originalHmUI
+    }
+
+    if (typeof originalHmSetting === 'undefined') {
+      delete globalThis.hmSetting
+    } else {
+      globalThis.hmSetting = originalHmSetting
+    }
+  }
+})
+
 test('app routes register game settings page for the target', async () => {
   const appConfigPath = toProjectFileUrl('app.json')
   const appConfig = JSON.parse(await readFile(appConfigPath, 'utf8'))
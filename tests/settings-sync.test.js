@@ -0,0 +1,212 @@
+import assert from 'node:assert/strict'
+import test from 'node:test'
+
+import { createSettingsBridgeService } from '../app-side/settings-bridge.js'
+import {
+  readPhoneSettings,
+  updatePhoneSettings
+} from '../setting/phone-settings.js'
+import { clearAllAppData } from '../utils/app-data-clear.js'
+import { loadChangeEndsAlertEnabled } from '../utils/change-ends-alert-settings.js'
+import { loadHapticFeedbackEnabled } from '../utils/haptic-feedback-settings.js'
+import {
+  createDefaultMatchDefaults,
+  loadMatchDefaults,
+  MATCH_DEFAULTS_STORAGE_KEY,
+  normalizeMatchDefaults,
+  saveMatchDefaults
+} from '../utils/match-defaults.js'
+import { loadPlayerRoster, savePlayerRoster } from '../utils/player-roster.js'
+import {
+  applyPhoneSettings,
+  createSettingsSyncClient
+} from '../utils/settings-sync.js'
+import { PHONE_SETTINGS_STORAGE_KEY } from '../utils/sync-protocol.js'
+import {
+  createLocalStorageMock,
+  withMockLocalStorage
+} from './helpers/local-storage-mock.js'
+import { createMessagingChannelPair } from './helpers/messaging-channel-mock.js'
+
+/**
+ * Connects the settings bridge of the side service to the channel pair and
+ * to the phone storage, firing storage changes like the phone runtime does.
+ */
+function connectPhone(pair) {
+  const phone = createLocalStorageMock()
+  const storageListeners = []
+  const storage = {
+    getItem: (key) => phone.storage.getItem(key),
+    setItem(key, value) {
+      phone.storage.setItem(key, value)
+      storageListeners.forEach((listener) => listener(key, value))
+    }
+  }
+  const bridge = createSettingsBridgeService({
+    storage,
+    send: (message) => pair.phone.send(message)
+  })
+
+  pair.phone.onMessage((message) => bridge.handleMessage(message))
+  storageListeners.push((key, value) => bridge.handleStorageChange(key, value))
+
+  return storage
+}
+
+test('normalizeMatchDefaults keeps supported values and falls back for the rest', () => {
+  assert.deepEqual(normalizeMatchDefaults(null), createDefaultMatchDefaults())
+  assert.deepEqual(
+    normalizeMatchDefaults({
+      setsToPlay: 2,
+      scoringMode: 'star-point',
+      gamesPerSet: 4,
+      superTieBreak: true,
+      finalSetTieBreak: false
+    }),
+    {
+      setsToPlay: null,
+      scoringMode: 'star-point',
+      gamesPerSet: 4,
+      superTieBreak: true,
+      finalSetTieBreak: true
+    }
+  )
+})
+
+test('match defaults persist and are cleared with the app data', () => {
+  const { storage, has } = createLocalStorageMock()
+
+  withMockLocalStorage(storage, () => {
+    assert.deepEqual(loadMatchDefaults(), createDefaultMatchDefaults())
+
+    saveMatchDefaults({ setsToPlay: 3, finalSetTieBreak: false })
+
+    assert.equal(loadMatchDefaults().setsToPlay, 3)
+    assert.equal(loadMatchDefaults().finalSetTieBreak, false)
+
+    clearAllAppData()
+
+    assert.equal(has(MATCH_DEFAULTS_STORAGE_KEY), false)
+  })
+})
+
+test('applyPhoneSettings saves each shared setting and ignores missing ones', () => {
+  const { storage } = createLocalStorageMock()
+
+  withMockLocalStorage(storage, () => {
+    savePlayerRoster([{ id: 'player-1', name: 'Ana' }])
+
+    assert.equal(applyPhoneSettings('nope'), false)
+    assert.equal(applyPhoneSettings({ hapticFeedback: false }), true)
+
+    assert.equal(loadHapticFeedbackEnabled(), false)
+    assert.equal(loadChangeEndsAlertEnabled(), true)
+    assert.deepEqual(loadPlayerRoster(), [{ id: 'player-1', name: 'Ana' }])
+    assert.deepEqual(loadMatchDefaults(), createDefaultMatchDefaults())
+  })
+})
+
+test('settings edited in the phone settings app reach the watch keys', () => {
+  const { storage } = createLocalStorageMock()
+  const pair = createMessagingChannelPair()
+  const phoneStorage = connectPhone(pair)
+
+  withMockLocalStorage(storage, () => {
+    savePlayerRoster([
+      { id: 'player-1', name: 'Ana' },
+      { id: 'player-2', name: 'Bea' }
+    ])
+
+    const client = createSettingsSyncClient(pair.watch)
+
+    assert.equal(client.sendState(), true)
+    pair.deliver()
+
+    // Storing the watch state must not echo an update back to the watch.
+    assert.equal(pair.inFlight('watch'), 0)
+    assert.deepEqual(readPhoneSettings(phoneStorage).roster, [
+      { id: 'player-1', name: 'Ana' },
+      { id: 'player-2', name: 'Bea' }
+    ])
+
+    updatePhoneSettings(phoneStorage, (settings) => ({
+      ...settings,
+      matchDefaults: {
+        ...settings.matchDefaults,
+        setsToPlay: 1,
+        scoringMode: 'golden-point'
+      },
+      hapticFeedback: false,
+      changeEndsAlert: false,
+      roster: [
+        { id: 'player-2', name: 'Beatriz' },
+        { id: '', name: 'Cris' }
+      ]
+    }))
+    pair.deliver()
+
+    assert.equal(loadMatchDefaults().setsToPlay, 1)
+    assert.equal(loadMatchDefaults().scoringMode, 'golden-point')
+    assert.equal(loadHapticFeedbackEnabled(), false)
+    assert.equal(loadChangeEndsAlertEnabled(), false)
+    assert.deepEqual(loadPlayerRoster(), [
+      { id: 'player-2', name: 'Beatriz' },
+      { id: 'player-3', name: 'Cris' }
+    ])
+  })
+})
+
+test('settings edited while the watch app is closed reach the watch when it connects', () => {
+  const { storage } = createLocalStorageMock()
+  const pair = createMessagingChannelPair()
+  const phoneStorage = connectPhone(pair)
+
+  withMockLocalStorage(storage, () => {
+    savePlayerRoster([{ id: 'player-1', name: 'Ana' }])
+
+    const client = createSettingsSyncClient(pair.watch)
+    client.sendState()
+    pair.deliver()
+
+    updatePhoneSettings(phoneStorage, (settings) => ({
+      ...settings,
+      hapticFeedback: false,
+      roster: [...settings.roster, { id: '', name: 'Bea' }]
+    }))
+    // The watch app is closed, so the update never arrives.
+    pair.drop('watch')
+
+    client.sendState()
+    pair.deliver()
+
+    const expectedRoster = [
+      { id: 'player-1', name: 'Ana' },
+      { id: 'player-2', name: 'Bea' }
+    ]
+
+    assert.equal(loadHapticFeedbackEnabled(), false)
+    assert.deepEqual(loadPlayerRoster(), expectedRoster)
+    assert.equal(readPhoneSettings(phoneStorage).hapticFeedback, false)
+    assert.deepEqual(readPhoneSettings(phoneStorage).roster, expectedRoster)
+
+    // Once the watch has the edits, its state is stored again.
+    savePlayerRoster([{ id: 'player-3', name: 'Cris' }])
+    client.sendState()
+    pair.deliver()
+
+    assert.deepEqual(readPhoneSettings(phoneStorage).roster, [
+      { id: 'player-3', name: 'Cris' }
+    ])
+  })
+})
+
+test('readPhoneSettings falls back to defaults before the watch shares its settings', () => {
+  const phone = createLocalStorageMock({ [PHONE_SETTINGS_STORAGE_KEY]: '{' })
+
+  assert.deepEqual(readPhoneSettings(phone.storage), {
+    matchDefaults: createDefaultMatchDefaults(),
+    hapticFeedback: true,
+    changeEndsAlert: true,
+    roster: []
+  })
+})
@@ -1,9 +1,14 @@
 import assert from 'node:assert/strict'
 import { readFile } from 'node:fs/promises'
 import test from 'node:test'
-
+import { saveMatchDefaults } from '../utils/match-defaults.js'
 import { MATCH_STATUS, STORAGE_KEY } from '../utils/match-state-schema.js'
 import { matchStorage } from '../utils/match-storage.js'
+import { loadPlayerRoster, savePlayerRoster } from '../utils/player-roster.js'
+import {
+  createLocalStorageMock,
+  withMockLocalStorage
+} from './helpers/local-storage-mock.js'
 import { toProjectFileUrl } from './helpers/project-paths.js'
 
 let setupPageImportCounter = 0
@@ -59,8 +64,12 @@ async function loadSetupPageDefinition() {
   const designTokensUrl = toProjectFileUrl('utils/design-tokens.js')
   const layoutEngineUrl = toProjectFileUrl('utils/layout-engine.js')
   const layoutPresetsUrl = toProjectFileUrl('utils/layout-presets.js')
+  const matchDefaultsUrl = toProjectFileUrl('utils/match-defaults.js')
   const platformAdaptersUrl = toProjectFileUrl('utils/platform-adapters.js')
+  const playerRosterUrl = toProjectFileUrl('utils/player-roster.js')
   const screenUtilsUrl = toProjectFileUrl('utils/screen-utils.js')
+  const serveRotationUrl = toProjectFileUrl('utils/serve-rotation.js')
+  const teamNamesUrl = toProjectFileUrl('utils/team-names.js')
   const uiComponentsUrl = toProjectFileUrl('utils/ui-components.js')
 
   let source = await readFile(sourceUrl, 'utf8')
@@ -97,11 +106,24 @@ async function loadSetupPageDefinition() {
       "from '../utils/layout-presets.js'",
       `from '${layoutPresetsUrl.href}'`
     )
+    .replace(
+      "from '../utils/match-defaults.js'",
+      `from '${matchDefaultsUrl.href}'`
+    )
     .replace(
       "from '../utils/platform-adapters.js'",
       `from '${platformAdaptersUrl.href}'`
     )
+    .replace(
+      "from '../utils/player-roster.js'",
+      `from '${playerRosterUrl.href}'`
+    )
     .replace("from '../utils/screen-utils.js'", `from '${screenUtilsUrl.href}'`)
+    .replace(
+      "from '../utils/serve-rotation.js'",
+      `from '${serveRotationUrl.href}'`
+    )
+    .replace("from '../utils/team-names.js'", `from '${teamNamesUrl.href}'`)
     .replace(
       "from '../utils/ui-components.js'",
       `from '${uiComponentsUrl.href}'`
@@ -459,6 +481,506 @@ test('setup page initializes state with correct setsNeededToWin for each option'
   }
 })
 
+test('setup page defaults to advantage scoring and toggles to golden point', async () => {
+  await runWithSetupPage({}, async ({ page, createdWidgets, mockAdapter }) => {
+    page.onInit()
+    page.build()
+
+    const buttons = getVisibleWidgets(createdWidgets, 'BUTTON')
+    const scoringModeButton = findButtonByText(
+      buttons,
+      'match.scoringMode.advantage'
+    )
+
+    assert.equal(Boolean(scoringModeButton), true)
+
+    scoringModeButton.properties.click_func()
+
+    const updatedButtons = getVisibleWidgets(createdWidgets, 'BUTTON')
+    const goldenPointButton = findButtonByText(
+      updatedButtons,
+      'match.scoringMode.goldenPoint'
+    )
+
+    assert.equal(page.selectedScoringMode, 'golden-point')
+    assert.equal(Boolean(goldenPointButton), true)
+
+    findButtonByText(
+      updatedButtons,
+      'setup.option.threeSets'
+    ).properties.click_func()
+
+    const startMatchResult = await page.handleStartMatch()
+    const savedState = JSON.parse(mockAdapter.savedPayloads[0].value)
+
+    assert.equal(startMatchResult, true)
+    assert.equal(savedState.settings.scoringMode, 'golden-point')
+  })
+})
+
+test('setup page scoring rule toggle cycles back to advantage', async () => {
+  await runWithSetupPage({}, ({ page }) => {
+    page.onInit()
+    page.build()
+
+    page.handleToggleScoringMode()
+    page.handleToggleScoringMode()
+
+    assert.equal(page.selectedScoringMode, 'star-point')
+
+    page.handleToggleScoringMode()
+
+    assert.equal(page.selectedScoringMode, 'advantage')
+  })
+})
+
+test('setup page cycles the final set format and persists it', async () => {
+  await runWithSetupPage({}, async ({ page, createdWidgets, mockAdapter }) => {
+    page.onInit()
+    page.build()
+
+    const clickFinalSetButton = (label) => {
+      const finalSetButton = findButtonByText(
+        getVisibleWidgets(createdWidgets, 'BUTTON'),
+        label
+      )
+
+      assert.equal(Boolean(finalSetButton), true)
+      finalSetButton.properties.click_func()
+    }
+
+    assert.equal(page.selectedSuperTieBreak, false)
+    assert.equal(page.selectedFinalSetTieBreak, true)
+
+    clickFinalSetButton('setup.finalSet.fullSet')
+
+    assert.equal(page.selectedSuperTieBreak, false)
+    assert.equal(page.selectedFinalSetTieBreak, false)
+
+    clickFinalSetButton('setup.finalSet.noTieBreak')
+
+    assert.equal(page.selectedSuperTieBreak, true)
+
+    clickFinalSetButton('setup.finalSet.superTieBreak')
+
+    assert.equal(page.selectedSuperTieBreak, false)
+    assert.equal(page.selectedFinalSetTieBreak, true)
+
+    page.handleToggleFinalSet()
+    page.handleToggleFinalSet()
+
+    findButtonByText(
+      getVisibleWidgets(createdWidgets, 'BUTTON'),
+      'setup.option.threeSets'
+    ).properties.click_func()
+
+    const startMatchResult = await page.handleStartMatch()
+    const savedState = JSON.parse(mockAdapter.savedPayloads[0].value)
+
+    assert.equal(startMatchResult, true)
+    assert.equal(savedState.settings.superTieBreak, true)
+    assert.equal(savedState.settings.finalSetTieBreak, true)
+  })
+})
+
+test('setup page toggles short sets and persists the set length', async () => {
+  await runWithSetupPage({}, async ({ page, createdWidgets, mockAdapter }) => {
+    page.onInit()
+    page.build()
+
+    const gamesPerSetButton = findButtonByText(
+      getVisibleWidgets(createdWidgets, 'BUTTON'),
+      'setup.gamesPerSet 6'
+    )
+
+    assert.equal(Boolean(gamesPerSetButton), true)
+
+    gamesPerSetButton.properties.click_func()
+
+    assert.equal(page.selectedGamesPerSet, 4)
+
+    page.handleSelectSets(1)
+
+    const startMatchResult = await page.handleStartMatch()
+    const savedState = JSON.parse(mockAdapter.savedPayloads[0].value)
+
+    assert.equal(startMatchResult, true)
+    assert.equal(savedState.settings.gamesPerSet, 4)
+    assert.equal(savedState.settings.tieBreakAt, 4)
+  })
+})
+
+test('setup page offers pro sets and fixed games as single-set formats', async () => {
+  await runWithSetupPage({}, async ({ page, createdWidgets, mockAdapter }) => {
+    page.onInit()
+    page.build()
+    page.handleSelectSets(3)
+
+    page.handleToggleGamesPerSet()
+    page.handleToggleGamesPerSet()
+
+    assert.equal(page.selectedGamesPerSet, 8)
+    assert.equal(page.selectedSetsToPlay, 1)
+    assert.equal(
+      Boolean(
+        findButtonByText(
+          getVisibleWidgets(createdWidgets, 'BUTTON'),
+          'setup.format.proSet 8'
+        )
+      ),
+      true
+    )
+
+    page.handleToggleGamesPerSet()
+    page.handleToggleGamesPerSet()
+
+    assert.equal(page.selectedTotalGames, 12)
+    assert.equal(
+      Boolean(
+        findButtonByText(
+          getVisibleWidgets(createdWidgets, 'BUTTON'),
+          '12 setup.format.totalGames'
+        )
+      ),
+      true
+    )
+
+    const startMatchResult = await page.handleStartMatch()
+    const savedState = JSON.parse(mockAdapter.savedPayloads[0].value)
+
+    assert.equal(startMatchResult, true)
+    assert.equal(savedState.setsToPlay, 1)
+    assert.equal(savedState.settings.totalGames, 12)
+
+    page.handleSelectSets(3)
+
+    assert.equal(page.selectedGamesPerSet, 6)
+    assert.equal(page.selectedTotalGames, 0)
+  })
+})
+
+test('setup page cycles the first server and persists it', async () => {
+  await runWithSetupPage({}, async ({ page, createdWidgets, mockAdapter }) => {
+    page.onInit()
+    page.build()
+
+    const firstServerButton = findButtonByText(
+      getVisibleWidgets(createdWidgets, 'BUTTON'),
+      'setup.firstServer A1'
+    )
+
+    assert.equal(Boolean(firstServerButton), true)
+
+    firstServerButton.properties.click_func()
+    page.handleToggleFirstServer()
+
+    assert.deepEqual(page.selectedFirstServer, { team: 'teamB', player: 1 })
+    assert.equal(
+      Boolean(
+        findButtonByText(
+          getVisibleWidgets(createdWidgets, 'BUTTON'),
+          'setup.firstServer B1'
+        )
+      ),
+      true
+    )
+
+    page.handleSelectSets(1)
+
+    const startMatchResult = await page.handleStartMatch()
+    const savedState = JSON.parse(mockAdapter.savedPayloads[0].value)
+
+    assert.equal(startMatchResult, true)
+    assert.deepEqual(savedState.settings.firstServer, {
+      team: 'teamB',
+      player: 1
+    })
+  })
+})
+
+test('setup page cycles the time limit and persists it only for timed matches', async () => {
+  await runWithSetupPage({}, async ({ page, createdWidgets, mockAdapter }) => {
+    page.onInit()
+    page.build()
+
+    const timeLimitButton = findButtonByText(
+      getVisibleWidgets(createdWidgets, 'BUTTON'),
+      'setup.timeLimit: setup.timeLimit.off'
+    )
+
+    assert.equal(Boolean(timeLimitButton), true)
+    assert.equal('timeLimitMinutes' in page.getSelectedMatchSettings(), false)
+
+    timeLimitButton.properties.click_func()
+    page.handleToggleTimeLimit()
+
+    assert.equal(page.selectedTimeLimitMinutes, 90)
+    assert.equal(
+      Boolean(
+        findButtonByText(
+          getVisibleWidgets(createdWidgets, 'BUTTON'),
+          'setup.timeLimit: 90 min'
+        )
+      ),
+      true
+    )
+
+    page.handleSelectSets(3)
+
+    const startMatchResult = await page.handleStartMatch()
+    const savedState = JSON.parse(mockAdapter.savedPayloads[0].value)
+
+    assert.equal(startMatchResult, true)
+    assert.equal(savedState.settings.timeLimitMinutes, 90)
+  })
+})
+
+test('setup page edits a handicap and starts the match on its head start', async () => {
+  await runWithSetupPage({}, async ({ page, createdWidgets, mockAdapter }) => {
+    page.onInit()
+    page.build()
+    page.handleSelectSets(3)
+
+    const clickButton = (text) => {
+      const button = findButtonByText(
+        getVisibleWidgets(createdWidgets, 'BUTTON'),
+        text
+      )
+
+      assert.equal(Boolean(button), true, `missing button ${text}`)
+      button.properties.click_func()
+    }
+
+    assert.equal('handicap' in page.getSelectedMatchSettings(), false)
+
+    clickButton('setup.handicap')
+
+    assert.equal(page.isEditingHandicap, true)
+    assert.equal(page.getTitleText('setup.title'), 'setup.handicap')
+
+    clickButton('setup.names.team B')
+    clickButton('setup.handicap.points: 0')
+    clickButton('setup.handicap.points: +15')
+    clickButton('setup.handicap.games: 0')
+    clickButton('setup.handicap.sets: 0')
+    clickButton('setup.handicap.sets: +1')
+
+    assert.deepEqual(page.selectedHandicap, {
+      team: 'teamA',
+      points: 2,
+      games: 1,
+      sets: 0
+    })
+    assert.equal(page.handleGoBack(), true)
+    assert.equal(page.isEditingHandicap, false)
+    assert.equal(
+      Boolean(
+        findButtonByText(
+          getVisibleWidgets(createdWidgets, 'BUTTON'),
+          'setup.handicap A'
+        )
+      ),
+      true
+    )
+
+    const startMatchResult = await page.handleStartMatch()
+    const savedState = JSON.parse(mockAdapter.savedPayloads[0].value)
+
+    assert.equal(startMatchResult, true)
+    assert.deepEqual(savedState.settings.handicap, {
+      team: 'teamA',
+      points: 2,
+      games: 1,
+      sets: 0
+    })
+    assert.deepEqual(savedState.scores.currentGame.points, {
+      teamA: 30,
+      teamB: 0
+    })
+  })
+})
+
+test('setup page names players with the on-watch keyboard and persists them', async () => {
+  const { storage } = createLocalStorageMock()
+
+  await withMockLocalStorage(storage, () =>
+    runWithSetupPage({}, async ({ page, createdWidgets, mockAdapter }) => {
+      const clickButton = (text) => {
+        const button = findButtonByText(
+          getVisibleWidgets(createdWidgets, 'BUTTON'),
+          text
+        )
+
+        assert.ok(button, `missing button ${text}`)
+        button.properties.click_func()
+      }
+      const getTextValues = () =>
+        getVisibleWidgets(createdWidgets, 'TEXT').map(
+          (widget) => widget.properties.text
+        )
+
+      page.onInit()
+      page.build()
+
+      clickButton('setup.names')
+
+      assert.equal(getTextValues().includes('setup.names.title'), true)
+      assert.deepEqual(
+        getVisibleWidgets(createdWidgets, 'BUTTON')
+          .map((button) => button.properties.text)
+          .filter(Boolean),
+        [
+          'setup.names.team A',
+          'A1',
+          'A2',
+          'setup.names.team B',
+          'B1',
+          'B2',
+          'setup.names.done'
+        ]
+      )
+
+      const typeKeys = (keys) => keys.forEach(clickButton)
+
+      clickButton('A1')
+      typeKeys(['A', 'N', 'A', '<', 'A'])
+
+      assert.equal(getTextValues().includes('Ana'), true)
+
+      clickButton('setup.names.ok')
+      clickButton('B2')
+      typeKeys(['B', 'E', 'A'])
+      page.handleGoBack()
+
+      assert.equal(
+        Boolean(
+          findButtonByText(getVisibleWidgets(createdWidgets, 'BUTTON'), 'Bea')
+        ),
+        false,
+        'going back from the keyboard discards the draft'
+      )
+
+      clickButton('setup.names.done')
+      page.handleSelectSets(1)
+
+      const startMatchResult = await page.handleStartMatch()
+      const savedState = JSON.parse(mockAdapter.savedPayloads[0].value)
+
+      assert.equal(startMatchResult, true)
+      assert.deepEqual(savedState.teams, {
+        teamA: {
+          id: 'teamA',
+          label: 'Team A',
+          players: ['Ana', ''],
+          playerIds: ['player-1', '']
+        },
+        teamB: { id: 'teamB', label: 'Team B' }
+      })
+    })
+  )
+})
+
+test('setup page picks players from the roster and links them by id', async () => {
+  const { storage } = createLocalStorageMock()
+
+  await withMockLocalStorage(storage, () =>
+    runWithSetupPage({}, async ({ page, createdWidgets, mockAdapter }) => {
+      savePlayerRoster([
+        { id: 'player-4', name: 'Cris' },
+        { id: 'player-2', name: 'Ana' }
+      ])
+
+      const clickButton = (text) => {
+        const button = findButtonByText(
+          getVisibleWidgets(createdWidgets, 'BUTTON'),
+          text
+        )
+
+        assert.ok(button, `missing button ${text}`)
+        button.properties.click_func()
+      }
+
+      page.onInit()
+      page.build()
+
+      clickButton('setup.names')
+      clickButton('A1')
+      clickButton('setup.names.roster')
+      clickButton('setup.names.ok')
+      clickButton('B1')
+      clickButton('setup.names.roster')
+      clickButton('setup.names.roster')
+      clickButton('setup.names.ok')
+      clickButton('B2')
+      for (const key of ['D', 'A', 'N']) {
+        clickButton(key)
+      }
+      clickButton('setup.names.ok')
+      clickButton('setup.names.team A')
+
+      assert.equal(
+        Boolean(
+          findButtonByText(
+            getVisibleWidgets(createdWidgets, 'BUTTON'),
+            'setup.names.recent'
+          )
+        ),
+        true,
+        'team names keep suggesting recent names'
+      )
+
+      page.handleGoBack()
+      clickButton('setup.names.done')
+      page.handleSelectSets(1)
+
+      assert.equal(await page.handleStartMatch(), true)
+
+      const savedState = JSON.parse(mockAdapter.savedPayloads[0].value)
+
+      assert.deepEqual(savedState.teams.teamA.playerIds, ['player-2', ''])
+      assert.deepEqual(savedState.teams.teamB.players, ['Cris', 'Dan'])
+      assert.deepEqual(savedState.teams.teamB.playerIds, [
+        'player-4',
+        'player-5'
+      ])
+      assert.deepEqual(loadPlayerRoster(), [
+        { id: 'player-2', name: 'Ana' },
+        { id: 'player-4', name: 'Cris' },
+        { id: 'player-5', name: 'Dan' }
+      ])
+    })
+  )
+})
+
+test('setup page starts from the match defaults set on the phone', async () => {
+  const { storage } = createLocalStorageMock()
+
+  await withMockLocalStorage(storage, () =>
+    runWithSetupPage({}, async ({ page, mockAdapter }) => {
+      saveMatchDefaults({
+        setsToPlay: 5,
+        scoringMode: 'golden-point',
+        gamesPerSet: 4,
+        superTieBreak: true
+      })
+
+      page.onInit()
+      page.build()
+
+      assert.equal(page.selectedSetsToPlay, 5)
+      assert.equal(page.getFinalSetLabel(), 'setup.finalSet.superTieBreak')
+      assert.equal(await page.handleStartMatch(), true)
+
+      const savedState = JSON.parse(mockAdapter.savedPayloads[0].value)
+
+      assert.equal(savedState.setsToPlay, 5)
+      assert.equal(savedState.settings.scoringMode, 'golden-point')
+      assert.equal(savedState.settings.gamesPerSet, 4)
+      assert.equal(savedState.settings.superTieBreak, true)
+    })
+  )
+})
+
 test('setup page persists state before navigating to game', async () => {
   const eventOrder = []
 
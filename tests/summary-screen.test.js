@@ -4,6 +4,7 @@ import test from 'node:test'
 import { createInitialMatchState } from '../utils/match-state.js'
 import { STORAGE_KEY as ACTIVE_MATCH_SESSION_STORAGE_KEY } from '../utils/match-state-schema.js'
 import { matchStorage } from '../utils/match-storage.js'
+import { addPoint } from '../utils/scoring-engine.js'
 import { SYSTEM_HEADER_HEIGHT_SQUARE } from '../utils/screen-utils.js'
 import { startNewMatchFlow as runStartNewMatchFlow } from '../utils/start-new-match-flow.js'
 import { toProjectFileUrl } from './helpers/project-paths.js'
@@ -226,11 +227,15 @@ async function loadSummaryPageDefinition() {
   const matchHistoryStorageUrl = toProjectFileUrl(
     'utils/match-history-storage.js'
   )
+  const matchClockUrl = toProjectFileUrl('utils/match-clock.js')
+  const matchStatisticsUrl = toProjectFileUrl('utils/match-statistics.js')
+  const teamNamesUrl = toProjectFileUrl('utils/team-names.js')
   const validationUrl = toProjectFileUrl('utils/validation.js')
   const designTokensUrl = toProjectFileUrl('utils/design-tokens.js')
   const hapticFeedbackSettingsUrl = toProjectFileUrl(
     'utils/haptic-feedback-settings.js'
   )
+  const phoneSyncUrl = toProjectFileUrl('utils/phone-sync.js')
   const screenUtilsUrl = toProjectFileUrl('utils/screen-utils.js')
   const layoutEngineUrl = toProjectFileUrl('utils/layout-engine.js')
   const layoutPresetsUrl = toProjectFileUrl('utils/layout-presets.js')
@@ -272,6 +277,12 @@ async function loadSummaryPageDefinition() {
       "from '../utils/match-history-storage.js'",
       `from '${matchHistoryStorageUrl.href}'`
     )
+    .replace("from '../utils/match-clock.js'", `from '${matchClockUrl.href}'`)
+    .replace(
+      "from '../utils/match-statistics.js'",
+      `from '${matchStatisticsUrl.href}'`
+    )
+    .replace("from '../utils/team-names.js'", `from '${teamNamesUrl.href}'`)
     .replace("from '../utils/validation.js'", `from '${validationUrl.href}'`)
     .replace(
       "from '../utils/design-tokens.js'",
@@ -281,6 +292,7 @@ async function loadSummaryPageDefinition() {
       "from '../utils/haptic-feedback-settings.js'",
       `from '${hapticFeedbackSettingsUrl.href}'`
     )
+    .replace("from '../utils/phone-sync.js'", `from '${phoneSyncUrl.href}'`)
     .replace("from '../utils/screen-utils.js'", `from '${screenUtilsUrl.href}'`)
     .replace(
       "from '../utils/layout-engine.js'",
@@ -530,6 +542,54 @@ test('summary screen renders winner, final score, and ordered set history from p
   )
 })
 
+test('summary screen lists match statistics after the set history when the match has a point log', async () => {
+  let loggedState = createInitialMatchState()
+  loggedState.setsNeededToWin = 2
+  loggedState.setsWon = { teamA: 0, teamB: 0 }
+  loggedState.setHistory = []
+  loggedState.pointLog = []
+
+  for (const team of ['teamA', 'teamA', 'teamB', 'teamA', 'teamA']) {
+    loggedState = addPoint(loggedState, team)
+  }
+
+  const finishedState = serializePersistedMatchState({
+    pointLog: loggedState.pointLog
+  })
+
+  await runSummaryPageScenario(
+    {
+      matchStorageLoadResponses: [finishedState]
+    },
+    async ({ createdWidgets }) => {
+      const scrollList = getVisibleScrollList(createdWidgets)
+      const dataArray = scrollList?.properties.data_array ?? []
+
+      assert.deepEqual(dataArray.slice(0, 4), [
+        { line: 'Set 1: 6-4' },
+        { line: 'Set 2: 4-6' },
+        { line: 'Set 3: 6-2' },
+        { line: 'stats.title' }
+      ])
+      assert.deepEqual(dataArray[4], {
+        teamA: '4',
+        label: 'stats.pointsWon',
+        teamB: '1'
+      })
+      assert.deepEqual(dataArray[5], {
+        teamA: '',
+        label: 'stats.deuceGames: 0',
+        teamB: ''
+      })
+      assert.equal(scrollList?.properties.item_config_count, 2)
+      assert.deepEqual(scrollList?.properties.data_type_config, [
+        { start: 0, end: 3, type_id: 1 },
+        { start: 4, end: dataArray.length - 1, type_id: 2 }
+      ])
+    }
+  )
+})
+
 test('summary screen resolves winner text from sets-won even when winner metadata disagrees', async () => {
   const mismatchedWinnerMetadataState = serializePersistedMatchState({
     winnerTeam: 'teamA',
@@ -554,6 +614,27 @@ test('summary screen resolves winner text from sets-won even when winner metadat
   )
 })
 
+test('summary screen announces a named winning team by name', async () => {
+  const namedTeamsState = serializePersistedMatchState({
+    teams: {
+      teamA: { id: 'teamA', label: 'Lobos', players: ['Ana', 'Bea'] },
+      teamB: { id: 'teamB', label: 'Team B' }
+    }
+  })
+
+  await runSummaryPageScenario(
+    {
+      matchStorageLoadResponses: [namedTeamsState]
+    },
+    async ({ createdWidgets }) => {
+      const textValues = getVisibleTextValues(createdWidgets)
+
+      assert.equal(textValues.includes('summary.winner: Lobos'), true)
+      assert.equal(textValues.includes('summary.teamAWins'), false)
+    }
+  )
+})
+
 test('summary screen renders tied-game copy when sets are equal', async () => {
   const tiedFinishedState = serializePersistedMatchState({
     winnerTeam: 'teamA',
@@ -591,6 +672,134 @@ test('summary screen renders tied-game copy when sets are equal', async () => {
   )
 })
 
+test('summary screen names the games leader of a match closed on time', async () => {
+  const timeFinishedState = serializePersistedMatchState({
+    winnerTeam: 'teamB',
+    winner: { team: 'teamB' },
+    finishReason: 'time',
+    setsWon: {
+      teamA: 1,
+      teamB: 1
+    },
+    setHistory: [
+      {
+        setNumber: 1,
+        teamAGames: 6,
+        teamBGames: 4
+      },
+      {
+        setNumber: 2,
+        teamAGames: 1,
+        teamBGames: 6
+      }
+    ]
+  })
+
+  await runSummaryPageScenario(
+    {
+      matchStorageLoadResponses: [timeFinishedState]
+    },
+    async ({ createdWidgets }) => {
+      const textValues = getVisibleTextValues(createdWidgets)
+
+      assert.equal(textValues.includes('summary.teamBWins'), true)
+      assert.equal(textValues.includes('summary.tiedGame'), false)
+      assert.equal(
+        getScrollListLines(createdWidgets).includes('summary.finishedOnTime'),
+        true
+      )
+    }
+  )
+})
+
+test('summary screen shows the scoring rule the match was played with', async () => {
+  const goldenPointState = serializePersistedMatchState({
+    schemaVersion: 2,
+    settings: {
+      setsToPlay: 3,
+      setsNeededToWin: 2,
+      scoringMode: 'golden-point'
+    }
+  })
+
+  await runSummaryPageScenario(
+    {
+      matchStorageLoadResponses: [goldenPointState]
+    },
+    async ({ createdWidgets }) => {
+      const textValues = getVisibleTextValues(createdWidgets)
+
+      assert.equal(textValues.includes('match.scoringMode.goldenPoint'), true)
+      assert.equal(textValues.includes('match.scoringMode.advantage'), false)
+    }
+  )
+
+  await runSummaryPageScenario(
+    {
+      matchStorageLoadResponses: [serializePersistedMatchState()]
+    },
+    async ({ createdWidgets }) => {
+      const textValues = getVisibleTextValues(createdWidgets)
+
+      assert.equal(textValues.includes('match.scoringMode.advantage'), true)
+    }
+  )
+})
+
+test('summary screen lists the handicap the match started with', async () => {
+  const handicapState = serializePersistedMatchState({
+    schemaVersion: 2,
+    settings: {
+      setsToPlay: 3,
+      setsNeededToWin: 2,
+      scoringMode: 'advantage',
+      handicap: { team: 'teamB', points: 1, games: 2, sets: 0 }
+    }
+  })
+
+  await runSummaryPageScenario(
+    {
+      matchStorageLoadResponses: [handicapState]
+    },
+    async ({ createdWidgets }) => {
+      assert.equal(
+        getScrollListLines(createdWidgets).includes(
+          'summary.handicap B: +15, setup.handicap.games +2'
+        ),
+        true
+      )
+    }
+  )
+})
+
+test('summary screen shows a super tie-break deciding set in brackets', async () => {
+  const finishedState = serializePersistedMatchState({
+    winnerTeam: 'teamA',
+    setsWon: {
+      teamA: 2,
+      teamB: 1
+    },
+    setHistory: [
+      { setNumber: 1, teamAGames: 6, teamBGames: 4 },
+      { setNumber: 2, teamAGames: 3, teamBGames: 6 },
+      { setNumber: 3, teamAGames: 10, teamBGames: 8, superTieBreak: true }
+    ]
+  })
+
+  await runSummaryPageScenario(
+    {
+      matchStorageLoadResponses: [finishedState]
+    },
+    async ({ createdWidgets }) => {
+      assert.deepEqual(getScrollListLines(createdWidgets), [
+        'Set 1: 6-4',
+        'Set 2: 3-6',
+        'Set 3: [10-8]'
+      ])
+    }
+  )
+})
+
 test('summary set history includes completed sets plus final partial snapshot', async () => {
   const manualFinishedState = serializePersistedMatchState({
     setsWon: {
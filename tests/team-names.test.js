@@ -0,0 +1,175 @@
+import assert from 'node:assert/strict'
+import test from 'node:test'
+
+import { clearAllAppData } from '../utils/app-data-clear.js'
+import { createInitialMatchState } from '../utils/match-state.js'
+import {
+  applyNameKeyboardKey,
+  applyPersistedTeamNames,
+  createEmptyTeamNames,
+  createMatchTeams,
+  describeTeam,
+  loadRecentNames,
+  MAX_NAME_LENGTH,
+  MAX_RECENT_NAMES,
+  normalizeName,
+  RECENT_NAMES_STORAGE_KEY,
+  rememberRecentNames
+} from '../utils/team-names.js'
+import {
+  createLocalStorageMock,
+  withMockLocalStorage
+} from './helpers/local-storage-mock.js'
+
+function createTeamNames(teamA, teamB = { label: '', players: ['', ''] }) {
+  return { teamA, teamB }
+}
+
+test('normalizeName collapses whitespace and caps the length', () => {
+  assert.equal(normalizeName('  Ana   Maria '), 'Ana Maria')
+  assert.equal(normalizeName('A'.repeat(20)).length, MAX_NAME_LENGTH)
+  assert.equal(normalizeName(42), '')
+})
+
+test('applyNameKeyboardKey types capitalized words, spaces and deletes', () => {
+  let name = ''
+
+  for (const key of ['A', 'N', 'A', '_', '_', 'M', 'A']) {
+    name = applyNameKeyboardKey(name, key)
+  }
+
+  assert.equal(name, 'Ana Ma')
+  assert.equal(applyNameKeyboardKey(name, '<'), 'Ana M')
+  assert.equal(applyNameKeyboardKey('', '_'), '')
+  assert.equal(
+    applyNameKeyboardKey('Abcdefghijkl', 'M'),
+    'Abcdefghijkl',
+    'names stop growing at the maximum length'
+  )
+})
+
+test('createMatchTeams falls back from team name to player names to defaults', () => {
+  const teams = createMatchTeams(
+    createTeamNames(
+      { label: '', players: ['Ana', 'Bea'] },
+      { label: ' Lobos ', players: ['Cris', ''] }
+    )
+  )
+
+  assert.deepEqual(teams, {
+    teamA: { id: 'teamA', label: 'Ana / Bea', players: ['Ana', 'Bea'] },
+    teamB: { id: 'teamB', label: 'Lobos', players: ['Cris', ''] }
+  })
+  assert.deepEqual(createMatchTeams(createEmptyTeamNames()), {
+    teamA: { id: 'teamA', label: 'Team A' },
+    teamB: { id: 'teamB', label: 'Team B' }
+  })
+  assert.deepEqual(createMatchTeams(undefined).teamB, {
+    id: 'teamB',
+    label: 'Team B'
+  })
+})
+
+test('createMatchTeams keeps roster player ids of named players', () => {
+  const teams = createMatchTeams(
+    createTeamNames(
+      { label: '', players: ['Ana', ''], playerIds: ['player-1', ''] },
+      { label: 'Lobos', players: ['', ''], playerIds: ['', ''] }
+    )
+  )
+
+  assert.deepEqual(teams.teamA, {
+    id: 'teamA',
+    label: 'Team A',
+    players: ['Ana', ''],
+    playerIds: ['player-1', '']
+  })
+  assert.deepEqual(teams.teamB, { id: 'teamB', label: 'Lobos' })
+})
+
+test('describeTeam combines custom names with player names', () => {
+  assert.equal(describeTeam('Team A', undefined), '')
+  assert.equal(describeTeam('Team A', ['Ana', '']), 'Ana')
+  assert.equal(describeTeam('Ana / Bea', ['Ana', 'Bea']), 'Ana / Bea')
+  assert.equal(describeTeam('Lobos', ['Ana', 'Bea']), 'Lobos (Ana / Bea)')
+  assert.equal(describeTeam('Lobos', undefined), 'Lobos')
+})
+
+test('applyPersistedTeamNames copies labels and players onto runtime teams', () => {
+  const runtimeState = createInitialMatchState()
+  runtimeState.teams.teamB.players = ['Old', 'Names']
+
+  runtimeState.teams.teamB.playerIds = ['player-1', 'player-2']
+
+  applyPersistedTeamNames(runtimeState.teams, {
+    teamA: {
+      id: 'teamA',
+      label: 'Lobos',
+      players: ['Ana', 'Bea'],
+      playerIds: ['player-3', '']
+    },
+    teamB: { id: 'teamB', label: 'Team B' }
+  })
+
+  assert.deepEqual(runtimeState.teams, {
+    teamA: {
+      id: 'teamA',
+      label: 'Lobos',
+      players: ['Ana', 'Bea'],
+      playerIds: ['player-3', '']
+    },
+    teamB: { id: 'teamB', label: 'Team B' }
+  })
+})
+
+test('rememberRecentNames keeps the newest names first without duplicates', () => {
+  const { storage, has } = createLocalStorageMock()
+
+  withMockLocalStorage(storage, () => {
+    assert.deepEqual(loadRecentNames(), [])
+
+    rememberRecentNames(
+      createTeamNames({ label: 'Lobos', players: ['Ana', 'Bea'] })
+    )
+    const recentNames = rememberRecentNames(
+      createTeamNames({ label: '', players: ['Cris', 'ana'] })
+    )
+
+    assert.deepEqual(recentNames, ['Cris', 'ana', 'Lobos', 'Bea'])
+    assert.deepEqual(loadRecentNames(), recentNames)
+    assert.equal(has(RECENT_NAMES_STORAGE_KEY), true)
+  })
+})
+
+test('rememberRecentNames caps the list of recent names', () => {
+  const { storage } = createLocalStorageMock()
+
+  withMockLocalStorage(storage, () => {
+    for (let index = 0; index < MAX_RECENT_NAMES; index += 1) {
+      rememberRecentNames(
+        createTeamNames({ label: `Team ${index}`, players: ['', ''] })
+      )
+    }
+
+    const recentNames = rememberRecentNames(
+      createTeamNames({ label: 'Newest', players: ['', ''] })
+    )
+
+    assert.equal(recentNames.length, MAX_RECENT_NAMES)
+    assert.equal(recentNames[0], 'Newest')
+    assert.equal(recentNames.includes('Team 0'), false)
+  })
+})
+
+test('clearAllAppData forgets recent names', () => {
+  const { storage, has } = createLocalStorageMock()
+
+  withMockLocalStorage(storage, () => {
+    rememberRecentNames(createTeamNames({ label: 'Lobos', players: ['', ''] }))
+
+    clearAllAppData()
+
+    assert.equal(has(RECENT_NAMES_STORAGE_KEY), false)
+    assert.deepEqual(loadRecentNames(), [])
+  })
+})
@@ -8,6 +8,7 @@ import {
   toIsoTimestampSafe
 } from './match-state-schema.js'
 import { deleteState, loadState, saveState } from './persistence.js'
+import { createPointLogScore, isSamePointLogScore } from './point-log.js'
 import {
   cloneMatchStateOrNull as cloneSession,
   isRecord,
@@ -18,6 +19,23 @@ import {
  * @typedef {import('./match-state-schema.js').MatchState} ActiveSession
  */
 
+/**
+ * Runtime-shaped match state captured before a point, as kept by the
+ * in-memory history stack.
+ *
+ * @typedef {Record<string, unknown>} UndoSnapshot
+ */
+
+/**
+ * @typedef StoredUndoHistory
+ * @property {string} sessionCreatedAt - `timing.createdAt` of the owning session.
+ * @property {UndoSnapshot[]} snapshots - Oldest first.
+ */
+
+export const ACTIVE_SESSION_UNDO_HISTORY_STORAGE_KEY =
+  'padel-buddy.active-session-undo-history'
+export const ACTIVE_SESSION_UNDO_HISTORY_LIMIT = 20
+
 const LOG_PREFIX = '[active-session-storage]'
 let isAtomicUpdateInFlight = false
 
@@ -278,9 +296,141 @@ export function updateActiveSessionPartial(patch, options = {}) {
  * @returns {boolean}
  */
 export function clearActiveSession() {
+  clearActiveSessionUndoHistory()
   return deleteState(ACTIVE_SESSION_STORAGE_KEY)
 }
 
+function isUndoSnapshot(value) {
+  return (
+    isRecord(value) &&
+    isRecord(value.teamA) &&
+    isRecord(value.teamB) &&
+    isRecord(value.currentSetStatus)
+  )
+}
+
+function isStoredUndoHistory(value) {
+  return (
+    isRecord(value) &&
+    typeof value.sessionCreatedAt === 'string' &&
+    Array.isArray(value.snapshots) &&
+    value.snapshots.every(isUndoSnapshot)
+  )
+}
+
+function getSessionCreatedAt(session) {
+  const createdAt = isRecord(session?.timing) ? session.timing.createdAt : null
+
+  return typeof createdAt === 'string' && createdAt.length > 0
+    ? createdAt
+    : null
+}
+
+/**
+ * The newest snapshot must be the state the last logged point was scored
+ * from; otherwise the history was written for an older save of the session.
+ *
+ * @param {UndoSnapshot[]} snapshots
+ * @param {ActiveSession} session
+ * @returns {boolean}
+ */
+function isUndoHistoryInSyncWithSession(snapshots, session) {
+  if (!Array.isArray(session.pointLog)) {
+    return true
+  }
+
+  if (snapshots.length === 0 || session.pointLog.length === 0) {
+    return snapshots.length === 0
+  }
+
+  const lastEntry = session.pointLog[session.pointLog.length - 1]
+  const newestSnapshot = snapshots[snapshots.length - 1]
+
+  return isSamePointLogScore(
+    createPointLogScore(newestSnapshot),
+    lastEntry.before
+  )
+}
+
+/**
+ * Persists the most recent undo snapshots for the given active session so
+ * the minus button keeps working after an app restart.
+ *
+ * @param {UndoSnapshot[]} snapshots - Oldest first, as returned by `historyStack.toArray()`.
+ * @param {ActiveSession} session
+ * @returns {boolean}
+ */
+export function saveActiveSessionUndoHistory(snapshots, session) {
+  const sessionCreatedAt = getSessionCreatedAt(session)
+
+  if (!Array.isArray(snapshots) || sessionCreatedAt === null) {
+    log('warn', 'refusing to save undo history without an owning session')
+    return false
+  }
+
+  if (snapshots.length === 0) {
+    clearActiveSessionUndoHistory()
+    return true
+  }
+
+  /** @type {StoredUndoHistory} */
+  const undoHistory = {
+    sessionCreatedAt,
+    snapshots: snapshots.slice(-ACTIVE_SESSION_UNDO_HISTORY_LIMIT)
+  }
+
+  const didSave = saveState(
+    ACTIVE_SESSION_UNDO_HISTORY_STORAGE_KEY,
+    undoHistory,
+    { validate: isStoredUndoHistory }
+  )
+
+  if (!didSave) {
+    log('warn', 'failed to persist undo history to LocalStorage', {
+      key: ACTIVE_SESSION_UNDO_HISTORY_STORAGE_KEY
+    })
+  }
+
+  return didSave
+}
+
+/**
+ * Returns the persisted undo snapshots (oldest first) when they belong to the
+ * given session, or an empty list when missing, stale or invalid.
+ *
+ * @param {ActiveSession | null} session
+ * @returns {UndoSnapshot[]}
+ */
+export function loadActiveSessionUndoHistory(session) {
+  const sessionCreatedAt = getSessionCreatedAt(session)
+
+  if (sessionCreatedAt === null) {
+    return []
+  }
+
+  const undoHistory = loadState(ACTIVE_SESSION_UNDO_HISTORY_STORAGE_KEY, {
+    fallback: null,
+    validate: isStoredUndoHistory
+  })
+
+  if (
+    !undoHistory ||
+    undoHistory.sessionCreatedAt !== sessionCreatedAt ||
+    !isUndoHistoryInSyncWithSession(undoHistory.snapshots, session)
+  ) {
+    return []
+  }
+
+  return undoHistory.snapshots.slice(-ACTIVE_SESSION_UNDO_HISTORY_LIMIT)
+}
+
+/**
+ * @returns {boolean}
+ */
+export function clearActiveSessionUndoHistory() {
+  return deleteState(ACTIVE_SESSION_UNDO_HISTORY_STORAGE_KEY)
+}
+
 function withAtomicUpdateLock(callback) {
   if (isAtomicUpdateInFlight) {
     log('warn', 'ignored nested active session update')
@@ -0,0 +1,513 @@
+import { deleteState, loadState, saveState } from './persistence.js'
+import { normalizeName } from './team-names.js'
+import { isNonNegativeInteger, isRecord } from './validation.js'
+
+/**
+ * @typedef AmericanoMatch
+ * @property {number[]} teamA - Indexes of the two partners in the session players.
+ * @property {number[]} teamB
+ * @property {{ teamA: number, teamB: number }} points
+ */
+
+/**
+ * @typedef AmericanoRound
+ * @property {number} number - 1-based.
+ * @property {AmericanoMatch[]} matches - One per court.
+ * @property {number[]} resting - Players sitting the round out.
+ */
+
+/**
+ * @typedef AmericanoSession
+ * @property {'americano' | 'mexicano'} format
+ * @property {string[]} players
+ * @property {number} pointsPerRound - Points played in every match of a round.
+ * @property {number} roundsToPlay
+ * @property {AmericanoRound[]} rounds - The current round last.
+ * @property {'active' | 'finished'} status
+ * @property {number} createdAt
+ * @property {number} updatedAt
+ * @property {number} schemaVersion
+ */
+
+/**
+ * @typedef AmericanoStanding
+ * @property {number} player - Index in the session players.
+ * @property {string} name
+ * @property {number} points - Points won across all rounds.
+ * @property {number} played - Completed matches.
+ * @property {number} won - Completed matches won.
+ */
+
+export const AMERICANO_SESSION_STORAGE_KEY = 'padel-buddy.americano-session'
+export const AMERICANO_SESSION_SCHEMA_VERSION = 1
+
+export const AMERICANO_FORMAT = Object.freeze({
+  AMERICANO: 'americano',
+  MEXICANO: 'mexicano'
+})
+
+export const AMERICANO_FORMAT_OPTIONS = Object.freeze([
+  AMERICANO_FORMAT.AMERICANO,
+  AMERICANO_FORMAT.MEXICANO
+])
+
+export const AMERICANO_POINTS_OPTIONS = Object.freeze([16, 21, 24, 32])
+export const DEFAULT_AMERICANO_POINTS = 24
+
+export const AMERICANO_MIN_PLAYERS = 4
+export const AMERICANO_MAX_PLAYERS = 8
+
+const PLAYERS_PER_COURT = 4
+
+/**
+ * @param {number} playerCount
+ * @returns {number} Courts in play each round; players left over rest.
+ */
+export function getAmericanoCourtCount(playerCount) {
+  return Math.floor(playerCount / PLAYERS_PER_COURT)
+}
+
+/**
+ * Rounds of the circle schedule, which pairs every player with every other
+ * player once; pairs left without a court miss that partnership. Mexicano
+ * sessions play as many rounds.
+ *
+ * @param {number} playerCount
+ * @returns {number}
+ */
+function getAmericanoRoundCount(playerCount) {
+  return playerCount % 2 === 0 ? playerCount - 1 : playerCount
+}
+
+/**
+ * Americano pairings from the circle method: the first slot stays put and the
+ * others rotate one place per round. With an odd number of players the extra
+ * slot is empty and its partner rests.
+ *
+ * @param {number} playerCount
+ * @param {number} roundIndex - 0-based.
+ * @returns {{ matches: AmericanoMatch[], resting: number[] }}
+ */
+function createAmericanoPairings(playerCount, roundIndex) {
+  const slotCount = playerCount % 2 === 0 ? playerCount : playerCount + 1
+  const rotatingCount = slotCount - 1
+  const order = [0]
+
+  for (let index = 0; index < rotatingCount; index += 1) {
+    order.push(1 + ((index + roundIndex) % rotatingCount))
+  }
+
+  const pairs = []
+  const resting = []
+
+  for (let index = 0; index < slotCount / 2; index += 1) {
+    const pair = [order[index], order[slotCount - 1 - index]]
+    const players = pair.filter((player) => player < playerCount)
+
+    if (players.length === 2) {
+      pairs.push(players)
+    } else {
+      resting.push(...players)
+    }
+  }
+
+  // Start at a different pair each round, so the pairs left without a court
+  // change from round to round.
+  const offset = roundIndex % pairs.length
+  const rotatedPairs = [...pairs.slice(offset), ...pairs.slice(0, offset)]
+  const playingPairCount = getAmericanoCourtCount(playerCount) * 2
+  const matches = []
+
+  for (let index = 0; index < playingPairCount; index += 2) {
+    matches.push(
+      createAmericanoMatch(rotatedPairs[index], rotatedPairs[index + 1])
+    )
+  }
+
+  for (const pair of rotatedPairs.slice(playingPairCount)) {
+    resting.push(...pair)
+  }
+
+  return { matches, resting: resting.sort((left, right) => left - right) }
+}
+
+/**
+ * Mexicano pairings by ranking: on every court the first and fourth placed
+ * players face the second and third. The players who have rested least sit
+ * out first, the lowest ranked among them.
+ *
+ * @param {AmericanoSession} session
+ * @returns {{ matches: AmericanoMatch[], resting: number[] }}
+ */
+function createMexicanoPairings(session) {
+  const ranking = getAmericanoStandings(session).map(
+    (standing) => standing.player
+  )
+  const restCount =
+    session.players.length -
+    getAmericanoCourtCount(session.players.length) * PLAYERS_PER_COURT
+  const restsByPlayer = ranking.map(() => 0)
+
+  for (const round of session.rounds) {
+    for (const player of round.resting) {
+      restsByPlayer[player] += 1
+    }
+  }
+
+  const resting = [...ranking]
+    .reverse()
+    .sort((left, right) => restsByPlayer[left] - restsByPlayer[right])
+    .slice(0, restCount)
+  const playing = ranking.filter((player) => !resting.includes(player))
+  const matches = []
+
+  for (let index = 0; index < playing.length; index += PLAYERS_PER_COURT) {
+    const [first, second, third, fourth] = playing.slice(
+      index,
+      index + PLAYERS_PER_COURT
+    )
+    matches.push(createAmericanoMatch([first, fourth], [second, third]))
+  }
+
+  return { matches, resting: resting.sort((left, right) => left - right) }
+}
+
+/**
+ * @param {number[]} teamA
+ * @param {number[]} teamB
+ * @returns {AmericanoMatch}
+ */
+function createAmericanoMatch(teamA, teamB) {
+  return { teamA, teamB, points: { teamA: 0, teamB: 0 } }
+}
+
+/**
+ * @param {AmericanoSession} session
+ * @returns {AmericanoRound}
+ */
+function createNextRound(session) {
+  const pairings =
+    session.format === AMERICANO_FORMAT.MEXICANO
+      ? createMexicanoPairings(session)
+      : createAmericanoPairings(session.players.length, session.rounds.length)
+
+  return { number: session.rounds.length + 1, ...pairings }
+}
+
+/**
+ * @param {AmericanoSession} session
+ * @returns {AmericanoSession}
+ */
+function cloneAmericanoSession(session) {
+  return {
+    ...session,
+    players: [...session.players],
+    rounds: session.rounds.map((round) => ({
+      number: round.number,
+      matches: round.matches.map((match) => ({
+        teamA: [...match.teamA],
+        teamB: [...match.teamB],
+        points: { ...match.points }
+      })),
+      resting: [...round.resting]
+    }))
+  }
+}
+
+/**
+ * Creates a session with its first round drawn. Mexicano seeds the first
+ * round in the order the players are given.
+ *
+ * @param {{ format?: string, players: string[], pointsPerRound?: number }} options
+ * @param {number} [now]
+ * @returns {AmericanoSession | null} Null without 4 to 8 distinct named players.
+ */
+export function createAmericanoSession(options, now = Date.now()) {
+  const players = Array.isArray(options?.players)
+    ? options.players.map(normalizeName)
+    : []
+  const distinctNames = new Set(players.map((name) => name.toLowerCase()))
+
+  if (
+    players.length < AMERICANO_MIN_PLAYERS ||
+    players.length > AMERICANO_MAX_PLAYERS ||
+    players.some((name) => name.length === 0) ||
+    distinctNames.size !== players.length
+  ) {
+    return null
+  }
+
+  const session = {
+    format: AMERICANO_FORMAT_OPTIONS.includes(options.format)
+      ? options.format
+      : AMERICANO_FORMAT.AMERICANO,
+    players,
+    pointsPerRound: AMERICANO_POINTS_OPTIONS.includes(options.pointsPerRound)
+      ? options.pointsPerRound
+      : DEFAULT_AMERICANO_POINTS,
+    roundsToPlay: getAmericanoRoundCount(players.length),
+    rounds: [],
+    status: 'active',
+    createdAt: now,
+    updatedAt: now,
+    schemaVersion: AMERICANO_SESSION_SCHEMA_VERSION
+  }
+
+  session.rounds.push(createNextRound(session))
+  return session
+}
+
+/**
+ * @param {AmericanoSession} session
+ * @returns {AmericanoRound}
+ */
+export function getCurrentAmericanoRound(session) {
+  return session.rounds[session.rounds.length - 1]
+}
+
+/**
+ * @param {AmericanoMatch} match
+ * @param {number} pointsPerRound
+ * @returns {boolean}
+ */
+export function isAmericanoMatchComplete(match, pointsPerRound) {
+  return match.points.teamA + match.points.teamB >= pointsPerRound
+}
+
+/**
+ * @param {AmericanoSession} session
+ * @returns {boolean} Whether every match of the current round is played out.
+ */
+export function isAmericanoRoundComplete(session) {
+  return getCurrentAmericanoRound(session).matches.every((match) =>
+    isAmericanoMatchComplete(match, session.pointsPerRound)
+  )
+}
+
+/**
+ * Adds a point to a team in a match of the current round. Every match plays
+ * exactly `pointsPerRound` points, so no point is added after the last one.
+ *
+ * @param {AmericanoSession} session
+ * @param {number} matchIndex
+ * @param {'teamA' | 'teamB'} team
+ * @param {number} [now]
+ * @returns {AmericanoSession} A copy; the same session when nothing changed.
+ */
+export function addAmericanoPoint(session, matchIndex, team, now = Date.now()) {
+  const match = getCurrentAmericanoRound(session).matches[matchIndex]
+
+  if (
+    session.status !== 'active' ||
+    !match ||
+    isAmericanoMatchComplete(match, session.pointsPerRound)
+  ) {
+    return session
+  }
+
+  const nextSession = cloneAmericanoSession(session)
+  getCurrentAmericanoRound(nextSession).matches[matchIndex].points[team] += 1
+  nextSession.updatedAt = now
+  return nextSession
+}
+
+/**
+ * @param {AmericanoSession} session
+ * @param {number} matchIndex
+ * @param {'teamA' | 'teamB'} team
+ * @param {number} [now]
+ * @returns {AmericanoSession} A copy; the same session when nothing changed.
+ */
+export function removeAmericanoPoint(
+  session,
+  matchIndex,
+  team,
+  now = Date.now()
+) {
+  const match = getCurrentAmericanoRound(session).matches[matchIndex]
+
+  if (session.status !== 'active' || !match || match.points[team] === 0) {
+    return session
+  }
+
+  const nextSession = cloneAmericanoSession(session)
+  getCurrentAmericanoRound(nextSession).matches[matchIndex].points[team] -= 1
+  nextSession.updatedAt = now
+  return nextSession
+}
+
+/**
+ * Draws the next round once the current one is played out, or finishes the
+ * session after the last round.
+ *
+ * @param {AmericanoSession} session
+ * @param {number} [now]
+ * @returns {AmericanoSession} A copy; the same session while the round is still being played.
+ */
+export function advanceAmericanoSession(session, now = Date.now()) {
+  if (session.status !== 'active' || !isAmericanoRoundComplete(session)) {
+    return session
+  }
+
+  const nextSession = cloneAmericanoSession(session)
+  nextSession.updatedAt = now
+
+  if (nextSession.rounds.length >= nextSession.roundsToPlay) {
+    nextSession.status = 'finished'
+  } else {
+    nextSession.rounds.push(createNextRound(nextSession))
+  }
+
+  return nextSession
+}
+
+/**
+ * Individual leaderboard: each player is credited with the points their team
+ * won, including the round being played.
+ *
+ * @param {AmericanoSession} session
+ * @returns {AmericanoStanding[]} Most points first, then most wins, then in player order.
+ */
+export function getAmericanoStandings(session) {
+  const standings = session.players.map((name, player) => ({
+    player,
+    name,
+    points: 0,
+    played: 0,
+    won: 0
+  }))
+
+  for (const round of session.rounds) {
+    for (const match of round.matches) {
+      const isComplete = isAmericanoMatchComplete(match, session.pointsPerRound)
+
+      for (const team of ['teamA', 'teamB']) {
+        const opponent = team === 'teamA' ? 'teamB' : 'teamA'
+
+        for (const player of match[team]) {
+          standings[player].points += match.points[team]
+
+          if (isComplete) {
+            standings[player].played += 1
+            standings[player].won +=
+              match.points[team] > match.points[opponent] ? 1 : 0
+          }
+        }
+      }
+    }
+  }
+
+  return standings.sort(
+    (left, right) =>
+      right.points - left.points ||
+      right.won - left.won ||
+      left.player - right.player
+  )
+}
+
+/**
+ * @param {AmericanoSession} session
+ * @param {number[]} team
+ * @returns {string} e.g. "Ana / Bea".
+ */
+export function formatAmericanoTeam(session, team) {
+  return team.map((player) => session.players[player]).join(' / ')
+}
+
+/**
+ * @param {unknown} value
+ * @param {number} playerCount
+ * @returns {value is number[]}
+ */
+function isAmericanoTeam(value, playerCount) {
+  return (
+    Array.isArray(value) &&
+    value.length === 2 &&
+    value.every(
+      (player) =>
+        Number.isInteger(player) && player >= 0 && player < playerCount
+    )
+  )
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is AmericanoSession}
+ */
+export function isAmericanoSession(value) {
+  if (
+    !isRecord(value) ||
+    !AMERICANO_FORMAT_OPTIONS.includes(value.format) ||
+    !Array.isArray(value.players) ||
+    value.players.length < AMERICANO_MIN_PLAYERS ||
+    value.players.length > AMERICANO_MAX_PLAYERS ||
+    !value.players.every((name) => normalizeName(name).length > 0) ||
+    !Number.isInteger(value.pointsPerRound) ||
+    value.pointsPerRound <= 0 ||
+    !Number.isInteger(value.roundsToPlay) ||
+    (value.status !== 'active' && value.status !== 'finished') ||
+    !Array.isArray(value.rounds) ||
+    value.rounds.length === 0
+  ) {
+    return false
+  }
+
+  const playerCount = value.players.length
+
+  return value.rounds.every(
+    (round) =>
+      isRecord(round) &&
+      Array.isArray(round.resting) &&
+      Array.isArray(round.matches) &&
+      round.matches.every(
+        (match) =>
+          isRecord(match) &&
+          isAmericanoTeam(match.teamA, playerCount) &&
+          isAmericanoTeam(match.teamB, playerCount) &&
+          isNonNegativeInteger(match.points?.teamA) &&
+          isNonNegativeInteger(match.points?.teamB)
+      )
+  )
+}
+
+/**
+ * @returns {AmericanoSession | null} The stored session, finished or not.
+ */
+export function loadAmericanoSession() {
+  try {
+    return loadState(AMERICANO_SESSION_STORAGE_KEY, {
+      validate: isAmericanoSession
+    })
+  } catch {
+    return null
+  }
+}
+
+/**
+ * @returns {boolean} Whether a session is stored that still has rounds to play.
+ */
+export function hasActiveAmericanoSession() {
+  return loadAmericanoSession()?.status === 'active'
+}
+
+/**
+ * @param {AmericanoSession} session
+ * @returns {boolean}
+ */
+export function saveAmericanoSession(session) {
+  try {
+    return saveState(AMERICANO_SESSION_STORAGE_KEY, session, {
+      validate: isAmericanoSession
+    })
+  } catch {
+    return false
+  }
+}
+
+export function clearAmericanoSession() {
+  try {
+    return deleteState(AMERICANO_SESSION_STORAGE_KEY)
+  } catch {
+    return false
+  }
+}
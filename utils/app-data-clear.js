@@ -1,7 +1,13 @@
+import { clearAmericanoSession } from './americano-session.js'
+import { clearChangeEndsAlertEnabled } from './change-ends-alert-settings.js'
 import { clearHapticFeedbackEnabled } from './haptic-feedback-settings.js'
+import { clearHistorySyncState } from './history-sync.js'
+import { clearMatchDefaults } from './match-defaults.js'
 import { clearMatchHistory } from './match-history-storage.js'
 import { clearMatchState } from './match-storage.js'
 import { clearAllState } from './persistence.js'
+import { clearPlayerRoster } from './player-roster.js'
+import { clearRecentNames } from './team-names.js'
 
 export function clearAllAppData() {
   try {
@@ -22,6 +28,42 @@ export function clearAllAppData() {
     // Ignore key-level cleanup errors and continue with broader clear.
   }
 
+  try {
+    clearChangeEndsAlertEnabled()
+  } catch {
+    // Ignore key-level cleanup errors and continue with broader clear.
+  }
+
+  try {
+    clearRecentNames()
+  } catch {
+    // Ignore key-level cleanup errors and continue with broader clear.
+  }
+
+  try {
+    clearPlayerRoster()
+  } catch {
+    // Ignore key-level cleanup errors and continue with broader clear.
+  }
+
+  try {
+    clearHistorySyncState()
+  } catch {
+    // Ignore key-level cleanup errors and continue with broader clear.
+  }
+
+  try {
+    clearMatchDefaults()
+  } catch {
+    // Ignore key-level cleanup errors and continue with broader clear.
+  }
+
+  try {
+    clearAmericanoSession()
+  } catch {
+    // Ignore key-level cleanup errors and continue with broader clear.
+  }
+
   let didClearStorage = false
 
   try {
@@ -0,0 +1,163 @@
+import {
+  resolveFsReadOnlyFlag,
+  resolveFsWriteCreateTruncateFlags
+} from './constants.js'
+
+/**
+ * Encodes text as UTF-8 without relying on TextEncoder, which older
+ * Zepp OS runtimes do not provide.
+ *
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+export function encodeUtf8(text) {
+  const bytes = []
+
+  for (const character of text) {
+    const code = /** @type {number} */ (character.codePointAt(0))
+
+    if (code < 0x80) {
+      bytes.push(code)
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f))
+    } else if (code < 0x10000) {
+      bytes.push(
+        0xe0 | (code >> 12),
+        0x80 | ((code >> 6) & 0x3f),
+        0x80 | (code & 0x3f)
+      )
+    } else {
+      bytes.push(
+        0xf0 | (code >> 18),
+        0x80 | ((code >> 12) & 0x3f),
+        0x80 | ((code >> 6) & 0x3f),
+        0x80 | (code & 0x3f)
+      )
+    }
+  }
+
+  return new Uint8Array(bytes)
+}
+
+/**
+ * Decodes UTF-8 bytes written by `encodeUtf8`, or by any other UTF-8 writer.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function decodeUtf8(bytes) {
+  let text = ''
+  let index = 0
+
+  while (index < bytes.length) {
+    const byte = bytes[index]
+    let code = byte
+    let length = 1
+
+    if (byte >= 0xf0) {
+      code = byte & 0x07
+      length = 4
+    } else if (byte >= 0xe0) {
+      code = byte & 0x0f
+      length = 3
+    } else if (byte >= 0xc0) {
+      code = byte & 0x1f
+      length = 2
+    }
+
+    for (let offset = 1; offset < length; offset += 1) {
+      code = (code << 6) | (bytes[index + offset] & 0x3f)
+    }
+
+    text += String.fromCodePoint(code)
+    index += length
+  }
+
+  return text
+}
+
+/**
+ * Writes a text file to the app's data directory, replacing any previous
+ * file with the same name.
+ *
+ * @param {string} fileName
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function writeTextFile(fileName, text) {
+  if (typeof hmFS === 'undefined' || typeof hmFS.open !== 'function') {
+    return false
+  }
+
+  let fileId = null
+
+  try {
+    fileId = hmFS.open(fileName, resolveFsWriteCreateTruncateFlags(hmFS))
+
+    if (typeof fileId !== 'number' || fileId < 0) {
+      return false
+    }
+
+    const bytes = encodeUtf8(text)
+    const result = hmFS.write(fileId, bytes.buffer, 0, bytes.length)
+
+    return typeof result !== 'number' || result >= 0
+  } catch {
+    return false
+  } finally {
+    if (typeof fileId === 'number' && fileId >= 0) {
+      try {
+        hmFS.close(fileId)
+      } catch {
+        // Ignore close failures; the write result has been decided.
+      }
+    }
+  }
+}
+
+/**
+ * Reads a text file from the app's data directory.
+ *
+ * @param {string} fileName
+ * @returns {string | null} Null when the file does not exist or cannot be read.
+ */
+export function readTextFile(fileName) {
+  if (typeof hmFS === 'undefined' || typeof hmFS.stat !== 'function') {
+    return null
+  }
+
+  let fileId = null
+
+  try {
+    const [fileStat, statError] = hmFS.stat(fileName)
+
+    if (statError !== 0 || !fileStat) {
+      return null
+    }
+
+    fileId = hmFS.open(fileName, resolveFsReadOnlyFlag(hmFS))
+
+    if (typeof fileId !== 'number' || fileId < 0) {
+      return null
+    }
+
+    const buffer = new ArrayBuffer(fileStat.size)
+    const result = hmFS.read(fileId, buffer, 0, fileStat.size)
+
+    if (typeof result === 'number' && result < 0) {
+      return null
+    }
+
+    return decodeUtf8(new Uint8Array(buffer))
+  } catch {
+    return null
+  } finally {
+    if (typeof fileId === 'number' && fileId >= 0) {
+      try {
+        hmFS.close(fileId)
+      } catch {
+        // Ignore close failures; the read result has been decided.
+      }
+    }
+  }
+}
@@ -0,0 +1,47 @@
+import { deleteState, loadState, saveState } from './persistence.js'
+
+export const CHANGE_ENDS_ALERT_STORAGE_KEY =
+  'padel-buddy.change-ends-alert-enabled'
+
+const CHANGE_ENDS_ALERT_DEFAULT_ENABLED = true
+
+function parseChangeEndsAlertEnabled(value) {
+  if (value === true || value === 1 || value === '1' || value === 'true') {
+    return true
+  }
+
+  if (value === false || value === 0 || value === '0' || value === 'false') {
+    return false
+  }
+
+  return CHANGE_ENDS_ALERT_DEFAULT_ENABLED
+}
+
+export function loadChangeEndsAlertEnabled() {
+  try {
+    const storedValue = loadState(CHANGE_ENDS_ALERT_STORAGE_KEY)
+    return parseChangeEndsAlertEnabled(storedValue)
+  } catch {
+    return CHANGE_ENDS_ALERT_DEFAULT_ENABLED
+  }
+}
+
+export function saveChangeEndsAlertEnabled(enabled) {
+  const normalizedEnabled = enabled === true
+
+  try {
+    saveState(CHANGE_ENDS_ALERT_STORAGE_KEY, normalizedEnabled)
+  } catch {
+    // Ignore persistence errors.
+  }
+
+  return normalizedEnabled
+}
+
+export function clearChangeEndsAlertEnabled() {
+  try {
+    return deleteState(CHANGE_ENDS_ALERT_STORAGE_KEY)
+  } catch {
+    return false
+  }
+}
@@ -1,11 +1,22 @@
 import {
+  FINISH_REASON,
+  GAMES_PER_SET,
   MATCH_STATUS,
+  SCORING_MODE,
   SETS_NEEDED_TO_WIN,
   SETS_TO_PLAY
 } from './match-state-schema.js'
 import { SCORE_POINTS } from './scoring-constants.js'
 
-export { MATCH_STATUS, SCORE_POINTS, SETS_NEEDED_TO_WIN, SETS_TO_PLAY }
+export {
+  FINISH_REASON,
+  GAMES_PER_SET,
+  MATCH_STATUS,
+  SCORE_POINTS,
+  SCORING_MODE,
+  SETS_NEEDED_TO_WIN,
+  SETS_TO_PLAY
+}
 
 export const MATCH_SET_OPTIONS = Object.freeze([
   SETS_TO_PLAY.ONE,
@@ -15,6 +26,73 @@ export const MATCH_SET_OPTIONS = Object.freeze([
 
 export const DEFAULT_SETS_TO_PLAY = SETS_TO_PLAY.THREE
 
+export const MATCH_SCORING_MODE_OPTIONS = Object.freeze([
+  SCORING_MODE.ADVANTAGE,
+  SCORING_MODE.GOLDEN_POINT,
+  SCORING_MODE.STAR_POINT
+])
+
+export const DEFAULT_SCORING_MODE = SCORING_MODE.ADVANTAGE
+
+export const MATCH_GAMES_PER_SET_OPTIONS = Object.freeze([
+  GAMES_PER_SET.SIX,
+  GAMES_PER_SET.FOUR
+])
+
+export const DEFAULT_GAMES_PER_SET = GAMES_PER_SET.SIX
+
+// Single-set formats for short fixtures: a pro set to 8 or 9 games, or a
+// fixed number of games where the team with more games wins.
+export const MATCH_PRO_SET_GAMES_OPTIONS = Object.freeze([
+  GAMES_PER_SET.EIGHT,
+  GAMES_PER_SET.NINE
+])
+
+// Pro sets go to a tie-break at 8-8, whether played to 8 or to 9 games.
+export const PRO_SET_TIE_BREAK_AT = 8
+
+export const MATCH_TOTAL_GAMES_OPTIONS = Object.freeze([12])
+
+// Head starts for mixing levels: points up in every regular game (15-0 or
+// 30-0), and games up at the start of the match. Sets up are limited by the
+// number of sets needed to win.
+export const MATCH_HANDICAP_POINTS_OPTIONS = Object.freeze([0, 1, 2])
+
+export const MATCH_HANDICAP_GAMES_OPTIONS = Object.freeze([0, 1, 2, 3])
+
+export const MATCH_FORMAT = Object.freeze({
+  SETS: 'sets',
+  PRO_SET: 'pro-set',
+  TOTAL_GAMES: 'total-games'
+})
+
+export const MATCH_FIRST_SERVER_OPTIONS = Object.freeze([
+  Object.freeze({ team: 'teamA', player: 1 }),
+  Object.freeze({ team: 'teamA', player: 2 }),
+  Object.freeze({ team: 'teamB', player: 1 }),
+  Object.freeze({ team: 'teamB', player: 2 })
+])
+
+export const DEFAULT_FIRST_SERVER = MATCH_FIRST_SERVER_OPTIONS[0]
+
+// Court bookings in minutes; 0 plays the match without a time limit.
+export const MATCH_TIME_LIMIT_OPTIONS = Object.freeze([0, 60, 90])
+
+export const DEFAULT_TIME_LIMIT_MINUTES = 0
+
+// Minutes left at which a timed match warns the players.
+export const TIME_LIMIT_WARNING_MINUTES = Object.freeze([10, 5])
+
+export const SCORING_EVENT = Object.freeze({
+  CHANGE_ENDS: 'change-ends'
+})
+
+// Players change ends every 6 points of a tie-break.
+export const TIE_BREAK_CHANGE_ENDS_INTERVAL = 6
+
+// FIP star point: two advantages are played, the third deuce is decisive.
+export const STAR_POINT_MAX_ADVANTAGES = 2
+
 export const PERSISTED_ADVANTAGE_POINT_VALUE = 50
 export const PERSISTED_GAME_POINT_VALUE = 60
 export const TIE_BREAK_ENTRY_GAMES = 6
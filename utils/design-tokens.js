@@ -65,6 +65,7 @@ export const TOKENS = Object.freeze({
     buttonHeight: 35, // 15% of parent section height (for layout engine)
     buttonHeightRatio: 0.22, // Ratio of screen height (for ui-components.js)
     buttonHeightLarge: 0.15,
+    buttonHeightCompact: 0.11, // Stacked toggle rows (setup options)
     buttonWidth: 85, // 85% of parent section width
     buttonRadiusRatio: 0.5,
     cardRadiusRatio: 0.07,
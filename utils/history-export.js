@@ -0,0 +1,164 @@
+import { writeTextFile } from './app-files.js'
+import { loadMatchHistory } from './match-history-storage.js'
+import { MATCH_HISTORY_SCHEMA_VERSION } from './match-history-types.js'
+
+/**
+ * @typedef HistoryExportResult
+ * @property {string[]} fileNames - Files written to the app's data directory.
+ * @property {number} entryCount - Matches included in the export.
+ */
+
+export const HISTORY_EXPORT_FORMAT = 'padel-buddy.match-history-export'
+export const HISTORY_EXPORT_VERSION = 1
+export const HISTORY_EXPORT_BASE_NAME = 'padel-buddy-history'
+export const HISTORY_EXPORT_CSV_FILE = `${HISTORY_EXPORT_BASE_NAME}.csv`
+export const HISTORY_EXPORT_JSON_FILE = `${HISTORY_EXPORT_BASE_NAME}.json`
+
+const CSV_COLUMNS = Object.freeze([
+  'match_id',
+  'date',
+  'team_a',
+  'team_b',
+  'team_a_players',
+  'team_b_players',
+  'sets_won_team_a',
+  'sets_won_team_b',
+  'winner',
+  'scoring_mode',
+  'set_number',
+  'team_a_games',
+  'team_b_games',
+  'super_tie_break'
+])
+
+/**
+ * @param {unknown} value
+ * @returns {string}
+ */
+function toCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value)
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * @param {import('./match-history-types.js').MatchHistoryEntry} entry
+ * @returns {string} "YYYY-MM-DD HH:MM" in watch local time when known.
+ */
+function formatCsvDate(entry) {
+  const pad = (value) => (value < 10 ? `0${value}` : String(value))
+  const localTime = entry.localTime
+
+  if (
+    localTime &&
+    [
+      localTime.year,
+      localTime.month,
+      localTime.day,
+      localTime.hour,
+      localTime.minute
+    ].every(Number.isFinite)
+  ) {
+    return `${localTime.year}-${pad(localTime.month)}-${pad(localTime.day)} ${pad(localTime.hour)}:${pad(localTime.minute)}`
+  }
+
+  return Number.isFinite(entry.completedAt)
+    ? new Date(entry.completedAt).toISOString()
+    : ''
+}
+
+/**
+ * @param {unknown} players
+ * @returns {string}
+ */
+function formatCsvPlayers(players) {
+  return Array.isArray(players)
+    ? players.filter((name) => typeof name === 'string' && name).join(' / ')
+    : ''
+}
+
+/**
+ * Serializes history to CSV with one row per set. A match without set
+ * results still gets one row, with the set columns left empty.
+ *
+ * @param {import('./match-history-types.js').MatchHistoryEntry[]} entries
+ * @returns {string}
+ */
+export function createHistoryCsv(entries) {
+  const rows = [CSV_COLUMNS.join(',')]
+
+  for (const entry of entries) {
+    const matchFields = [
+      entry.id,
+      formatCsvDate(entry),
+      entry.teamALabel,
+      entry.teamBLabel,
+      formatCsvPlayers(entry.teamAPlayers),
+      formatCsvPlayers(entry.teamBPlayers),
+      entry.setsWonTeamA,
+      entry.setsWonTeamB,
+      entry.winnerTeam ?? '',
+      entry.scoringMode ?? ''
+    ]
+    const sets = entry.setHistory.length > 0 ? entry.setHistory : [null]
+
+    for (const set of sets) {
+      const setFields = set
+        ? [
+            set.setNumber,
+            set.teamAGames,
+            set.teamBGames,
+            set.superTieBreak === true ? 'yes' : 'no'
+          ]
+        : ['', '', '', '']
+
+      rows.push([...matchFields, ...setFields].map(toCsvField).join(','))
+    }
+  }
+
+  return `${rows.join('\r\n')}\r\n`
+}
+
+/**
+ * Serializes history to versioned JSON, keeping every stored field so the
+ * file can be read back without losing data.
+ *
+ * @param {import('./match-history-types.js').MatchHistoryEntry[]} entries
+ * @param {number} [exportedAt]
+ * @returns {string}
+ */
+export function createHistoryJson(entries, exportedAt = Date.now()) {
+  return JSON.stringify({
+    format: HISTORY_EXPORT_FORMAT,
+    version: HISTORY_EXPORT_VERSION,
+    historySchemaVersion: MATCH_HISTORY_SCHEMA_VERSION,
+    exportedAt,
+    matches: entries
+  })
+}
+
+/**
+ * Exports the stored match history as CSV and JSON files.
+ *
+ * @returns {HistoryExportResult | null} Null when a file could not be written.
+ */
+export function exportMatchHistory() {
+  const entries = loadMatchHistory()
+  const didWriteCsv = writeTextFile(
+    HISTORY_EXPORT_CSV_FILE,
+    createHistoryCsv(entries)
+  )
+  const didWriteJson = writeTextFile(
+    HISTORY_EXPORT_JSON_FILE,
+    createHistoryJson(entries)
+  )
+
+  if (!didWriteCsv || !didWriteJson) {
+    return null
+  }
+
+  return {
+    fileNames: [HISTORY_EXPORT_CSV_FILE, HISTORY_EXPORT_JSON_FILE],
+    entryCount: entries.length
+  }
+}
@@ -0,0 +1,52 @@
+import { readTextFile } from './app-files.js'
+import {
+  HISTORY_EXPORT_FORMAT,
+  HISTORY_EXPORT_JSON_FILE,
+  HISTORY_EXPORT_VERSION
+} from './history-export.js'
+import { importMatchHistoryEntries } from './match-history-storage.js'
+import { isRecord } from './validation.js'
+
+/**
+ * @param {string} text
+ * @returns {unknown[] | null} The backup entries, or null when the text is not a supported backup.
+ */
+export function parseHistoryBackup(text) {
+  let backup
+
+  try {
+    backup = JSON.parse(text)
+  } catch {
+    return null
+  }
+
+  if (
+    !isRecord(backup) ||
+    backup.format !== HISTORY_EXPORT_FORMAT ||
+    typeof backup.version !== 'number' ||
+    backup.version > HISTORY_EXPORT_VERSION ||
+    !Array.isArray(backup.matches)
+  ) {
+    return null
+  }
+
+  return backup.matches
+}
+
+/**
+ * Restores match history from the JSON backup written by the history export.
+ *
+ * @param {string} [fileName]
+ * @returns {import('./match-history-storage.js').HistoryImportReport | null} Null when the backup is missing, unreadable or could not be saved.
+ */
+export function importMatchHistoryBackup(fileName = HISTORY_EXPORT_JSON_FILE) {
+  const text = readTextFile(fileName)
+
+  if (text === null) {
+    return null
+  }
+
+  const entries = parseHistoryBackup(text)
+
+  return entries ? importMatchHistoryEntries(entries) : null
+}
@@ -0,0 +1,199 @@
+import { loadMatchHistory } from './match-history-storage.js'
+import { isDefaultTeamLabel, normalizeName } from './team-names.js'
+
+/**
+ * @typedef HistoryQuery
+ * @property {'all' | 'thisMonth' | 'last30Days'} [period]
+ * @property {'all' | 'wins' | 'losses'} [result] - Judged for the side of `name`, or for Team A when no name is given.
+ * @property {string} [name] - Team or player name, matched case-insensitively.
+ * @property {number} [now] - Reference time for the periods; defaults to Date.now().
+ */
+
+/** Filters offered by the history screen, in the order a tap cycles them. */
+export const HISTORY_FILTERS = Object.freeze([
+  'all',
+  'thisMonth',
+  'last30Days',
+  'wins',
+  'losses'
+])
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * @param {string} filter - One of HISTORY_FILTERS.
+ * @param {string} [name]
+ * @returns {HistoryQuery}
+ */
+export function createHistoryQuery(filter, name = '') {
+  const query = { period: 'all', result: 'all', name }
+
+  if (filter === 'thisMonth' || filter === 'last30Days') {
+    query.period = filter
+  } else if (filter === 'wins' || filter === 'losses') {
+    query.result = filter
+  }
+
+  return query
+}
+
+/**
+ * @param {HistoryQuery} query
+ * @returns {boolean} Whether the query leaves out any match.
+ */
+export function isHistoryQueryActive(query) {
+  return (
+    (query.period ?? 'all') !== 'all' ||
+    (query.result ?? 'all') !== 'all' ||
+    normalizeName(query.name).length > 0
+  )
+}
+
+/**
+ * @param {import('./match-history-types.js').MatchHistoryEntry} entry
+ * @returns {{ year: number, month: number }} Month the match was played in, watch local time.
+ */
+export function getHistoryEntryMonth(entry) {
+  const localTime = entry.localTime
+
+  if (Number.isFinite(localTime?.year) && Number.isFinite(localTime?.month)) {
+    return { year: localTime.year, month: localTime.month }
+  }
+
+  const completedAt = new Date(entry.completedAt)
+  return { year: completedAt.getFullYear(), month: completedAt.getMonth() + 1 }
+}
+
+/**
+ * @param {import('./match-history-types.js').MatchHistoryEntry} entry
+ * @param {string} [name] - Team or player name.
+ * @returns {'teamA' | 'teamB' | null} Side the team or player played on; Team A when no name is given.
+ */
+export function findHistoryEntrySide(entry, name = '') {
+  const lowerCaseName = normalizeName(name).toLowerCase()
+
+  if (lowerCaseName.length === 0) {
+    return 'teamA'
+  }
+
+  for (const teamId of ['teamA', 'teamB']) {
+    const label = teamId === 'teamA' ? entry.teamALabel : entry.teamBLabel
+    const players = teamId === 'teamA' ? entry.teamAPlayers : entry.teamBPlayers
+
+    if (
+      label.toLowerCase() === lowerCaseName ||
+      (Array.isArray(players) &&
+        players.some(
+          (player) => normalizeName(player).toLowerCase() === lowerCaseName
+        ))
+    ) {
+      return teamId
+    }
+  }
+
+  return null
+}
+
+/**
+ * Filters history entries and sorts them newest first.
+ *
+ * @param {import('./match-history-types.js').MatchHistoryEntry[]} entries
+ * @param {HistoryQuery} [query]
+ * @returns {import('./match-history-types.js').MatchHistoryEntry[]}
+ */
+export function filterMatchHistory(entries, query = {}) {
+  const now = query.now ?? Date.now()
+  const currentMonth = new Date(now)
+
+  return entries
+    .filter((entry) => {
+      if (query.period === 'thisMonth') {
+        const { year, month } = getHistoryEntryMonth(entry)
+
+        if (
+          year !== currentMonth.getFullYear() ||
+          month !== currentMonth.getMonth() + 1
+        ) {
+          return false
+        }
+      } else if (
+        query.period === 'last30Days' &&
+        !(entry.completedAt > now - 30 * DAY_MS && entry.completedAt <= now)
+      ) {
+        return false
+      }
+
+      const side = findHistoryEntrySide(entry, query.name)
+
+      if (!side) {
+        return false
+      }
+
+      if (query.result === 'wins') {
+        return entry.winnerTeam === side
+      }
+
+      if (query.result === 'losses') {
+        return typeof entry.winnerTeam === 'string' && entry.winnerTeam !== side
+      }
+
+      return true
+    })
+    .sort((left, right) => right.completedAt - left.completedAt)
+}
+
+/**
+ * Queries the stored match history.
+ *
+ * @param {HistoryQuery} [query]
+ * @returns {import('./match-history-types.js').MatchHistoryEntry[]} Newest first.
+ */
+export function queryMatchHistory(query = {}) {
+  return filterMatchHistory(loadMatchHistory(), query)
+}
+
+/**
+ * Lists the custom team names and player names found in history, for the
+ * name filter of the history screen.
+ *
+ * @param {import('./match-history-types.js').MatchHistoryEntry[]} entries
+ * @returns {string[]} Sorted, without case-insensitive duplicates.
+ */
+export function listHistoryNames(entries) {
+  const names = new Map()
+
+  for (const entry of entries) {
+    const candidates = []
+
+    for (const [label, players] of [
+      [entry.teamALabel, entry.teamAPlayers],
+      [entry.teamBLabel, entry.teamBPlayers]
+    ]) {
+      const playerNames = Array.isArray(players) ? players : []
+
+      // Labels made up of the player names add nothing to filter by.
+      if (
+        label.toLowerCase() !==
+        playerNames.map(normalizeName).join(' / ').toLowerCase()
+      ) {
+        candidates.push(label)
+      }
+
+      candidates.push(...playerNames)
+    }
+
+    for (const candidate of candidates) {
+      const name = normalizeName(candidate)
+
+      if (
+        name.length > 0 &&
+        !isDefaultTeamLabel(name) &&
+        !names.has(name.toLowerCase())
+      ) {
+        names.set(name.toLowerCase(), name)
+      }
+    }
+  }
+
+  return [...names.values()].sort((left, right) => left.localeCompare(right))
+}
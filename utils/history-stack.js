@@ -1,11 +1,22 @@
+/**
+ * Redo entries beyond this count drop the oldest one, which bounds the memory
+ * a long run of undos can hold on to.
+ */
+export const MAX_REDO_ENTRIES = 20
+
 /**
  * @template T
  * @typedef HistoryStack
  * @property {(state: T) => T} push
  * @property {() => T | null} pop
- * @property {() => void} clear
+ * @property {() => void} clear - Drops both undo snapshots and redo entries.
  * @property {() => number} size
  * @property {() => boolean} isEmpty
+ * @property {(limit?: number) => T[]} toArray
+ * @property {(entry: object) => void} pushRedo
+ * @property {() => object | null} popRedo
+ * @property {() => void} clearRedo
+ * @property {() => number} redoSize
  */
 
 /**
@@ -140,6 +151,8 @@ export function deepCopyState(state) {
 export function createHistoryStack() {
   /** @type {T[]} */
   const snapshots = []
+  /** @type {object[]} */
+  const redoEntries = []
 
   return {
     push(state) {
@@ -156,12 +169,43 @@ export function createHistoryStack() {
     },
     clear() {
       snapshots.length = 0
+      redoEntries.length = 0
     },
     size() {
       return snapshots.length
     },
     isEmpty() {
       return snapshots.length === 0
+    },
+    toArray(limit) {
+      const startIndex =
+        Number.isInteger(limit) && limit >= 0
+          ? Math.max(snapshots.length - limit, 0)
+          : 0
+
+      return snapshots
+        .slice(startIndex)
+        .map((snapshot) => deepCopyState(snapshot))
+    },
+    pushRedo(entry) {
+      redoEntries.push(deepCopyState(entry))
+
+      if (redoEntries.length > MAX_REDO_ENTRIES) {
+        redoEntries.shift()
+      }
+    },
+    popRedo() {
+      if (redoEntries.length === 0) {
+        return null
+      }
+
+      return deepCopyState(redoEntries.pop())
+    },
+    clearRedo() {
+      redoEntries.length = 0
+    },
+    redoSize() {
+      return redoEntries.length
     }
   }
 }
@@ -0,0 +1,204 @@
+import { PERSISTED_ADVANTAGE_POINT_VALUE } from './constants.js'
+import { findHistoryEntrySide, getHistoryEntryMonth } from './history-query.js'
+import { SCORE_POINTS } from './scoring-constants.js'
+
+/**
+ * @typedef MonthStatistics
+ * @property {number} year
+ * @property {number} month - 1 to 12.
+ * @property {number} played
+ * @property {number} won
+ * @property {number} lost
+ */
+
+/**
+ * @typedef HistoryStatistics
+ * @property {number} played - Drawn matches count as played only.
+ * @property {number} won
+ * @property {number} lost
+ * @property {number | null} winRate - Percentage of played matches won, rounded; null before any match.
+ * @property {number} setsWon
+ * @property {number} setsLost
+ * @property {number} gamesWon - Super tie-break points are not counted as games.
+ * @property {number} gamesLost
+ * @property {number} tieBreaksWon - Tie-break and super tie-break sets won.
+ * @property {number} tieBreaksLost
+ * @property {number | null} averageDurationMs - Over the matches with a known duration.
+ * @property {number} currentWinStreak - Wins since the last match that was not won.
+ * @property {number} longestWinStreak
+ * @property {MonthStatistics[]} months - Newest month first.
+ */
+
+/**
+ * Matches saved before play time was tracked fall back to the time from the
+ * first point to the end of the match.
+ *
+ * @param {import('./match-history-types.js').MatchHistoryEntry} entry
+ * @returns {number | null} Milliseconds played, or null when unknown.
+ */
+export function getHistoryEntryDuration(entry) {
+  if (Number.isFinite(entry.durationMs) && entry.durationMs >= 0) {
+    return entry.durationMs
+  }
+
+  const firstPointAt = Array.isArray(entry.pointLog)
+    ? entry.pointLog[0]?.timestamp
+    : undefined
+
+  if (!Number.isFinite(firstPointAt) || !Number.isFinite(entry.completedAt)) {
+    return null
+  }
+
+  const duration = entry.completedAt - firstPointAt
+  return duration >= 0 ? duration : null
+}
+
+/**
+ * Sets saved before tie-breaks were recorded are checked against the point
+ * log: a tie-break decided the set when its winning point was played from
+ * tie-break points, as a regular game is only won from 40 or advantage.
+ *
+ * @param {import('./match-history-types.js').MatchHistoryEntry} entry
+ * @param {import('./match-state-schema.js').SetHistoryEntry} set
+ * @returns {boolean}
+ */
+function isTieBreakSet(entry, set) {
+  if (set.superTieBreak === true || set.tieBreak === true) {
+    return true
+  }
+
+  const pointLog = Array.isArray(entry.pointLog) ? entry.pointLog : []
+
+  for (let index = pointLog.length - 1; index >= 0; index -= 1) {
+    const point = pointLog[index]
+
+    if (point?.setNumber !== set.setNumber) {
+      continue
+    }
+
+    const team = point.team
+    const pointsBefore = point.before?.points?.[team]
+
+    // Sets cut short, e.g. by finishing the match, were not won by a point.
+    return (
+      point.after?.setsWon?.[team] > point.before?.setsWon?.[team] &&
+      pointsBefore !== SCORE_POINTS.FORTY &&
+      pointsBefore !== PERSISTED_ADVANTAGE_POINT_VALUE
+    )
+  }
+
+  return false
+}
+
+/**
+ * Aggregates match history for one side: the named team or player, or
+ * Team A when no name is given. Entries the name did not play in are left
+ * out.
+ *
+ * @param {import('./match-history-types.js').MatchHistoryEntry[]} entries
+ * @param {string} [name]
+ * @returns {HistoryStatistics}
+ */
+export function computeHistoryStatistics(entries, name = '') {
+  const statistics = {
+    played: 0,
+    won: 0,
+    lost: 0,
+    winRate: null,
+    setsWon: 0,
+    setsLost: 0,
+    gamesWon: 0,
+    gamesLost: 0,
+    tieBreaksWon: 0,
+    tieBreaksLost: 0,
+    averageDurationMs: null,
+    currentWinStreak: 0,
+    longestWinStreak: 0,
+    months: []
+  }
+  const months = new Map()
+  let totalDuration = 0
+  let timedMatches = 0
+
+  // Oldest first, so the streaks follow the order the matches were played in.
+  const chronologicalEntries = [...entries].sort(
+    (left, right) => left.completedAt - right.completedAt
+  )
+
+  for (const entry of chronologicalEntries) {
+    const side = findHistoryEntrySide(entry, name)
+
+    if (!side) {
+      continue
+    }
+
+    const isTeamA = side === 'teamA'
+    const didWin = entry.winnerTeam === side
+    const didLose = typeof entry.winnerTeam === 'string' && !didWin
+
+    statistics.played += 1
+    statistics.won += didWin ? 1 : 0
+    statistics.lost += didLose ? 1 : 0
+    statistics.setsWon += isTeamA ? entry.setsWonTeamA : entry.setsWonTeamB
+    statistics.setsLost += isTeamA ? entry.setsWonTeamB : entry.setsWonTeamA
+
+    for (const set of entry.setHistory) {
+      const ownGames = isTeamA ? set?.teamAGames : set?.teamBGames
+      const opponentGames = isTeamA ? set?.teamBGames : set?.teamAGames
+
+      if (!Number.isFinite(ownGames) || !Number.isFinite(opponentGames)) {
+        continue
+      }
+
+      if (isTieBreakSet(entry, set)) {
+        statistics.tieBreaksWon += ownGames > opponentGames ? 1 : 0
+        statistics.tieBreaksLost += ownGames < opponentGames ? 1 : 0
+      }
+
+      if (set.superTieBreak !== true) {
+        statistics.gamesWon += ownGames
+        statistics.gamesLost += opponentGames
+      }
+    }
+
+    const duration = getHistoryEntryDuration(entry)
+
+    if (duration !== null) {
+      totalDuration += duration
+      timedMatches += 1
+    }
+
+    statistics.currentWinStreak = didWin ? statistics.currentWinStreak + 1 : 0
+    statistics.longestWinStreak = Math.max(
+      statistics.longestWinStreak,
+      statistics.currentWinStreak
+    )
+
+    const { year, month } = getHistoryEntryMonth(entry)
+    const monthKey = year * 100 + month
+    let monthStatistics = months.get(monthKey)
+
+    if (!monthStatistics) {
+      monthStatistics = { year, month, played: 0, won: 0, lost: 0 }
+      months.set(monthKey, monthStatistics)
+    }
+
+    monthStatistics.played += 1
+    monthStatistics.won += didWin ? 1 : 0
+    monthStatistics.lost += didLose ? 1 : 0
+  }
+
+  if (statistics.played > 0) {
+    statistics.winRate = Math.round((statistics.won / statistics.played) * 100)
+  }
+
+  if (timedMatches > 0) {
+    statistics.averageDurationMs = Math.round(totalDuration / timedMatches)
+  }
+
+  statistics.months = [...months.entries()]
+    .sort(([leftKey], [rightKey]) => rightKey - leftKey)
+    .map(([, monthStatistics]) => monthStatistics)
+
+  return statistics
+}
@@ -0,0 +1,220 @@
+import { loadMatchHistory } from './match-history-storage.js'
+import { deleteState, loadState, saveState } from './persistence.js'
+import {
+  createHistoryEntryMessage,
+  parseSyncMessage,
+  SYNC_MESSAGE_TYPE
+} from './sync-protocol.js'
+
+/**
+ * @typedef HistorySyncClient
+ * @property {() => number} syncPending - Starts sending every entry the phone has not acknowledged yet, a batch at a time, and returns how many are pending.
+ * @property {() => void} stop - Cancels pending retries.
+ */
+
+/**
+ * @typedef HistorySyncOptions
+ * @property {number} [retryDelay] - Milliseconds to wait for acknowledgements before resending.
+ * @property {number} [maxRetries] - Resends per batch before waiting for the next sync request.
+ * @property {number} [batchSize] - Entries sent before waiting for their acknowledgements.
+ * @property {(callback: () => void, delay: number) => unknown} [setTimeout]
+ * @property {(timer: unknown) => void} [clearTimeout]
+ */
+
+export const HISTORY_SYNC_STORAGE_KEY = 'padel-buddy.history-sync'
+export const HISTORY_SYNC_RETRY_DELAY_MS = 30000
+export const MAX_HISTORY_SYNC_RETRIES = 5
+export const HISTORY_SYNC_BATCH_SIZE = 10
+
+/**
+ * @returns {string[]} Ids of history entries the phone has acknowledged.
+ */
+export function loadSyncedHistoryIds() {
+  try {
+    const storedIds = loadState(HISTORY_SYNC_STORAGE_KEY)
+
+    if (!Array.isArray(storedIds)) {
+      return []
+    }
+
+    return storedIds.filter((id) => typeof id === 'string' && id.length > 0)
+  } catch {
+    return []
+  }
+}
+
+/**
+ * Records an acknowledged entry. Only ids still in history are kept, so the
+ * list never outgrows the history itself.
+ *
+ * @param {string} entryId
+ * @param {Set<string>} [historyIds] - Ids in history, when already known.
+ * @returns {boolean}
+ */
+export function markHistoryEntrySynced(
+  entryId,
+  historyIds = new Set(loadMatchHistory().map((entry) => entry.id))
+) {
+  const syncedIds = [...new Set([...loadSyncedHistoryIds(), entryId])].filter(
+    (id) => historyIds.has(id)
+  )
+
+  try {
+    return saveState(HISTORY_SYNC_STORAGE_KEY, syncedIds)
+  } catch {
+    return false
+  }
+}
+
+export function clearHistorySyncState() {
+  try {
+    return deleteState(HISTORY_SYNC_STORAGE_KEY)
+  } catch {
+    return false
+  }
+}
+
+/**
+ * @returns {import('./match-history-types.js').MatchHistoryEntry[]} Entries not acknowledged by the phone, oldest first.
+ */
+export function getPendingHistoryEntries() {
+  const syncedIds = new Set(loadSyncedHistoryIds())
+
+  return loadMatchHistory()
+    .filter((entry) => !syncedIds.has(entry.id))
+    .reverse()
+}
+
+/**
+ * Pushes unsynced history entries over a messaging channel and marks them as
+ * synced when the phone acknowledges them. Entries stay pending until their
+ * acknowledgement arrives, so a lost message or ack is resent on the next
+ * retry or the next sync.
+ *
+ * History is read once per sync, and entries go out in batches: the next
+ * batch is sent once the phone has acknowledged the current one.
+ *
+ * @param {import('./phone-messaging.js').MessagingChannel} channel
+ * @param {HistorySyncOptions} [options]
+ * @returns {HistorySyncClient}
+ */
+export function createHistorySyncClient(channel, options = {}) {
+  const retryDelay = options.retryDelay ?? HISTORY_SYNC_RETRY_DELAY_MS
+  const maxRetries = options.maxRetries ?? MAX_HISTORY_SYNC_RETRIES
+  const scheduleTimer = options.setTimeout ?? globalThis.setTimeout
+  const cancelTimer = options.clearTimeout ?? globalThis.clearTimeout
+  const batchSize = Math.max(1, options.batchSize ?? HISTORY_SYNC_BATCH_SIZE)
+  let retryTimer = null
+  let retries = 0
+  let stopped = false
+  /** @type {Set<string> | null} */
+  let historyIds = null
+  /** @type {import('./match-history-types.js').MatchHistoryEntry[]} */
+  let queuedEntries = []
+  /** @type {Map<string, import('./match-history-types.js').MatchHistoryEntry>} */
+  const batch = new Map()
+
+  const sendBatch = () => {
+    batch.forEach((entry) => {
+      channel.send(createHistoryEntryMessage(entry))
+    })
+
+    if (batch.size > 0) {
+      scheduleRetry()
+    }
+  }
+
+  const sendNextBatch = () => {
+    queuedEntries.splice(0, batchSize).forEach((entry) => {
+      batch.set(entry.id, entry)
+    })
+    retries = 0
+    cancelRetry()
+    sendBatch()
+  }
+
+  const startSync = () => {
+    if (stopped) {
+      return 0
+    }
+
+    const history = loadMatchHistory()
+    const syncedIds = new Set(loadSyncedHistoryIds())
+
+    historyIds = new Set(history.map((entry) => entry.id))
+    queuedEntries = history
+      .filter((entry) => !syncedIds.has(entry.id))
+      .reverse()
+    batch.clear()
+
+    const pendingCount = queuedEntries.length
+
+    sendNextBatch()
+    return pendingCount
+  }
+
+  const handleAck = (entryId) => {
+    if (historyIds === null) {
+      markHistoryEntrySynced(entryId)
+      return
+    }
+
+    markHistoryEntrySynced(entryId, historyIds)
+
+    if (!batch.delete(entryId) || batch.size > 0 || stopped) {
+      return
+    }
+
+    if (queuedEntries.length > 0) {
+      sendNextBatch()
+    } else {
+      cancelRetry()
+    }
+  }
+
+  const cancelRetry = () => {
+    if (retryTimer !== null && typeof cancelTimer === 'function') {
+      cancelTimer(retryTimer)
+    }
+
+    retryTimer = null
+  }
+
+  const scheduleRetry = () => {
+    if (
+      retryTimer !== null ||
+      retries >= maxRetries ||
+      typeof scheduleTimer !== 'function'
+    ) {
+      return
+    }
+
+    retryTimer = scheduleTimer(() => {
+      retryTimer = null
+      retries += 1
+
+      if (!stopped) {
+        sendBatch()
+      }
+    }, retryDelay)
+  }
+
+  channel.onMessage((value) => {
+    const message = parseSyncMessage(value)
+
+    if (message?.type === SYNC_MESSAGE_TYPE.HISTORY_ACK) {
+      handleAck(message.id)
+    }
+  })
+
+  return {
+    syncPending() {
+      return startSync()
+    },
+
+    stop() {
+      stopped = true
+      cancelRetry()
+    }
+  }
+}
@@ -0,0 +1,167 @@
+import { TIME_LIMIT_WARNING_MINUTES } from './constants.js'
+import {
+  MATCH_STATUS,
+  readTimestampCandidate,
+  toIsoTimestampSafe
+} from './match-state-schema.js'
+import {
+  isNonNegativeInteger,
+  isPositiveInteger,
+  isRecord
+} from './validation.js'
+
+const MINUTE_MS = 60000
+
+/**
+ * The match clock lives in the match timing: `activeDurationMs` banks the
+ * play time of finished stretches and `resumedAt` marks when the current
+ * stretch started, or is null while the clock is stopped. Time spent paused
+ * is never counted.
+ *
+ * Timings saved before matches could be paused have neither field; their
+ * clock runs from `startedAt` until `finishedAt`.
+ */
+
+/**
+ * @param {import('./match-state-schema.js').MatchTiming | null | undefined} timing
+ * @returns {boolean}
+ */
+export function isMatchClockRunning(timing) {
+  if (!isRecord(timing)) {
+    return false
+  }
+
+  if (timing.resumedAt === undefined) {
+    return readTimestampCandidate(timing.finishedAt) === null
+  }
+
+  return readTimestampCandidate(timing.resumedAt) !== null
+}
+
+/**
+ * @param {import('./match-state-schema.js').MatchTiming | null | undefined} timing
+ * @param {number} [now]
+ * @returns {number | null} Milliseconds played, or null when the match start is unknown.
+ */
+export function getMatchElapsedMs(timing, now = Date.now()) {
+  if (!isRecord(timing)) {
+    return null
+  }
+
+  const bankedMs = isNonNegativeInteger(timing.activeDurationMs)
+    ? timing.activeDurationMs
+    : 0
+
+  if (timing.resumedAt === undefined) {
+    const startedAt = readTimestampCandidate(timing.startedAt)
+
+    if (startedAt === null) {
+      return null
+    }
+
+    const endedAt = readTimestampCandidate(timing.finishedAt) ?? now
+    return bankedMs + Math.max(0, endedAt - startedAt)
+  }
+
+  const resumedAt = readTimestampCandidate(timing.resumedAt)
+
+  if (resumedAt === null) {
+    return bankedMs
+  }
+
+  return bankedMs + Math.max(0, now - resumedAt)
+}
+
+/**
+ * Starts or stops the clock so it runs only while the match is active.
+ *
+ * @param {import('./match-state-schema.js').MatchTiming} timing
+ * @param {import('./match-state-schema.js').MatchStatus} status
+ * @param {number} [now]
+ * @returns {import('./match-state-schema.js').MatchTiming} The same timing when the clock already matches the status.
+ */
+export function syncMatchClock(timing, status, now = Date.now()) {
+  if (!isRecord(timing)) {
+    return timing
+  }
+
+  const shouldRun = status === MATCH_STATUS.ACTIVE
+
+  if (isMatchClockRunning(timing) === shouldRun) {
+    return timing
+  }
+
+  return {
+    ...timing,
+    activeDurationMs: getMatchElapsedMs(timing, now) ?? 0,
+    resumedAt: shouldRun ? toIsoTimestampSafe(now) : null
+  }
+}
+
+/**
+ * Counts down the time limit of a timed match on the match clock, so the
+ * countdown stops while the match is paused.
+ *
+ * @param {{ settings?: import('./match-state-schema.js').MatchSettings, timing?: import('./match-state-schema.js').MatchTiming } | null | undefined} matchState
+ * @param {number} [now]
+ * @returns {number | null} Milliseconds left, 0 once time is up; null for untimed matches.
+ */
+export function getMatchTimeRemainingMs(matchState, now = Date.now()) {
+  const timeLimitMinutes = matchState?.settings?.timeLimitMinutes
+
+  if (!isPositiveInteger(timeLimitMinutes)) {
+    return null
+  }
+
+  const elapsedMs = getMatchElapsedMs(matchState.timing, now)
+
+  if (elapsedMs === null) {
+    return null
+  }
+
+  return Math.max(0, timeLimitMinutes * MINUTE_MS - elapsedMs)
+}
+
+/**
+ * @param {number | null} previousRemainingMs
+ * @param {number | null} remainingMs
+ * @returns {number | null} The last warning, in minutes left, passed between
+ *   the two readings; null when none was.
+ */
+export function getPassedTimeLimitWarning(previousRemainingMs, remainingMs) {
+  if (!Number.isFinite(previousRemainingMs) || !Number.isFinite(remainingMs)) {
+    return null
+  }
+
+  let passedWarning = null
+
+  for (const warningMinutes of TIME_LIMIT_WARNING_MINUTES) {
+    const warningMs = warningMinutes * MINUTE_MS
+
+    if (previousRemainingMs > warningMs && remainingMs <= warningMs) {
+      passedWarning = warningMinutes
+    }
+  }
+
+  return passedWarning
+}
+
+/**
+ * @param {number | null} durationMs
+ * @returns {string} e.g. "1h 05m" or "48m"; "--" when unknown.
+ */
+export function formatMatchDuration(durationMs) {
+  if (!Number.isFinite(durationMs)) {
+    return '--'
+  }
+
+  const totalMinutes = Math.round(durationMs / MINUTE_MS)
+  const hours = Math.floor(totalMinutes / 60)
+  const minutes = totalMinutes % 60
+
+  if (hours === 0) {
+    return `${minutes}m`
+  }
+
+  return `${hours}h ${minutes < 10 ? `0${minutes}` : minutes}m`
+}
@@ -0,0 +1,104 @@
+import { DEFAULT_GAMES_PER_SET, DEFAULT_SCORING_MODE } from './constants.js'
+import { deleteState, loadState, saveState } from './persistence.js'
+import {
+  isRecord,
+  isSupportedGamesPerSet,
+  isSupportedScoringMode,
+  isSupportedSetsToPlay
+} from './validation.js'
+
+/**
+ * Format the setup screen starts with. Edited from the phone settings app.
+ *
+ * @typedef MatchDefaults
+ * @property {number | null} setsToPlay - Null leaves the choice to the setup screen.
+ * @property {import('./match-state-schema.js').ScoringMode} scoringMode
+ * @property {import('./match-state-schema.js').GamesPerSet} gamesPerSet
+ * @property {boolean} superTieBreak - Final set played as a super tie-break.
+ * @property {boolean} finalSetTieBreak - Ignored while superTieBreak is on.
+ */
+
+export const MATCH_DEFAULTS_STORAGE_KEY = 'padel-buddy.match-defaults'
+
+/**
+ * @returns {MatchDefaults}
+ */
+export function createDefaultMatchDefaults() {
+  return {
+    setsToPlay: null,
+    scoringMode: DEFAULT_SCORING_MODE,
+    gamesPerSet: DEFAULT_GAMES_PER_SET,
+    superTieBreak: false,
+    finalSetTieBreak: true
+  }
+}
+
+/**
+ * @param {unknown} value
+ * @returns {MatchDefaults} Unsupported fields fall back to the built-in defaults.
+ */
+export function normalizeMatchDefaults(value) {
+  const defaults = createDefaultMatchDefaults()
+
+  if (!isRecord(value)) {
+    return defaults
+  }
+
+  const superTieBreak =
+    typeof value.superTieBreak === 'boolean'
+      ? value.superTieBreak
+      : defaults.superTieBreak
+
+  return {
+    setsToPlay: isSupportedSetsToPlay(value.setsToPlay)
+      ? value.setsToPlay
+      : defaults.setsToPlay,
+    scoringMode: isSupportedScoringMode(value.scoringMode)
+      ? value.scoringMode
+      : defaults.scoringMode,
+    gamesPerSet: isSupportedGamesPerSet(value.gamesPerSet)
+      ? value.gamesPerSet
+      : defaults.gamesPerSet,
+    superTieBreak,
+    finalSetTieBreak:
+      superTieBreak ||
+      (typeof value.finalSetTieBreak === 'boolean'
+        ? value.finalSetTieBreak
+        : defaults.finalSetTieBreak)
+  }
+}
+
+/**
+ * @returns {MatchDefaults}
+ */
+export function loadMatchDefaults() {
+  try {
+    return normalizeMatchDefaults(loadState(MATCH_DEFAULTS_STORAGE_KEY))
+  } catch {
+    return createDefaultMatchDefaults()
+  }
+}
+
+/**
+ * @param {unknown} matchDefaults
+ * @returns {MatchDefaults} The normalized defaults that were saved.
+ */
+export function saveMatchDefaults(matchDefaults) {
+  const normalizedDefaults = normalizeMatchDefaults(matchDefaults)
+
+  try {
+    saveState(MATCH_DEFAULTS_STORAGE_KEY, normalizedDefaults)
+  } catch {
+    // Ignore persistence errors.
+  }
+
+  return normalizedDefaults
+}
+
+export function clearMatchDefaults() {
+  try {
+    return deleteState(MATCH_DEFAULTS_STORAGE_KEY)
+  } catch {
+    return false
+  }
+}
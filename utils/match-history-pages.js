@@ -0,0 +1,125 @@
+import {
+  isNonNegativeInteger,
+  isPositiveInteger,
+  isRecord
+} from './validation.js'
+
+/**
+ * Storage layout of the match history. Entries are stored newest first in
+ * pages of up to HISTORY_PAGE_SIZE entries, each under its own key, and an
+ * index lists the pages newest first. Screens load one page at a time and
+ * history has no size limit.
+ *
+ * This module only describes the layout and does not touch storage, so the
+ * storage schema migration can use it as well as match-history-storage.js.
+ */
+
+/**
+ * @typedef HistoryIndexPage
+ * @property {number} id - Page key suffix; ids are never reused.
+ * @property {number} count - Entries stored in the page.
+ */
+
+/**
+ * @typedef HistoryIndex
+ * @property {HistoryIndexPage[]} pages - Newest page first.
+ * @property {number} nextPageId
+ */
+
+/** Single key that held the whole history before it was paged. */
+export const LEGACY_HISTORY_STORAGE_KEY = 'padel-buddy.match-history'
+export const HISTORY_INDEX_STORAGE_KEY = 'padel-buddy.match-history-index'
+export const HISTORY_PAGE_STORAGE_KEY_PREFIX = 'padel-buddy.match-history-page.'
+export const HISTORY_PAGE_SIZE = 20
+
+/**
+ * @param {number} pageId
+ * @returns {string}
+ */
+export function getHistoryPageKey(pageId) {
+  return `${HISTORY_PAGE_STORAGE_KEY_PREFIX}${pageId}`
+}
+
+/**
+ * @param {unknown} entry
+ * @returns {boolean}
+ */
+export function isValidHistoryEntry(entry) {
+  if (!entry || typeof entry !== 'object') {
+    return false
+  }
+
+  const value = /** @type {any} */ (entry)
+
+  return (
+    typeof value.id === 'string' &&
+    typeof value.completedAt === 'number' &&
+    typeof value.teamALabel === 'string' &&
+    typeof value.teamBLabel === 'string' &&
+    typeof value.setsWonTeamA === 'number' &&
+    typeof value.setsWonTeamB === 'number' &&
+    Array.isArray(value.setHistory)
+  )
+}
+
+/**
+ * @returns {HistoryIndex}
+ */
+export function createEmptyHistoryIndex() {
+  return { pages: [], nextPageId: 1 }
+}
+
+/**
+ * @param {unknown} value
+ * @returns {HistoryIndex} An empty index when the value is not a valid index.
+ */
+export function normalizeHistoryIndex(value) {
+  if (!isRecord(value) || !Array.isArray(value.pages)) {
+    return createEmptyHistoryIndex()
+  }
+
+  const pages = value.pages.filter(
+    (page) =>
+      isRecord(page) &&
+      isPositiveInteger(page.id) &&
+      isNonNegativeInteger(page.count)
+  )
+  const highestPageId = pages.reduce(
+    (highest, page) => Math.max(highest, page.id),
+    0
+  )
+
+  return {
+    pages: pages.map((page) => ({ id: page.id, count: page.count })),
+    nextPageId: isPositiveInteger(value.nextPageId)
+      ? Math.max(value.nextPageId, highestPageId + 1)
+      : highestPageId + 1
+  }
+}
+
+/**
+ * Splits entries that are already sorted newest first into pages, numbering
+ * them from `firstPageId`.
+ *
+ * @param {unknown[]} entries
+ * @param {number} [firstPageId]
+ * @returns {{ index: HistoryIndex, pages: Array<{ id: number, entries: unknown[] }> }}
+ */
+export function paginateHistoryEntries(entries, firstPageId = 1) {
+  const pages = []
+
+  for (let start = 0; start < entries.length; start += HISTORY_PAGE_SIZE) {
+    pages.push({
+      id: firstPageId + pages.length,
+      entries: entries.slice(start, start + HISTORY_PAGE_SIZE)
+    })
+  }
+
+  return {
+    index: {
+      pages: pages.map((page) => ({ id: page.id, count: page.entries.length })),
+      nextPageId: firstPageId + pages.length
+    },
+    pages
+  }
+}
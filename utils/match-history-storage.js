@@ -1,53 +1,71 @@
 import {
-  createMatchHistoryEntry,
-  MATCH_HISTORY_SCHEMA_VERSION
-} from './match-history-types.js'
+  getHistoryPageKey,
+  HISTORY_INDEX_STORAGE_KEY,
+  HISTORY_PAGE_SIZE,
+  isValidHistoryEntry,
+  normalizeHistoryIndex,
+  paginateHistoryEntries
+} from './match-history-pages.js'
+import { createMatchHistoryEntry } from './match-history-types.js'
 import { deleteState, loadState, saveState } from './persistence.js'
 
-export const HISTORY_STORAGE_KEY = 'padel-buddy.match-history'
-export const MAX_HISTORY_ENTRIES = 50
+/**
+ * @typedef HistoryImportReport
+ * @property {number} added - Entries merged into history.
+ * @property {number} skipped - Valid entries left out because their id is already in history.
+ * @property {number} rejected - Entries that are not valid history entries.
+ */
 
-function isValidHistoryEntry(entry) {
-  if (!entry || typeof entry !== 'object') {
-    return false
-  }
+/**
+ * @returns {import('./match-history-pages.js').HistoryIndex}
+ */
+function loadHistoryIndex() {
+  return normalizeHistoryIndex(loadState(HISTORY_INDEX_STORAGE_KEY))
+}
 
-  const value = /** @type {any} */ (entry)
+/**
+ * @param {number} pageId
+ * @returns {Array<import('./match-history-types.js').MatchHistoryEntry>}
+ */
+function loadHistoryPageEntries(pageId) {
+  const entries = loadState(getHistoryPageKey(pageId), {
+    fallback: [],
+    validate: Array.isArray
+  })
 
-  return (
-    typeof value.id === 'string' &&
-    typeof value.completedAt === 'number' &&
-    typeof value.teamALabel === 'string' &&
-    typeof value.teamBLabel === 'string' &&
-    typeof value.setsWonTeamA === 'number' &&
-    typeof value.setsWonTeamB === 'number' &&
-    Array.isArray(value.setHistory)
-  )
+  return entries.filter(isValidHistoryEntry)
 }
 
-function normalizeHistoryPayload(value) {
-  if (Array.isArray(value)) {
-    return {
-      matches: value,
-      schemaVersion: MATCH_HISTORY_SCHEMA_VERSION
+/**
+ * Rewrites the whole history, sorted newest first. New pages get fresh ids
+ * and the index is switched over before the old pages are removed, so a
+ * failed write leaves the previous history readable.
+ *
+ * @param {Array<import('./match-history-types.js').MatchHistoryEntry>} matches
+ * @returns {boolean}
+ */
+function saveHistoryEntries(matches) {
+  const previousIndex = loadHistoryIndex()
+  const { index, pages } = paginateHistoryEntries(
+    matches,
+    previousIndex.nextPageId
+  )
+
+  for (const page of pages) {
+    if (!saveState(getHistoryPageKey(page.id), page.entries)) {
+      return false
     }
   }
 
-  if (!value || typeof value !== 'object' || !Array.isArray(value.matches)) {
-    return null
+  if (!saveState(HISTORY_INDEX_STORAGE_KEY, index)) {
+    return false
   }
 
-  return {
-    matches: value.matches,
-    schemaVersion: MATCH_HISTORY_SCHEMA_VERSION
+  for (const page of previousIndex.pages) {
+    deleteState(getHistoryPageKey(page.id))
   }
-}
 
-function saveHistoryEntries(matches) {
-  return saveState(HISTORY_STORAGE_KEY, {
-    matches,
-    schemaVersion: MATCH_HISTORY_SCHEMA_VERSION
-  })
+  return true
 }
 
 export function saveMatchToHistory(matchState) {
@@ -62,33 +80,59 @@ export function saveMatchToHistory(matchState) {
       return false
     }
 
-    const history = loadMatchHistory()
-    history.unshift(newEntry)
+    const index = loadHistoryIndex()
+    const newestPage = index.pages[0]
+
+    if (newestPage && newestPage.count < HISTORY_PAGE_SIZE) {
+      const entries = [newEntry, ...loadHistoryPageEntries(newestPage.id)]
 
-    while (history.length > MAX_HISTORY_ENTRIES) {
-      history.pop()
+      newestPage.count = entries.length
+      return (
+        saveState(getHistoryPageKey(newestPage.id), entries) &&
+        saveState(HISTORY_INDEX_STORAGE_KEY, index)
+      )
     }
 
-    return saveHistoryEntries(history)
+    const pageId = index.nextPageId
+
+    index.pages.unshift({ id: pageId, count: 1 })
+    index.nextPageId = pageId + 1
+
+    return (
+      saveState(getHistoryPageKey(pageId), [newEntry]) &&
+      saveState(HISTORY_INDEX_STORAGE_KEY, index)
+    )
   } catch {
     return false
   }
 }
 
 /**
- * @returns {Array<import('./match-history-types.js').MatchHistoryEntry>}
+ * Loads every stored match. Screens that list history should page through
+ * it with loadMatchHistoryPage instead.
+ *
+ * @returns {Array<import('./match-history-types.js').MatchHistoryEntry>} Newest first.
  */
 export function loadMatchHistory() {
-  const payload = loadState(HISTORY_STORAGE_KEY, {
-    fallback: null,
-    revive: normalizeHistoryPayload
-  })
+  return loadHistoryIndex().pages.flatMap((page) =>
+    loadHistoryPageEntries(page.id)
+  )
+}
 
-  if (!payload) {
-    return []
-  }
+/**
+ * @returns {number}
+ */
+export function getMatchHistoryPageCount() {
+  return loadHistoryIndex().pages.length
+}
 
-  return payload.matches.filter(isValidHistoryEntry)
+/**
+ * @param {number} pageIndex - 0 for the newest page.
+ * @returns {Array<import('./match-history-types.js').MatchHistoryEntry>} Empty past the last page.
+ */
+export function loadMatchHistoryPage(pageIndex) {
+  const page = loadHistoryIndex().pages[pageIndex]
+  return page ? loadHistoryPageEntries(page.id) : []
 }
 
 /**
@@ -100,16 +144,70 @@ export function loadMatchById(matchId) {
     return null
   }
 
+  for (const page of loadHistoryIndex().pages) {
+    const entry = loadHistoryPageEntries(page.id).find(
+      (pageEntry) => pageEntry.id === matchId
+    )
+
+    if (entry) {
+      return entry
+    }
+  }
+
+  return null
+}
+
+/**
+ * Merges imported entries into history by `id` and keeps the merged history
+ * sorted newest first.
+ *
+ * @param {unknown[]} entries
+ * @returns {HistoryImportReport | null} Null when the merged history could not be saved.
+ */
+export function importMatchHistoryEntries(entries) {
   const history = loadMatchHistory()
-  return history.find((entry) => entry.id === matchId) || null
+  const knownIds = new Set(history.map((entry) => entry.id))
+  const addedEntries = []
+  let skipped = 0
+  let rejected = 0
+
+  for (const entry of entries) {
+    if (!isValidHistoryEntry(entry)) {
+      rejected += 1
+    } else if (knownIds.has(entry.id)) {
+      skipped += 1
+    } else {
+      knownIds.add(entry.id)
+      addedEntries.push(entry)
+    }
+  }
+
+  if (
+    addedEntries.length > 0 &&
+    !saveHistoryEntries(
+      [...history, ...addedEntries].sort(
+        (left, right) => right.completedAt - left.completedAt
+      )
+    )
+  ) {
+    return null
+  }
+
+  return { added: addedEntries.length, skipped, rejected }
 }
 
 export function clearMatchHistory() {
-  return deleteState(HISTORY_STORAGE_KEY)
+  const index = loadHistoryIndex()
+
+  for (const page of index.pages) {
+    deleteState(getHistoryPageKey(page.id))
+  }
+
+  return deleteState(HISTORY_INDEX_STORAGE_KEY)
 }
 
 export function getMatchHistoryCount() {
-  return loadMatchHistory().length
+  return loadHistoryIndex().pages.reduce((count, page) => count + page.count, 0)
 }
 
 export function deleteMatchFromHistory(matchId) {
@@ -118,14 +216,36 @@ export function deleteMatchFromHistory(matchId) {
   }
 
   try {
-    const history = loadMatchHistory()
-    const filteredHistory = history.filter((entry) => entry.id !== matchId)
+    const index = loadHistoryIndex()
 
-    if (filteredHistory.length === history.length) {
-      return false
+    for (const page of index.pages) {
+      const entries = loadHistoryPageEntries(page.id)
+      const remainingEntries = entries.filter((entry) => entry.id !== matchId)
+
+      if (remainingEntries.length === entries.length) {
+        continue
+      }
+
+      if (remainingEntries.length === 0) {
+        index.pages = index.pages.filter(
+          (indexPage) => indexPage.id !== page.id
+        )
+
+        return (
+          saveState(HISTORY_INDEX_STORAGE_KEY, index) &&
+          deleteState(getHistoryPageKey(page.id))
+        )
+      }
+
+      page.count = remainingEntries.length
+
+      return (
+        saveState(getHistoryPageKey(page.id), remainingEntries) &&
+        saveState(HISTORY_INDEX_STORAGE_KEY, index)
+      )
     }
 
-    return saveHistoryEntries(filteredHistory)
+    return false
   } catch {
     return false
   }
@@ -4,6 +4,17 @@
  * Type definitions for storing and displaying match history entries.
  */
 
+import { getMatchElapsedMs } from './match-clock.js'
+import { FINISH_REASON } from './match-state-schema.js'
+import { computeMatchStatistics } from './match-statistics.js'
+import { clonePointLog, cloneScoreCorrections } from './point-log.js'
+import { normalizeTeamPlayerIds, normalizeTeamPlayers } from './team-names.js'
+import {
+  isTeamIdentifier,
+  resolveHandicap,
+  toSupportedScoringMode
+} from './validation.js'
+
 /**
  * @typedef {'teamA' | 'teamB'} WinnerTeam
  */
@@ -15,11 +26,22 @@
  * @property {{year: number, month: number, day: number, hour: number, minute: number}|null} localTime - Local time from watch sensor
  * @property {string} teamALabel - Team A display label
  * @property {string} teamBLabel - Team B display label
+ * @property {[string, string]} [teamAPlayers] - Team A player names, when entered at setup
+ * @property {[string, string]} [teamBPlayers] - Team B player names, when entered at setup
+ * @property {[string, string]} [teamAPlayerIds] - Roster ids of the Team A players
+ * @property {[string, string]} [teamBPlayerIds] - Roster ids of the Team B players
  * @property {number} setsWonTeamA - Number of sets won by Team A
  * @property {number} setsWonTeamB - Number of sets won by Team B
- * @property {Array<{setNumber: number, teamAGames: number, teamBGames: number}>} setHistory - Array of set results
+ * @property {Array<{setNumber: number, teamAGames: number, teamBGames: number, superTieBreak?: boolean, tieBreak?: boolean}>} setHistory - Array of set results
  * @property {WinnerTeam|null} winnerTeam - Which team won (null if draw/incomplete)
+ * @property {import('./match-state-schema.js').ScoringMode} scoringMode - Deuce rule the match was played with
  * @property {number} schemaVersion - Schema version for migrations
+ * @property {import('./match-state-schema.js').PointLogEntry[]} [pointLog] - Every point of the match, in order
+ * @property {import('./match-state-schema.js').ScoreCorrection[]} [corrections] - Scores set by hand during the match
+ * @property {number} [durationMs] - Play time, without the time the match was paused
+ * @property {import('./match-state-schema.js').FinishReason} [finishReason] - Why the match was closed before a team won it
+ * @property {import('./match-state-schema.js').Handicap} [handicap] - Head start one team was given at setup
+ * @property {import('./match-statistics.js').MatchStatistics} [statistics] - Computed when the match is saved, while its full settings are still known
  */
 
 /**
@@ -44,7 +66,13 @@ export function createMatchHistoryEntry(matchState) {
   const setsWonTeamB = matchState.setsWon?.teamB ?? 0
 
   let winnerTeam = null
-  if (setsWonTeamA > setsWonTeamB) {
+  // A match closed on time can be won on games with the sets level.
+  if (
+    matchState.finishReason === FINISH_REASON.TIME &&
+    isTeamIdentifier(matchState.winnerTeam)
+  ) {
+    winnerTeam = matchState.winnerTeam
+  } else if (setsWonTeamA > setsWonTeamB) {
     winnerTeam = 'teamA'
   } else if (setsWonTeamB > setsWonTeamA) {
     winnerTeam = 'teamB'
@@ -86,7 +114,7 @@ export function createMatchHistoryEntry(matchState) {
     }
   }
 
-  return {
+  const entry = {
     id: String(timestamp),
     completedAt: timestamp,
     localTime,
@@ -95,13 +123,79 @@ export function createMatchHistoryEntry(matchState) {
     setsWonTeamA,
     setsWonTeamB,
     setHistory: Array.isArray(matchState.setHistory)
-      ? matchState.setHistory.map((entry) => ({
-          setNumber: entry.setNumber,
-          teamAGames: entry.teamAGames,
-          teamBGames: entry.teamBGames
-        }))
+      ? matchState.setHistory.map((entry) =>
+          entry.superTieBreak === true
+            ? {
+                setNumber: entry.setNumber,
+                teamAGames: entry.teamAGames,
+                teamBGames: entry.teamBGames,
+                superTieBreak: true
+              }
+            : {
+                setNumber: entry.setNumber,
+                teamAGames: entry.teamAGames,
+                teamBGames: entry.teamBGames,
+                ...(entry.tieBreak === true ? { tieBreak: true } : {})
+              }
+        )
       : [],
     winnerTeam,
+    scoringMode: toSupportedScoringMode(matchState.settings?.scoringMode),
     schemaVersion: MATCH_HISTORY_SCHEMA_VERSION
   }
+
+  const teamAPlayers = normalizeTeamPlayers(matchState.teams?.teamA?.players)
+  if (teamAPlayers) {
+    entry.teamAPlayers = teamAPlayers
+  }
+
+  const teamAPlayerIds = normalizeTeamPlayerIds(
+    matchState.teams?.teamA?.playerIds
+  )
+  if (teamAPlayerIds) {
+    entry.teamAPlayerIds = teamAPlayerIds
+  }
+
+  const teamBPlayers = normalizeTeamPlayers(matchState.teams?.teamB?.players)
+  if (teamBPlayers) {
+    entry.teamBPlayers = teamBPlayers
+  }
+
+  const teamBPlayerIds = normalizeTeamPlayerIds(
+    matchState.teams?.teamB?.playerIds
+  )
+  if (teamBPlayerIds) {
+    entry.teamBPlayerIds = teamBPlayerIds
+  }
+
+  const pointLog = clonePointLog(matchState.pointLog)
+  if (pointLog) {
+    entry.pointLog = pointLog
+  }
+
+  const corrections = cloneScoreCorrections(matchState.corrections)
+  if (corrections && corrections.length > 0) {
+    entry.corrections = corrections
+  }
+
+  const durationMs = getMatchElapsedMs(matchState.timing, timestamp)
+  if (durationMs !== null) {
+    entry.durationMs = durationMs
+  }
+
+  if (matchState.finishReason === FINISH_REASON.TIME) {
+    entry.finishReason = FINISH_REASON.TIME
+  }
+
+  const handicap = resolveHandicap(matchState.settings)
+  if (handicap) {
+    entry.handicap = handicap
+  }
+
+  const statistics = computeMatchStatistics(matchState)
+  if (statistics) {
+    entry.statistics = statistics
+  }
+
+  return entry
 }
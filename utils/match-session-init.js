@@ -1,10 +1,28 @@
-import { MATCH_SET_OPTIONS } from './constants.js'
+import {
+  DEFAULT_FIRST_SERVER,
+  DEFAULT_GAMES_PER_SET,
+  DEFAULT_SCORING_MODE,
+  MATCH_SET_OPTIONS,
+  REGULAR_GAME_POINT_VALUES
+} from './constants.js'
 import {
   createDefaultMatchState,
   MATCH_STATUS,
   toIsoTimestampSafe
 } from './match-state-schema.js'
-import { isSupportedSetsToPlay as isSupportedSetsToPlayValue } from './validation.js'
+import { createMatchTeams } from './team-names.js'
+import {
+  getDefaultTieBreakAt,
+  isProSetGamesPerSet,
+  isServerPosition,
+  isSupportedGamesPerSet,
+  isSupportedHandicap,
+  isSupportedScoringMode,
+  isSupportedSetConfiguration,
+  isSupportedSetsToPlay as isSupportedSetsToPlayValue,
+  isSupportedTotalGames,
+  resolveHandicap
+} from './validation.js'
 
 export const SUPPORTED_SETS_TO_PLAY = MATCH_SET_OPTIONS
 
@@ -18,13 +36,98 @@ export function isSupportedSetsToPlay(setsToPlay) {
 
 /**
  * @param {import('./match-state-schema.js').SetsToPlay} setsToPlay
+ * @param {{ scoringMode?: import('./match-state-schema.js').ScoringMode, superTieBreak?: boolean, gamesPerSet?: import('./match-state-schema.js').GamesPerSet, tieBreakAt?: number, finalSetTieBreak?: boolean, firstServer?: import('./match-state-schema.js').ServerPosition, timeLimitMinutes?: number, totalGames?: number, handicap?: import('./match-state-schema.js').Handicap, teams?: import('./team-names.js').MatchTeamNames }} [options]
  * @returns {import('./match-state-schema.js').MatchState}
  */
-export function initializeMatchState(setsToPlay) {
+export function initializeMatchState(setsToPlay, options = {}) {
   if (!isSupportedSetsToPlay(setsToPlay)) {
     throw new TypeError('setsToPlay must be one of: 1, 3, 5')
   }
 
+  const scoringMode = options?.scoringMode ?? DEFAULT_SCORING_MODE
+
+  if (!isSupportedScoringMode(scoringMode)) {
+    throw new TypeError(
+      "scoringMode must be one of: 'advantage', 'golden-point', 'star-point'"
+    )
+  }
+
+  const superTieBreak = options?.superTieBreak ?? false
+
+  if (typeof superTieBreak !== 'boolean') {
+    throw new TypeError('superTieBreak must be a boolean')
+  }
+
+  const gamesPerSet = options?.gamesPerSet ?? DEFAULT_GAMES_PER_SET
+
+  if (
+    !isSupportedGamesPerSet(gamesPerSet) &&
+    !isProSetGamesPerSet(gamesPerSet)
+  ) {
+    throw new TypeError('gamesPerSet must be one of: 4, 6, 8, 9')
+  }
+
+  if (isProSetGamesPerSet(gamesPerSet) && setsToPlay !== 1) {
+    throw new TypeError('a pro set (8 or 9 games) is played as a single set')
+  }
+
+  const totalGames = options?.totalGames ?? 0
+
+  if (totalGames !== 0 && !isSupportedTotalGames(totalGames)) {
+    throw new TypeError('totalGames must be 0 or 12')
+  }
+
+  if (totalGames > 0 && setsToPlay !== 1) {
+    throw new TypeError('a fixed number of games is played as a single set')
+  }
+
+  const tieBreakAt = options?.tieBreakAt ?? getDefaultTieBreakAt(gamesPerSet)
+  const setsNeededToWin = Math.ceil(setsToPlay / 2)
+
+  if (
+    !isSupportedSetConfiguration(setsToPlay, setsNeededToWin, {
+      gamesPerSet,
+      tieBreakAt
+    })
+  ) {
+    throw new TypeError('tieBreakAt must be gamesPerSet or one game less')
+  }
+
+  const finalSetTieBreak = options?.finalSetTieBreak ?? true
+
+  if (typeof finalSetTieBreak !== 'boolean') {
+    throw new TypeError('finalSetTieBreak must be a boolean')
+  }
+
+  const firstServer = options?.firstServer ?? DEFAULT_FIRST_SERVER
+
+  if (!isServerPosition(firstServer)) {
+    throw new TypeError(
+      "firstServer must be { team: 'teamA' | 'teamB', player: 1 | 2 }"
+    )
+  }
+
+  const timeLimitMinutes = options?.timeLimitMinutes ?? 0
+
+  if (!Number.isInteger(timeLimitMinutes) || timeLimitMinutes < 0) {
+    throw new TypeError('timeLimitMinutes must be a non-negative integer')
+  }
+
+  if (options?.handicap !== undefined) {
+    if (!isSupportedHandicap(options.handicap)) {
+      throw new TypeError(
+        "handicap must be { team: 'teamA' | 'teamB', points: 0-2, games: 0-3, sets }"
+      )
+    }
+
+    if (options.handicap.sets >= setsNeededToWin) {
+      throw new TypeError('handicap.sets must leave a set to win')
+    }
+  }
+
+  // A handicap without any head start is stored as no handicap.
+  const handicap = resolveHandicap(options)
+  const handicapTeam = handicap?.team
   const matchState = createDefaultMatchState()
   const initializedAt =
     Number.isInteger(matchState.updatedAt) && matchState.updatedAt >= 0
@@ -35,7 +138,6 @@ export function initializeMatchState(setsToPlay) {
     typeof matchState?.timing?.startedAt === 'string'
       ? matchState.timing.startedAt
       : initializedAtIso
-  const setsNeededToWin = Math.ceil(setsToPlay / 2)
   const canonicalSetsWon = {
     teamA: 0,
     teamB: 0
@@ -51,7 +153,15 @@ export function initializeMatchState(setsToPlay) {
     points: {
       teamA: 0,
       teamB: 0
-    }
+    },
+    deuceCount: 0
+  }
+
+  if (handicap) {
+    canonicalSetsWon[handicapTeam] = handicap.sets
+    canonicalCurrentSet.games[handicapTeam] = handicap.games
+    canonicalCurrentGame.points[handicapTeam] =
+      REGULAR_GAME_POINT_VALUES[handicap.points]
   }
 
   const mirroredSetsWon = {
@@ -69,7 +179,8 @@ export function initializeMatchState(setsToPlay) {
     points: {
       teamA: canonicalCurrentGame.points.teamA,
       teamB: canonicalCurrentGame.points.teamB
-    }
+    },
+    deuceCount: canonicalCurrentGame.deuceCount
   }
 
   return {
@@ -77,12 +188,26 @@ export function initializeMatchState(setsToPlay) {
     status: MATCH_STATUS.ACTIVE,
     setsToPlay,
     setsNeededToWin,
+    teams: createMatchTeams(options?.teams),
     setsWon: mirroredSetsWon,
     currentSet: mirroredCurrentSet,
     currentGame: mirroredCurrentGame,
     settings: {
       setsToPlay,
-      setsNeededToWin
+      setsNeededToWin,
+      scoringMode,
+      superTieBreak,
+      gamesPerSet,
+      tieBreakAt,
+      finalSetTieBreak,
+      firstServer: {
+        team: firstServer.team,
+        player: firstServer.player
+      },
+      // Untimed matches keep the settings they had before time limits.
+      ...(timeLimitMinutes > 0 ? { timeLimitMinutes } : {}),
+      ...(totalGames > 0 ? { totalGames } : {}),
+      ...(handicap ? { handicap } : {})
     },
     scores: {
       setsWon: canonicalSetsWon,
@@ -94,9 +219,12 @@ export function initializeMatchState(setsToPlay) {
       createdAt: matchState?.timing?.createdAt ?? startedAt,
       updatedAt: initializedAtIso,
       startedAt,
-      finishedAt: null
+      finishedAt: null,
+      activeDurationMs: 0,
+      resumedAt: startedAt
     },
     setHistory: [],
+    pointLog: [],
     updatedAt: initializedAt
   }
 }
@@ -14,6 +14,36 @@
  * @typedef {1 | 2 | 3} SetsNeededToWin
  */
 
+/**
+ * @typedef {'advantage' | 'golden-point' | 'star-point'} ScoringMode
+ */
+
+/**
+ * @typedef {4 | 6 | 8 | 9} GamesPerSet - 8 and 9 are pro set lengths,
+ *   played as a single set.
+ */
+
+/**
+ * @typedef {'time'} FinishReason - Why a match finished before it was won.
+ */
+
+/**
+ * @typedef ServerPosition
+ * @property {TeamId} team
+ * @property {1 | 2} player
+ */
+
+/**
+ * Head start given to the weaker pair when mixing levels.
+ *
+ * @typedef Handicap
+ * @property {TeamId} team - Team given the head start.
+ * @property {0 | 1 | 2} points - Points up at the start of every regular
+ *   game: 1 starts at 15-0, 2 at 30-0. Tie-breaks start level.
+ * @property {number} games - Games up at the start of the match.
+ * @property {number} sets - Sets up at the start of the match.
+ */
+
 /**
  * @typedef TeamPairScore
  * @property {number} teamA
@@ -24,6 +54,8 @@
  * @typedef MatchTeamIdentity
  * @property {TeamId} id
  * @property {string} label
+ * @property {[string, string]} [players] - Player names entered at setup; an empty string for an unnamed player.
+ * @property {[string, string]} [playerIds] - Roster ids of the players; an empty string for an unnamed player.
  */
 
 /**
@@ -47,6 +79,12 @@
 /**
  * @typedef CurrentGameState
  * @property {CurrentGamePoints} points
+ * @property {number} deuceCount - Times the current game reached 40-40
+ */
+
+/**
+ * @typedef LegacyCurrentGameState
+ * @property {CurrentGamePoints} points
  */
 
 /**
@@ -60,6 +98,18 @@
  * @typedef MatchSettings
  * @property {SetsToPlay} setsToPlay
  * @property {SetsNeededToWin} setsNeededToWin
+ * @property {ScoringMode} [scoringMode]
+ * @property {boolean} [superTieBreak]
+ * @property {GamesPerSet} [gamesPerSet]
+ * @property {number} [tieBreakAt] - Games each at which the tie-break starts.
+ * @property {boolean} [finalSetTieBreak] - When false the deciding set is
+ *   played out with a two-game margin instead of a tie-break.
+ * @property {ServerPosition} [firstServer] - Player serving the first game.
+ * @property {number} [timeLimitMinutes] - Court booking length; the match
+ *   closes once this much play time has passed.
+ * @property {number} [totalGames] - Single-set matches only: the match ends
+ *   after this many games and the team with more games wins.
+ * @property {Handicap} [handicap] - Left out when neither team has a head start.
  */
 
 /**
@@ -73,6 +123,10 @@
  * @property {string} updatedAt
  * @property {string} startedAt
  * @property {string | null} finishedAt
+ * @property {number} [activeDurationMs] - Play time banked before `resumedAt`;
+ *   time spent paused is not counted.
+ * @property {string | null} [resumedAt] - When the running stretch of play
+ *   started; null while the match is paused or finished.
  */
 
 /**
@@ -80,6 +134,43 @@
  * @property {number} setNumber
  * @property {number} teamAGames
  * @property {number} teamBGames
+ * @property {boolean} [superTieBreak] - Set decided by a match tie-break; the
+ *   game fields then hold the tie-break points.
+ * @property {boolean} [tieBreak] - Set decided by a regular tie-break.
+ */
+
+/**
+ * @typedef PointLogScore
+ * @property {TeamPairScore} setsWon
+ * @property {TeamPairScore} games
+ * @property {CurrentGamePoints} points - Persisted point values.
+ */
+
+/**
+ * @typedef PointLogEntry
+ * @property {TeamId} team - Team that won the point.
+ * @property {number} timestamp
+ * @property {number} setNumber
+ * @property {number} gameNumber - Game of the set the point was played in.
+ * @property {PointLogScore} before
+ * @property {PointLogScore} after
+ */
+
+/**
+ * @typedef CorrectionScore
+ * @property {number} setNumber
+ * @property {TeamPairScore} setsWon
+ * @property {TeamPairScore} games
+ * @property {CurrentGamePoints} points - Persisted point values.
+ */
+
+/**
+ * @typedef ScoreCorrection
+ * @property {number} timestamp
+ * @property {number} pointCount - Point log length when the score was
+ *   corrected; the correction applies before the next logged point.
+ * @property {CorrectionScore} before
+ * @property {CorrectionScore} after
  */
 
 /**
@@ -101,6 +192,11 @@
  * @property {TeamId} [winnerTeam]
  * @property {{ team: TeamId }} [winner]
  * @property {number} [completedAt]
+ * @property {FinishReason} [finishReason] - Set when the match was closed
+ *   before a team won it.
+ * @property {PointLogEntry[]} [pointLog] - Append-only log of every point.
+ * @property {ScoreCorrection[]} [corrections] - Scores set by hand with the
+ *   score editor.
  */
 
 /**
@@ -110,7 +206,7 @@
  * @property {SetsNeededToWin} setsNeededToWin
  * @property {TeamPairScore} setsWon
  * @property {CurrentSetState} currentSet
- * @property {CurrentGameState} currentGame
+ * @property {LegacyCurrentGameState} currentGame
  * @property {SetHistoryEntry[]} setHistory
  * @property {number} updatedAt
  * @property {number} schemaVersion
@@ -123,7 +219,7 @@
  * @property {SetsNeededToWin} setsNeededToWin
  * @property {TeamPairScore} setsWon
  * @property {CurrentSetState} currentSet
- * @property {CurrentGameState} currentGame
+ * @property {LegacyCurrentGameState} currentGame
  * @property {SetHistoryEntry[]} setHistory
  * @property {number} updatedAt
  */
@@ -146,9 +242,26 @@ export const SETS_NEEDED_TO_WIN = Object.freeze({
   THREE: 3
 })
 
+export const SCORING_MODE = Object.freeze({
+  ADVANTAGE: 'advantage',
+  GOLDEN_POINT: 'golden-point',
+  STAR_POINT: 'star-point'
+})
+
+export const GAMES_PER_SET = Object.freeze({
+  FOUR: 4,
+  SIX: 6,
+  EIGHT: 8,
+  NINE: 9
+})
+
+export const FINISH_REASON = Object.freeze({
+  TIME: 'time'
+})
+
 export const ACTIVE_MATCH_SESSION = 'ACTIVE_MATCH_SESSION'
 export const STORAGE_KEY = ACTIVE_MATCH_SESSION
-export const CURRENT_SCHEMA_VERSION = 2
+export const CURRENT_SCHEMA_VERSION = 3
 
 const TEAM_ID = Object.freeze({
   A: 'teamA',
@@ -172,6 +285,10 @@ const legacyMatchStatusSet = new Set([
 ])
 const setsToPlaySet = new Set(Object.values(SETS_TO_PLAY))
 const setsNeededToWinSet = new Set(Object.values(SETS_NEEDED_TO_WIN))
+const scoringModeSet = new Set(Object.values(SCORING_MODE))
+const gamesPerSetSet = new Set(Object.values(GAMES_PER_SET))
+const proSetGamesPerSetSet = new Set([GAMES_PER_SET.EIGHT, GAMES_PER_SET.NINE])
+const finishReasonSet = new Set(Object.values(FINISH_REASON))
 
 const setsNeededToWinBySetsToPlay = Object.freeze({
   [SETS_TO_PLAY.ONE]: SETS_NEEDED_TO_WIN.ONE,
@@ -184,7 +301,8 @@ const setsNeededToWinBySetsToPlay = Object.freeze({
  */
 const migrationRegistry = new Map([
   [0, migrateMatchStateV0ToV1],
-  [1, migrateMatchStateV1ToV2]
+  [1, migrateMatchStateV1ToV2],
+  [2, migrateMatchStateV2ToV3]
 ])
 
 /**
@@ -212,7 +330,8 @@ function createDefaultCurrentSetState() {
  */
 function createDefaultCurrentGameState() {
   return {
-    points: createDefaultCurrentGamePoints()
+    points: createDefaultCurrentGamePoints(),
+    deuceCount: 0
   }
 }
 
@@ -248,7 +367,16 @@ function createDefaultTeams() {
 function createDefaultSettings() {
   return {
     setsToPlay: SETS_TO_PLAY.THREE,
-    setsNeededToWin: SETS_NEEDED_TO_WIN.TWO
+    setsNeededToWin: SETS_NEEDED_TO_WIN.TWO,
+    scoringMode: SCORING_MODE.ADVANTAGE,
+    superTieBreak: false,
+    gamesPerSet: GAMES_PER_SET.SIX,
+    tieBreakAt: GAMES_PER_SET.SIX,
+    finalSetTieBreak: true,
+    firstServer: {
+      team: TEAM_ID.A,
+      player: 1
+    }
   }
 }
 
@@ -566,7 +694,8 @@ function isCanonicalMatchState(value) {
   if (
     !isSupportedSetConfiguration(
       value.settings.setsToPlay,
-      value.settings.setsNeededToWin
+      value.settings.setsNeededToWin,
+      value.settings
     )
   ) {
     return false
@@ -580,6 +709,21 @@ function isCanonicalMatchState(value) {
     return false
   }
 
+  if (value.pointLog !== undefined && !isPointLog(value.pointLog)) {
+    return false
+  }
+
+  if (
+    value.corrections !== undefined &&
+    !isScoreCorrectionList(value.corrections)
+  ) {
+    return false
+  }
+
+  if (value.finishReason !== undefined && !isFinishReason(value.finishReason)) {
+    return false
+  }
+
   if (!isMatchMetadata(value.metadata)) {
     return false
   }
@@ -608,6 +752,13 @@ function isCanonicalMatchState(value) {
     return false
   }
 
+  if (
+    !isNonNegativeInteger(value.currentGame.deuceCount) ||
+    !isNonNegativeInteger(value.scores.currentGame.deuceCount)
+  ) {
+    return false
+  }
+
   if (!isNonNegativeInteger(value.updatedAt)) {
     return false
   }
@@ -748,7 +899,7 @@ function migrateMatchStateV1ToV2(state) {
 
   return tryNormalizeMatchState({
     ...state,
-    schemaVersion: CURRENT_SCHEMA_VERSION,
+    schemaVersion: 2,
     teams: state.teams,
     settings: {
       setsToPlay: state.setsToPlay,
@@ -764,6 +915,37 @@ function migrateMatchStateV1ToV2(state) {
   })
 }
 
+/**
+ * Adds the deuce counter used by star point scoring to the current game.
+ * Games in progress before the counter existed restart counting from zero.
+ *
+ * @param {unknown} state
+ * @returns {Record<string, unknown> | null}
+ */
+function migrateMatchStateV2ToV3(state) {
+  if (!isRecord(state)) {
+    return null
+  }
+
+  const migratedState = {
+    ...state,
+    schemaVersion: 3
+  }
+
+  if (isCurrentGameState(state.currentGame)) {
+    migratedState.currentGame = cloneCurrentGameState(state.currentGame)
+  }
+
+  if (isMatchScores(state.scores)) {
+    migratedState.scores = {
+      ...state.scores,
+      currentGame: cloneCurrentGameState(state.scores.currentGame)
+    }
+  }
+
+  return migratedState
+}
+
 /**
  * @param {{
  *   status: MatchStatus,
@@ -793,25 +975,21 @@ function buildNormalizedMatchState(params) {
   const matchState = {
     teams: cloneTeams(params.teams),
     scores,
-    settings: {
-      setsToPlay: params.settings.setsToPlay,
-      setsNeededToWin: params.settings.setsNeededToWin
-    },
+    settings: cloneMatchSettings(params.settings),
     status: params.status,
     metadata: {
       matchId: params.metadata.matchId
     },
-    timing: {
-      createdAt: params.timing.createdAt,
-      updatedAt: params.timing.updatedAt,
-      startedAt: params.timing.startedAt,
-      finishedAt: params.timing.finishedAt
-    },
-    setHistory: params.setHistory.map((entry) => ({
-      setNumber: entry.setNumber,
-      teamAGames: entry.teamAGames,
-      teamBGames: entry.teamBGames
-    })),
+    timing: withMatchClock(
+      {
+        createdAt: params.timing.createdAt,
+        updatedAt: params.timing.updatedAt,
+        startedAt: params.timing.startedAt,
+        finishedAt: params.timing.finishedAt
+      },
+      params.timing
+    ),
+    setHistory: params.setHistory.map((entry) => cloneSetHistoryEntry(entry)),
     schemaVersion: CURRENT_SCHEMA_VERSION,
     setsToPlay: params.settings.setsToPlay,
     setsNeededToWin: params.settings.setsNeededToWin,
@@ -822,6 +1000,23 @@ function buildNormalizedMatchState(params) {
   }
 
   if (isRecord(params.source)) {
+    // A log that fails validation is dropped as a whole; partial logs
+    // cannot be replayed.
+    if (isPointLog(params.source.pointLog)) {
+      matchState.pointLog = params.source.pointLog.map((entry) =>
+        clonePointLogEntry(entry)
+      )
+    }
+
+    if (isScoreCorrectionList(params.source.corrections)) {
+      matchState.corrections = params.source.corrections.map((entry) => ({
+        timestamp: entry.timestamp,
+        pointCount: entry.pointCount,
+        before: cloneCorrectionScore(entry.before),
+        after: cloneCorrectionScore(entry.after)
+      }))
+    }
+
     if (isTeamId(params.source.winnerTeam)) {
       matchState.winnerTeam = params.source.winnerTeam
     }
@@ -832,6 +1027,10 @@ function buildNormalizedMatchState(params) {
       }
     }
 
+    if (isFinishReason(params.source.finishReason)) {
+      matchState.finishReason = params.source.finishReason
+    }
+
     if (isNonNegativeInteger(params.source.completedAt)) {
       matchState.completedAt = params.source.completedAt
     } else {
@@ -869,10 +1068,11 @@ function extractSettings(value) {
       fromTopLevel.setsNeededToWin
     )
   ) {
-    return {
+    return cloneMatchSettings({
+      ...(isRecord(value.settings) ? value.settings : {}),
       setsToPlay: fromTopLevel.setsToPlay,
       setsNeededToWin: fromTopLevel.setsNeededToWin
-    }
+    })
   }
 
   if (hasTopLevelSettings) {
@@ -892,10 +1092,7 @@ function extractSettings(value) {
     return null
   }
 
-  return {
-    setsToPlay: value.settings.setsToPlay,
-    setsNeededToWin: value.settings.setsNeededToWin
-  }
+  return cloneMatchSettings(value.settings)
 }
 
 /**
@@ -958,16 +1155,26 @@ function normalizeTeams(value) {
       ? value.teamB.label
       : DEFAULT_TEAM_LABELS.teamB
 
-  return {
+  return cloneTeams({
     teamA: {
-      id: TEAM_ID.A,
-      label: teamALabel
+      label: teamALabel,
+      players: isTeamPlayers(value?.teamA?.players)
+        ? value.teamA.players
+        : undefined,
+      playerIds: isTeamPlayers(value?.teamA?.playerIds)
+        ? value.teamA.playerIds
+        : undefined
     },
     teamB: {
-      id: TEAM_ID.B,
-      label: teamBLabel
+      label: teamBLabel,
+      players: isTeamPlayers(value?.teamB?.players)
+        ? value.teamB.players
+        : undefined,
+      playerIds: isTeamPlayers(value?.teamB?.playerIds)
+        ? value.teamB.playerIds
+        : undefined
     }
-  }
+  })
 }
 
 /**
@@ -1034,20 +1241,45 @@ function normalizeTiming(value, fallbackTimestamp, status, source) {
       return null
     }
 
-    return {
+    return withMatchClock(
+      {
+        createdAt: normalizedCreatedAt,
+        updatedAt: normalizedUpdatedAt,
+        startedAt,
+        finishedAt
+      },
+      value
+    )
+  }
+
+  return withMatchClock(
+    {
       createdAt: normalizedCreatedAt,
       updatedAt: normalizedUpdatedAt,
       startedAt,
-      finishedAt
-    }
-  }
+      finishedAt: null
+    },
+    value
+  )
+}
 
-  return {
-    createdAt: normalizedCreatedAt,
-    updatedAt: normalizedUpdatedAt,
-    startedAt,
-    finishedAt: null
+/**
+ * Copies the match clock fields that are valid in `source` onto `timing`.
+ *
+ * @param {MatchTiming} timing
+ * @param {unknown} source
+ * @returns {MatchTiming}
+ */
+function withMatchClock(timing, source) {
+  if (!isRecord(source) || !isNonNegativeInteger(source.activeDurationMs)) {
+    return timing
   }
+
+  const resumedAt = readTimestampCandidate(source.resumedAt)
+
+  timing.activeDurationMs = source.activeDurationMs
+  timing.resumedAt = resumedAt === null ? null : toIsoTimestamp(resumedAt)
+  return timing
 }
 
 /**
@@ -1153,10 +1385,44 @@ function isSetsNeededToWin(value) {
 /**
  * @param {SetsToPlay} setsToPlay
  * @param {SetsNeededToWin} setsNeededToWin
+ * @param {{ gamesPerSet?: unknown, tieBreakAt?: unknown, totalGames?: unknown, handicap?: Handicap }} [setLength]
  * @returns {boolean}
  */
-function isSupportedSetConfiguration(setsToPlay, setsNeededToWin) {
-  return setsNeededToWinBySetsToPlay[setsToPlay] === setsNeededToWin
+function isSupportedSetConfiguration(setsToPlay, setsNeededToWin, setLength) {
+  return (
+    setsNeededToWinBySetsToPlay[setsToPlay] === setsNeededToWin &&
+    isSupportedSetLength(
+      setLength?.gamesPerSet,
+      setLength?.tieBreakAt,
+      setsToPlay
+    ) &&
+    (setLength?.totalGames === undefined || setsToPlay === SETS_TO_PLAY.ONE) &&
+    (setLength?.handicap === undefined ||
+      setLength.handicap.sets < setsNeededToWin)
+  )
+}
+
+/**
+ * The tie-break starts either when both teams reach the set length or one
+ * game earlier (e.g. 3-3 in a set to 4). Missing values mean a standard set.
+ * Pro set lengths are only played as a single set.
+ *
+ * @param {unknown} gamesPerSet
+ * @param {unknown} tieBreakAt
+ * @param {unknown} setsToPlay
+ * @returns {boolean}
+ */
+function isSupportedSetLength(gamesPerSet, tieBreakAt, setsToPlay) {
+  const resolvedGamesPerSet = gamesPerSet ?? GAMES_PER_SET.SIX
+  const resolvedTieBreakAt = tieBreakAt ?? resolvedGamesPerSet
+
+  return (
+    gamesPerSetSet.has(resolvedGamesPerSet) &&
+    (!proSetGamesPerSetSet.has(resolvedGamesPerSet) ||
+      setsToPlay === SETS_TO_PLAY.ONE) &&
+    (resolvedTieBreakAt === resolvedGamesPerSet ||
+      resolvedTieBreakAt === resolvedGamesPerSet - 1)
+  )
 }
 
 /**
@@ -1181,7 +1447,22 @@ function isTeamIdentity(value, teamId) {
     isRecord(value) &&
     value.id === teamId &&
     typeof value.label === 'string' &&
-    value.label.trim().length > 0
+    value.label.trim().length > 0 &&
+    (value.players === undefined || isTeamPlayers(value.players)) &&
+    (value.playerIds === undefined ||
+      (value.players !== undefined && isTeamPlayers(value.playerIds)))
+  )
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is [string, string]}
+ */
+function isTeamPlayers(value) {
+  return (
+    Array.isArray(value) &&
+    value.length === 2 &&
+    value.every((name) => typeof name === 'string')
   )
 }
 
@@ -1206,10 +1487,65 @@ function isMatchSettings(value) {
   return (
     isRecord(value) &&
     isSetsToPlay(value.setsToPlay) &&
-    isSetsNeededToWin(value.setsNeededToWin)
+    isSetsNeededToWin(value.setsNeededToWin) &&
+    (value.scoringMode === undefined || isScoringMode(value.scoringMode)) &&
+    (value.superTieBreak === undefined ||
+      typeof value.superTieBreak === 'boolean') &&
+    (value.gamesPerSet === undefined ||
+      gamesPerSetSet.has(value.gamesPerSet)) &&
+    (value.tieBreakAt === undefined || isPositiveInteger(value.tieBreakAt)) &&
+    (value.finalSetTieBreak === undefined ||
+      typeof value.finalSetTieBreak === 'boolean') &&
+    (value.firstServer === undefined || isServerPosition(value.firstServer)) &&
+    (value.timeLimitMinutes === undefined ||
+      isPositiveInteger(value.timeLimitMinutes)) &&
+    (value.totalGames === undefined || isPositiveInteger(value.totalGames)) &&
+    (value.handicap === undefined || isHandicap(value.handicap))
+  )
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is ServerPosition}
+ */
+function isServerPosition(value) {
+  return (
+    isRecord(value) &&
+    isTeamId(value.team) &&
+    (value.player === 1 || value.player === 2)
+  )
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is Handicap}
+ */
+function isHandicap(value) {
+  return (
+    isRecord(value) &&
+    isTeamId(value.team) &&
+    (value.points === 0 || value.points === 1 || value.points === 2) &&
+    isNonNegativeInteger(value.games) &&
+    isNonNegativeInteger(value.sets)
   )
 }
 
+/**
+ * @param {unknown} value
+ * @returns {value is ScoringMode}
+ */
+function isScoringMode(value) {
+  return scoringModeSet.has(value)
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is FinishReason}
+ */
+function isFinishReason(value) {
+  return finishReasonSet.has(value)
+}
+
 /**
  * @param {unknown} value
  * @returns {value is MatchMetadata}
@@ -1256,6 +1592,14 @@ function isMatchTiming(value, status) {
     return false
   }
 
+  if (
+    value.activeDurationMs !== undefined &&
+    (!isNonNegativeInteger(value.activeDurationMs) ||
+      !isNullableIsoTimestamp(value.resumedAt))
+  ) {
+    return false
+  }
+
   return true
 }
 
@@ -1285,7 +1629,7 @@ function isCurrentSetState(value) {
 
 /**
  * @param {unknown} value
- * @returns {value is CurrentGameState}
+ * @returns {value is LegacyCurrentGameState}
  */
 function isCurrentGameState(value) {
   return isRecord(value) && isCurrentGamePoints(value.points)
@@ -1322,7 +1666,77 @@ function isSetHistoryEntry(value) {
     isRecord(value) &&
     isPositiveInteger(value.setNumber) &&
     isNonNegativeInteger(value.teamAGames) &&
-    isNonNegativeInteger(value.teamBGames)
+    isNonNegativeInteger(value.teamBGames) &&
+    (value.superTieBreak === undefined ||
+      typeof value.superTieBreak === 'boolean') &&
+    (value.tieBreak === undefined || typeof value.tieBreak === 'boolean')
+  )
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is PointLogEntry[]}
+ */
+function isPointLog(value) {
+  return Array.isArray(value) && value.every((entry) => isPointLogEntry(entry))
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is PointLogEntry}
+ */
+function isPointLogEntry(value) {
+  return (
+    isRecord(value) &&
+    isTeamId(value.team) &&
+    isNonNegativeInteger(value.timestamp) &&
+    isPositiveInteger(value.setNumber) &&
+    isPositiveInteger(value.gameNumber) &&
+    isPointLogScore(value.before) &&
+    isPointLogScore(value.after)
+  )
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is PointLogScore}
+ */
+function isPointLogScore(value) {
+  return (
+    isRecord(value) &&
+    isTeamPairScore(value.setsWon) &&
+    isTeamPairScore(value.games) &&
+    isCurrentGamePoints(value.points)
+  )
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is ScoreCorrection[]}
+ */
+function isScoreCorrectionList(value) {
+  return (
+    Array.isArray(value) &&
+    value.every(
+      (entry) =>
+        isRecord(entry) &&
+        isNonNegativeInteger(entry.timestamp) &&
+        isNonNegativeInteger(entry.pointCount) &&
+        isCorrectionScore(entry.before) &&
+        isCorrectionScore(entry.after)
+    )
+  )
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is CorrectionScore}
+ */
+function isCorrectionScore(value) {
+  return (
+    isRecord(value) &&
+    isPositiveInteger(value.setNumber) &&
+    isPointLogScore(value)
   )
 }
 
@@ -1530,7 +1944,7 @@ function cloneCurrentSetState(currentSet) {
 }
 
 /**
- * @param {CurrentGameState} currentGame
+ * @param {CurrentGameState | LegacyCurrentGameState} currentGame
  * @returns {CurrentGameState}
  */
 function cloneCurrentGameState(currentGame) {
@@ -1538,8 +1952,147 @@ function cloneCurrentGameState(currentGame) {
     points: {
       teamA: currentGame.points.teamA,
       teamB: currentGame.points.teamB
+    },
+    deuceCount: isNonNegativeInteger(currentGame.deuceCount)
+      ? currentGame.deuceCount
+      : 0
+  }
+}
+
+/**
+ * Optional settings are only carried over when they hold a supported value,
+ * so sessions written before they existed keep normalizing unchanged.
+ *
+ * @param {MatchSettings} settings
+ * @returns {MatchSettings}
+ */
+function cloneMatchSettings(settings) {
+  /** @type {MatchSettings} */
+  const clonedSettings = {
+    setsToPlay: settings.setsToPlay,
+    setsNeededToWin: settings.setsNeededToWin
+  }
+
+  if (isScoringMode(settings.scoringMode)) {
+    clonedSettings.scoringMode = settings.scoringMode
+  }
+
+  if (typeof settings.superTieBreak === 'boolean') {
+    clonedSettings.superTieBreak = settings.superTieBreak
+  }
+
+  if (
+    (settings.gamesPerSet !== undefined || settings.tieBreakAt !== undefined) &&
+    isSupportedSetLength(
+      settings.gamesPerSet,
+      settings.tieBreakAt,
+      settings.setsToPlay
+    )
+  ) {
+    clonedSettings.gamesPerSet = settings.gamesPerSet ?? GAMES_PER_SET.SIX
+    clonedSettings.tieBreakAt =
+      settings.tieBreakAt ?? clonedSettings.gamesPerSet
+  }
+
+  if (typeof settings.finalSetTieBreak === 'boolean') {
+    clonedSettings.finalSetTieBreak = settings.finalSetTieBreak
+  }
+
+  if (isServerPosition(settings.firstServer)) {
+    clonedSettings.firstServer = {
+      team: settings.firstServer.team,
+      player: settings.firstServer.player
+    }
+  }
+
+  if (isPositiveInteger(settings.timeLimitMinutes)) {
+    clonedSettings.timeLimitMinutes = settings.timeLimitMinutes
+  }
+
+  if (
+    isPositiveInteger(settings.totalGames) &&
+    settings.setsToPlay === SETS_TO_PLAY.ONE
+  ) {
+    clonedSettings.totalGames = settings.totalGames
+  }
+
+  if (
+    isHandicap(settings.handicap) &&
+    settings.handicap.sets < settings.setsNeededToWin
+  ) {
+    clonedSettings.handicap = {
+      team: settings.handicap.team,
+      points: settings.handicap.points,
+      games: settings.handicap.games,
+      sets: settings.handicap.sets
     }
   }
+
+  return clonedSettings
+}
+
+/**
+ * @param {SetHistoryEntry} entry
+ * @returns {SetHistoryEntry}
+ */
+function cloneSetHistoryEntry(entry) {
+  /** @type {SetHistoryEntry} */
+  const clonedEntry = {
+    setNumber: entry.setNumber,
+    teamAGames: entry.teamAGames,
+    teamBGames: entry.teamBGames
+  }
+
+  if (entry.superTieBreak === true) {
+    clonedEntry.superTieBreak = true
+  }
+
+  if (entry.tieBreak === true) {
+    clonedEntry.tieBreak = true
+  }
+
+  return clonedEntry
+}
+
+/**
+ * @param {PointLogEntry} entry
+ * @returns {PointLogEntry}
+ */
+function clonePointLogEntry(entry) {
+  return {
+    team: entry.team,
+    timestamp: entry.timestamp,
+    setNumber: entry.setNumber,
+    gameNumber: entry.gameNumber,
+    before: clonePointLogScore(entry.before),
+    after: clonePointLogScore(entry.after)
+  }
+}
+
+/**
+ * @param {PointLogScore} score
+ * @returns {PointLogScore}
+ */
+function clonePointLogScore(score) {
+  return {
+    setsWon: cloneTeamPairScore(score.setsWon),
+    games: cloneTeamPairScore(score.games),
+    points: {
+      teamA: score.points.teamA,
+      teamB: score.points.teamB
+    }
+  }
+}
+
+/**
+ * @param {CorrectionScore} score
+ * @returns {CorrectionScore}
+ */
+function cloneCorrectionScore(score) {
+  return {
+    setNumber: score.setNumber,
+    ...clonePointLogScore(score)
+  }
 }
 
 /**
@@ -1548,15 +2101,32 @@ function cloneCurrentGameState(currentGame) {
  */
 function cloneTeams(teams) {
   return {
-    teamA: {
-      id: TEAM_ID.A,
-      label: teams.teamA.label
-    },
-    teamB: {
-      id: TEAM_ID.B,
-      label: teams.teamB.label
+    teamA: cloneTeamIdentity(teams.teamA, TEAM_ID.A),
+    teamB: cloneTeamIdentity(teams.teamB, TEAM_ID.B)
+  }
+}
+
+/**
+ * @param {{ label: string, players?: [string, string], playerIds?: [string, string] }} team
+ * @param {TeamId} teamId
+ * @returns {MatchTeamIdentity}
+ */
+function cloneTeamIdentity(team, teamId) {
+  /** @type {MatchTeamIdentity} */
+  const clonedTeam = {
+    id: teamId,
+    label: team.label
+  }
+
+  if (team.players) {
+    clonedTeam.players = [team.players[0], team.players[1]]
+
+    if (team.playerIds) {
+      clonedTeam.playerIds = [team.playerIds[0], team.playerIds[1]]
     }
   }
+
+  return clonedTeam
 }
 
 /**
@@ -1588,7 +2158,8 @@ function isCurrentSetStateEqual(left, right) {
 function isCurrentGameStateEqual(left, right) {
   return (
     left.points.teamA === right.points.teamA &&
-    left.points.teamB === right.points.teamB
+    left.points.teamB === right.points.teamB &&
+    left.deuceCount === right.deuceCount
   )
 }
 
@@ -1,7 +1,7 @@
 import { SCORE_POINTS } from './scoring-constants.js'
 
 /**
- * @typedef {'active' | 'finished'} MatchStatus
+ * @typedef {'active' | 'paused' | 'finished'} MatchStatus
  */
 
 /**
@@ -14,6 +14,8 @@ import { SCORE_POINTS } from './scoring-constants.js'
  * @typedef TeamConfiguration
  * @property {'teamA' | 'teamB'} id
  * @property {string} label
+ * @property {[string, string]} [players]
+ * @property {[string, string]} [playerIds]
  */
 
 /**
@@ -29,19 +31,41 @@ import { SCORE_POINTS } from './scoring-constants.js'
  * @property {number} teamBGames
  */
 
+/**
+ * @typedef CurrentGameStatus
+ * @property {number} deuceCount
+ */
+
+/**
+ * @typedef RuntimeMatchSettings
+ * @property {import('./match-state-schema.js').ScoringMode} scoringMode
+ * @property {boolean} [superTieBreak]
+ * @property {import('./match-state-schema.js').GamesPerSet} [gamesPerSet]
+ * @property {number} [tieBreakAt]
+ * @property {boolean} [finalSetTieBreak]
+ * @property {import('./match-state-schema.js').ServerPosition} [firstServer]
+ * @property {number} [totalGames] - Games after which a fixed-games match ends.
+ * @property {import('./match-state-schema.js').Handicap} [handicap]
+ */
+
 /**
  * @typedef MatchState
  * @property {MatchTeamConfiguration} teams
  * @property {TeamScore} teamA
  * @property {TeamScore} teamB
  * @property {CurrentSetStatus} currentSetStatus
+ * @property {CurrentGameStatus} currentGameStatus
+ * @property {import('./match-state-schema.js').ServerPosition | null} [currentServer]
  * @property {number} currentSet
  * @property {MatchStatus} status
  * @property {number} updatedAt
+ * @property {RuntimeMatchSettings} [settings]
+ * @property {import('./match-state-schema.js').FinishReason} [finishReason]
  */
 
 export const MATCH_STATUS = Object.freeze({
   ACTIVE: 'active',
+  PAUSED: 'paused',
   FINISHED: 'finished'
 })
 
@@ -72,6 +96,15 @@ function createInitialCurrentSetStatus() {
   }
 }
 
+/**
+ * @returns {CurrentGameStatus}
+ */
+function createInitialCurrentGameStatus() {
+  return {
+    deuceCount: 0
+  }
+}
+
 /**
  * @returns {TeamScore}
  */
@@ -96,6 +129,7 @@ export function createInitialMatchState(updatedAt = 0) {
     teamA,
     teamB,
     currentSetStatus,
+    currentGameStatus: createInitialCurrentGameStatus(),
     // Legacy field kept for backward compatibility.
     currentSet: currentSetStatus.number,
     status: MATCH_STATUS.ACTIVE,
@@ -0,0 +1,319 @@
+import { createInitialMatchState } from './match-state.js'
+import {
+  createPointLogScore,
+  isPointLog,
+  isSamePointLogScore
+} from './point-log.js'
+import { SCORE_POINTS } from './scoring-constants.js'
+import {
+  addPoint,
+  applyScoreCorrections,
+  applyStartingHandicap
+} from './scoring-engine.js'
+import { getCurrentServer } from './serve-rotation.js'
+import {
+  isNonNegativeInteger,
+  isRecord,
+  isTieBreakModeForState,
+  toPositiveInteger,
+  toRuntimeMatchSettings
+} from './validation.js'
+
+/**
+ * @typedef TeamStatistics
+ * @property {number} pointsWon
+ * @property {number} serviceGamesPlayed - Regular games the team served.
+ * @property {number} serviceGamesHeld - Service games the team won.
+ * @property {number} breakPointsFaced - Points on the team's serve where the receivers could win the game.
+ * @property {number} breakPointsConverted - Break points the team won while receiving.
+ * @property {number} longestStreak - Most points won in a row.
+ * @property {number} tieBreaksWon - Tie-breaks and super tie-breaks won.
+ */
+
+/**
+ * @typedef MatchStatistics
+ * @property {{ teamA: TeamStatistics, teamB: TeamStatistics }} teams
+ * @property {number} deuceGames - Regular games that reached 40-40.
+ * @property {boolean} hasServeData - False when the match was started without a first server, so service and break point counts are unknown.
+ */
+
+/**
+ * @typedef MatchStatisticsRow
+ * @property {string} labelKey - i18n key of the row label.
+ * @property {string} teamA - Empty for match-wide rows.
+ * @property {string} teamB - Empty for match-wide rows.
+ * @property {string} [value] - Match-wide value shown with the label.
+ */
+
+const TEAM_IDS = Object.freeze(['teamA', 'teamB'])
+
+const TEAM_STATISTICS_KEYS = Object.freeze([
+  'pointsWon',
+  'serviceGamesPlayed',
+  'serviceGamesHeld',
+  'breakPointsFaced',
+  'breakPointsConverted',
+  'longestStreak',
+  'tieBreaksWon'
+])
+
+/**
+ * @returns {TeamStatistics}
+ */
+function createEmptyTeamStatistics() {
+  return {
+    pointsWon: 0,
+    serviceGamesPlayed: 0,
+    serviceGamesHeld: 0,
+    breakPointsFaced: 0,
+    breakPointsConverted: 0,
+    longestStreak: 0,
+    tieBreaksWon: 0
+  }
+}
+
+/**
+ * @param {'teamA' | 'teamB'} team
+ * @returns {'teamA' | 'teamB'}
+ */
+function getOpponent(team) {
+  return team === 'teamA' ? 'teamB' : 'teamA'
+}
+
+/**
+ * A fixed-games match that ends level resets the games without a set won,
+ * so its last game is only told by the match finishing.
+ *
+ * @param {import('./match-state-schema.js').PointLogScore} previousScore
+ * @param {import('./match-state.js').MatchState} nextState
+ * @param {'teamA' | 'teamB'} team
+ * @returns {boolean}
+ */
+function didTeamWinGame(previousScore, nextState, team) {
+  const nextScore = createPointLogScore(nextState)
+
+  return (
+    nextState.status === 'finished' ||
+    nextScore.games[team] > previousScore.games[team] ||
+    nextScore.setsWon[team] > previousScore.setsWon[team]
+  )
+}
+
+/**
+ * @param {import('./match-state.js').MatchState} state
+ * @returns {boolean}
+ */
+function isDeuceScore(state) {
+  return (
+    state.teamA.points === SCORE_POINTS.FORTY &&
+    state.teamB.points === SCORE_POINTS.FORTY
+  )
+}
+
+/**
+ * Starts the replay from 0-0, or the handicap's starting score, with the
+ * rules the match was played with.
+ *
+ * @param {Record<string, unknown>} matchState
+ * @returns {import('./match-state.js').MatchState}
+ */
+function createReplayState(matchState) {
+  const replayState = createInitialMatchState()
+
+  replayState.settings = toRuntimeMatchSettings(matchState.settings)
+  replayState.setsNeededToWin = toPositiveInteger(matchState.setsNeededToWin, 2)
+  replayState.setsWon = { teamA: 0, teamB: 0 }
+  replayState.setHistory = []
+
+  return applyStartingHandicap(replayState)
+}
+
+/**
+ * Computes match statistics by replaying the point log through the scoring
+ * engine, so every scoring rule is applied the same way as during the match.
+ * Score corrections are applied at the point they were made. Works for both
+ * runtime and persisted match states.
+ *
+ * Returns null when the match has no point log, or when the log does not
+ * replay to the scores it recorded (e.g. it does not start at the first point).
+ *
+ * @param {unknown} matchState
+ * @returns {MatchStatistics | null}
+ */
+export function computeMatchStatistics(matchState) {
+  if (!isRecord(matchState) || !isPointLog(matchState.pointLog)) {
+    return null
+  }
+
+  const teams = {
+    teamA: createEmptyTeamStatistics(),
+    teamB: createEmptyTeamStatistics()
+  }
+  let state = createReplayState(matchState)
+  let deuceGames = 0
+  let isDeuceGame = false
+  let streakTeam = null
+  let streakLength = 0
+  let hasServeData = false
+
+  for (const [index, entry] of matchState.pointLog.entries()) {
+    applyScoreCorrections(state, matchState.corrections, index)
+
+    const previousScore = createPointLogScore(state)
+
+    if (!isSamePointLogScore(previousScore, entry.before)) {
+      return null
+    }
+
+    const scoringTeam = entry.team
+    const isTieBreak = isTieBreakModeForState(state)
+    const server = isTieBreak ? null : getCurrentServer(state)
+
+    if (!isTieBreak && isDeuceScore(state)) {
+      isDeuceGame = true
+    }
+
+    if (server) {
+      hasServeData = true
+
+      const receivingTeam = getOpponent(server.team)
+      const stateIfReceiversWin = addPoint(state, receivingTeam)
+
+      if (didTeamWinGame(previousScore, stateIfReceiversWin, receivingTeam)) {
+        teams[server.team].breakPointsFaced += 1
+
+        if (scoringTeam === receivingTeam) {
+          teams[receivingTeam].breakPointsConverted += 1
+        }
+      }
+    }
+
+    state = addPoint(state, scoringTeam)
+
+    teams[scoringTeam].pointsWon += 1
+    streakLength = streakTeam === scoringTeam ? streakLength + 1 : 1
+    streakTeam = scoringTeam
+    teams[scoringTeam].longestStreak = Math.max(
+      teams[scoringTeam].longestStreak,
+      streakLength
+    )
+
+    if (!didTeamWinGame(previousScore, state, scoringTeam)) {
+      continue
+    }
+
+    if (isTieBreak) {
+      teams[scoringTeam].tieBreaksWon += 1
+      continue
+    }
+
+    if (isDeuceGame) {
+      deuceGames += 1
+      isDeuceGame = false
+    }
+
+    if (server) {
+      teams[server.team].serviceGamesPlayed += 1
+
+      if (server.team === scoringTeam) {
+        teams[server.team].serviceGamesHeld += 1
+      }
+    }
+  }
+
+  return { teams, deuceGames, hasServeData }
+}
+
+/**
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function isTeamStatistics(value) {
+  return (
+    isRecord(value) &&
+    TEAM_STATISTICS_KEYS.every((key) => isNonNegativeInteger(value[key]))
+  )
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is MatchStatistics}
+ */
+export function isMatchStatistics(value) {
+  return (
+    isRecord(value) &&
+    isRecord(value.teams) &&
+    TEAM_IDS.every((team) => isTeamStatistics(value.teams[team])) &&
+    isNonNegativeInteger(value.deuceGames) &&
+    typeof value.hasServeData === 'boolean'
+  )
+}
+
+/**
+ * @param {number} part
+ * @param {number} total
+ * @returns {string}
+ */
+function formatRatio(part, total) {
+  return `${part}/${total}`
+}
+
+/**
+ * @param {number} part
+ * @param {number} total
+ * @returns {string}
+ */
+function formatPercentage(part, total) {
+  return total > 0 ? `${Math.round((part / total) * 100)}%` : '-'
+}
+
+/**
+ * Flattens statistics into label/value rows for the summary and history
+ * detail screens. Service rows are left out when the serve is unknown.
+ *
+ * @param {MatchStatistics} statistics
+ * @returns {MatchStatisticsRow[]}
+ */
+export function createMatchStatisticsRows(statistics) {
+  const { teamA, teamB } = statistics.teams
+  const createRow = (labelKey, formatValue) => ({
+    labelKey,
+    teamA: formatValue(teamA, teamB),
+    teamB: formatValue(teamB, teamA)
+  })
+
+  const rows = [createRow('stats.pointsWon', (team) => String(team.pointsWon))]
+
+  if (statistics.hasServeData) {
+    rows.push(
+      createRow('stats.serviceGamesHeld', (team) =>
+        formatRatio(team.serviceGamesHeld, team.serviceGamesPlayed)
+      ),
+      createRow('stats.holdPercentage', (team) =>
+        formatPercentage(team.serviceGamesHeld, team.serviceGamesPlayed)
+      ),
+      createRow('stats.serviceGamesBroken', (team) =>
+        String(team.serviceGamesPlayed - team.serviceGamesHeld)
+      ),
+      createRow('stats.breakPointsFaced', (team) =>
+        String(team.breakPointsFaced)
+      ),
+      createRow('stats.breakPointsConverted', (team, opponent) =>
+        formatRatio(team.breakPointsConverted, opponent.breakPointsFaced)
+      )
+    )
+  }
+
+  rows.push(
+    {
+      labelKey: 'stats.deuceGames',
+      teamA: '',
+      teamB: '',
+      value: String(statistics.deuceGames)
+    },
+    createRow('stats.longestStreak', (team) => String(team.longestStreak)),
+    createRow('stats.tieBreaksWon', (team) => String(team.tieBreaksWon))
+  )
+
+  return rows
+}
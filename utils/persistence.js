@@ -1,11 +1,27 @@
+import {
+  getHistoryPageKey,
+  HISTORY_INDEX_STORAGE_KEY,
+  isValidHistoryEntry,
+  LEGACY_HISTORY_STORAGE_KEY,
+  normalizeHistoryIndex,
+  paginateHistoryEntries
+} from './match-history-pages.js'
 import { storage } from './platform-adapters.js'
 
-export const CURRENT_STORAGE_SCHEMA_VERSION = 1
+export const CURRENT_STORAGE_SCHEMA_VERSION = 2
 export const STORAGE_SCHEMA_VERSION_KEY = 'padel-buddy.storage-schema-version'
 export const STORAGE_SCHEMA_META_KEY = 'padel-buddy.storage-schema-meta'
 
-/** @type {Map<number, () => void>} */
-const storageSchemaMigrations = new Map([[0, bootstrapStorageSchema]])
+/**
+ * A step that returns false could not finish; the schema stays on its
+ * version, so the step runs again the next time the app starts.
+ *
+ * @type {Map<number, () => boolean | void>}
+ */
+const storageSchemaMigrations = new Map([
+  [0, bootstrapStorageSchema],
+  [1, migrateMatchHistoryToPages]
+])
 
 let cachedSchemaVersion = null
 
@@ -13,6 +29,80 @@ function bootstrapStorageSchema() {
   // Fresh installs and current LocalStorage data need no transformation.
 }
 
+/**
+ * @param {string} key
+ * @param {unknown} value
+ * @returns {boolean} True when device storage holds `value` under `key`.
+ */
+function writeConfirmed(key, value) {
+  try {
+    storage.setItem(key, value)
+
+    return (
+      JSON.stringify(storage.getPersistedItem(key)) === JSON.stringify(value)
+    )
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Moves the single-key match history into pages, after any pages saved while
+ * an earlier attempt could not finish. Runs inside ensureStorageSchema, so it
+ * uses the storage adapter directly. The legacy key is only removed once the
+ * pages and the index read back as written.
+ *
+ * @returns {boolean} False when the history could not be moved yet.
+ */
+function migrateMatchHistoryToPages() {
+  const legacyHistory = storage.getItem(LEGACY_HISTORY_STORAGE_KEY)
+
+  if (legacyHistory === null || typeof legacyHistory === 'undefined') {
+    return true
+  }
+
+  const matches = Array.isArray(legacyHistory)
+    ? legacyHistory
+    : legacyHistory?.matches
+  const entries = Array.isArray(matches)
+    ? matches.filter(isValidHistoryEntry)
+    : []
+
+  if (entries.length > 0) {
+    const storedIndex = storage.getItem(HISTORY_INDEX_STORAGE_KEY)
+    const currentIndex = normalizeHistoryIndex(storedIndex)
+    const { index, pages } = paginateHistoryEntries(
+      entries,
+      currentIndex.nextPageId
+    )
+    const nextIndex = {
+      pages: [...currentIndex.pages, ...index.pages],
+      nextPageId: index.nextPageId
+    }
+
+    if (
+      !pages.every((page) =>
+        writeConfirmed(getHistoryPageKey(page.id), page.entries)
+      )
+    ) {
+      return false
+    }
+
+    if (!writeConfirmed(HISTORY_INDEX_STORAGE_KEY, nextIndex)) {
+      if (storedIndex === null) {
+        storage.removeItem(HISTORY_INDEX_STORAGE_KEY)
+      } else {
+        storage.setItem(HISTORY_INDEX_STORAGE_KEY, storedIndex)
+      }
+
+      return false
+    }
+  }
+
+  storage.removeItem(LEGACY_HISTORY_STORAGE_KEY)
+  return true
+}
+
 function normalizeSchemaVersion(value) {
   if (
     typeof value === 'number' &&
@@ -60,10 +150,9 @@ export function ensureStorageSchema() {
     storage.getItem(STORAGE_SCHEMA_VERSION_KEY)
   )
 
-  if (
-    cachedSchemaVersion === CURRENT_STORAGE_SCHEMA_VERSION &&
-    previousVersion === CURRENT_STORAGE_SCHEMA_VERSION
-  ) {
+  // Also skips a step that could not finish until the app starts again, as
+  // a retry could overwrite pages written since.
+  if (cachedSchemaVersion === previousVersion) {
     return cachedSchemaVersion
   }
 
@@ -83,7 +172,10 @@ export function ensureStorageSchema() {
       )
     }
 
-    migrateStep()
+    if (migrateStep() === false) {
+      break
+    }
+
     nextVersion += 1
   }
 
@@ -0,0 +1,65 @@
+import { decodeSyncMessage, encodeSyncMessage } from './sync-protocol.js'
+
+/**
+ * @typedef MessagingChannel
+ * @property {(message: import('./sync-protocol.js').SyncMessage) => boolean} send
+ * @property {(listener: (message: import('./sync-protocol.js').SyncMessage) => void) => void} onMessage
+ * @property {() => void} close
+ */
+
+/**
+ * Opens the BLE messaging channel to the phone side service. Each message is
+ * sent as one UTF-8 JSON payload; payloads that are not sync messages are
+ * ignored.
+ *
+ * @returns {MessagingChannel | null} Null when BLE messaging is not available.
+ */
+export function createPhoneMessagingChannel() {
+  if (
+    typeof hmBle === 'undefined' ||
+    typeof hmBle.createConnect !== 'function' ||
+    typeof hmBle.send !== 'function'
+  ) {
+    return null
+  }
+
+  const listeners = []
+
+  try {
+    hmBle.createConnect((_index, data) => {
+      const message = decodeSyncMessage(data)
+
+      if (message) {
+        listeners.forEach((listener) => listener(message))
+      }
+    })
+  } catch {
+    return null
+  }
+
+  return {
+    send(message) {
+      try {
+        const payload = encodeSyncMessage(message)
+        hmBle.send(payload, payload.byteLength)
+        return true
+      } catch {
+        return false
+      }
+    },
+
+    onMessage(listener) {
+      listeners.push(listener)
+    },
+
+    close() {
+      listeners.splice(0, listeners.length)
+
+      try {
+        hmBle.disConnect?.()
+      } catch {
+        // Ignore runtime disconnect failures.
+      }
+    }
+  }
+}
@@ -0,0 +1,52 @@
+import { createHistorySyncClient } from './history-sync.js'
+import { createPhoneMessagingChannel } from './phone-messaging.js'
+import { createSettingsSyncClient } from './settings-sync.js'
+
+let activeSync = null
+
+/**
+ * Connects to the phone side service, shares the watch settings, listens for
+ * settings edited on the phone and sends any pending history entries. Safe to
+ * call more than once; the running connection is reused.
+ *
+ * @returns {boolean} False when there is no messaging channel.
+ */
+export function startPhoneSync() {
+  if (activeSync) {
+    return true
+  }
+
+  const channel = createPhoneMessagingChannel()
+
+  if (!channel) {
+    return false
+  }
+
+  activeSync = {
+    channel,
+    history: createHistorySyncClient(channel),
+    settings: createSettingsSyncClient(channel)
+  }
+  activeSync.settings.sendState()
+  activeSync.history.syncPending()
+  return true
+}
+
+/**
+ * Sends pending history entries, e.g. right after a match is saved.
+ *
+ * @returns {number} Entries sent; 0 when the phone is not connected.
+ */
+export function requestHistorySync() {
+  return activeSync ? activeSync.history.syncPending() : 0
+}
+
+export function stopPhoneSync() {
+  if (!activeSync) {
+    return
+  }
+
+  activeSync.history.stop()
+  activeSync.channel.close()
+  activeSync = null
+}
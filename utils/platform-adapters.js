@@ -3,6 +3,7 @@ import { getScreenMetrics, resolveScreenShape } from './screen-utils.js'
 const KEEP_AWAKE_DURATION = 2147483
 const DEFAULT_TOAST_DURATION = 2000
 const DEFAULT_VIBRATION_DURATION = 50
+const DEFAULT_INTERVAL_DURATION = 1000
 const STORAGE_VALUE_PREFIX = '__padel_buddy_platform_adapters__:'
 const STORAGE_VALUE_MISSING = Symbol('storage-value-missing')
 const STORAGE_VALUE_INVALID = Symbol('storage-value-invalid')
@@ -448,6 +449,33 @@ export const storage = {
     return fallbackValue
   },
 
+  /**
+   * Reads a value from device storage without the in-memory copy that
+   * getItem falls back to, so a caller can confirm that a write persisted.
+   * Without device storage the in-memory copy is all there is.
+   */
+  getPersistedItem(key) {
+    const normalizedKey = String(key)
+    const runtimeStorage = resolveRuntimeStorage()
+
+    if (!runtimeStorage || typeof runtimeStorage.getItem !== 'function') {
+      return storage.getItem(normalizedKey)
+    }
+
+    try {
+      const storedValue = deserializeStorageValue(
+        runtimeStorage.getItem(normalizedKey)
+      )
+
+      return storedValue === STORAGE_VALUE_MISSING ||
+        storedValue === STORAGE_VALUE_INVALID
+        ? null
+        : storedValue
+    } catch {
+      return null
+    }
+  },
+
   removeItem(key) {
     const normalizedKey = String(key)
     const runtimeStorage = resolveRuntimeStorage()
@@ -633,6 +661,86 @@ export const haptics = {
   }
 }
 
+// Repeating timers stay inside the adapter boundary so page modules stay
+// timer-free.
+export const timer = {
+  /**
+   * Calls `callback` every `intervalMs` until the returned handle is passed
+   * to stopInterval.
+   *
+   * @returns {object | null} Null when the runtime has no timers.
+   */
+  startInterval(callback, intervalMs) {
+    if (typeof callback !== 'function') {
+      return null
+    }
+
+    const normalizedInterval = normalizePositiveInteger(
+      intervalMs,
+      DEFAULT_INTERVAL_DURATION
+    )
+    const tick = () => {
+      try {
+        callback()
+      } catch {
+        // Keep the interval running.
+      }
+    }
+
+    if (typeof setInterval === 'function') {
+      try {
+        return { id: setInterval(tick, normalizedInterval), legacy: false }
+      } catch {
+        // Fall through to the legacy timer.
+      }
+    }
+
+    const legacyTimer = resolveLegacyTimer()
+
+    if (legacyTimer) {
+      try {
+        return {
+          id: legacyTimer.createTimer(
+            normalizedInterval,
+            normalizedInterval,
+            tick,
+            {}
+          ),
+          legacy: true
+        }
+      } catch {
+        // Ignore runtime timer failures.
+      }
+    }
+
+    return null
+  },
+
+  stopInterval(handle) {
+    if (!handle || typeof handle !== 'object') {
+      return false
+    }
+
+    try {
+      if (!handle.legacy && typeof clearInterval === 'function') {
+        clearInterval(handle.id)
+        return true
+      }
+
+      const legacyTimer = resolveLegacyTimer()
+
+      if (handle.legacy && legacyTimer) {
+        legacyTimer.stopTimer(handle.id)
+        return true
+      }
+    } catch {
+      // Ignore runtime timer failures.
+    }
+
+    return false
+  }
+}
+
 export function resetPlatformAdaptersState() {
   gestureRegistrations.splice(0, gestureRegistrations.length)
   legacyGestureDispatcherRegistered = false
@@ -663,6 +771,16 @@ function resolveRuntimeObject(...keys) {
   return null
 }
 
+function resolveLegacyTimer() {
+  const legacyTimer = resolveRuntimeObject('timer')
+
+  return legacyTimer &&
+    typeof legacyTimer.createTimer === 'function' &&
+    typeof legacyTimer.stopTimer === 'function'
+    ? legacyTimer
+    : null
+}
+
 function resolveModernRouter() {
   return resolveRuntimeObject('__zosRouter', 'router')
 }
@@ -0,0 +1,424 @@
+import { deleteState, loadState, saveState } from './persistence.js'
+import { normalizeName } from './team-names.js'
+import { isRecord } from './validation.js'
+
+/**
+ * @typedef RosterPlayer
+ * @property {string} id - Stable identifier referenced by match history entries.
+ * @property {string} name
+ */
+
+/**
+ * @typedef PartnerRecord
+ * @property {string} id
+ * @property {string} name
+ * @property {number} played - Matches played together.
+ * @property {number} won - Matches won together.
+ * @property {number} lost - Matches lost together.
+ */
+
+/**
+ * @typedef OpponentRecord
+ * @property {string} id
+ * @property {string} name
+ * @property {number} played - Matches played against each other.
+ * @property {number} won - Matches the player won against this opponent.
+ * @property {number} lost - Matches the player lost against this opponent.
+ */
+
+/**
+ * @typedef PlayerRecord
+ * @property {string} id
+ * @property {string} name
+ * @property {number} played - Drawn matches count as played only.
+ * @property {number} won
+ * @property {number} lost
+ * @property {PartnerRecord[]} partners - Most played first.
+ * @property {OpponentRecord[]} opponents - Most played first.
+ */
+
+export const PLAYER_ROSTER_STORAGE_KEY = 'padel-buddy.player-roster'
+export const MAX_ROSTER_PLAYERS = 30
+
+const PLAYER_ID_PREFIX = 'player-'
+
+/**
+ * @param {unknown} value
+ * @returns {value is RosterPlayer}
+ */
+function isRosterPlayer(value) {
+  return (
+    isRecord(value) &&
+    typeof value.id === 'string' &&
+    value.id.length > 0 &&
+    normalizeName(value.name).length > 0
+  )
+}
+
+/**
+ * @param {RosterPlayer[]} roster
+ * @param {string} name
+ * @returns {RosterPlayer | undefined}
+ */
+function findPlayerByName(roster, name) {
+  const lowerCaseName = name.toLowerCase()
+  return roster.find((player) => player.name.toLowerCase() === lowerCaseName)
+}
+
+/**
+ * @param {RosterPlayer[]} roster
+ * @returns {number} The number after the highest `player-N` id in the roster.
+ */
+function getNextPlayerNumberInRoster(roster) {
+  return (
+    roster.reduce((highest, player) => {
+      const number = Number(player.id.slice(PLAYER_ID_PREFIX.length))
+      return Number.isInteger(number) && number > highest ? number : highest
+    }, 0) + 1
+  )
+}
+
+/**
+ * Reads the stored roster record. Rosters saved before the id counter was
+ * kept are a bare player list.
+ *
+ * @returns {{ players: unknown[], nextPlayerNumber: number }}
+ */
+function loadStoredRoster() {
+  try {
+    const storedRoster = loadState(PLAYER_ROSTER_STORAGE_KEY)
+
+    if (Array.isArray(storedRoster)) {
+      return { players: storedRoster, nextPlayerNumber: 1 }
+    }
+
+    if (isRecord(storedRoster) && Array.isArray(storedRoster.players)) {
+      const nextPlayerNumber = storedRoster.nextPlayerNumber
+
+      return {
+        players: storedRoster.players,
+        nextPlayerNumber:
+          Number.isInteger(nextPlayerNumber) && nextPlayerNumber > 0
+            ? nextPlayerNumber
+            : 1
+      }
+    }
+  } catch {
+    // Treated as an empty roster.
+  }
+
+  return { players: [], nextPlayerNumber: 1 }
+}
+
+/**
+ * Ids are numbered after the highest id ever saved to the roster, so ids of
+ * removed players, which match history may still reference, are never handed
+ * out again.
+ *
+ * @param {RosterPlayer[]} roster
+ * @returns {string}
+ */
+function createPlayerId(roster) {
+  const nextPlayerNumber = Math.max(
+    getNextPlayerNumberInRoster(roster),
+    loadStoredRoster().nextPlayerNumber
+  )
+
+  return `${PLAYER_ID_PREFIX}${nextPlayerNumber}`
+}
+
+/**
+ * @returns {RosterPlayer[]} Sorted by name.
+ */
+export function loadPlayerRoster() {
+  try {
+    const storedRoster = loadStoredRoster().players
+    const roster = []
+
+    for (const player of storedRoster) {
+      if (
+        isRosterPlayer(player) &&
+        !roster.some((knownPlayer) => knownPlayer.id === player.id)
+      ) {
+        roster.push({ id: player.id, name: normalizeName(player.name) })
+      }
+    }
+
+    return sortRoster(roster)
+  } catch {
+    return []
+  }
+}
+
+/**
+ * @param {RosterPlayer[]} roster
+ * @returns {boolean}
+ */
+export function savePlayerRoster(roster) {
+  try {
+    const players = roster.filter(isRosterPlayer)
+
+    return saveState(PLAYER_ROSTER_STORAGE_KEY, {
+      players,
+      nextPlayerNumber: Math.max(
+        getNextPlayerNumberInRoster(players),
+        loadStoredRoster().nextPlayerNumber
+      )
+    })
+  } catch {
+    return false
+  }
+}
+
+export function clearPlayerRoster() {
+  try {
+    return deleteState(PLAYER_ROSTER_STORAGE_KEY)
+  } catch {
+    return false
+  }
+}
+
+/**
+ * @param {RosterPlayer[]} roster
+ * @returns {RosterPlayer[]}
+ */
+function sortRoster(roster) {
+  return [...roster].sort((left, right) => left.name.localeCompare(right.name))
+}
+
+/**
+ * Links every named player of the setup names to a roster player, matching
+ * names case-insensitively and adding players the roster does not know yet
+ * (while there is room). The roster is not saved, so callers can save it once
+ * the match has actually started.
+ *
+ * @param {import('./team-names.js').MatchTeamNames} teamNames
+ * @param {RosterPlayer[]} roster
+ * @returns {{ teamNames: import('./team-names.js').MatchTeamNames, roster: RosterPlayer[] }}
+ */
+export function assignRosterPlayerIds(teamNames, roster) {
+  const nextRoster = [...roster]
+  const nextTeamNames = {}
+
+  for (const teamId of ['teamA', 'teamB']) {
+    const team = teamNames[teamId]
+    const playerIds = team.players.map((playerName) => {
+      const name = normalizeName(playerName)
+
+      if (name.length === 0) {
+        return ''
+      }
+
+      const knownPlayer = findPlayerByName(nextRoster, name)
+
+      if (knownPlayer) {
+        return knownPlayer.id
+      }
+
+      if (nextRoster.length >= MAX_ROSTER_PLAYERS) {
+        return ''
+      }
+
+      const player = { id: createPlayerId(nextRoster), name }
+      nextRoster.push(player)
+      return player.id
+    })
+
+    nextTeamNames[teamId] = {
+      label: team.label,
+      players: [...team.players],
+      playerIds
+    }
+  }
+
+  return {
+    teamNames: /** @type {import('./team-names.js').MatchTeamNames} */ (
+      nextTeamNames
+    ),
+    roster: sortRoster(nextRoster)
+  }
+}
+
+/**
+ * Applies a roster edited in the phone settings app. Players keep their id,
+ * so a renamed player keeps their record; players without a known id are
+ * matched by name or get a new id, and players left out are removed.
+ *
+ * @param {RosterPlayer[]} roster - The roster on the watch.
+ * @param {unknown[]} editedPlayers - `{ id, name }` records from the phone.
+ * @returns {RosterPlayer[]}
+ */
+export function applyEditedRoster(roster, editedPlayers) {
+  const knownIds = new Set(roster.map((player) => player.id))
+  const nextRoster = []
+
+  for (const editedPlayer of editedPlayers) {
+    const name = normalizeName(editedPlayer?.name)
+
+    if (
+      name.length === 0 ||
+      findPlayerByName(nextRoster, name) ||
+      nextRoster.length >= MAX_ROSTER_PLAYERS
+    ) {
+      continue
+    }
+
+    const isUnusedId = (id) =>
+      knownIds.has(id) && !nextRoster.some((player) => player.id === id)
+    const namesakeId = findPlayerByName(roster, name)?.id
+    let id = createPlayerId([...roster, ...nextRoster])
+
+    if (isUnusedId(editedPlayer.id)) {
+      id = editedPlayer.id
+    } else if (isUnusedId(namesakeId)) {
+      id = namesakeId
+    }
+
+    nextRoster.push({ id, name })
+  }
+
+  return sortRoster(nextRoster)
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string[]} Non-empty player ids of one side of a history entry.
+ */
+function getEntryPlayerIds(value) {
+  if (!Array.isArray(value)) {
+    return []
+  }
+
+  return value.filter((id) => typeof id === 'string' && id.length > 0)
+}
+
+/**
+ * @param {Map<string, PartnerRecord | OpponentRecord>} records
+ * @param {string} id
+ * @param {Map<string, string>} namesById
+ * @returns {PartnerRecord | OpponentRecord}
+ */
+function getOrCreateRecord(records, id, namesById) {
+  let record = records.get(id)
+
+  if (!record) {
+    record = { id, name: namesById.get(id) ?? id, played: 0, won: 0, lost: 0 }
+    records.set(id, record)
+  }
+
+  return record
+}
+
+/**
+ * @param {PartnerRecord | OpponentRecord} record
+ * @param {boolean} didWin
+ * @param {boolean} didLose
+ */
+function addResult(record, didWin, didLose) {
+  record.played += 1
+  record.won += didWin ? 1 : 0
+  record.lost += didLose ? 1 : 0
+}
+
+/**
+ * @template {{ played: number, name: string }} T
+ * @param {Map<string, T>} records
+ * @returns {T[]}
+ */
+function sortByMostPlayed(records) {
+  return [...records.values()].sort(
+    (left, right) =>
+      right.played - left.played || left.name.localeCompare(right.name)
+  )
+}
+
+/**
+ * Computes each roster player's record from match history. Only entries that
+ * reference roster player ids count; matches saved before the roster existed
+ * carry no ids and are left out.
+ *
+ * @param {import('./match-history-types.js').MatchHistoryEntry[]} historyEntries
+ * @param {RosterPlayer[]} roster
+ * @returns {PlayerRecord[]} Most wins first.
+ */
+export function computePlayerRecords(historyEntries, roster) {
+  const namesById = new Map(roster.map((player) => [player.id, player.name]))
+  const players = new Map(
+    roster.map((player) => [
+      player.id,
+      {
+        id: player.id,
+        name: player.name,
+        played: 0,
+        won: 0,
+        lost: 0,
+        partners: new Map(),
+        opponents: new Map()
+      }
+    ])
+  )
+
+  for (const entry of Array.isArray(historyEntries) ? historyEntries : []) {
+    const sides = {
+      teamA: getEntryPlayerIds(entry?.teamAPlayerIds),
+      teamB: getEntryPlayerIds(entry?.teamBPlayerIds)
+    }
+
+    for (const [teamId, opponentTeamId] of [
+      ['teamA', 'teamB'],
+      ['teamB', 'teamA']
+    ]) {
+      const didWin = entry.winnerTeam === teamId
+      const didLose = entry.winnerTeam === opponentTeamId
+
+      for (const playerId of sides[teamId]) {
+        const player = players.get(playerId)
+
+        if (!player) {
+          continue
+        }
+
+        addResult(player, didWin, didLose)
+
+        for (const partnerId of sides[teamId]) {
+          if (partnerId !== playerId) {
+            addResult(
+              getOrCreateRecord(player.partners, partnerId, namesById),
+              didWin,
+              didLose
+            )
+          }
+        }
+
+        for (const opponentId of sides[opponentTeamId]) {
+          addResult(
+            getOrCreateRecord(player.opponents, opponentId, namesById),
+            didWin,
+            didLose
+          )
+        }
+      }
+    }
+  }
+
+  return [...players.values()]
+    .map((player) => ({
+      ...player,
+      partners: sortByMostPlayed(player.partners),
+      opponents: sortByMostPlayed(player.opponents)
+    }))
+    .sort(
+      (left, right) =>
+        right.won - left.won ||
+        right.played - left.played ||
+        left.name.localeCompare(right.name)
+    )
+}
+
+/**
+ * @param {{ won: number, lost: number }} record
+ * @returns {string} Wins and losses, e.g. "3-1".
+ */
+export function formatWinLoss(record) {
+  return `${record.won}-${record.lost}`
+}
@@ -0,0 +1,241 @@
+import {
+  isNonNegativeInteger,
+  isPositiveInteger,
+  isRecord,
+  isTeamIdentifier,
+  toNonNegativeInteger,
+  toPersistedPointValue,
+  toPositiveInteger
+} from './validation.js'
+
+/**
+ * @typedef {import('./match-state-schema.js').PointLogEntry} PointLogEntry
+ * @typedef {import('./match-state-schema.js').PointLogScore} PointLogScore
+ * @typedef {import('./match-state-schema.js').CorrectionScore} CorrectionScore
+ * @typedef {import('./match-state-schema.js').ScoreCorrection} ScoreCorrection
+ */
+
+/**
+ * Captures the score shown to the players, with points in their persisted
+ * numeric form so log entries can be stored as-is.
+ *
+ * @param {import('./match-state.js').MatchState} state
+ * @returns {PointLogScore}
+ */
+export function createPointLogScore(state) {
+  return {
+    setsWon: {
+      teamA: toNonNegativeInteger(state?.setsWon?.teamA, 0),
+      teamB: toNonNegativeInteger(state?.setsWon?.teamB, 0)
+    },
+    games: {
+      teamA: toNonNegativeInteger(state?.currentSetStatus?.teamAGames, 0),
+      teamB: toNonNegativeInteger(state?.currentSetStatus?.teamBGames, 0)
+    },
+    points: {
+      teamA: toPersistedPointValue(state?.teamA?.points),
+      teamB: toPersistedPointValue(state?.teamB?.points)
+    }
+  }
+}
+
+/**
+ * The point log score plus the set being played, which a correction can
+ * change as well.
+ *
+ * @param {import('./match-state.js').MatchState} state
+ * @returns {CorrectionScore}
+ */
+export function createCorrectionScore(state) {
+  return {
+    setNumber: toPositiveInteger(state?.currentSetStatus?.number, 1),
+    ...createPointLogScore(state)
+  }
+}
+
+/**
+ * @param {import('./match-state.js').MatchState} previousState
+ * @param {import('./match-state.js').MatchState} nextState
+ * @param {'teamA' | 'teamB'} team
+ * @param {number} timestamp
+ * @returns {PointLogEntry}
+ */
+export function createPointLogEntry(previousState, nextState, team, timestamp) {
+  const before = createPointLogScore(previousState)
+
+  return {
+    team,
+    timestamp: toNonNegativeInteger(timestamp, 0),
+    setNumber: toPositiveInteger(previousState?.currentSetStatus?.number, 1),
+    gameNumber: before.games.teamA + before.games.teamB + 1,
+    before,
+    after: createPointLogScore(nextState)
+  }
+}
+
+/**
+ * @param {unknown} left
+ * @param {unknown} right
+ * @returns {boolean}
+ */
+export function isSamePointLogScore(left, right) {
+  return (
+    isPointLogScore(left) &&
+    isPointLogScore(right) &&
+    left.setsWon.teamA === right.setsWon.teamA &&
+    left.setsWon.teamB === right.setsWon.teamB &&
+    left.games.teamA === right.games.teamA &&
+    left.games.teamB === right.games.teamB &&
+    left.points.teamA === right.points.teamA &&
+    left.points.teamB === right.points.teamB
+  )
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is PointLogEntry[]}
+ */
+export function isPointLog(value) {
+  return Array.isArray(value) && value.every((entry) => isPointLogEntry(entry))
+}
+
+/**
+ * Returns a detached copy of a valid log, or null when any entry is invalid.
+ *
+ * @param {unknown} value
+ * @returns {PointLogEntry[] | null}
+ */
+export function clonePointLog(value) {
+  if (!isPointLog(value)) {
+    return null
+  }
+
+  return value.map((entry) => ({
+    team: entry.team,
+    timestamp: entry.timestamp,
+    setNumber: entry.setNumber,
+    gameNumber: entry.gameNumber,
+    before: clonePointLogScore(entry.before),
+    after: clonePointLogScore(entry.after)
+  }))
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is ScoreCorrection[]}
+ */
+export function isScoreCorrectionList(value) {
+  return (
+    Array.isArray(value) && value.every((entry) => isScoreCorrection(entry))
+  )
+}
+
+/**
+ * Returns a detached copy of a valid correction list, or null when any entry
+ * is invalid.
+ *
+ * @param {unknown} value
+ * @returns {ScoreCorrection[] | null}
+ */
+export function cloneScoreCorrections(value) {
+  if (!isScoreCorrectionList(value)) {
+    return null
+  }
+
+  return value.map((entry) => ({
+    timestamp: entry.timestamp,
+    pointCount: entry.pointCount,
+    before: cloneCorrectionScore(entry.before),
+    after: cloneCorrectionScore(entry.after)
+  }))
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is PointLogEntry}
+ */
+function isPointLogEntry(value) {
+  return (
+    isRecord(value) &&
+    isTeamIdentifier(value.team) &&
+    isNonNegativeInteger(value.timestamp) &&
+    isPositiveInteger(value.setNumber) &&
+    isPositiveInteger(value.gameNumber) &&
+    isPointLogScore(value.before) &&
+    isPointLogScore(value.after)
+  )
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is PointLogScore}
+ */
+function isPointLogScore(value) {
+  return (
+    isRecord(value) &&
+    isTeamPair(value.setsWon) &&
+    isTeamPair(value.games) &&
+    isTeamPair(value.points)
+  )
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is ScoreCorrection}
+ */
+function isScoreCorrection(value) {
+  return (
+    isRecord(value) &&
+    isNonNegativeInteger(value.timestamp) &&
+    isNonNegativeInteger(value.pointCount) &&
+    isCorrectionScore(value.before) &&
+    isCorrectionScore(value.after)
+  )
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is CorrectionScore}
+ */
+function isCorrectionScore(value) {
+  return (
+    isRecord(value) &&
+    isPositiveInteger(value.setNumber) &&
+    isPointLogScore(value)
+  )
+}
+
+/**
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function isTeamPair(value) {
+  return (
+    isRecord(value) &&
+    isNonNegativeInteger(value.teamA) &&
+    isNonNegativeInteger(value.teamB)
+  )
+}
+
+/**
+ * @param {PointLogScore} score
+ * @returns {PointLogScore}
+ */
+function clonePointLogScore(score) {
+  return {
+    setsWon: { teamA: score.setsWon.teamA, teamB: score.setsWon.teamB },
+    games: { teamA: score.games.teamA, teamB: score.games.teamB },
+    points: { teamA: score.points.teamA, teamB: score.points.teamB }
+  }
+}
+
+/**
+ * @param {CorrectionScore} score
+ * @returns {CorrectionScore}
+ */
+function cloneCorrectionScore(score) {
+  return {
+    setNumber: score.setNumber,
+    ...clonePointLogScore(score)
+  }
+}
@@ -1,7 +1,32 @@
-import { TIE_BREAK_ENTRY_GAMES } from './constants.js'
+import {
+  MATCH_FORMAT,
+  PERSISTED_ADVANTAGE_POINT_VALUE,
+  SCORING_EVENT,
+  SCORING_MODE,
+  STAR_POINT_MAX_ADVANTAGES,
+  TIE_BREAK_CHANGE_ENDS_INTERVAL
+} from './constants.js'
 import { deepCopyState } from './history-stack.js'
+import { createInitialMatchState } from './match-state.js'
+import {
+  createCorrectionScore,
+  createPointLogEntry,
+  createPointLogScore,
+  isSamePointLogScore
+} from './point-log.js'
 import { SCORE_POINTS } from './scoring-constants.js'
-import { toNonNegativeInteger, toPositiveInteger } from './validation.js'
+import { getCurrentServer } from './serve-rotation.js'
+import {
+  isSuperTieBreakSet,
+  isTieBreakModeForState,
+  resolveHandicap,
+  resolveMatchFormat,
+  resolveSetLength,
+  resolveTieBreakEntryGames,
+  toNonNegativeInteger,
+  toPositiveInteger,
+  toRuntimePointValue
+} from './validation.js'
 
 const REGULAR_POINT_SEQUENCE = Object.freeze([
   SCORE_POINTS.LOVE,
@@ -11,11 +36,34 @@ const REGULAR_POINT_SEQUENCE = Object.freeze([
 ])
 
 const FORTY_POINT_INDEX = REGULAR_POINT_SEQUENCE.length - 1
-const MIN_GAMES_TO_WIN_SET = 6
 const MIN_GAME_MARGIN_TO_WIN_SET = 2
 const MIN_TIE_BREAK_POINTS_TO_WIN_SET = 7
+const MIN_SUPER_TIE_BREAK_POINTS_TO_WIN_SET = 10
 const MIN_TIE_BREAK_POINT_MARGIN = 2
 const DEFAULT_SETS_NEEDED_TO_WIN = 2
+const RESTORABLE_MATCH_STATUSES = Object.freeze(['active', 'finished'])
+// A paused match keeps its status through a correction.
+const CORRECTABLE_MATCH_STATUSES = Object.freeze(['active', 'paused'])
+const CORRECTABLE_REGULAR_POINT_VALUES = Object.freeze([
+  ...REGULAR_POINT_SEQUENCE,
+  PERSISTED_ADVANTAGE_POINT_VALUE
+])
+
+/**
+ * @typedef {{ type: 'change-ends' }} ScoringEvent
+ */
+
+/**
+ * What an undo took away, kept so it can be redone. Snapshots and log entries
+ * are stored as suffixes past the part the undo left untouched.
+ *
+ * @typedef RedoEntry
+ * @property {import('./match-state.js').MatchState} state - State before the undo, without its point log.
+ * @property {number} historyLength - Undo snapshots the undo left in place.
+ * @property {import('./match-state.js').MatchState[]} historySnapshots - Snapshots the undo removed, oldest first.
+ * @property {number} pointLogLength - Log entries the undo left in place, or -1 without a log.
+ * @property {import('./match-state-schema.js').PointLogEntry[]} pointLogEntries - Log entries the undo removed.
+ */
 
 /**
  * @param {'teamA' | 'teamB'} team
@@ -43,11 +91,106 @@ function getRegularPointIndex(points) {
 }
 
 /**
+ * @param {import('./match-state.js').MatchState} state
+ * @returns {number}
+ */
+function getDeuceCount(state) {
+  return toNonNegativeInteger(state.currentGameStatus?.deuceCount, 0)
+}
+
+/**
+ * @param {import('./match-state.js').MatchState} state
+ * @param {number} deuceCount
+ */
+function setDeuceCount(state, deuceCount) {
+  state.currentGameStatus = {
+    ...state.currentGameStatus,
+    deuceCount
+  }
+}
+
+/**
+ * Points a team starts a game on: the handicap team's head start, or love in
+ * a tie-break, once the match is over and for the other team.
+ *
+ * @param {import('./match-state.js').MatchState} state
+ * @param {'teamA' | 'teamB'} team
+ * @returns {number}
+ */
+export function getGameStartPoints(state, team) {
+  const handicap = resolveHandicap(state.settings)
+
+  if (
+    handicap?.team === team &&
+    handicap.points > 0 &&
+    state.status !== 'finished' &&
+    !isTieBreakMode(state)
+  ) {
+    return REGULAR_POINT_SEQUENCE[handicap.points]
+  }
+
+  return SCORE_POINTS.LOVE
+}
+
+/**
+ * Starts a new game, with the handicap team's head start unless the game is a
+ * tie-break or the match is over.
+ *
  * @param {import('./match-state.js').MatchState} state
  */
 function resetPoints(state) {
-  state.teamA.points = SCORE_POINTS.LOVE
-  state.teamB.points = SCORE_POINTS.LOVE
+  state.teamA.points = getGameStartPoints(state, 'teamA')
+  state.teamB.points = getGameStartPoints(state, 'teamB')
+  setDeuceCount(state, 0)
+}
+
+/**
+ * Games the handicap put on the score of the current set without being
+ * played. Only the first set starts with them.
+ *
+ * @param {import('./match-state.js').MatchState} state
+ * @returns {number}
+ */
+export function getHandicapGamesInCurrentSet(state) {
+  const handicap = resolveHandicap(state.settings)
+
+  return handicap && state.currentSetStatus.number === 1 ? handicap.games : 0
+}
+
+/**
+ * Puts a fresh state on the handicap's starting score: sets and games up
+ * for the match, and the first game's head start.
+ *
+ * @param {import('./match-state.js').MatchState} state
+ * @returns {import('./match-state.js').MatchState}
+ */
+export function applyStartingHandicap(state) {
+  const handicap = resolveHandicap(state.settings)
+
+  if (!handicap) {
+    return state
+  }
+
+  ensureSetTrackingMetadata(state)
+
+  state.setsWon[handicap.team] += handicap.sets
+
+  for (let game = 0; game < handicap.games; game += 1) {
+    incrementGameCounter(state, handicap.team)
+  }
+
+  resetPoints(state)
+
+  return state
+}
+
+/**
+ * @param {import('./match-state.js').MatchState} state
+ */
+function enterDeuce(state) {
+  state.teamA.points = SCORE_POINTS.FORTY
+  state.teamB.points = SCORE_POINTS.FORTY
+  setDeuceCount(state, getDeuceCount(state) + 1)
 }
 
 /**
@@ -87,19 +230,87 @@ function isSetWon(state, team) {
   const opponentTeamGames = getSetGames(state, opponentTeam)
 
   return (
-    scoringTeamGames >= MIN_GAMES_TO_WIN_SET &&
+    scoringTeamGames >= resolveSetLength(state.settings).gamesPerSet &&
     scoringTeamGames - opponentTeamGames >= MIN_GAME_MARGIN_TO_WIN_SET
   )
 }
 
 /**
+ * A fixed-games match is a single set that ends once all of its games have
+ * been played, however far ahead one team is.
+ *
+ * @param {import('./match-state.js').MatchState} state
+ * @returns {boolean}
+ */
+function isTotalGamesMatch(state) {
+  return resolveMatchFormat(state.settings) === MATCH_FORMAT.TOTAL_GAMES
+}
+
+/**
+ * Handicap games are on the score without being played, so they do not use
+ * up the match's games.
+ *
+ * @param {import('./match-state.js').MatchState} state
+ * @returns {boolean}
+ */
+function areAllGamesPlayed(state) {
+  return (
+    state.currentSetStatus.teamAGames +
+      state.currentSetStatus.teamBGames -
+      getHandicapGamesInCurrentSet(state) >=
+    state.settings.totalGames
+  )
+}
+
+/**
+ * Tie-break at the configured games-all, unless the deciding set is played
+ * without one, or the whole deciding set is a super tie-break.
+ *
  * @param {import('./match-state.js').MatchState} state
  * @returns {boolean}
  */
 function isTieBreakMode(state) {
+  return isTieBreakModeForState(state)
+}
+
+/**
+ * @param {import('./match-state.js').MatchState} state
+ * @returns {boolean}
+ */
+function isDeuce(state) {
+  return (
+    state.teamA.points === SCORE_POINTS.FORTY &&
+    state.teamB.points === SCORE_POINTS.FORTY
+  )
+}
+
+/**
+ * Star point plays a limited number of advantages; once deuce comes back
+ * after the last one, the next point decides the game.
+ *
+ * @param {import('./match-state.js').MatchState} state
+ * @returns {boolean}
+ */
+export function isStarPoint(state) {
+  return (
+    state.settings?.scoringMode === SCORING_MODE.STAR_POINT &&
+    !isTieBreakMode(state) &&
+    isDeuce(state) &&
+    getDeuceCount(state) > STAR_POINT_MAX_ADVANTAGES
+  )
+}
+
+/**
+ * Golden point decides every 40-40 on the next point; star point does so
+ * only after its advantages are used up.
+ *
+ * @param {import('./match-state.js').MatchState} state
+ * @returns {boolean}
+ */
+function isDecidingPoint(state) {
   return (
-    state.currentSetStatus.teamAGames === TIE_BREAK_ENTRY_GAMES &&
-    state.currentSetStatus.teamBGames === TIE_BREAK_ENTRY_GAMES
+    state.settings?.scoringMode === SCORING_MODE.GOLDEN_POINT ||
+    isStarPoint(state)
   )
 }
 
@@ -144,9 +355,12 @@ function isTieBreakWon(state, team) {
   const opponentTeam = getOpponentTeam(team)
   const scoringTeamPoints = getTieBreakPoints(state[team].points)
   const opponentPoints = getTieBreakPoints(state[opponentTeam].points)
+  const pointsToWin = isSuperTieBreakSet(state)
+    ? MIN_SUPER_TIE_BREAK_POINTS_TO_WIN_SET
+    : MIN_TIE_BREAK_POINTS_TO_WIN_SET
 
   return (
-    scoringTeamPoints >= MIN_TIE_BREAK_POINTS_TO_WIN_SET &&
+    scoringTeamPoints >= pointsToWin &&
     scoringTeamPoints - opponentPoints >= MIN_TIE_BREAK_POINT_MARGIN
   )
 }
@@ -185,18 +399,97 @@ function markMatchAsFinished(state, winningTeam) {
 }
 
 /**
+ * The team with more games wins a fixed-games match; an even split is a
+ * draw, finished without a winner.
+ *
+ * @param {import('./match-state.js').MatchState} state
+ */
+function finishTotalGamesMatch(state) {
+  const teamAGames = state.currentSetStatus.teamAGames
+  const teamBGames = state.currentSetStatus.teamBGames
+  let winningTeam = null
+
+  if (teamAGames !== teamBGames) {
+    winningTeam = teamAGames > teamBGames ? 'teamA' : 'teamB'
+    state.setsWon[winningTeam] += 1
+  }
+
+  state.setHistory.push({
+    setNumber: toPositiveInteger(state.currentSetStatus.number, 1),
+    teamAGames,
+    teamBGames
+  })
+
+  resetCurrentSetGames(state)
+
+  if (winningTeam) {
+    markMatchAsFinished(state, winningTeam)
+    return
+  }
+
+  state.status = 'finished'
+}
+
+/**
+ * The next game starts once the set and match are settled, so its points
+ * know whether it is a tie-break.
+ *
  * @param {import('./match-state.js').MatchState} state
  * @param {'teamA' | 'teamB'} team
+ * @param {ScoringEvent[]} events
  * @param {{ setCompletedByTieBreak?: boolean }} [options]
  */
-function handleGameWin(state, team, options = {}) {
+function handleGameWin(state, team, events, options = {}) {
+  recordGameWin(state, team, events, options)
+  resetPoints(state)
+}
+
+/**
+ * Ends are changed after every odd game of a set, counting the games of the
+ * set just completed, so a 6-3 set changes ends and a 6-4 set does not.
+ * Games given by a handicap are not counted, as they were never played.
+ *
+ * @param {import('./match-state.js').MatchState} state
+ * @param {'teamA' | 'teamB'} team
+ * @param {ScoringEvent[]} events
+ * @param {{ setCompletedByTieBreak?: boolean }} [options]
+ */
+function recordGameWin(state, team, events, options = {}) {
   const setCompletedByTieBreak = options.setCompletedByTieBreak === true
 
   ensureSetTrackingMetadata(state)
+
+  // A super tie-break set is recorded by its points, e.g. [10-8].
+  const superTieBreakPoints =
+    setCompletedByTieBreak && isSuperTieBreakSet(state)
+      ? {
+          teamA: getTieBreakPoints(state.teamA.points),
+          teamB: getTieBreakPoints(state.teamB.points)
+        }
+      : null
+
   incrementGameCounter(state, team)
-  resetPoints(state)
+
+  const isOddGameOfSet =
+    (state.currentSetStatus.teamAGames +
+      state.currentSetStatus.teamBGames -
+      getHandicapGamesInCurrentSet(state)) %
+      2 ===
+    1
+
+  if (isTotalGamesMatch(state)) {
+    if (areAllGamesPlayed(state)) {
+      finishTotalGamesMatch(state)
+    } else if (isOddGameOfSet) {
+      events.push({ type: SCORING_EVENT.CHANGE_ENDS })
+    }
+    return
+  }
 
   if (!setCompletedByTieBreak && !isSetWon(state, team)) {
+    if (isOddGameOfSet) {
+      events.push({ type: SCORING_EVENT.CHANGE_ENDS })
+    }
     return
   }
 
@@ -211,11 +504,21 @@ function handleGameWin(state, team, options = {}) {
   )
 
   state.setsWon[team] += 1
-  state.setHistory.push({
-    setNumber: completedSetNumber,
-    teamAGames: completedSetTeamAGames,
-    teamBGames: completedSetTeamBGames
-  })
+  state.setHistory.push(
+    superTieBreakPoints
+      ? {
+          setNumber: completedSetNumber,
+          teamAGames: superTieBreakPoints.teamA,
+          teamBGames: superTieBreakPoints.teamB,
+          superTieBreak: true
+        }
+      : {
+          setNumber: completedSetNumber,
+          teamAGames: completedSetTeamAGames,
+          teamBGames: completedSetTeamBGames,
+          ...(setCompletedByTieBreak ? { tieBreak: true } : {})
+        }
+  )
 
   resetCurrentSetGames(state)
 
@@ -225,13 +528,18 @@ function handleGameWin(state, team, options = {}) {
   }
 
   moveToNextSet(state)
+
+  if (isOddGameOfSet) {
+    events.push({ type: SCORING_EVENT.CHANGE_ENDS })
+  }
 }
 
 /**
  * @param {import('./match-state.js').MatchState} state
  * @param {'teamA' | 'teamB'} team
+ * @param {ScoringEvent[]} events
  */
-function handleTieBreakPoint(state, team) {
+function handleTieBreakPoint(state, team, events) {
   const opponentTeam = getOpponentTeam(team)
   const scoringTeamPoints = getTieBreakPoints(state[team].points)
 
@@ -239,18 +547,26 @@ function handleTieBreakPoint(state, team) {
   state[opponentTeam].points = getTieBreakPoints(state[opponentTeam].points)
 
   if (isTieBreakWon(state, team)) {
-    handleGameWin(state, team, {
+    handleGameWin(state, team, events, {
       setCompletedByTieBreak: true
     })
+    return
+  }
+
+  const pointsPlayed = state.teamA.points + state.teamB.points
+
+  if (pointsPlayed % TIE_BREAK_CHANGE_ENDS_INTERVAL === 0) {
+    events.push({ type: SCORING_EVENT.CHANGE_ENDS })
   }
 }
 
 /**
  * @param {import('./match-state.js').MatchState} state
  * @param {'teamA' | 'teamB'} team
+ * @param {ScoringEvent[]} events
  */
-function finalizeGameWin(state, team) {
-  handleGameWin(state, team)
+function finalizeGameWin(state, team, events) {
+  handleGameWin(state, team, events)
 }
 
 /**
@@ -336,9 +652,13 @@ function isValidCurrentSetStatus(currentSetStatus) {
 
 /**
  * @param {unknown} state
+ * @param {readonly string[]} [statuses]
  * @returns {boolean}
  */
-function isValidRestorableMatchState(state) {
+function isValidRestorableMatchState(
+  state,
+  statuses = RESTORABLE_MATCH_STATUSES
+) {
   return (
     !!state &&
     typeof state === 'object' &&
@@ -348,7 +668,7 @@ function isValidRestorableMatchState(state) {
     isNonNegativeInteger(state.currentSet) &&
     state.currentSet >= 1 &&
     state.currentSet === state.currentSetStatus.number &&
-    (state.status === 'active' || state.status === 'finished') &&
+    statuses.includes(state.status) &&
     isNonNegativeInteger(state.updatedAt)
   )
 }
@@ -382,6 +702,9 @@ function isInitialLikeState(state) {
 }
 
 /**
+ * Undo snapshots leave the point log out so memory grows with the number of
+ * points rather than its square; undo trims the log instead.
+ *
  * @param {import('./match-state.js').MatchState} state
  * @param {import('./history-stack.js').HistoryStack<import('./match-state.js').MatchState>} [historyStack]
  * @returns {import('./match-state.js').MatchState}
@@ -391,32 +714,164 @@ function createNextState(state, historyStack) {
 
   if (historyStack !== undefined) {
     assertValidHistoryStack(historyStack)
-    historyStack.push(preUpdateSnapshot)
+
+    historyStack.push(createHistorySnapshot(preUpdateSnapshot))
+
+    // A new point starts a new timeline, so earlier undos can't be redone.
+    if (typeof historyStack.clearRedo === 'function') {
+      historyStack.clearRedo()
+    }
   }
 
   return deepCopyState(preUpdateSnapshot)
 }
 
 /**
- * Handles regular scoring, deuce/advantage transitions, and tie-break mode.
+ * @param {import('./match-state.js').MatchState} state
+ * @returns {import('./match-state.js').MatchState}
+ */
+function createHistorySnapshot(state) {
+  const historySnapshot = deepCopyState(state)
+  delete historySnapshot.pointLog
+  return historySnapshot
+}
+
+/**
+ * Builds the redo entry for an undo from `state`.
  *
+ * @param {import('./match-state.js').MatchState} state - State before the undo.
+ * @param {number} historyLength - Undo snapshots still shared after the undo.
+ * @param {import('./match-state.js').MatchState[]} historySnapshots - Snapshots the undo removed, oldest first.
+ * @param {number} pointLogLength - Log entries still shared after the undo, or -1 to leave the log out.
+ * @returns {RedoEntry}
+ */
+export function createRedoEntry(
+  state,
+  historyLength,
+  historySnapshots,
+  pointLogLength
+) {
+  const hasPointLog = Array.isArray(state.pointLog) && pointLogLength >= 0
+
+  return {
+    state: createHistorySnapshot(state),
+    historyLength,
+    historySnapshots: historySnapshots.map(createHistorySnapshot),
+    pointLogLength: hasPointLog ? pointLogLength : -1,
+    pointLogEntries: hasPointLog
+      ? deepCopyState(state.pointLog.slice(pointLogLength))
+      : []
+  }
+}
+
+/**
+ * @param {unknown} historyStack
+ * @returns {boolean}
+ */
+function canStoreRedoEntries(historyStack) {
+  return (
+    historyStack !== undefined &&
+    typeof historyStack.pushRedo === 'function' &&
+    typeof historyStack.size === 'function'
+  )
+}
+
+/**
  * @param {import('./match-state.js').MatchState} state
+ * @param {import('./match-state.js').MatchState} nextState
  * @param {'teamA' | 'teamB'} team
- * @param {import('./history-stack.js').HistoryStack<import('./match-state.js').MatchState>} [historyStack]
- * @returns {import('./match-state.js').MatchState}
  */
-export function addPoint(state, team, historyStack) {
-  assertValidTeam(team)
+function appendPointLogEntry(state, nextState, team) {
+  if (!Array.isArray(nextState.pointLog)) {
+    return
+  }
 
-  if (state.status === 'finished') {
-    return deepCopyState(state)
+  nextState.pointLog.push(
+    createPointLogEntry(state, nextState, team, Date.now())
+  )
+}
+
+/**
+ * Replays every logged point but the last one on a fresh state with the same
+ * rules. Used when no undo snapshots exist, e.g. after an app restart.
+ * Returns null when the replay does not land on the score the last point was
+ * played from, such as a log that does not start at the first point.
+ *
+ * @param {import('./match-state.js').MatchState} state
+ * @returns {import('./match-state.js').MatchState | null}
+ */
+function rebuildStateWithoutLastPoint(state) {
+  const pointLog = state.pointLog
+  const lastEntry = pointLog[pointLog.length - 1]
+  let rebuiltState = createInitialMatchState(state.updatedAt)
+
+  rebuiltState.teams = deepCopyState(state.teams)
+
+  if (state.setsNeededToWin !== undefined) {
+    rebuiltState.setsNeededToWin = state.setsNeededToWin
   }
 
-  const nextState = createNextState(state, historyStack)
+  if (state.setsWon !== undefined) {
+    rebuiltState.setsWon = { teamA: 0, teamB: 0 }
+  }
+
+  if (state.setHistory !== undefined) {
+    rebuiltState.setHistory = []
+  }
+
+  if (state.settings) {
+    rebuiltState.settings = deepCopyState(state.settings)
+    applyStartingHandicap(rebuiltState)
+  }
+
+  for (let index = 0; index < pointLog.length - 1; index += 1) {
+    applyScoreCorrections(rebuiltState, state.corrections, index)
+    rebuiltState = addPoint(rebuiltState, pointLog[index].team)
+  }
+
+  applyScoreCorrections(rebuiltState, state.corrections, pointLog.length - 1)
+
+  if (
+    !isSamePointLogScore(createPointLogScore(rebuiltState), lastEntry.before)
+  ) {
+    return null
+  }
+
+  rebuiltState.pointLog = deepCopyState(pointLog.slice(0, -1))
+
+  if (Array.isArray(state.corrections)) {
+    rebuiltState.corrections = deepCopyState(
+      state.corrections.filter(
+        (correction) => correction.pointCount < pointLog.length
+      )
+    )
+  }
+
+  refreshCurrentServer(rebuiltState)
+
+  return rebuiltState
+}
 
+/**
+ * @param {import('./match-state.js').MatchState} state
+ */
+function refreshCurrentServer(state) {
+  const currentServer = getCurrentServer(state)
+
+  if (currentServer) {
+    state.currentServer = currentServer
+  }
+}
+
+/**
+ * @param {import('./match-state.js').MatchState} nextState
+ * @param {'teamA' | 'teamB'} team
+ * @param {ScoringEvent[]} events
+ */
+function applyPoint(nextState, team, events) {
   if (isTieBreakMode(nextState)) {
-    handleTieBreakPoint(nextState, team)
-    return nextState
+    handleTieBreakPoint(nextState, team, events)
+    return
   }
 
   const opponentTeam = getOpponentTeam(team)
@@ -428,22 +883,26 @@ export function addPoint(state, team, historyStack) {
   )
 
   if (scoringTeamPoints === SCORE_POINTS.ADVANTAGE) {
-    finalizeGameWin(nextState, team)
-    return nextState
+    finalizeGameWin(nextState, team, events)
+    return
   }
 
   if (opponentTeamPoints === SCORE_POINTS.ADVANTAGE) {
-    nextState[team].points = SCORE_POINTS.FORTY
-    nextState[opponentTeam].points = SCORE_POINTS.FORTY
-    return nextState
+    enterDeuce(nextState)
+    return
   }
 
   if (
     scoringTeamPoints === SCORE_POINTS.FORTY &&
     opponentTeamPoints === SCORE_POINTS.FORTY
   ) {
+    if (isDecidingPoint(nextState)) {
+      finalizeGameWin(nextState, team, events)
+      return
+    }
+
     nextState[team].points = SCORE_POINTS.ADVANTAGE
-    return nextState
+    return
   }
 
   if (
@@ -451,19 +910,61 @@ export function addPoint(state, team, historyStack) {
     opponentPointIndex > -1 &&
     opponentPointIndex < FORTY_POINT_INDEX
   ) {
-    finalizeGameWin(nextState, team)
-    return nextState
+    finalizeGameWin(nextState, team, events)
+    return
   }
 
   if (scoringTeamPointIndex > -1 && scoringTeamPointIndex < FORTY_POINT_INDEX) {
     nextState[team].points = REGULAR_POINT_SEQUENCE[scoringTeamPointIndex + 1]
+
+    if (isDeuce(nextState)) {
+      enterDeuce(nextState)
+    }
+  }
+}
+
+/**
+ * Handles regular scoring, deuce/advantage, golden point and star point
+ * transitions, and tie-break mode (including a super tie-break deciding set),
+ * then updates the current server. Pro sets are played like any other set
+ * of their length; fixed-games matches end after their last game.
+ *
+ * Events raised by the point, such as a change of ends, are passed to
+ * `options.onEvent` once the next state is complete.
+ *
+ * @param {import('./match-state.js').MatchState} state
+ * @param {'teamA' | 'teamB'} team
+ * @param {import('./history-stack.js').HistoryStack<import('./match-state.js').MatchState>} [historyStack]
+ * @param {{ onEvent?: (event: ScoringEvent) => void }} [options]
+ * @returns {import('./match-state.js').MatchState}
+ */
+export function addPoint(state, team, historyStack, options = {}) {
+  assertValidTeam(team)
+
+  // No points are played while the match is paused.
+  if (state.status === 'finished' || state.status === 'paused') {
+    return deepCopyState(state)
+  }
+
+  const nextState = createNextState(state, historyStack)
+  /** @type {ScoringEvent[]} */
+  const events = []
+
+  applyPoint(nextState, team, events)
+  refreshCurrentServer(nextState)
+  appendPointLogEntry(state, nextState, team)
+
+  if (typeof options?.onEvent === 'function') {
+    events.forEach((event) => options.onEvent(event))
   }
 
   return nextState
 }
 
 /**
- * Restores the previous match snapshot from history.
+ * Restores the previous match snapshot from history, or rebuilds it from the
+ * point log when the history is empty. A score correction made after the last
+ * point is not undone point by point; the score editor fixes it instead.
  *
  * @param {import('./match-state.js').MatchState} state
  * @param {import('./history-stack.js').HistoryStack<import('./match-state.js').MatchState>} [historyStack]
@@ -472,20 +973,352 @@ export function addPoint(state, team, historyStack) {
 export function removePoint(state, historyStack) {
   assertValidUndoHistoryStack(historyStack)
 
-  if (isInitialLikeState(state)) {
+  if (isInitialLikeState(state) || isCorrectedSinceLastPoint(state)) {
     return deepCopyState(state)
   }
 
-  if (historyStack === undefined || historyStack.isEmpty()) {
+  const restoredState =
+    historyStack === undefined || historyStack.isEmpty()
+      ? null
+      : historyStack.pop()
+  const hasPointLog = Array.isArray(state.pointLog)
+  const pointLogLength = hasPointLog
+    ? Math.max(state.pointLog.length - 1, 0)
+    : -1
+
+  if (restoredState === null) {
+    if (!hasPointLog || state.pointLog.length === 0) {
+      return deepCopyState(state)
+    }
+
+    const rebuiltState = rebuildStateWithoutLastPoint(state)
+
+    if (rebuiltState === null) {
+      return deepCopyState(state)
+    }
+
+    if (canStoreRedoEntries(historyStack)) {
+      historyStack.pushRedo(createRedoEntry(state, 0, [], pointLogLength))
+    }
+
+    return rebuiltState
+  }
+
+  assertRestorableMatchState(restoredState)
+
+  const nextState = deepCopyState(restoredState)
+
+  if (hasPointLog) {
+    nextState.pointLog = deepCopyState(state.pointLog.slice(0, -1))
+  }
+
+  refreshCurrentServer(nextState)
+
+  if (canStoreRedoEntries(historyStack)) {
+    historyStack.pushRedo(
+      createRedoEntry(
+        state,
+        historyStack.size(),
+        [restoredState],
+        pointLogLength
+      )
+    )
+  }
+
+  return nextState
+}
+
+/**
+ * Reapplies the most recent undo. The undo history is put back the way it was
+ * before that undo, so undoing again behaves as if the redo never happened.
+ *
+ * @param {import('./match-state.js').MatchState} state
+ * @param {import('./history-stack.js').HistoryStack<import('./match-state.js').MatchState>} [historyStack]
+ * @returns {import('./match-state.js').MatchState}
+ */
+export function redoPoint(state, historyStack) {
+  if (
+    !canStoreRedoEntries(historyStack) ||
+    typeof historyStack.popRedo !== 'function'
+  ) {
     return deepCopyState(state)
   }
 
-  const restoredState = historyStack.pop()
+  const redoEntry = historyStack.popRedo()
 
-  if (restoredState === null) {
+  if (redoEntry === null) {
     return deepCopyState(state)
   }
 
-  assertRestorableMatchState(restoredState)
-  return deepCopyState(restoredState)
+  assertRestorableMatchState(redoEntry.state)
+
+  while (historyStack.size() > redoEntry.historyLength) {
+    historyStack.pop()
+  }
+
+  redoEntry.historySnapshots.forEach((snapshot) => {
+    historyStack.push(snapshot)
+  })
+
+  const nextState = redoEntry.state
+
+  if (redoEntry.pointLogLength >= 0 && Array.isArray(state.pointLog)) {
+    nextState.pointLog = deepCopyState(
+      state.pointLog
+        .slice(0, redoEntry.pointLogLength)
+        .concat(redoEntry.pointLogEntries)
+    )
+  }
+
+  return nextState
+}
+
+/**
+ * @param {import('./match-state.js').MatchState} state
+ * @returns {boolean}
+ */
+function isCorrectedSinceLastPoint(state) {
+  if (!Array.isArray(state.corrections) || state.corrections.length === 0) {
+    return false
+  }
+
+  const pointCount = Array.isArray(state.pointLog) ? state.pointLog.length : 0
+
+  return (
+    state.corrections[state.corrections.length - 1].pointCount === pointCount
+  )
+}
+
+/**
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function isTeamPairOfIntegers(value) {
+  return (
+    !!value &&
+    typeof value === 'object' &&
+    isNonNegativeInteger(value.teamA) &&
+    isNonNegativeInteger(value.teamB)
+  )
+}
+
+/**
+ * Puts `state` on a corrected score, with points in their persisted form.
+ * Sets from the corrected set onwards are dropped from the set history.
+ *
+ * @param {import('./match-state.js').MatchState} state
+ * @param {import('./match-state-schema.js').CorrectionScore} score
+ */
+function setCorrectionScore(state, score) {
+  ensureSetTrackingMetadata(state)
+
+  state.currentSetStatus.number = score.setNumber
+  state.currentSet = score.setNumber
+  state.setsWon = { teamA: score.setsWon.teamA, teamB: score.setsWon.teamB }
+  state.setHistory = state.setHistory.filter(
+    (entry) => entry?.setNumber < score.setNumber
+  )
+
+  state.teamA.games = score.games.teamA
+  state.teamB.games = score.games.teamB
+  state.currentSetStatus.teamAGames = score.games.teamA
+  state.currentSetStatus.teamBGames = score.games.teamB
+
+  const tieBreakMode = isTieBreakMode(state)
+
+  state.teamA.points = toRuntimePointValue(score.points.teamA, tieBreakMode)
+  state.teamB.points = toRuntimePointValue(score.points.teamB, tieBreakMode)
+
+  // A corrected deuce counts as the first one, as if it had been played.
+  const isDeuceGame =
+    !tieBreakMode &&
+    [state.teamA.points, state.teamB.points].every(
+      (points) =>
+        points === SCORE_POINTS.FORTY || points === SCORE_POINTS.ADVANTAGE
+    )
+
+  setDeuceCount(state, isDeuceGame ? 1 : 0)
+}
+
+/**
+ * @param {import('./match-state.js').MatchState} state
+ * @returns {boolean}
+ */
+function isCorrectedSetInProgress(state) {
+  const teamAGames = state.currentSetStatus.teamAGames
+  const teamBGames = state.currentSetStatus.teamBGames
+
+  if (isTotalGamesMatch(state)) {
+    return !areAllGamesPlayed(state)
+  }
+
+  // The deciding super tie-break is played as a single game.
+  if (isSuperTieBreakSet(state)) {
+    return teamAGames === 0 && teamBGames === 0
+  }
+
+  const tieBreakAt = resolveTieBreakEntryGames(state)
+
+  if (
+    tieBreakAt !== null &&
+    Math.min(teamAGames, teamBGames) >= tieBreakAt &&
+    (teamAGames !== tieBreakAt || teamBGames !== tieBreakAt)
+  ) {
+    return false
+  }
+
+  return !isSetWon(state, 'teamA') && !isSetWon(state, 'teamB')
+}
+
+/**
+ * @param {import('./match-state.js').MatchState} state
+ * @param {import('./match-state-schema.js').CorrectionScore} score
+ * @returns {boolean}
+ */
+function isCorrectedGameInProgress(state, score) {
+  if (isTieBreakMode(state)) {
+    return !isTieBreakWon(state, 'teamA') && !isTieBreakWon(state, 'teamB')
+  }
+
+  const { teamA, teamB } = score.points
+
+  if (
+    !CORRECTABLE_REGULAR_POINT_VALUES.includes(teamA) ||
+    !CORRECTABLE_REGULAR_POINT_VALUES.includes(teamB)
+  ) {
+    return false
+  }
+
+  if (
+    teamA !== PERSISTED_ADVANTAGE_POINT_VALUE &&
+    teamB !== PERSISTED_ADVANTAGE_POINT_VALUE
+  ) {
+    return true
+  }
+
+  // Advantage needs the opponent on 40, and golden point never plays one.
+  return (
+    state.settings?.scoringMode !== SCORING_MODE.GOLDEN_POINT &&
+    (teamA === SCORE_POINTS.FORTY || teamB === SCORE_POINTS.FORTY)
+  )
+}
+
+/**
+ * Applies `score` to a copy of `state`, or returns null when the score could
+ * not be reached by playing on: a finished set or game, a set number that
+ * does not follow from the sets won, or a match that would already be over.
+ *
+ * @param {import('./match-state.js').MatchState} state
+ * @param {unknown} score
+ * @returns {import('./match-state.js').MatchState | null}
+ */
+function createCorrectedState(state, score) {
+  if (
+    !score ||
+    typeof score !== 'object' ||
+    !isNonNegativeInteger(score.setNumber) ||
+    score.setNumber < 1 ||
+    !isTeamPairOfIntegers(score.setsWon) ||
+    !isTeamPairOfIntegers(score.games) ||
+    !isTeamPairOfIntegers(score.points) ||
+    !isValidRestorableMatchState(state, CORRECTABLE_MATCH_STATUSES)
+  ) {
+    return null
+  }
+
+  const nextState = deepCopyState(state)
+  const handicap = resolveHandicap(nextState.settings)
+  const handicapSets = handicap ? handicap.sets : 0
+
+  setCorrectionScore(nextState, score)
+
+  const { teamA: setsWonTeamA, teamB: setsWonTeamB } = nextState.setsWon
+
+  if (
+    setsWonTeamA >= nextState.setsNeededToWin ||
+    setsWonTeamB >= nextState.setsNeededToWin ||
+    setsWonTeamA + setsWonTeamB !== score.setNumber - 1 + handicapSets ||
+    (handicap && nextState.setsWon[handicap.team] < handicap.sets)
+  ) {
+    return null
+  }
+
+  if (
+    !isCorrectedSetInProgress(nextState) ||
+    !isCorrectedGameInProgress(nextState, score) ||
+    !isValidRestorableMatchState(nextState, CORRECTABLE_MATCH_STATUSES)
+  ) {
+    return null
+  }
+
+  return nextState
+}
+
+/**
+ * Whether the score editor may put the match on `score`.
+ *
+ * @param {import('./match-state.js').MatchState} state
+ * @param {unknown} score - Set number, sets won, games and persisted points.
+ * @returns {boolean}
+ */
+export function canCorrectScore(state, score) {
+  return createCorrectedState(state, score) !== null
+}
+
+/**
+ * Sets the match score by hand and records the change as a correction, so
+ * the point log can still be replayed across it.
+ *
+ * @param {import('./match-state.js').MatchState} state
+ * @param {import('./match-state-schema.js').CorrectionScore} score
+ * @param {number} [timestamp]
+ * @returns {import('./match-state.js').MatchState}
+ */
+export function correctScore(state, score, timestamp = Date.now()) {
+  const nextState = createCorrectedState(state, score)
+
+  if (nextState === null) {
+    throw new TypeError(
+      'correctScore only accepts a score the match could reach.'
+    )
+  }
+
+  const correction = {
+    timestamp,
+    pointCount: Array.isArray(state.pointLog) ? state.pointLog.length : 0,
+    before: createCorrectionScore(state),
+    after: createCorrectionScore(nextState)
+  }
+
+  if (!Array.isArray(nextState.corrections)) {
+    nextState.corrections = []
+  }
+
+  nextState.corrections.push(correction)
+  refreshCurrentServer(nextState)
+
+  return nextState
+}
+
+/**
+ * Replays the corrections made after `pointCount` logged points onto a state
+ * being rebuilt from the point log.
+ *
+ * @param {import('./match-state.js').MatchState} state
+ * @param {import('./match-state-schema.js').ScoreCorrection[] | undefined} corrections
+ * @param {number} pointCount
+ * @returns {import('./match-state.js').MatchState}
+ */
+export function applyScoreCorrections(state, corrections, pointCount) {
+  if (!Array.isArray(corrections)) {
+    return state
+  }
+
+  corrections
+    .filter((correction) => correction.pointCount === pointCount)
+    .forEach((correction) => {
+      setCorrectionScore(state, correction.after)
+    })
+
+  return state
 }
@@ -0,0 +1,116 @@
+import {
+  isServerPosition,
+  isTieBreakModeForState,
+  resolveHandicap
+} from './validation.js'
+
+/**
+ * @typedef {import('./match-state-schema.js').ServerPosition} ServerPosition
+ */
+
+/**
+ * @param {unknown} left
+ * @param {unknown} right
+ * @returns {boolean}
+ */
+export function isSameServerPosition(left, right) {
+  return (
+    isServerPosition(left) &&
+    isServerPosition(right) &&
+    left.team === right.team &&
+    left.player === right.player
+  )
+}
+
+/**
+ * Doubles serve alternates between teams and between partners: the first
+ * server, the opponent's player 1, the first server's partner, then the
+ * opponent's player 2.
+ *
+ * @param {ServerPosition} firstServer
+ * @returns {ServerPosition[]}
+ */
+export function createServeOrder(firstServer) {
+  const receivingTeam = firstServer.team === 'teamA' ? 'teamB' : 'teamA'
+  const partner = firstServer.player === 1 ? 2 : 1
+
+  return [
+    { team: firstServer.team, player: firstServer.player },
+    { team: receivingTeam, player: 1 },
+    { team: firstServer.team, player: partner },
+    { team: receivingTeam, player: 2 }
+  ]
+}
+
+/**
+ * A super tie-break set counts as a single game, like a regular tie-break.
+ * Games given by a handicap were never served, so they are left out.
+ *
+ * @param {import('./match-state.js').MatchState} state
+ * @returns {number}
+ */
+function countCompletedGames(state) {
+  const setHistory = Array.isArray(state.setHistory) ? state.setHistory : []
+  const completedSetGames = setHistory.reduce(
+    (total, entry) =>
+      total +
+      (entry?.superTieBreak === true
+        ? 1
+        : toGameCount(entry?.teamAGames) + toGameCount(entry?.teamBGames)),
+    0
+  )
+  const handicapGames = resolveHandicap(state.settings)?.games ?? 0
+
+  return Math.max(
+    0,
+    completedSetGames +
+      toGameCount(state.currentSetStatus?.teamAGames) +
+      toGameCount(state.currentSetStatus?.teamBGames) -
+      handicapGames
+  )
+}
+
+/**
+ * @param {unknown} value
+ * @returns {number}
+ */
+function toGameCount(value) {
+  return Number.isInteger(value) && value >= 0 ? value : 0
+}
+
+/**
+ * Tie-break serve changes after the first point and then every two points.
+ *
+ * @param {import('./match-state.js').MatchState} state
+ * @returns {number}
+ */
+function countTieBreakServeTurns(state) {
+  if (!isTieBreakModeForState(state)) {
+    return 0
+  }
+
+  const pointsPlayed =
+    toGameCount(state.teamA?.points) + toGameCount(state.teamB?.points)
+
+  return Math.floor((pointsPlayed + 1) / 2)
+}
+
+/**
+ * Derives who serves the current point from the match progress, or null when
+ * the match was started without a first server.
+ *
+ * @param {import('./match-state.js').MatchState} state
+ * @returns {ServerPosition | null}
+ */
+export function getCurrentServer(state) {
+  const firstServer = state?.settings?.firstServer
+
+  if (!isServerPosition(firstServer)) {
+    return null
+  }
+
+  const serveOrder = createServeOrder(firstServer)
+  const serveTurns = countCompletedGames(state) + countTieBreakServeTurns(state)
+
+  return serveOrder[serveTurns % serveOrder.length]
+}
@@ -0,0 +1,95 @@
+import {
+  loadChangeEndsAlertEnabled,
+  saveChangeEndsAlertEnabled
+} from './change-ends-alert-settings.js'
+import {
+  loadHapticFeedbackEnabled,
+  saveHapticFeedbackEnabled
+} from './haptic-feedback-settings.js'
+import { loadMatchDefaults, saveMatchDefaults } from './match-defaults.js'
+import {
+  applyEditedRoster,
+  loadPlayerRoster,
+  savePlayerRoster
+} from './player-roster.js'
+import {
+  createSettingsMessage,
+  parseSyncMessage,
+  SYNC_MESSAGE_TYPE
+} from './sync-protocol.js'
+import { isRecord } from './validation.js'
+
+/**
+ * @returns {import('./sync-protocol.js').WatchSettings}
+ */
+export function loadWatchSettings() {
+  return {
+    matchDefaults: loadMatchDefaults(),
+    hapticFeedback: loadHapticFeedbackEnabled(),
+    changeEndsAlert: loadChangeEndsAlertEnabled(),
+    roster: loadPlayerRoster()
+  }
+}
+
+/**
+ * Saves settings edited on the phone into the keys the watch screens read.
+ * Fields missing from the update are left as they are.
+ *
+ * @param {unknown} settings
+ * @returns {boolean} False when the update is not a settings record.
+ */
+export function applyPhoneSettings(settings) {
+  if (!isRecord(settings)) {
+    return false
+  }
+
+  if (isRecord(settings.matchDefaults)) {
+    saveMatchDefaults(settings.matchDefaults)
+  }
+
+  if (typeof settings.hapticFeedback === 'boolean') {
+    saveHapticFeedbackEnabled(settings.hapticFeedback)
+  }
+
+  if (typeof settings.changeEndsAlert === 'boolean') {
+    saveChangeEndsAlertEnabled(settings.changeEndsAlert)
+  }
+
+  if (Array.isArray(settings.roster)) {
+    savePlayerRoster(applyEditedRoster(loadPlayerRoster(), settings.roster))
+  }
+
+  return true
+}
+
+/**
+ * Keeps the phone settings app and the watch in step over a messaging
+ * channel: updates from the phone are applied as they arrive and answered
+ * with the resulting settings, so players added on the phone get their ids
+ * there too. `sendState` shares the current watch settings with the phone.
+ *
+ * @param {import('./phone-messaging.js').MessagingChannel} channel
+ * @returns {{ sendState: () => boolean }}
+ */
+export function createSettingsSyncClient(channel) {
+  const sendState = () =>
+    channel.send(
+      createSettingsMessage(
+        SYNC_MESSAGE_TYPE.SETTINGS_STATE,
+        loadWatchSettings()
+      )
+    )
+
+  channel.onMessage((value) => {
+    const message = parseSyncMessage(value)
+
+    if (
+      message?.type === SYNC_MESSAGE_TYPE.SETTINGS_UPDATE &&
+      applyPhoneSettings(message.settings)
+    ) {
+      sendState()
+    }
+  })
+
+  return { sendState }
+}
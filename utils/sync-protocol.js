@@ -0,0 +1,171 @@
+import { decodeUtf8, encodeUtf8 } from './app-files.js'
+import { isRecord } from './validation.js'
+
+/**
+ * Messages exchanged between the watch and the phone side service.
+ *
+ * History: the watch sends one `history.entry` message per finished match and
+ * the phone answers each one with a `history.ack` message carrying the entry
+ * id once the match is archived.
+ *
+ * Settings: the watch sends its current settings in a `settings.state`
+ * message when it connects, so the phone settings app shows them, and the
+ * phone sends a `settings.update` message whenever they are edited there.
+ * The watch answers each update with its `settings.state`. Edits the watch
+ * may have missed are sent again in answer to its next `settings.state`.
+ *
+ * This module is shared by both sides, so it must not use watch-only APIs.
+ */
+
+/**
+ * @typedef HistoryEntryMessage
+ * @property {number} version
+ * @property {'history.entry'} type
+ * @property {import('./match-history-types.js').MatchHistoryEntry} entry
+ */
+
+/**
+ * @typedef HistoryAckMessage
+ * @property {number} version
+ * @property {'history.ack'} type
+ * @property {string} id - Id of the archived history entry.
+ */
+
+/**
+ * @typedef WatchSettings
+ * @property {import('./match-defaults.js').MatchDefaults} matchDefaults
+ * @property {boolean} hapticFeedback
+ * @property {boolean} changeEndsAlert
+ * @property {Array<{ id: string, name: string }>} roster - Players added on the phone have an empty id until the watch assigns one.
+ */
+
+/**
+ * @typedef SettingsMessage
+ * @property {number} version
+ * @property {'settings.state' | 'settings.update'} type
+ * @property {WatchSettings} settings
+ */
+
+/** @typedef {HistoryEntryMessage | HistoryAckMessage | SettingsMessage} SyncMessage */
+
+export const SYNC_PROTOCOL_VERSION = 1
+
+/** Phone settings storage key shared by the side service and the settings app. */
+export const PHONE_SETTINGS_STORAGE_KEY = 'padel-buddy.watch-settings'
+
+export const SYNC_MESSAGE_TYPE = Object.freeze({
+  HISTORY_ENTRY: 'history.entry',
+  HISTORY_ACK: 'history.ack',
+  SETTINGS_STATE: 'settings.state',
+  SETTINGS_UPDATE: 'settings.update'
+})
+
+/**
+ * @param {import('./match-history-types.js').MatchHistoryEntry} entry
+ * @returns {HistoryEntryMessage}
+ */
+export function createHistoryEntryMessage(entry) {
+  return {
+    version: SYNC_PROTOCOL_VERSION,
+    type: SYNC_MESSAGE_TYPE.HISTORY_ENTRY,
+    entry
+  }
+}
+
+/**
+ * @param {string} entryId
+ * @returns {HistoryAckMessage}
+ */
+export function createHistoryAckMessage(entryId) {
+  return {
+    version: SYNC_PROTOCOL_VERSION,
+    type: SYNC_MESSAGE_TYPE.HISTORY_ACK,
+    id: entryId
+  }
+}
+
+/**
+ * @param {'settings.state' | 'settings.update'} type
+ * @param {WatchSettings} settings
+ * @returns {SettingsMessage}
+ */
+export function createSettingsMessage(type, settings) {
+  return {
+    version: SYNC_PROTOCOL_VERSION,
+    type,
+    settings
+  }
+}
+
+/**
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.length > 0
+}
+
+/**
+ * @param {unknown} value
+ * @returns {SyncMessage | null} Null for anything that is not a supported message.
+ */
+export function parseSyncMessage(value) {
+  if (!isRecord(value) || value.version !== SYNC_PROTOCOL_VERSION) {
+    return null
+  }
+
+  if (
+    value.type === SYNC_MESSAGE_TYPE.HISTORY_ENTRY &&
+    isRecord(value.entry) &&
+    isNonEmptyString(value.entry.id)
+  ) {
+    return /** @type {HistoryEntryMessage} */ (value)
+  }
+
+  if (
+    value.type === SYNC_MESSAGE_TYPE.HISTORY_ACK &&
+    isNonEmptyString(value.id)
+  ) {
+    return /** @type {HistoryAckMessage} */ (value)
+  }
+
+  if (
+    (value.type === SYNC_MESSAGE_TYPE.SETTINGS_STATE ||
+      value.type === SYNC_MESSAGE_TYPE.SETTINGS_UPDATE) &&
+    isRecord(value.settings)
+  ) {
+    return /** @type {SettingsMessage} */ (value)
+  }
+
+  return null
+}
+
+/**
+ * @param {SyncMessage} message
+ * @returns {ArrayBuffer} UTF-8 JSON, as sent over the BLE messaging channel.
+ */
+export function encodeSyncMessage(message) {
+  return encodeUtf8(JSON.stringify(message)).buffer
+}
+
+/**
+ * @param {unknown} payload - ArrayBuffer or Uint8Array received from the channel.
+ * @returns {SyncMessage | null}
+ */
+export function decodeSyncMessage(payload) {
+  let bytes = null
+
+  if (payload instanceof Uint8Array) {
+    bytes = payload
+  } else if (payload instanceof ArrayBuffer) {
+    bytes = new Uint8Array(payload)
+  } else {
+    return null
+  }
+
+  try {
+    return parseSyncMessage(JSON.parse(decodeUtf8(bytes)))
+  } catch {
+    return null
+  }
+}
@@ -0,0 +1,307 @@
+import { deleteState, loadState, saveState } from './persistence.js'
+import { isRecord } from './validation.js'
+
+/**
+ * @typedef TeamNames
+ * @property {string} label - Empty when the team has no custom name.
+ * @property {[string, string]} players - Empty strings for unnamed players.
+ * @property {[string, string]} [playerIds] - Roster ids of the players; empty strings for unnamed players.
+ */
+
+/**
+ * @typedef MatchTeamNames
+ * @property {TeamNames} teamA
+ * @property {TeamNames} teamB
+ */
+
+export const RECENT_NAMES_STORAGE_KEY = 'padel-buddy.recent-names'
+export const MAX_RECENT_NAMES = 12
+export const MAX_NAME_LENGTH = 12
+
+/** Keys of the on-watch name keyboard; '_' types a space, '<' deletes. */
+export const NAME_KEYBOARD_KEYS = Object.freeze([
+  ...'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+  '_',
+  '<'
+])
+
+export const NAME_KEYBOARD_SPACE_KEY = '_'
+export const NAME_KEYBOARD_DELETE_KEY = '<'
+
+const DEFAULT_TEAM_LABELS = Object.freeze({
+  teamA: 'Team A',
+  teamB: 'Team B'
+})
+
+/**
+ * Collapses whitespace and caps the length, so names fit the watch screens.
+ *
+ * @param {unknown} value
+ * @returns {string} Empty when the value is not a usable name.
+ */
+export function normalizeName(value) {
+  if (typeof value !== 'string') {
+    return ''
+  }
+
+  return value.replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH).trim()
+}
+
+/**
+ * @returns {MatchTeamNames}
+ */
+export function createEmptyTeamNames() {
+  return {
+    teamA: { label: '', players: ['', ''] },
+    teamB: { label: '', players: ['', ''] }
+  }
+}
+
+/**
+ * @param {unknown} value
+ * @returns {[string, string] | null} Null unless both entries are strings and at least one is a name.
+ */
+export function normalizeTeamPlayers(value) {
+  if (
+    !Array.isArray(value) ||
+    value.length !== 2 ||
+    !value.every((name) => typeof name === 'string')
+  ) {
+    return null
+  }
+
+  const players = [normalizeName(value[0]), normalizeName(value[1])]
+
+  return players.some((name) => name.length > 0) ? players : null
+}
+
+/**
+ * @param {unknown} value
+ * @returns {[string, string] | null} Null unless both entries are strings and at least one is an id.
+ */
+export function normalizeTeamPlayerIds(value) {
+  if (
+    !Array.isArray(value) ||
+    value.length !== 2 ||
+    !value.every((id) => typeof id === 'string')
+  ) {
+    return null
+  }
+
+  return value.some((id) => id.length > 0) ? [value[0], value[1]] : null
+}
+
+/**
+ * Applies one key of the name keyboard to a name being typed.
+ *
+ * @param {string} name
+ * @param {string} key
+ * @returns {string}
+ */
+export function applyNameKeyboardKey(name, key) {
+  if (key === NAME_KEYBOARD_DELETE_KEY) {
+    return name.slice(0, -1)
+  }
+
+  if (name.length >= MAX_NAME_LENGTH) {
+    return name
+  }
+
+  if (key === NAME_KEYBOARD_SPACE_KEY) {
+    return name.length === 0 || name.endsWith(' ') ? name : `${name} `
+  }
+
+  // Capitalize the first letter of each word and lowercase the rest.
+  const isWordStart = name.length === 0 || name.endsWith(' ')
+  return `${name}${isWordStart ? key : key.toLowerCase()}`
+}
+
+/**
+ * A team without a custom name is labelled after its players when both are
+ * named (e.g. "Ana / Bea"), and falls back to "Team A" / "Team B" otherwise.
+ *
+ * @param {TeamNames | undefined} teamNames
+ * @param {'teamA' | 'teamB'} teamId
+ * @returns {string}
+ */
+function resolveTeamLabel(teamNames, teamId) {
+  const label = normalizeName(teamNames?.label)
+
+  if (label.length > 0) {
+    return label
+  }
+
+  const players = normalizeTeamPlayers(teamNames?.players)
+
+  if (players?.every((name) => name.length > 0)) {
+    return `${players[0]} / ${players[1]}`
+  }
+
+  return DEFAULT_TEAM_LABELS[teamId]
+}
+
+/**
+ * Builds the `teams` of a new match from the names picked at setup.
+ *
+ * @param {Partial<MatchTeamNames> | null | undefined} teamNames
+ * @returns {import('./match-state-schema.js').MatchTeams}
+ */
+export function createMatchTeams(teamNames) {
+  const createTeam = (teamId) => {
+    const team = {
+      id: teamId,
+      label: resolveTeamLabel(teamNames?.[teamId], teamId)
+    }
+    const players = normalizeTeamPlayers(teamNames?.[teamId]?.players)
+
+    if (players) {
+      team.players = players
+
+      const playerIds = normalizeTeamPlayerIds(teamNames?.[teamId]?.playerIds)
+
+      if (playerIds) {
+        team.playerIds = playerIds
+      }
+    }
+
+    return team
+  }
+
+  return {
+    teamA: createTeam('teamA'),
+    teamB: createTeam('teamB')
+  }
+}
+
+/**
+ * @param {unknown} label
+ * @returns {boolean}
+ */
+export function isDefaultTeamLabel(label) {
+  return (
+    label === DEFAULT_TEAM_LABELS.teamA || label === DEFAULT_TEAM_LABELS.teamB
+  )
+}
+
+/**
+ * @returns {string[]} Most recently used first.
+ */
+export function loadRecentNames() {
+  try {
+    const storedNames = loadState(RECENT_NAMES_STORAGE_KEY)
+
+    if (!Array.isArray(storedNames)) {
+      return []
+    }
+
+    return storedNames
+      .map(normalizeName)
+      .filter((name) => name.length > 0)
+      .slice(0, MAX_RECENT_NAMES)
+  } catch {
+    return []
+  }
+}
+
+/**
+ * Moves the given names to the front of the recent names list.
+ *
+ * @param {MatchTeamNames} teamNames
+ * @returns {string[]} The updated list.
+ */
+export function rememberRecentNames(teamNames) {
+  const usedNames = ['teamA', 'teamB']
+    .flatMap((teamId) => [
+      teamNames?.[teamId]?.label,
+      ...(Array.isArray(teamNames?.[teamId]?.players)
+        ? teamNames[teamId].players
+        : [])
+    ])
+    .map(normalizeName)
+    .filter((name) => name.length > 0)
+  const recentNames = []
+
+  for (const name of [...usedNames, ...loadRecentNames()]) {
+    const isKnownName = recentNames.some(
+      (recentName) => recentName.toLowerCase() === name.toLowerCase()
+    )
+
+    if (!isKnownName && recentNames.length < MAX_RECENT_NAMES) {
+      recentNames.push(name)
+    }
+  }
+
+  try {
+    saveState(RECENT_NAMES_STORAGE_KEY, recentNames)
+  } catch {
+    // Ignore persistence errors.
+  }
+
+  return recentNames
+}
+
+export function clearRecentNames() {
+  try {
+    return deleteState(RECENT_NAMES_STORAGE_KEY)
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Copies the team names and roster player ids of a persisted session onto
+ * runtime state teams.
+ *
+ * @param {import('./match-state.js').MatchTeamConfiguration} runtimeTeams
+ * @param {unknown} persistedTeams
+ */
+export function applyPersistedTeamNames(runtimeTeams, persistedTeams) {
+  if (!isRecord(persistedTeams)) {
+    return
+  }
+
+  for (const teamId of ['teamA', 'teamB']) {
+    const persistedTeam = persistedTeams[teamId]
+
+    if (typeof persistedTeam?.label === 'string') {
+      runtimeTeams[teamId].label = persistedTeam.label
+    }
+
+    const players = normalizeTeamPlayers(persistedTeam?.players)
+
+    if (players) {
+      runtimeTeams[teamId].players = players
+    } else {
+      delete runtimeTeams[teamId].players
+    }
+
+    const playerIds = normalizeTeamPlayerIds(persistedTeam?.playerIds)
+
+    if (players && playerIds) {
+      runtimeTeams[teamId].playerIds = playerIds
+    } else {
+      delete runtimeTeams[teamId].playerIds
+    }
+  }
+}
+
+/**
+ * Describes a team for the history screens, e.g. "Lobos (Ana / Bea)".
+ *
+ * @param {string} label
+ * @param {unknown} players
+ * @returns {string} Empty for a default team without player names.
+ */
+export function describeTeam(label, players) {
+  const playerNames = (normalizeTeamPlayers(players) ?? [])
+    .filter((name) => name.length > 0)
+    .join(' / ')
+
+  if (isDefaultTeamLabel(label)) {
+    return playerNames
+  }
+
+  return playerNames.length > 0 && playerNames !== label
+    ? `${label} (${playerNames})`
+    : label
+}
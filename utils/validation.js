@@ -1,15 +1,31 @@
 import {
+  DEFAULT_GAMES_PER_SET,
+  DEFAULT_SCORING_MODE,
   DEFAULT_SETS_TO_PLAY,
+  MATCH_FORMAT,
+  MATCH_GAMES_PER_SET_OPTIONS,
+  MATCH_HANDICAP_GAMES_OPTIONS,
+  MATCH_HANDICAP_POINTS_OPTIONS,
+  MATCH_PRO_SET_GAMES_OPTIONS,
+  MATCH_SCORING_MODE_OPTIONS,
   MATCH_SET_OPTIONS,
+  MATCH_TOTAL_GAMES_OPTIONS,
   PERSISTED_ADVANTAGE_POINT_VALUE,
   PERSISTED_GAME_POINT_VALUE,
+  PRO_SET_TIE_BREAK_AT,
   SCORE_POINTS,
   TEAM_IDENTIFIERS,
   TIE_BREAK_ENTRY_GAMES
 } from './constants.js'
 
 const supportedSetsToPlaySet = new Set(MATCH_SET_OPTIONS)
+const supportedScoringModeSet = new Set(MATCH_SCORING_MODE_OPTIONS)
+const supportedGamesPerSetSet = new Set(MATCH_GAMES_PER_SET_OPTIONS)
+const supportedProSetGamesSet = new Set(MATCH_PRO_SET_GAMES_OPTIONS)
+const supportedTotalGamesSet = new Set(MATCH_TOTAL_GAMES_OPTIONS)
 const supportedTeamIdentifierSet = new Set(TEAM_IDENTIFIERS)
+const supportedHandicapPointsSet = new Set(MATCH_HANDICAP_POINTS_OPTIONS)
+const supportedHandicapGamesSet = new Set(MATCH_HANDICAP_GAMES_OPTIONS)
 
 /**
  * @param {unknown} value
@@ -79,6 +95,56 @@ export function isTeamIdentifier(value) {
   return supportedTeamIdentifierSet.has(value)
 }
 
+/**
+ * @param {unknown} value
+ * @returns {value is import('./match-state-schema.js').ServerPosition}
+ */
+export function isServerPosition(value) {
+  return (
+    isRecord(value) &&
+    isTeamIdentifier(value.team) &&
+    (value.player === 1 || value.player === 2)
+  )
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is import('./match-state-schema.js').Handicap}
+ */
+export function isSupportedHandicap(value) {
+  return (
+    isRecord(value) &&
+    isTeamIdentifier(value.team) &&
+    supportedHandicapPointsSet.has(value.points) &&
+    supportedHandicapGamesSet.has(value.games) &&
+    isNonNegativeInteger(value.sets)
+  )
+}
+
+/**
+ * Works for both runtime and persisted settings.
+ *
+ * @param {unknown} settings
+ * @returns {import('./match-state-schema.js').Handicap | null} Null when neither team has a head start.
+ */
+export function resolveHandicap(settings) {
+  const handicap = settings?.handicap
+
+  if (
+    !isSupportedHandicap(handicap) ||
+    handicap.points + handicap.games + handicap.sets === 0
+  ) {
+    return null
+  }
+
+  return {
+    team: handicap.team,
+    points: handicap.points,
+    games: handicap.games,
+    sets: handicap.sets
+  }
+}
+
 /**
  * @param {unknown} value
  * @returns {boolean}
@@ -87,25 +153,227 @@ export function isSupportedSetsToPlay(value) {
   return supportedSetsToPlaySet.has(value)
 }
 
+/**
+ * @param {unknown} value
+ * @returns {value is import('./match-state-schema.js').ScoringMode}
+ */
+export function isSupportedScoringMode(value) {
+  return supportedScoringModeSet.has(value)
+}
+
+/**
+ * @param {unknown} value
+ * @param {import('./match-state-schema.js').ScoringMode} [fallback]
+ * @returns {import('./match-state-schema.js').ScoringMode}
+ */
+export function toSupportedScoringMode(value, fallback = DEFAULT_SCORING_MODE) {
+  return isSupportedScoringMode(value) ? value : fallback
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is import('./match-state-schema.js').GamesPerSet}
+ */
+export function isSupportedGamesPerSet(value) {
+  return supportedGamesPerSetSet.has(value)
+}
+
+/**
+ * Pro sets are played as the only set of the match.
+ *
+ * @param {unknown} value
+ * @returns {value is import('./match-state-schema.js').GamesPerSet}
+ */
+export function isProSetGamesPerSet(value) {
+  return supportedProSetGamesSet.has(value)
+}
+
+/**
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+export function isSupportedTotalGames(value) {
+  return supportedTotalGamesSet.has(value)
+}
+
+/**
+ * @param {unknown} settings
+ * @returns {'sets' | 'pro-set' | 'total-games'}
+ */
+export function resolveMatchFormat(settings) {
+  if (isSupportedTotalGames(settings?.totalGames)) {
+    return MATCH_FORMAT.TOTAL_GAMES
+  }
+
+  return isProSetGamesPerSet(settings?.gamesPerSet)
+    ? MATCH_FORMAT.PRO_SET
+    : MATCH_FORMAT.SETS
+}
+
+/**
+ * @param {import('./match-state-schema.js').GamesPerSet} gamesPerSet
+ * @returns {number}
+ */
+export function getDefaultTieBreakAt(gamesPerSet) {
+  return isProSetGamesPerSet(gamesPerSet) ? PRO_SET_TIE_BREAK_AT : gamesPerSet
+}
+
+/**
+ * The tie-break starts when both teams reach the set length, or one game
+ * earlier (e.g. 3-3 in a set to 4).
+ *
+ * @param {number} gamesPerSet
+ * @param {unknown} tieBreakAt
+ * @returns {boolean}
+ */
+function isSupportedTieBreakAt(gamesPerSet, tieBreakAt) {
+  return tieBreakAt === gamesPerSet || tieBreakAt === gamesPerSet - 1
+}
+
+/**
+ * Resolves games per set and tie-break trigger, falling back to a standard
+ * set to 6 with the tie-break at 6-6.
+ *
+ * @param {unknown} settings
+ * @returns {{ gamesPerSet: import('./match-state-schema.js').GamesPerSet, tieBreakAt: number }}
+ */
+export function resolveSetLength(settings) {
+  const gamesPerSet =
+    isSupportedGamesPerSet(settings?.gamesPerSet) ||
+    isProSetGamesPerSet(settings?.gamesPerSet)
+      ? settings.gamesPerSet
+      : DEFAULT_GAMES_PER_SET
+  const tieBreakAt = isSupportedTieBreakAt(gamesPerSet, settings?.tieBreakAt)
+    ? settings.tieBreakAt
+    : getDefaultTieBreakAt(gamesPerSet)
+
+  return { gamesPerSet, tieBreakAt }
+}
+
+/**
+ * Picks the scoring rules the runtime engine needs from persisted settings.
+ *
+ * @param {unknown} settings
+ * @returns {import('./match-state.js').RuntimeMatchSettings}
+ */
+export function toRuntimeMatchSettings(settings) {
+  /** @type {import('./match-state.js').RuntimeMatchSettings} */
+  const runtimeSettings = {
+    scoringMode: toSupportedScoringMode(settings?.scoringMode),
+    superTieBreak: settings?.superTieBreak === true,
+    ...resolveSetLength(settings),
+    finalSetTieBreak: settings?.finalSetTieBreak !== false
+  }
+
+  if (isSupportedTotalGames(settings?.totalGames)) {
+    runtimeSettings.totalGames = settings.totalGames
+  }
+
+  const handicap = resolveHandicap(settings)
+
+  if (handicap) {
+    runtimeSettings.handicap = handicap
+  }
+
+  // Sessions started before serve tracking have no first server to rotate from.
+  if (isServerPosition(settings?.firstServer)) {
+    runtimeSettings.firstServer = {
+      team: settings.firstServer.team,
+      player: settings.firstServer.player
+    }
+  }
+
+  return runtimeSettings
+}
+
 /**
  * @param {unknown} teamAGames
  * @param {unknown} teamBGames
+ * @param {number | null} [tieBreakAt]
  * @returns {boolean}
  */
-export function isTieBreakMode(teamAGames, teamBGames) {
+export function isTieBreakMode(
+  teamAGames,
+  teamBGames,
+  tieBreakAt = TIE_BREAK_ENTRY_GAMES
+) {
   return (
-    teamAGames === TIE_BREAK_ENTRY_GAMES && teamBGames === TIE_BREAK_ENTRY_GAMES
+    tieBreakAt !== null &&
+    teamAGames === tieBreakAt &&
+    teamBGames === tieBreakAt
   )
 }
 
+/**
+ * Works for both runtime and persisted match states.
+ *
+ * @param {unknown} matchState
+ * @returns {boolean}
+ */
+export function isDecidingSet(matchState) {
+  if (!isRecord(matchState)) {
+    return false
+  }
+
+  const setsNeededToWin = toPositiveInteger(matchState.setsNeededToWin, 2)
+
+  return (
+    toNonNegativeInteger(matchState.setsWon?.teamA, 0) ===
+      setsNeededToWin - 1 &&
+    toNonNegativeInteger(matchState.setsWon?.teamB, 0) === setsNeededToWin - 1
+  )
+}
+
+/**
+ * Games each at which the current set goes to a tie-break, or null when the
+ * deciding set is played without one. Fixed-games matches have no tie-break.
+ *
+ * @param {unknown} matchState
+ * @returns {number | null}
+ */
+export function resolveTieBreakEntryGames(matchState) {
+  const settings = isRecord(matchState) ? matchState.settings : undefined
+
+  if (resolveMatchFormat(settings) === MATCH_FORMAT.TOTAL_GAMES) {
+    return null
+  }
+
+  if (settings?.finalSetTieBreak === false && isDecidingSet(matchState)) {
+    return null
+  }
+
+  return resolveSetLength(settings).tieBreakAt
+}
+
 /**
  * @param {{ currentSetStatus: { teamAGames: unknown, teamBGames: unknown } }} matchState
  * @returns {boolean}
  */
 export function isTieBreakModeForState(matchState) {
-  return isTieBreakMode(
-    matchState.currentSetStatus.teamAGames,
-    matchState.currentSetStatus.teamBGames
+  return (
+    isTieBreakMode(
+      matchState.currentSetStatus.teamAGames,
+      matchState.currentSetStatus.teamBGames,
+      resolveTieBreakEntryGames(matchState)
+    ) || isSuperTieBreakSet(matchState)
+  )
+}
+
+/**
+ * The deciding set is replaced by a match tie-break once both teams are one
+ * set away from winning. Accepts both runtime and persisted match states.
+ *
+ * @param {unknown} matchState
+ * @returns {boolean}
+ */
+export function isSuperTieBreakSet(matchState) {
+  if (!isRecord(matchState) || matchState.settings?.superTieBreak !== true) {
+    return false
+  }
+
+  return (
+    toPositiveInteger(matchState.setsNeededToWin, 2) > 1 &&
+    isDecidingSet(matchState)
   )
 }
 
@@ -249,18 +517,44 @@ export function resolveSetsToPlayFromSetsNeededToWin(setsNeededToWin) {
 }
 
 /**
+ * Pro sets and fixed-games matches are single-set formats.
+ *
  * @param {number} setsToPlay
  * @param {number} setsNeededToWin
+ * @param {{ gamesPerSet?: unknown, tieBreakAt?: unknown, totalGames?: unknown }} [setLength]
  * @returns {boolean}
  */
-export function isSupportedSetConfiguration(setsToPlay, setsNeededToWin) {
-  return Math.ceil(setsToPlay / 2) === setsNeededToWin
+export function isSupportedSetConfiguration(
+  setsToPlay,
+  setsNeededToWin,
+  setLength
+) {
+  if (Math.ceil(setsToPlay / 2) !== setsNeededToWin) {
+    return false
+  }
+
+  const gamesPerSet = setLength?.gamesPerSet ?? DEFAULT_GAMES_PER_SET
+  const tieBreakAt = setLength?.tieBreakAt ?? getDefaultTieBreakAt(gamesPerSet)
+  const isSingleSet = setsToPlay === 1
+
+  if (
+    setLength?.totalGames !== undefined &&
+    (!isSingleSet || !isSupportedTotalGames(setLength.totalGames))
+  ) {
+    return false
+  }
+
+  return (
+    (isSupportedGamesPerSet(gamesPerSet) ||
+      (isSingleSet && isProSetGamesPerSet(gamesPerSet))) &&
+    isSupportedTieBreakAt(gamesPerSet, tieBreakAt)
+  )
 }
 
 /**
  * @param {unknown} setHistory
  * @param {{ setNumberFallback?: 'index' | 'firstSet', sortBySetNumber?: boolean }} [options]
- * @returns {Array<{ setNumber: number, teamAGames: number, teamBGames: number }>}
+ * @returns {Array<import('./match-state-schema.js').SetHistoryEntry>}
  */
 export function normalizeSetHistoryWithOptions(setHistory, options = {}) {
   if (!Array.isArray(setHistory)) {
@@ -271,14 +565,26 @@ export function normalizeSetHistoryWithOptions(setHistory, options = {}) {
     options.setNumberFallback === 'firstSet' ? 'firstSet' : 'index'
   const shouldSort = options.sortBySetNumber === true
 
-  const normalizedSetHistory = setHistory.map((entry, index) => ({
-    setNumber:
-      setNumberFallback === 'firstSet'
-        ? toPositiveInteger(entry?.setNumber, 1)
-        : toPositiveInteger(entry?.setNumber, index + 1),
-    teamAGames: toNonNegativeInteger(entry?.teamAGames, 0),
-    teamBGames: toNonNegativeInteger(entry?.teamBGames, 0)
-  }))
+  const normalizedSetHistory = setHistory.map((entry, index) => {
+    const normalizedEntry = {
+      setNumber:
+        setNumberFallback === 'firstSet'
+          ? toPositiveInteger(entry?.setNumber, 1)
+          : toPositiveInteger(entry?.setNumber, index + 1),
+      teamAGames: toNonNegativeInteger(entry?.teamAGames, 0),
+      teamBGames: toNonNegativeInteger(entry?.teamBGames, 0)
+    }
+
+    if (entry?.superTieBreak === true) {
+      normalizedEntry.superTieBreak = true
+    }
+
+    if (entry?.tieBreak === true) {
+      normalizedEntry.tieBreak = true
+    }
+
+    return normalizedEntry
+  })
 
   if (!shouldSort) {
     return normalizedSetHistory
@@ -291,7 +597,7 @@ export function normalizeSetHistoryWithOptions(setHistory, options = {}) {
 
 /**
  * @param {unknown} setHistory
- * @returns {Array<{ setNumber: number, teamAGames: number, teamBGames: number }>}
+ * @returns {Array<import('./match-state-schema.js').SetHistoryEntry>}
  */
 export function cloneSetHistory(setHistory) {
   return normalizeSetHistoryWithOptions(setHistory)
@@ -299,7 +605,7 @@ export function cloneSetHistory(setHistory) {
 
 /**
  * @param {unknown} setHistory
- * @returns {Array<{ setNumber: number, teamAGames: number, teamBGames: number }>}
+ * @returns {Array<import('./match-state-schema.js').SetHistoryEntry>}
  */
 export function cloneSetHistoryWithFirstSetFallback(setHistory) {
   return normalizeSetHistoryWithOptions(setHistory, {
@@ -309,7 +615,7 @@ export function cloneSetHistoryWithFirstSetFallback(setHistory) {
 
 /**
  * @param {unknown} setHistory
- * @returns {Array<{ setNumber: number, teamAGames: number, teamBGames: number }>}
+ * @returns {Array<import('./match-state-schema.js').SetHistoryEntry>}
  */
 export function normalizeSetHistory(setHistory) {
   return normalizeSetHistoryWithOptions(setHistory, {
@@ -318,6 +624,18 @@ export function normalizeSetHistory(setHistory) {
   })
 }
 
+/**
+ * Formats a set result as "6-4", or "[10-8]" for a super tie-break.
+ *
+ * @param {{ teamAGames: number, teamBGames: number, superTieBreak?: boolean }} setEntry
+ * @returns {string}
+ */
+export function formatSetScore(setEntry) {
+  const score = `${setEntry.teamAGames}-${setEntry.teamBGames}`
+
+  return setEntry.superTieBreak === true ? `[${score}]` : score
+}
+
 /**
  * @param {unknown} entry
  * @returns {string}